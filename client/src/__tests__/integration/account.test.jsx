@@ -0,0 +1,99 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import { server } from '../mocks/server';
+import { AppRoutes } from '../../App';
+
+beforeAll(() => server.listen({ onUnhandledRequest: 'bypass' }));
+afterEach(() => {
+  server.resetHandlers();
+  localStorage.clear();
+});
+afterAll(() => server.close());
+
+const renderAt = (route) =>
+  render(
+    <MemoryRouter initialEntries={[route]}>
+      <AppRoutes />
+    </MemoryRouter>
+  );
+
+const fillAddress = async (user, { fullName, line1, city, region, postalCode }) => {
+  await user.type(screen.getByLabelText('Full name'), fullName);
+  await user.type(screen.getByLabelText('Address line 1'), line1);
+  await user.type(screen.getByLabelText('City'), city);
+  await user.type(screen.getByLabelText('State'), region);
+  await user.type(screen.getByLabelText('ZIP code'), postalCode);
+};
+
+describe('Integration Tests - Account addresses', () => {
+  it('should send guests to the login page', async () => {
+    renderAt('/account');
+
+    expect(await screen.findByRole('heading', { name: 'Login to ShopSmart' })).toBeInTheDocument();
+  });
+
+  it('should add addresses and move the default between them', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-1');
+    renderAt('/');
+
+    await user.click(await screen.findByTestId('account-link'));
+    expect(await screen.findByText('You have no saved addresses yet.')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Add address' }));
+    await fillAddress(user, {
+      fullName: 'John Doe',
+      line1: '1 Market St',
+      city: 'San Francisco',
+      region: 'CA',
+      postalCode: '9410'
+    });
+    await user.click(screen.getByRole('button', { name: 'Save address' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'postalCode must be a valid US ZIP code'
+    );
+
+    await user.type(screen.getByLabelText('ZIP code'), '5');
+    await user.click(screen.getByRole('button', { name: 'Save address' }));
+
+    const first = await screen.findByTestId('address-1');
+    expect(first).toHaveTextContent('1 Market St, San Francisco CA 94105, US');
+    expect(within(first).getByText('Default')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Add address' }));
+    await fillAddress(user, {
+      fullName: 'John Doe',
+      line1: '500 Broadway',
+      city: 'New York',
+      region: 'NY',
+      postalCode: '10012'
+    });
+    await user.type(screen.getByLabelText('Label (optional)'), 'Work');
+    await user.click(screen.getByRole('button', { name: 'Save address' }));
+
+    const work = await screen.findByTestId('address-2');
+    expect(within(work).queryByText('Default')).not.toBeInTheDocument();
+
+    await user.click(within(work).getByRole('radio'));
+    expect(await within(screen.getByTestId('address-2')).findByText('Default')).toBeInTheDocument();
+    expect(within(screen.getByTestId('address-1')).queryByText('Default')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Delete Work' }));
+    expect(await within(screen.getByTestId('address-1')).findByText('Default')).toBeInTheDocument();
+    expect(screen.queryByTestId('address-2')).not.toBeInTheDocument();
+  });
+
+  it('should switch the region and postal code fields with the country', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-2-jane@example.com-1');
+    renderAt('/account');
+
+    await user.click(await screen.findByRole('button', { name: 'Add address' }));
+    await user.selectOptions(screen.getByLabelText('Country'), 'GB');
+
+    expect(screen.queryByLabelText('State')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Postcode')).toBeInTheDocument();
+  });
+});
@@ -14,7 +14,9 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { describe, it, expect, beforeAll, afterAll, afterEach, beforeEach } from 'vitest';
 import { MemoryRouter } from 'react-router-dom';
+import { http, HttpResponse } from 'msw';
 import { server } from '../mocks/server';
+import { mockProducts } from '../mocks/handlers';
 import { AppRoutes } from '../../App';
 import Login from '../../pages/Login';
 import Signup from '../../pages/Signup';
@@ -65,6 +67,33 @@ describe('Integration Tests - Login Flow', () => {
     expect(token).toContain('mock-jwt-token');
   });
 
+  it('should merge the guest cart into the account at login', async () => {
+    const user = userEvent.setup();
+    let mergedItems = null;
+    server.use(
+      http.post('*/api/cart/merge', async ({ request }) => {
+        mergedItems = (await request.json()).items;
+        return HttpResponse.json({
+          success: true,
+          message: 'Cart merged',
+          data: { items: [], adjustments: [] }
+        });
+      })
+    );
+    localStorage.setItem('guestCart', JSON.stringify([{ ...mockProducts[1], quantity: 2 }]));
+    renderWithRouter(<Login />);
+
+    await user.type(screen.getByTestId('email-input'), 'john@example.com');
+    await user.type(screen.getByTestId('password-input'), 'password123');
+    await user.click(screen.getByTestId('login-button'));
+
+    await waitFor(() => {
+      expect(localStorage.getItem('token')).toBeTruthy();
+    });
+    expect(mergedItems).toEqual([{ productId: 'p-102', quantity: 2 }]);
+    expect(localStorage.getItem('guestCart')).toBeNull();
+  });
+
   it('should show error with invalid credentials', async () => {
     const user = userEvent.setup();
     renderWithRouter(<Login />);
@@ -126,6 +155,58 @@ describe('Integration Tests - Login Flow', () => {
   });
 });
 
+describe('Integration Tests - Login Throttling', () => {
+  const lockOut = (retryAfter) =>
+    server.use(
+      http.post('*/api/auth/login', () =>
+        HttpResponse.json(
+          {
+            success: false,
+            message: `Too many failed login attempts. Please try again in ${retryAfter} seconds.`,
+            retryAfter
+          },
+          { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+        )
+      )
+    );
+
+  const submitLogin = async (user) => {
+    await user.type(screen.getByTestId('email-input'), 'john@example.com');
+    await user.type(screen.getByTestId('password-input'), 'wrongpassword');
+    await user.click(screen.getByTestId('login-button'));
+  };
+
+  it('should show the remaining wait time and disable login while locked', async () => {
+    const user = userEvent.setup();
+    lockOut(75);
+    renderWithRouter(<Login />);
+
+    await submitLogin(user);
+
+    expect(await screen.findByTestId('login-wait')).toHaveTextContent(
+      'Too many login attempts. Try again in 1:15.'
+    );
+    expect(screen.getByTestId('login-button')).toBeDisabled();
+  });
+
+  it('should allow another attempt once the wait is over', async () => {
+    const user = userEvent.setup();
+    lockOut(1);
+    renderWithRouter(<Login />);
+
+    await submitLogin(user);
+    expect(await screen.findByTestId('login-wait')).toHaveTextContent('Try again in 0:01');
+
+    await waitFor(
+      () => {
+        expect(screen.queryByTestId('login-wait')).not.toBeInTheDocument();
+      },
+      { timeout: 3000 }
+    );
+    expect(screen.getByTestId('login-button')).toBeEnabled();
+  });
+});
+
 describe('Integration Tests - Signup Flow', () => {
   beforeEach(() => {
     localStorage.clear();
@@ -291,6 +372,135 @@ describe('Integration Tests - App Routing', () => {
   });
 });
 
+describe('Integration Tests - Session Refresh', () => {
+  const renderApp = () =>
+    render(
+      <MemoryRouter initialEntries={['/']}>
+        <AppRoutes />
+      </MemoryRouter>
+    );
+
+  const captureRefreshes = () => {
+    const refreshed = [];
+    server.use(
+      http.post('*/api/auth/refresh', async ({ request }) => {
+        const { refreshToken } = await request.json();
+        refreshed.push(refreshToken);
+        return HttpResponse.json({
+          success: true,
+          message: 'Token refreshed',
+          data: {
+            token: 'mock-jwt-token-1-john@example.com-refreshed',
+            refreshToken: 'mock-refresh-token-1-next',
+            expiresIn: 900
+          }
+        });
+      })
+    );
+    return refreshed;
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should store the refresh token and expiry at login', async () => {
+    const user = userEvent.setup();
+    renderWithRouter(<Login />);
+
+    await user.type(screen.getByTestId('email-input'), 'john@example.com');
+    await user.type(screen.getByTestId('password-input'), 'password123');
+    await user.click(screen.getByTestId('login-button'));
+
+    await waitFor(() => {
+      expect(localStorage.getItem('refreshToken')).toContain('mock-refresh-token-1-');
+    });
+    expect(Number(localStorage.getItem('tokenExpiresAt'))).toBeGreaterThan(Date.now());
+  });
+
+  it('should refresh an expired access token before loading the user', async () => {
+    const refreshed = captureRefreshes();
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-stale');
+    localStorage.setItem('refreshToken', 'mock-refresh-token-1-old');
+    localStorage.setItem('tokenExpiresAt', String(Date.now() - 1000));
+
+    renderApp();
+
+    expect(await screen.findByTestId('logout-button')).toBeInTheDocument();
+    expect(refreshed).toEqual(['mock-refresh-token-1-old']);
+    expect(localStorage.getItem('token')).toBe('mock-jwt-token-1-john@example.com-refreshed');
+    expect(localStorage.getItem('refreshToken')).toBe('mock-refresh-token-1-next');
+  });
+
+  it('should refresh silently shortly before the access token expires', async () => {
+    const refreshed = captureRefreshes();
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-current');
+    localStorage.setItem('refreshToken', 'mock-refresh-token-1-old');
+    localStorage.setItem('tokenExpiresAt', String(Date.now() + 30 * 1000));
+
+    renderApp();
+
+    await waitFor(() => {
+      expect(localStorage.getItem('refreshToken')).toBe('mock-refresh-token-1-next');
+    });
+    expect(refreshed).toEqual(['mock-refresh-token-1-old']);
+    expect(screen.getByTestId('logout-button')).toBeInTheDocument();
+  });
+
+  it('should log out when the refresh token is rejected', async () => {
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-stale');
+    localStorage.setItem('refreshToken', 'revoked-token');
+    localStorage.setItem('tokenExpiresAt', String(Date.now() - 1000));
+
+    renderApp();
+
+    await waitFor(() => {
+      expect(localStorage.getItem('token')).toBeNull();
+    });
+    expect(localStorage.getItem('refreshToken')).toBeNull();
+    expect(screen.queryByTestId('logout-button')).not.toBeInTheDocument();
+  });
+
+  it.each([
+    ['a server error', () => HttpResponse.json({ success: false }, { status: 503 })],
+    ['a network error', () => HttpResponse.error()]
+  ])('should keep the refresh token after %s', async (_, resolver) => {
+    server.use(http.post('*/api/auth/refresh', resolver));
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-stale');
+    localStorage.setItem('refreshToken', 'mock-refresh-token-1-current');
+    localStorage.setItem('tokenExpiresAt', String(Date.now() - 1000));
+
+    renderApp();
+
+    expect(await screen.findByTestId('login-link')).toBeInTheDocument();
+    expect(localStorage.getItem('refreshToken')).toBe('mock-refresh-token-1-current');
+    expect(localStorage.getItem('token')).toBe('mock-jwt-token-1-john@example.com-stale');
+  });
+
+  it('should revoke the refresh token on logout', async () => {
+    const user = userEvent.setup();
+    let revoked = null;
+    server.use(
+      http.post('*/api/auth/logout', async ({ request }) => {
+        revoked = (await request.json()).refreshToken;
+        return HttpResponse.json({ success: true, message: 'Logged out' });
+      })
+    );
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-current');
+    localStorage.setItem('refreshToken', 'mock-refresh-token-1-current');
+    localStorage.setItem('tokenExpiresAt', String(Date.now() + 15 * 60 * 1000));
+
+    renderApp();
+    await user.click(await screen.findByTestId('logout-button'));
+
+    await waitFor(() => {
+      expect(revoked).toBe('mock-refresh-token-1-current');
+    });
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(localStorage.getItem('refreshToken')).toBeNull();
+  });
+});
+
 describe('Integration Tests - Health Check API', () => {
   it('should fetch and display backend health status', async () => {
     render(
@@ -0,0 +1,273 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server';
+import { mockProducts } from '../mocks/handlers';
+import { AppRoutes } from '../../App';
+
+beforeAll(() => server.listen({ onUnhandledRequest: 'bypass' }));
+afterEach(() => {
+  server.resetHandlers();
+  localStorage.clear();
+});
+afterAll(() => server.close());
+
+const renderAt = (route) =>
+  render(
+    <MemoryRouter initialEntries={[route]}>
+      <AppRoutes />
+    </MemoryRouter>
+  );
+
+const storeGuestCart = (items) => localStorage.setItem('guestCart', JSON.stringify(items));
+
+describe('Integration Tests - Cart', () => {
+  it('should keep a guest cart in localStorage and show it in the mini cart', async () => {
+    const user = userEvent.setup();
+    renderAt('/');
+
+    const card = await screen.findByTestId('product-card-p-101');
+    await user.click(within(card).getByRole('button', { name: 'Add to cart' }));
+
+    expect(await screen.findByText('Cart: 1 item')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('guestCart'))).toEqual([
+      expect.objectContaining({ id: 'p-101', quantity: 1 })
+    ]);
+
+    await user.click(screen.getByTestId('cart-count-pill'));
+    const drawer = screen.getByRole('dialog', { name: 'Mini cart' });
+    expect(within(drawer).getByText('Wireless Headphones')).toBeInTheDocument();
+    expect(within(drawer).getByText('Total: $79.99')).toBeInTheDocument();
+
+    await user.keyboard('{Escape}');
+    expect(screen.queryByRole('dialog', { name: 'Mini cart' })).not.toBeInTheDocument();
+  });
+
+  it('should open the cart page from the mini cart', async () => {
+    const user = userEvent.setup();
+    storeGuestCart([{ ...mockProducts[0], quantity: 2 }]);
+    renderAt('/');
+
+    await user.click(await screen.findByText('Cart: 2 items'));
+    await user.click(screen.getByRole('link', { name: 'View cart' }));
+
+    expect(await screen.findByRole('heading', { name: 'Shopping Cart' })).toBeInTheDocument();
+    expect(screen.queryByRole('dialog', { name: 'Mini cart' })).not.toBeInTheDocument();
+    expect(within(screen.getByTestId('cart-line-p-101')).getByText('$159.98')).toBeInTheDocument();
+  });
+
+  it('should show cart prices in the chosen display currency', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('displayCurrency', 'EUR');
+    storeGuestCart([{ ...mockProducts[0], quantity: 2 }]);
+    renderAt('/cart');
+
+    const line = await screen.findByTestId('cart-line-p-101');
+    expect(within(line).getByText('€73.59 each')).toBeInTheDocument();
+    expect(within(line).getByText('€147.18')).toBeInTheDocument();
+    expect(screen.getByText('Total: €147.18')).toBeInTheDocument();
+    expect(screen.getByText(/You are charged in USD/)).toBeInTheDocument();
+
+    await user.click(screen.getByTestId('cart-count-pill'));
+    const drawer = screen.getByRole('dialog', { name: 'Mini cart' });
+    expect(within(drawer).getByText('2 x €73.59')).toBeInTheDocument();
+    expect(within(drawer).getByText('Total: €147.18')).toBeInTheDocument();
+  });
+
+  it('should update line subtotals from the quantity input', async () => {
+    const user = userEvent.setup();
+    storeGuestCart([{ ...mockProducts[0], quantity: 1 }]);
+    renderAt('/cart');
+
+    const input = await screen.findByLabelText('Quantity for Wireless Headphones');
+    await user.clear(input);
+    await user.type(input, '3{Enter}');
+
+    await waitFor(() => {
+      expect(screen.getByText('Cart: 3 items')).toBeInTheDocument();
+    });
+    expect(within(screen.getByTestId('cart-line-p-101')).getByText('$239.97')).toBeInTheDocument();
+    expect(screen.getByText('Total: $239.97')).toBeInTheDocument();
+  });
+
+  it('should remove items and clear the cart', async () => {
+    const user = userEvent.setup();
+    storeGuestCart([
+      { ...mockProducts[0], quantity: 1 },
+      { ...mockProducts[1], quantity: 1 }
+    ]);
+    renderAt('/cart');
+
+    const line = await screen.findByTestId('cart-line-p-101');
+    await user.click(within(line).getByRole('button', { name: 'Remove' }));
+    expect(screen.queryByTestId('cart-line-p-101')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Clear cart' }));
+    expect(await screen.findByText(/Your cart is empty/)).toBeInTheDocument();
+    expect(localStorage.getItem('guestCart')).toBeNull();
+  });
+
+  it('should disable increasing a cart item at its stock limit', async () => {
+    const watch = mockProducts.find((product) => product.id === 'p-102');
+    localStorage.setItem('token', 'mock-jwt-token-2-jane@example.com-1');
+    server.use(
+      http.get('*/api/cart', () =>
+        HttpResponse.json({
+          success: true,
+          data: { items: [{ ...watch, quantity: watch.stock }] }
+        })
+      )
+    );
+
+    renderAt('/cart');
+
+    const increase = await screen.findByRole('button', {
+      name: 'Increase quantity for Smart Fitness Watch'
+    });
+    expect(increase).toBeDisabled();
+    expect(screen.getByText('Only 15 in stock')).toBeInTheDocument();
+  });
+
+  it('should show price change notices that can be acknowledged', async () => {
+    const user = userEvent.setup();
+    let acknowledged = false;
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-1');
+    server.use(
+      http.get('*/api/cart', () =>
+        HttpResponse.json({
+          success: true,
+          data: {
+            items: [
+              {
+                ...mockProducts[0],
+                quantity: 1,
+                priceChange: acknowledged
+                  ? null
+                  : { previousPrice: 89.99, currentPrice: 79.99, direction: 'dropped' }
+              }
+            ]
+          }
+        })
+      ),
+      http.post('*/api/cart/items/:productId/acknowledge-price', () => {
+        acknowledged = true;
+        return HttpResponse.json({ success: true, message: 'Price change acknowledged' });
+      })
+    );
+
+    renderAt('/');
+
+    const notice = await screen.findByRole('status');
+    expect(notice).toHaveTextContent(
+      'Price dropped: Wireless Headphones is now $79.99 (was $89.99).'
+    );
+
+    await user.click(
+      screen.getByRole('button', { name: 'Dismiss price change for Wireless Headphones' })
+    );
+
+    await waitFor(() => {
+      expect(screen.queryByText(/Price dropped/)).not.toBeInTheDocument();
+    });
+    expect(acknowledged).toBe(true);
+  });
+
+  it('should apply and remove a promo code with totals from the server', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-1');
+    renderAt('/');
+
+    const card = await screen.findByTestId('product-card-p-101');
+    await user.click(within(card).getByRole('button', { name: 'Add to cart' }));
+    await user.click(await screen.findByText('Cart: 1 item'));
+    await user.click(screen.getByRole('link', { name: 'View cart' }));
+
+    const input = await screen.findByLabelText('Promo code', { selector: 'input' });
+    await user.type(input, 'expired5');
+    await user.click(screen.getByRole('button', { name: 'Apply' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('This code has expired');
+
+    await user.clear(input);
+    await user.type(input, 'save10');
+    await user.click(screen.getByRole('button', { name: 'Apply' }));
+
+    expect(await screen.findByTestId('applied-coupon')).toHaveTextContent('SAVE10 - 10% off');
+    expect(screen.getByText('-$8.00')).toBeInTheDocument();
+    expect(screen.getByText('Total: $71.99')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Remove code' }));
+    expect(await screen.findByText('Total: $79.99')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Clear cart' }));
+    expect(await screen.findByText(/Your cart is empty/)).toBeInTheDocument();
+  });
+
+  it('should ask guests to log in before using a promo code', async () => {
+    storeGuestCart([{ ...mockProducts[0], quantity: 1 }]);
+    renderAt('/cart');
+
+    expect(await screen.findByText('Log in to use promo codes.')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Promo code', { selector: 'input' })).not.toBeInTheDocument();
+  });
+
+  it('should add the selected shipping method to the total', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-2-jane@example.com-1');
+    renderAt('/');
+
+    const card = await screen.findByTestId('product-card-p-102');
+    await user.click(within(card).getByRole('button', { name: 'Add to cart' }));
+    await user.click(await screen.findByText('Cart: 1 item'));
+    await user.click(screen.getByRole('link', { name: 'View cart' }));
+
+    const group = await screen.findByRole('group', { name: 'Shipping method' });
+    const standard = within(group).getByRole('radio', { name: /Standard/ });
+    expect(standard).toBeChecked();
+    expect(standard.closest('label')).toHaveTextContent('Free');
+
+    await user.click(within(group).getByRole('radio', { name: /Express/ }));
+
+    await waitFor(() => {
+      expect(within(group).getByRole('radio', { name: /Express/ })).toBeChecked();
+    });
+    expect(screen.getByText('Shipping (Express)')).toBeInTheDocument();
+    expect(screen.getByText('Total: $141.99')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Clear cart' }));
+    expect(await screen.findByText(/Your cart is empty/)).toBeInTheDocument();
+  });
+
+  it('should add tax for the chosen destination to the cart total', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-1');
+    renderAt('/');
+
+    const card = await screen.findByTestId('product-card-p-101');
+    await user.click(within(card).getByRole('button', { name: 'Add to cart' }));
+    await user.click(await screen.findByText('Cart: 1 item'));
+    await user.click(screen.getByRole('link', { name: 'View cart' }));
+
+    expect(await screen.findByText('Choose where to ship to see tax.')).toBeInTheDocument();
+    expect(screen.getByText('Total: $79.99')).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText('Destination country'), 'US');
+    await user.selectOptions(await screen.findByLabelText('Destination region'), 'CA');
+
+    expect(await screen.findByText('Sales tax (7.25%)')).toBeInTheDocument();
+    expect(screen.getByText('$5.80')).toBeInTheDocument();
+    expect(screen.getByText('Total: $85.79')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('taxDestination'))).toEqual({
+      country: 'US',
+      region: 'CA'
+    });
+
+    await user.selectOptions(screen.getByLabelText('Destination country'), 'GB');
+    expect(await screen.findByText('Includes VAT (20%)')).toBeInTheDocument();
+    expect(screen.getByText('Total: $79.99')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Clear cart' }));
+    expect(await screen.findByText(/Your cart is empty/)).toBeInTheDocument();
+  });
+});
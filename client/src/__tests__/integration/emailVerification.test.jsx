@@ -0,0 +1,124 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, beforeAll, afterAll, afterEach, beforeEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server';
+import { AppRoutes } from '../../App';
+
+beforeAll(() => server.listen({ onUnhandledRequest: 'bypass' }));
+afterEach(() => {
+  server.resetHandlers();
+  localStorage.clear();
+});
+afterAll(() => server.close());
+
+const renderApp = (route = '/') =>
+  render(
+    <MemoryRouter initialEntries={[route]}>
+      <AppRoutes />
+    </MemoryRouter>
+  );
+
+// /me answers with an unverified account until the verify endpoint succeeds.
+const useUnverifiedAccount = () => {
+  let emailVerifiedAt = null;
+  server.use(
+    http.get('*/api/auth/me', () =>
+      HttpResponse.json({
+        success: true,
+        data: {
+          user: { id: 1, email: 'john@example.com', firstName: 'John', emailVerifiedAt }
+        }
+      })
+    ),
+    http.post('*/api/auth/verify-email', () => {
+      emailVerifiedAt = '2026-10-19T12:00:00.000Z';
+      return HttpResponse.json({
+        success: true,
+        message: 'Thanks, your email address is verified',
+        data: { emailVerifiedAt }
+      });
+    })
+  );
+};
+
+describe('Integration Tests - Email Verification', () => {
+  beforeEach(() => {
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-1');
+  });
+
+  it('should remind unverified users to confirm their email', async () => {
+    useUnverifiedAccount();
+    renderApp();
+
+    const banner = await screen.findByTestId('verify-email-banner');
+    expect(banner).toHaveTextContent('Please confirm your email address');
+    expect(banner).toHaveTextContent('john@example.com');
+  });
+
+  it('should resend the verification email from the banner', async () => {
+    const user = userEvent.setup();
+    useUnverifiedAccount();
+    renderApp();
+
+    await user.click(await screen.findByRole('button', { name: 'Resend email' }));
+
+    expect(
+      await screen.findByText('We sent a new verification link to john@example.com')
+    ).toBeInTheDocument();
+  });
+
+  it('should show the throttle message when resending too soon', async () => {
+    const user = userEvent.setup();
+    useUnverifiedAccount();
+    server.use(
+      http.post('*/api/auth/verify-email/resend', () =>
+        HttpResponse.json(
+          { success: false, message: 'Please wait 42 seconds before requesting another email' },
+          { status: 429, headers: { 'Retry-After': '42' } }
+        )
+      )
+    );
+    renderApp();
+
+    await user.click(await screen.findByRole('button', { name: 'Resend email' }));
+
+    expect(
+      await screen.findByText('Please wait 42 seconds before requesting another email')
+    ).toBeInTheDocument();
+  });
+
+  it('should not show the banner to verified users', async () => {
+    renderApp();
+
+    expect(await screen.findByTestId('logout-button')).toBeInTheDocument();
+    expect(screen.queryByTestId('verify-email-banner')).not.toBeInTheDocument();
+  });
+
+  it('should verify the address from the emailed link', async () => {
+    const user = userEvent.setup();
+    useUnverifiedAccount();
+    renderApp('/verify-email/valid-verification-token');
+
+    expect(await screen.findByRole('status')).toHaveTextContent(
+      'Thanks, your email address is verified'
+    );
+
+    await user.click(screen.getByRole('link', { name: 'Continue shopping' }));
+
+    expect(await screen.findByTestId('logout-button')).toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.queryByTestId('verify-email-banner')).not.toBeInTheDocument();
+    });
+  });
+
+  it('should explain when the link is invalid', async () => {
+    localStorage.clear();
+    renderApp('/verify-email/expired-token');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'This verification link is invalid or has expired'
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server';
+import { AppRoutes } from '../../App';
+
+beforeAll(() => server.listen({ onUnhandledRequest: 'bypass' }));
+afterEach(() => {
+  server.resetHandlers();
+  localStorage.clear();
+});
+afterAll(() => server.close());
+
+const renderApp = (route) =>
+  render(
+    <MemoryRouter initialEntries={[route]}>
+      <AppRoutes />
+    </MemoryRouter>
+  );
+
+describe('Integration Tests - Password Reset', () => {
+  it('should link to the forgot password page from login', async () => {
+    const user = userEvent.setup();
+    renderApp('/login');
+
+    await user.click(screen.getByRole('link', { name: 'Forgot password?' }));
+
+    expect(screen.getByText('Forgot your password?')).toBeInTheDocument();
+  });
+
+  it('should request a reset link for the entered email', async () => {
+    const user = userEvent.setup();
+    let requestedEmail = null;
+    server.use(
+      http.post('*/api/auth/forgot-password', async ({ request }) => {
+        requestedEmail = (await request.json()).email;
+        return HttpResponse.json({
+          success: true,
+          message: 'If an account exists for that email, we sent a link to reset the password.'
+        });
+      })
+    );
+    renderApp('/forgot-password');
+
+    await user.type(screen.getByTestId('email-input'), 'john@example.com');
+    await user.click(screen.getByTestId('forgot-password-button'));
+
+    expect(await screen.findByRole('status')).toHaveTextContent(/If an account exists/);
+    expect(requestedEmail).toBe('john@example.com');
+    expect(screen.queryByTestId('forgot-password-form')).not.toBeInTheDocument();
+  });
+
+  it('should reset the password with the token from the link', async () => {
+    const user = userEvent.setup();
+    renderApp('/reset-password/valid-reset-token');
+
+    await user.type(screen.getByTestId('password-input'), 'newpassword');
+    await user.type(screen.getByTestId('confirm-password-input'), 'newpassword');
+    await user.click(screen.getByTestId('reset-password-button'));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Your password has been reset');
+    expect(screen.getByRole('link', { name: 'Go to login' })).toBeInTheDocument();
+  });
+
+  it('should show the error for an expired link', async () => {
+    const user = userEvent.setup();
+    renderApp('/reset-password/old-token');
+
+    await user.type(screen.getByTestId('password-input'), 'newpassword');
+    await user.type(screen.getByTestId('confirm-password-input'), 'newpassword');
+    await user.click(screen.getByTestId('reset-password-button'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'This reset link is invalid or has expired'
+    );
+    expect(screen.getByRole('link', { name: 'Request a new one' })).toBeInTheDocument();
+  });
+
+  it('should check that the passwords match before calling the API', async () => {
+    const user = userEvent.setup();
+    renderApp('/reset-password/valid-reset-token');
+
+    await user.type(screen.getByTestId('password-input'), 'newpassword');
+    await user.type(screen.getByTestId('confirm-password-input'), 'different');
+    await user.click(screen.getByTestId('reset-password-button'));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Passwords do not match');
+  });
+});
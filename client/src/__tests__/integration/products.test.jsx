@@ -1,6 +1,8 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
 import { MemoryRouter } from 'react-router-dom';
+import { http, HttpResponse } from 'msw';
 import { server } from '../mocks/server';
 import { AppRoutes } from '../../App';
 
@@ -27,6 +29,112 @@ describe('Integration Tests - Product Flow', () => {
     expect(screen.getByText('Smart Fitness Watch')).toBeInTheDocument();
   });
 
+  it('should search products through the API', async () => {
+    const user = userEvent.setup();
+    render(
+      <MemoryRouter initialEntries={['/']}>
+        <AppRoutes />
+      </MemoryRouter>
+    );
+
+    await screen.findByText('Smart Fitness Watch');
+    await user.type(screen.getByLabelText('Search products'), 'headphones');
+
+    await waitFor(() => {
+      expect(screen.queryByText('Smart Fitness Watch')).not.toBeInTheDocument();
+    });
+    expect(screen.getByRole('heading', { name: 'Wireless Headphones' })).toBeInTheDocument();
+    expect(screen.getByText('Showing 1 of 1 products')).toBeInTheDocument();
+  });
+
+  it('should show facet counts and filter by category', async () => {
+    const user = userEvent.setup();
+    render(
+      <MemoryRouter initialEntries={['/']}>
+        <AppRoutes />
+      </MemoryRouter>
+    );
+
+    const sidebar = await screen.findByTestId('filter-sidebar');
+    const wearables = within(sidebar).getByLabelText(/Wearables/);
+    expect(wearables.closest('label')).toHaveTextContent('Wearables1');
+
+    await user.click(wearables);
+
+    await waitFor(() => {
+      expect(screen.queryByText('Wireless Headphones')).not.toBeInTheDocument();
+    });
+    expect(screen.getByText('Smart Fitness Watch')).toBeInTheDocument();
+    expect(within(screen.getByTestId('filter-sidebar')).getByLabelText(/Wearables/)).toBeChecked();
+  });
+
+  it('should open a product from the search suggestions with the keyboard', async () => {
+    const user = userEvent.setup();
+    render(
+      <MemoryRouter initialEntries={['/']}>
+        <AppRoutes />
+      </MemoryRouter>
+    );
+
+    await screen.findByText('Smart Fitness Watch');
+    await user.type(screen.getByRole('combobox', { name: 'Search products' }), 'wat');
+
+    const option = await screen.findByRole('option', { name: /Smart Fitness Watch/ });
+    expect(option).toBeInTheDocument();
+
+    await user.keyboard('{ArrowDown}{Enter}');
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-details-card')).toBeInTheDocument();
+    });
+  });
+
+  it('should filter by a category chosen from the suggestions', async () => {
+    const user = userEvent.setup();
+    render(
+      <MemoryRouter initialEntries={['/']}>
+        <AppRoutes />
+      </MemoryRouter>
+    );
+
+    await screen.findByText('Smart Fitness Watch');
+    await user.type(screen.getByRole('combobox', { name: 'Search products' }), 'aud');
+    await user.click(await screen.findByRole('option', { name: /Audio/ }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Smart Fitness Watch')).not.toBeInTheDocument();
+    });
+    expect(screen.getByRole('combobox', { name: 'Search products' })).toHaveValue('');
+  });
+
+  it('should show the stock message when adding more than is available', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-2-jane@example.com-1');
+    server.use(
+      http.post('*/api/cart/items', () =>
+        HttpResponse.json(
+          {
+            success: false,
+            message: 'Only 15 left in stock',
+            data: { productId: 'p-102', availableQuantity: 15, quantityInCart: 15 }
+          },
+          { status: 409 }
+        )
+      )
+    );
+
+    render(
+      <MemoryRouter initialEntries={['/']}>
+        <AppRoutes />
+      </MemoryRouter>
+    );
+
+    const card = await screen.findByTestId('product-card-p-102');
+    await user.click(within(card).getByRole('button', { name: 'Add to cart' }));
+
+    expect(await screen.findByText('Only 15 left in stock')).toBeInTheDocument();
+  });
+
   it('should render product details when opening product route', async () => {
     render(
       <MemoryRouter initialEntries={['/products/p-101']}>
@@ -41,4 +149,33 @@ describe('Integration Tests - Product Flow', () => {
     expect(screen.getByText(/Comfortable over-ear wireless headphones/i)).toBeInTheDocument();
     expect(screen.getByText('$79.99')).toBeInTheDocument();
   });
+
+  it('should convert listed prices to the chosen display currency', async () => {
+    const user = userEvent.setup();
+    render(
+      <MemoryRouter initialEntries={['/']}>
+        <AppRoutes />
+      </MemoryRouter>
+    );
+
+    const card = await screen.findByTestId('product-card-p-101');
+    expect(within(card).getByText('$79.99')).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText('Display currency'), 'EUR');
+
+    expect(within(card).getByText('€73.59')).toBeInTheDocument();
+    expect(localStorage.getItem('displayCurrency')).toBe('EUR');
+  });
+
+  it('should show a saved display currency on product details', async () => {
+    localStorage.setItem('displayCurrency', 'GBP');
+    render(
+      <MemoryRouter initialEntries={['/products/p-102']}>
+        <AppRoutes />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('£101.91')).toBeInTheDocument();
+    expect(screen.getByText(/You are charged in USD/)).toBeInTheDocument();
+  });
 });
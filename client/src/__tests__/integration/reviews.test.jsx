@@ -0,0 +1,70 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import { server } from '../mocks/server';
+import { AppRoutes } from '../../App';
+
+beforeAll(() => server.listen({ onUnhandledRequest: 'bypass' }));
+afterEach(() => {
+  server.resetHandlers();
+  localStorage.clear();
+});
+afterAll(() => server.close());
+
+const renderProduct = (id = 'p-101') =>
+  render(
+    <MemoryRouter initialEntries={[`/products/${id}`]}>
+      <AppRoutes />
+    </MemoryRouter>
+  );
+
+describe('Integration Tests - Product Reviews', () => {
+  it('should show the rating histogram and review list', async () => {
+    renderProduct();
+
+    const summary = await screen.findByTestId('rating-summary');
+    expect(summary).toHaveTextContent('4.5 out of 5 (2 reviews)');
+
+    const histogram = within(summary).getByRole('list', { name: 'Rating breakdown' });
+    const rows = within(histogram).getAllByRole('listitem');
+    expect(rows[0]).toHaveTextContent('5 star1');
+    expect(rows[1]).toHaveTextContent('4 star1');
+    expect(rows[4]).toHaveTextContent('1 star0');
+
+    expect(screen.getByText('Best headphones I have owned')).toBeInTheDocument();
+    expect(screen.getByText(/Jane S\./)).toBeInTheDocument();
+  });
+
+  it('should ask guests to log in before reviewing', async () => {
+    renderProduct();
+
+    expect(await screen.findByText(/to write a review/)).toBeInTheDocument();
+    expect(screen.queryByRole('form', { name: 'Write a review' })).not.toBeInTheDocument();
+  });
+
+  it('should post a review and update the summary', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-1');
+    renderProduct();
+
+    const form = await screen.findByRole('form', { name: 'Write a review' });
+    await user.selectOptions(within(form).getByLabelText('Rating'), '3');
+    await user.type(within(form).getByLabelText('Title'), 'Decent');
+    await user.type(within(form).getByLabelText('Review'), 'Fine for commuting, average bass.');
+    await user.click(within(form).getByRole('button', { name: 'Post review' }));
+
+    expect(await screen.findByText('Thanks for your review!')).toBeInTheDocument();
+    expect(screen.getByText('Decent')).toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.getByTestId('rating-summary')).toHaveTextContent('4.0 out of 5 (3 reviews)');
+    });
+    expect(screen.getByText('Rating: 4.0 (3)')).toBeInTheDocument();
+  });
+
+  it('should show an empty state for products without reviews', async () => {
+    renderProduct('p-102');
+
+    expect(await screen.findByText(/No reviews yet\. Be the first/)).toBeInTheDocument();
+  });
+});
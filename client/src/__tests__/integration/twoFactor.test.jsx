@@ -0,0 +1,147 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import { server } from '../mocks/server';
+import { MOCK_RECOVERY_CODES, MOCK_TOTP_CODE } from '../mocks/handlers';
+import { AppRoutes } from '../../App';
+
+beforeAll(() => server.listen({ onUnhandledRequest: 'bypass' }));
+afterEach(() => {
+  server.resetHandlers();
+  localStorage.clear();
+});
+afterAll(() => server.close());
+
+const renderAt = (route) =>
+  render(
+    <MemoryRouter initialEntries={[route]}>
+      <AppRoutes />
+    </MemoryRouter>
+  );
+
+const logInWithPassword = async (user) => {
+  await user.type(screen.getByTestId('email-input'), 'jane@example.com');
+  await user.type(screen.getByTestId('password-input'), 'password456');
+  await user.click(screen.getByTestId('login-button'));
+};
+
+// The mock API keeps 2FA state for the whole file, so these tests run as one
+// story: enroll, log in with a code, log in with a recovery code, turn it off.
+describe('Integration Tests - Two-factor authentication', () => {
+  it('should require the current password to start setup', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-2-jane@example.com-1');
+    renderAt('/account');
+
+    const section = await screen.findByRole('region', { name: 'Two-factor authentication' });
+    await user.type(await within(section).findByLabelText('Current password'), 'wrong');
+    await user.click(
+      within(section).getByRole('button', { name: 'Set up two-factor authentication' })
+    );
+
+    expect(await within(section).findByRole('alert')).toHaveTextContent(
+      'Current password is incorrect'
+    );
+  });
+
+  it('should enroll with a QR code, a first code and recovery codes', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-2-jane@example.com-1');
+    renderAt('/account');
+
+    const section = await screen.findByRole('region', { name: 'Two-factor authentication' });
+    await user.type(await within(section).findByLabelText('Current password'), 'password456');
+    await user.click(
+      within(section).getByRole('button', { name: 'Set up two-factor authentication' })
+    );
+
+    expect(
+      await within(section).findByAltText('QR code for your authenticator app')
+    ).toBeInTheDocument();
+    expect(within(section).getByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+
+    await user.type(within(section).getByLabelText('Authentication code'), '000000');
+    await user.click(within(section).getByRole('button', { name: 'Turn on' }));
+    expect(await within(section).findByRole('alert')).toHaveTextContent(
+      'Invalid authentication code'
+    );
+
+    await user.clear(within(section).getByLabelText('Authentication code'));
+    await user.type(within(section).getByLabelText('Authentication code'), MOCK_TOTP_CODE);
+    await user.click(within(section).getByRole('button', { name: 'Turn on' }));
+
+    const codes = await within(section).findByRole('list', { name: 'Recovery codes' });
+    expect(within(codes).getAllByRole('listitem')).toHaveLength(MOCK_RECOVERY_CODES.length);
+
+    await user.click(within(section).getByRole('button', { name: /saved my codes/ }));
+    expect(
+      await within(section).findByText(/Two-factor authentication is on. You have 2 unused/)
+    ).toBeInTheDocument();
+  });
+
+  it('should ask for a code after the password and then log in', async () => {
+    const user = userEvent.setup();
+    renderAt('/login');
+
+    await logInWithPassword(user);
+
+    expect(
+      await screen.findByRole('heading', { name: 'Two-step verification' })
+    ).toBeInTheDocument();
+    expect(localStorage.getItem('token')).toBeNull();
+
+    await user.type(screen.getByTestId('two-factor-code-input'), '999999');
+    await user.click(screen.getByTestId('two-factor-button'));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid authentication code');
+
+    await user.clear(screen.getByTestId('two-factor-code-input'));
+    await user.type(screen.getByTestId('two-factor-code-input'), MOCK_TOTP_CODE);
+    await user.click(screen.getByTestId('two-factor-button'));
+
+    expect(await screen.findByTestId('logout-button')).toBeInTheDocument();
+    expect(localStorage.getItem('token')).toContain('mock-jwt-token-2');
+  });
+
+  it('should accept a recovery code in place of the app code', async () => {
+    const user = userEvent.setup();
+    renderAt('/login');
+
+    await logInWithPassword(user);
+    await user.type(await screen.findByTestId('two-factor-code-input'), MOCK_RECOVERY_CODES[0]);
+    await user.click(screen.getByTestId('two-factor-button'));
+
+    expect(await screen.findByTestId('logout-button')).toBeInTheDocument();
+  });
+
+  it('should go back to the password step', async () => {
+    const user = userEvent.setup();
+    renderAt('/login');
+
+    await logInWithPassword(user);
+    await user.click(await screen.findByRole('button', { name: 'Use a different account' }));
+
+    expect(screen.getByRole('heading', { name: 'Login to ShopSmart' })).toBeInTheDocument();
+    expect(screen.getByTestId('password-input')).toHaveValue('');
+  });
+
+  it('should turn 2FA off with the current password', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-2-jane@example.com-1');
+    renderAt('/account');
+
+    const section = await screen.findByRole('region', { name: 'Two-factor authentication' });
+    expect(
+      await within(section).findByText(/You have 1 unused recovery codes/)
+    ).toBeInTheDocument();
+
+    await user.type(within(section).getByLabelText('Current password'), 'password456');
+    await user.click(
+      within(section).getByRole('button', { name: 'Turn off two-factor authentication' })
+    );
+
+    expect(
+      await within(section).findByRole('button', { name: 'Set up two-factor authentication' })
+    ).toBeInTheDocument();
+  });
+});
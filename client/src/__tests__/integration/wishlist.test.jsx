@@ -0,0 +1,95 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server';
+import { mockProducts } from '../mocks/handlers';
+import { AppRoutes } from '../../App';
+
+beforeAll(() => server.listen({ onUnhandledRequest: 'bypass' }));
+afterEach(() => {
+  server.resetHandlers();
+  localStorage.clear();
+});
+afterAll(() => server.close());
+
+const renderAt = (route) =>
+  render(
+    <MemoryRouter initialEntries={[route]}>
+      <AppRoutes />
+    </MemoryRouter>
+  );
+
+describe('Integration Tests - Wishlist', () => {
+  it('should ask guests to log in before saving for later', async () => {
+    const user = userEvent.setup();
+    renderAt('/products/p-101');
+
+    await user.click(await screen.findByRole('button', { name: 'Save for Later' }));
+
+    expect(await screen.findByText('Log in to save items for later.')).toBeInTheDocument();
+  });
+
+  it('should save a product and move it to the cart from the wishlist page', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('token', 'mock-jwt-token-1-john@example.com-1');
+    renderAt('/products/p-102');
+
+    await user.click(await screen.findByRole('button', { name: 'Save for Later' }));
+    expect(await screen.findByText('Saved to your wishlist')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('link', { name: /Back to products/ }));
+    await user.click(await screen.findByTestId('wishlist-link'));
+
+    const saved = await screen.findByTestId('wishlist-item-p-102');
+    expect(within(saved).getByText('Smart Fitness Watch')).toBeInTheDocument();
+
+    await user.click(
+      within(saved).getByRole('button', { name: 'Move Smart Fitness Watch to cart' })
+    );
+
+    expect(await screen.findByText('Smart Fitness Watch moved to your cart.')).toBeInTheDocument();
+    expect(screen.queryByTestId('wishlist-item-p-102')).not.toBeInTheDocument();
+    expect(await screen.findByText('Cart: 1 item')).toBeInTheDocument();
+
+    await user.click(screen.getByTestId('cart-count-pill'));
+    await user.click(screen.getByRole('button', { name: 'Save Smart Fitness Watch for later' }));
+
+    expect(await screen.findByTestId('wishlist-item-p-102')).toBeInTheDocument();
+    expect(await screen.findByText('Cart: 0 items')).toBeInTheDocument();
+  });
+
+  it('should flag price drops and items back in stock', async () => {
+    localStorage.setItem('token', 'mock-jwt-token-2-jane@example.com-1');
+    server.use(
+      http.get('*/api/wishlist', () =>
+        HttpResponse.json({
+          success: true,
+          data: {
+            items: [
+              {
+                ...mockProducts[0],
+                savedPrice: 89.99,
+                priceDrop: { previousPrice: 89.99, currentPrice: 79.99 },
+                backInStock: false
+              },
+              { ...mockProducts[1], savedPrice: 129, priceDrop: null, backInStock: true }
+            ]
+          }
+        })
+      )
+    );
+
+    renderAt('/wishlist');
+
+    const headphones = await screen.findByTestId('wishlist-item-p-101');
+    expect(within(headphones).getByText('$79.99')).toBeInTheDocument();
+    expect(within(headphones).getByText('Price dropped from $89.99')).toBeInTheDocument();
+    await waitFor(() => {
+      expect(
+        within(screen.getByTestId('wishlist-item-p-102')).getByText('Back in stock')
+      ).toBeInTheDocument();
+    });
+  });
+});
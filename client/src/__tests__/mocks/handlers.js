@@ -15,6 +15,7 @@ export const mockUsers = [
     firstName: 'John',
     lastName: 'Doe',
     password: '$2a$10$mockhashedpassword123', // Represents hashed "password123"
+    emailVerifiedAt: '2024-01-15T10:35:00.000Z',
     createdAt: '2024-01-15T10:30:00.000Z'
   },
   {
@@ -23,6 +24,7 @@ export const mockUsers = [
     firstName: 'Jane',
     lastName: 'Smith',
     password: '$2a$10$mockhashedpassword456',
+    emailVerifiedAt: '2024-01-20T14:50:00.000Z',
     createdAt: '2024-01-20T14:45:00.000Z'
   }
 ];
@@ -39,6 +41,8 @@ export const mockProducts = [
     name: 'Wireless Headphones',
     category: 'Audio',
     price: 79.99,
+    priceCents: 7999,
+    currency: 'USD',
     rating: 4.5,
     stock: 24,
     image: 'https://example.com/headphones.jpg',
@@ -49,6 +53,8 @@ export const mockProducts = [
     name: 'Smart Fitness Watch',
     category: 'Wearables',
     price: 129,
+    priceCents: 12900,
+    currency: 'USD',
     rating: 4.3,
     stock: 15,
     image: 'https://example.com/watch.jpg',
@@ -61,7 +67,194 @@ const generateMockToken = (userId, email) => {
   return `mock-jwt-token-${userId}-${email}-${Date.now()}`;
 };
 
+let refreshCounter = 0;
+const generateMockRefreshToken = (userId) => `mock-refresh-token-${userId}-${++refreshCounter}`;
+
+const mockSession = (user) => ({
+  token: generateMockToken(user.id, user.email),
+  refreshToken: generateMockRefreshToken(user.id),
+  expiresIn: 900
+});
+
 const cartByUser = new Map();
+const couponByUser = new Map();
+const shippingByUser = new Map();
+const addressesByUser = new Map();
+const wishlistByUser = new Map();
+const twoFactorByUser = new Map();
+
+// The mock authenticator always shows this code; recovery codes are fixed too.
+export const MOCK_TOTP_CODE = '123456';
+export const MOCK_RECOVERY_CODES = ['abcde-12345', 'fghij-67890'];
+
+// Freshly saved items have nothing to flag yet.
+const toWishlistItem = (product) => ({
+  ...product,
+  savedPrice: product.price,
+  priceDrop: null,
+  backInStock: false
+});
+let nextAddressId = 1;
+
+// Only the US ZIP check from the server's per-country rules.
+const addressError = (address) => {
+  if (!address.fullName || !address.line1 || !address.city) {
+    return 'fullName is required';
+  }
+  if (address.country === 'US' && !/^\d{5}(-\d{4})?$/.test(address.postalCode || '')) {
+    return 'postalCode must be a valid US ZIP code';
+  }
+  return null;
+};
+
+const unauthorized = () =>
+  HttpResponse.json({ success: false, message: 'No token provided' }, { status: 401 });
+
+// Flat versions of the server's rates; standard ships free from $50.
+const mockShippingMethods = [
+  { method: 'standard', label: 'Standard', estimate: '3-5 business days', cost: 4.99 },
+  { method: 'express', label: 'Express', estimate: '1-2 business days', cost: 12.99 },
+  { method: 'pickup', label: 'Store pickup', estimate: 'Ready next business day', cost: 0 }
+];
+
+export const mockCoupons = [
+  { code: 'SAVE10', type: 'percentage', value: 10, description: '10% off' },
+  { code: 'EXPIRED5', type: 'fixed_amount', value: 5, expired: true }
+];
+
+// A couple of the server's tax rates: US-CA adds sales tax, GB includes VAT.
+const mockTaxRates = {
+  'US-CA': { label: 'Sales tax (7.25%)', rate: 7.25, inclusive: false },
+  GB: { label: 'VAT (20%)', rate: 20, inclusive: true }
+};
+
+const taxFor = (request, merchandise) => {
+  const params = new URL(request.url).searchParams;
+  const country = params.get('country');
+  if (!country) {
+    return null;
+  }
+
+  const region = params.get('region');
+  const rate = mockTaxRates[region ? `${country}-${region}` : country];
+  const amount = rate
+    ? Number(
+        (rate.inclusive
+          ? (merchandise * rate.rate) / (100 + rate.rate)
+          : (merchandise * rate.rate) / 100
+        ).toFixed(2)
+      )
+    : 0;
+
+  return {
+    destination: { country, region },
+    pricesIncludeTax: Boolean(rate && rate.inclusive),
+    lines: rate ? [{ label: rate.label, rate: rate.rate, taxable: merchandise, amount }] : [],
+    amount
+  };
+};
+
+// Mirrors the server's order-level percentage discount for the cart payload.
+const cartPayload = (userId, request) => {
+  const items = cartByUser.get(userId) || [];
+  const subtotal = items.reduce((total, item) => total + item.quantity * Number(item.price), 0);
+  const coupon = couponByUser.get(userId) || null;
+  const discount = coupon ? Number(((subtotal * coupon.value) / 100).toFixed(2)) : 0;
+  const merchandise = subtotal - discount;
+  const options =
+    items.length === 0
+      ? []
+      : mockShippingMethods.map((option) => {
+          const free = option.method === 'standard' && merchandise >= 50;
+          return {
+            ...option,
+            cost: free ? 0 : option.cost,
+            freeShippingApplied: free,
+            amountToFreeShipping:
+              option.method === 'standard' && !free ? Number((50 - merchandise).toFixed(2)) : 0
+          };
+        });
+  const method = shippingByUser.get(userId) || 'standard';
+  const selected = options.find((option) => option.method === method) || null;
+  const shipping = selected ? selected.cost : 0;
+  const tax = taxFor(request, merchandise);
+  const addedTax = tax && !tax.pricesIncludeTax ? tax.amount : 0;
+
+  return {
+    items,
+    totals: {
+      subtotal,
+      lineDiscount: 0,
+      orderDiscount: discount,
+      discount,
+      freeShipping: false,
+      shipping,
+      tax: tax ? tax.amount : 0,
+      taxIncluded: Boolean(tax && tax.pricesIncludeTax),
+      total: Number((merchandise + shipping + addedTax).toFixed(2))
+    },
+    shipping: { method, selected, options },
+    tax: tax
+      ? { destination: tax.destination, pricesIncludeTax: tax.pricesIncludeTax, lines: tax.lines }
+      : null,
+    coupon: coupon
+      ? { code: coupon.code, description: coupon.description, applied: true, message: null }
+      : null
+  };
+};
+
+export const mockReviews = [
+  {
+    id: 1,
+    productId: 'p-101',
+    rating: 5,
+    title: 'Best headphones I have owned',
+    body: 'Great noise cancellation and they stay comfortable all day.',
+    author: 'Jane S.',
+    createdAt: '2026-09-01T10:00:00.000Z'
+  },
+  {
+    id: 2,
+    productId: 'p-101',
+    rating: 4,
+    title: 'Solid value',
+    body: 'Sound is clear, though the case is a little bulky.',
+    author: 'John D.',
+    createdAt: '2026-08-15T10:00:00.000Z'
+  }
+];
+
+function summarizeMockReviews(reviews) {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  reviews.forEach((review) => {
+    histogram[review.rating] += 1;
+  });
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+
+  return {
+    average: reviews.length ? Math.round((total / reviews.length) * 10) / 10 : 0,
+    count: reviews.length,
+    histogram
+  };
+}
+
+function stockConflict(product, quantityInCart) {
+  return HttpResponse.json(
+    {
+      success: false,
+      message:
+        product.stock > 0
+          ? `Only ${product.stock} left in stock`
+          : `${product.name} is out of stock`,
+      data: {
+        productId: product.id,
+        availableQuantity: product.stock,
+        quantityInCart
+      }
+    },
+    { status: 409 }
+  );
+}
 
 function getUserIdFromAuthHeader(request) {
   const authHeader = request.headers.get('Authorization');
@@ -88,15 +281,131 @@ export const handlers = [
     });
   }),
 
-  http.get('*/api/products', () => {
+  http.get('*/api/products', ({ request }) => {
+    const params = new URL(request.url).searchParams;
+    const q = (params.get('q') || '').toLowerCase();
+    const inStock = params.get('inStock') === 'true';
+    const categories = params.get('category') ? params.get('category').split(',') : [];
+
+    const searched = mockProducts.filter((product) => {
+      const text = [product.name, product.category, product.description].join(' ').toLowerCase();
+      return !q || text.includes(q);
+    });
+    const products = searched.filter(
+      (product) =>
+        (categories.length === 0 || categories.includes(product.category)) &&
+        (!inStock || product.stock > 0)
+    );
+
+    return HttpResponse.json({
+      success: true,
+      data: {
+        products,
+        pagination: {
+          total: products.length,
+          page: 1,
+          pageSize: 12,
+          totalPages: 1,
+          hasNextPage: false,
+          hasPreviousPage: false
+        },
+        facets: {
+          categories: [...new Set(searched.map((product) => product.category))].map((value) => ({
+            value,
+            count: searched.filter((product) => product.category === value).length,
+            selected: categories.includes(value)
+          })),
+          price: [],
+          rating: [],
+          availability: {
+            inStock: searched.filter((product) => product.stock > 0).length,
+            outOfStock: searched.filter((product) => product.stock <= 0).length
+          }
+        }
+      }
+    });
+  }),
+
+  http.get('*/api/products/suggest', ({ request }) => {
+    const q = (new URL(request.url).searchParams.get('q') || '').toLowerCase();
+    const startsWord = (text) =>
+      text
+        .toLowerCase()
+        .split(/\s+/)
+        .some((w) => w.startsWith(q));
+
     return HttpResponse.json({
       success: true,
       data: {
         products: mockProducts
+          .filter((product) => q && startsWord(product.name))
+          .map(({ id, name, category }) => ({ id, name, category })),
+        categories: [...new Set(mockProducts.map((product) => product.category))].filter(
+          (category) => q && startsWord(category)
+        ),
+        queries: []
+      }
+    });
+  }),
+
+  http.get('*/api/products/:id/reviews', ({ params, request }) => {
+    const url = new URL(request.url);
+    const page = Number(url.searchParams.get('page') || 1);
+    const pageSize = Number(url.searchParams.get('pageSize') || 5);
+    const reviews = mockReviews.filter((review) => review.productId === params.id);
+    const totalPages = Math.max(1, Math.ceil(reviews.length / pageSize));
+
+    return HttpResponse.json({
+      success: true,
+      data: {
+        reviews: reviews.slice((page - 1) * pageSize, page * pageSize),
+        pagination: {
+          total: reviews.length,
+          page,
+          pageSize,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        },
+        summary: summarizeMockReviews(reviews)
       }
     });
   }),
 
+  http.post('*/api/products/:id/reviews', async ({ params, request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return HttpResponse.json(
+        {
+          success: false,
+          message: 'No token provided'
+        },
+        { status: 401 }
+      );
+    }
+
+    const body = await request.json();
+    const review = {
+      id: Date.now(),
+      productId: params.id,
+      rating: body.rating,
+      title: body.title,
+      body: body.body,
+      author: 'John D.',
+      createdAt: new Date().toISOString()
+    };
+    const reviews = [review, ...mockReviews.filter((existing) => existing.productId === params.id)];
+
+    return HttpResponse.json(
+      {
+        success: true,
+        message: 'Review posted',
+        data: { review, summary: summarizeMockReviews(reviews) }
+      },
+      { status: 201 }
+    );
+  }),
+
   http.get('*/api/products/:id', ({ params }) => {
     const product = mockProducts.find((item) => item.id === params.id);
 
@@ -131,13 +440,108 @@ export const handlers = [
       );
     }
 
-    const userCart = cartByUser.get(userId) || [];
+    return HttpResponse.json({
+      success: true,
+      data: cartPayload(userId, request)
+    });
+  }),
+
+  http.post('*/api/cart/coupon', async ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return HttpResponse.json(
+        {
+          success: false,
+          message: 'No token provided'
+        },
+        { status: 401 }
+      );
+    }
+
+    const code = String((await request.json()).code || '')
+      .trim()
+      .toUpperCase();
+    const coupon = mockCoupons.find((item) => item.code === code);
+
+    if (!coupon) {
+      return HttpResponse.json(
+        {
+          success: false,
+          message: 'Promo code not found'
+        },
+        { status: 404 }
+      );
+    }
+
+    if (coupon.expired) {
+      return HttpResponse.json(
+        {
+          success: false,
+          message: 'This code has expired'
+        },
+        { status: 400 }
+      );
+    }
+
+    couponByUser.set(userId, coupon);
+
+    return HttpResponse.json({
+      success: true,
+      message: 'Promo code applied',
+      data: cartPayload(userId, request)
+    });
+  }),
+
+  http.put('*/api/cart/shipping', async ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return HttpResponse.json(
+        {
+          success: false,
+          message: 'No token provided'
+        },
+        { status: 401 }
+      );
+    }
+
+    const { method } = await request.json();
+    if (!mockShippingMethods.some((option) => option.method === method)) {
+      return HttpResponse.json(
+        {
+          success: false,
+          message: 'method must be one of: standard, express, pickup'
+        },
+        { status: 400 }
+      );
+    }
+
+    shippingByUser.set(userId, method);
+
+    return HttpResponse.json({
+      success: true,
+      message: 'Shipping method updated',
+      data: cartPayload(userId, request)
+    });
+  }),
+
+  http.delete('*/api/cart/coupon', ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return HttpResponse.json(
+        {
+          success: false,
+          message: 'No token provided'
+        },
+        { status: 401 }
+      );
+    }
+
+    couponByUser.delete(userId);
 
     return HttpResponse.json({
       success: true,
-      data: {
-        items: userCart
-      }
+      message: 'Promo code removed',
+      data: cartPayload(userId, request)
     });
   }),
 
@@ -169,6 +573,11 @@ export const handlers = [
 
     const current = cartByUser.get(userId) || [];
     const existing = current.find((item) => item.id === productId);
+    const quantityInCart = existing ? existing.quantity : 0;
+
+    if (quantityInCart + Number(quantity) > product.stock) {
+      return stockConflict(product, quantityInCart);
+    }
 
     if (existing) {
       existing.quantity += Number(quantity);
@@ -186,6 +595,53 @@ export const handlers = [
     );
   }),
 
+  http.post('*/api/cart/merge', async ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return HttpResponse.json(
+        {
+          success: false,
+          message: 'No token provided'
+        },
+        { status: 401 }
+      );
+    }
+
+    const { items = [] } = await request.json();
+    const merged = [...(cartByUser.get(userId) || [])];
+    const adjustments = [];
+
+    items.forEach(({ productId, quantity }) => {
+      const product = mockProducts.find((p) => p.id === productId);
+      if (!product) {
+        adjustments.push({ productId, requested: quantity, quantity: 0, reason: 'unavailable' });
+        return;
+      }
+
+      const index = merged.findIndex((item) => item.id === productId);
+      const requested = (index === -1 ? 0 : merged[index].quantity) + quantity;
+      const nextQuantity = Math.min(requested, product.stock);
+
+      if (nextQuantity < requested) {
+        adjustments.push({ productId, requested, quantity: nextQuantity, reason: 'limited' });
+      }
+
+      if (index === -1) {
+        merged.push({ ...product, quantity: nextQuantity });
+      } else {
+        merged[index] = { ...merged[index], quantity: nextQuantity };
+      }
+    });
+
+    cartByUser.set(userId, merged);
+
+    return HttpResponse.json({
+      success: true,
+      message: 'Cart merged',
+      data: { ...cartPayload(userId, request), adjustments }
+    });
+  }),
+
   http.patch('*/api/cart/items/:productId', async ({ request, params }) => {
     const userId = getUserIdFromAuthHeader(request);
     if (!userId) {
@@ -200,6 +656,13 @@ export const handlers = [
 
     const quantity = Number((await request.json()).quantity);
     const current = cartByUser.get(userId) || [];
+    const product = mockProducts.find((p) => p.id === params.productId);
+
+    if (product && quantity > product.stock) {
+      const existing = current.find((item) => item.id === params.productId);
+      return stockConflict(product, existing ? existing.quantity : 0);
+    }
+
     const next = current
       .map((item) => (item.id === params.productId ? { ...item, quantity } : item))
       .filter((item) => item.quantity > 0);
@@ -212,6 +675,30 @@ export const handlers = [
     });
   }),
 
+  http.post('*/api/cart/items/:productId/acknowledge-price', ({ request, params }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return HttpResponse.json(
+        {
+          success: false,
+          message: 'No token provided'
+        },
+        { status: 401 }
+      );
+    }
+
+    const current = cartByUser.get(userId) || [];
+    cartByUser.set(
+      userId,
+      current.map((item) => (item.id === params.productId ? { ...item, priceChange: null } : item))
+    );
+
+    return HttpResponse.json({
+      success: true,
+      message: 'Price change acknowledged'
+    });
+  }),
+
   http.delete('*/api/cart/items/:productId', ({ request, params }) => {
     const userId = getUserIdFromAuthHeader(request);
     if (!userId) {
@@ -256,6 +743,202 @@ export const handlers = [
     });
   }),
 
+  http.get('*/api/wishlist', ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    return HttpResponse.json({ success: true, data: { items: wishlistByUser.get(userId) || [] } });
+  }),
+
+  http.post('*/api/wishlist/items', async ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const { productId } = await request.json();
+    const product = mockProducts.find((p) => p.id === productId);
+    if (!product) {
+      return HttpResponse.json({ success: false, message: 'Product not found' }, { status: 404 });
+    }
+
+    const current = wishlistByUser.get(userId) || [];
+    const item = current.find((saved) => saved.id === productId) || toWishlistItem(product);
+    wishlistByUser.set(userId, [item, ...current.filter((saved) => saved.id !== productId)]);
+
+    return HttpResponse.json(
+      { success: true, message: 'Saved to wishlist', data: { item } },
+      { status: 201 }
+    );
+  }),
+
+  http.delete('*/api/wishlist/items/:productId', ({ request, params }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const current = wishlistByUser.get(userId) || [];
+    wishlistByUser.set(
+      userId,
+      current.filter((item) => item.id !== params.productId)
+    );
+
+    return HttpResponse.json({ success: true, message: 'Item removed from wishlist' });
+  }),
+
+  http.post('*/api/wishlist/items/:productId/move-to-cart', ({ request, params }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const saved = (wishlistByUser.get(userId) || []).find((item) => item.id === params.productId);
+    if (!saved) {
+      return HttpResponse.json(
+        { success: false, message: 'Item is not in your wishlist' },
+        { status: 404 }
+      );
+    }
+
+    const product = mockProducts.find((p) => p.id === params.productId);
+    const cart = cartByUser.get(userId) || [];
+    const existing = cart.find((item) => item.id === params.productId);
+    cartByUser.set(
+      userId,
+      existing
+        ? cart.map((item) => (item === existing ? { ...item, quantity: item.quantity + 1 } : item))
+        : [...cart, { ...product, quantity: 1 }]
+    );
+    wishlistByUser.set(
+      userId,
+      wishlistByUser.get(userId).filter((item) => item !== saved)
+    );
+
+    return HttpResponse.json({ success: true, message: 'Moved to cart' });
+  }),
+
+  http.post('*/api/cart/items/:productId/move-to-wishlist', ({ request, params }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const cart = cartByUser.get(userId) || [];
+    const line = cart.find((item) => item.id === params.productId);
+    if (!line) {
+      return HttpResponse.json(
+        { success: false, message: 'Item is not in your cart' },
+        { status: 404 }
+      );
+    }
+
+    const product = mockProducts.find((p) => p.id === params.productId);
+    const saved = wishlistByUser.get(userId) || [];
+    if (!saved.some((item) => item.id === product.id)) {
+      wishlistByUser.set(userId, [toWishlistItem(product), ...saved]);
+    }
+    cartByUser.set(
+      userId,
+      cart.filter((item) => item !== line)
+    );
+
+    return HttpResponse.json({ success: true, message: 'Moved to wishlist' });
+  }),
+
+  http.get('*/api/account/addresses', ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const addresses = [...(addressesByUser.get(userId) || [])].sort(
+      (a, b) => Number(b.isDefault) - Number(a.isDefault) || a.id - b.id
+    );
+
+    return HttpResponse.json({ success: true, data: { addresses } });
+  }),
+
+  http.post('*/api/account/addresses', async ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const body = await request.json();
+    const message = addressError(body);
+    if (message) {
+      return HttpResponse.json({ success: false, message, errors: [message] }, { status: 400 });
+    }
+
+    const current = addressesByUser.get(userId) || [];
+    const isDefault = current.length === 0 || body.isDefault === true;
+    const address = { ...body, id: nextAddressId++, isDefault };
+    addressesByUser.set(userId, [
+      ...current.map((item) => (isDefault ? { ...item, isDefault: false } : item)),
+      address
+    ]);
+
+    return HttpResponse.json(
+      { success: true, message: 'Address saved', data: { address } },
+      { status: 201 }
+    );
+  }),
+
+  http.patch('*/api/account/addresses/:id', async ({ request, params }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const current = addressesByUser.get(userId) || [];
+    const existing = current.find((item) => item.id === Number(params.id));
+    if (!existing) {
+      return HttpResponse.json({ success: false, message: 'Address not found' }, { status: 404 });
+    }
+
+    const { isDefault, ...changes } = await request.json();
+    const address = {
+      ...existing,
+      ...changes,
+      isDefault: existing.isDefault || isDefault === true
+    };
+    const message = addressError(address);
+    if (message) {
+      return HttpResponse.json({ success: false, message, errors: [message] }, { status: 400 });
+    }
+
+    addressesByUser.set(
+      userId,
+      current.map((item) =>
+        item.id === address.id
+          ? address
+          : { ...item, isDefault: isDefault === true ? false : item.isDefault }
+      )
+    );
+
+    return HttpResponse.json({ success: true, message: 'Address updated', data: { address } });
+  }),
+
+  http.delete('*/api/account/addresses/:id', ({ request, params }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const current = addressesByUser.get(userId) || [];
+    const removed = current.find((item) => item.id === Number(params.id));
+    const remaining = current.filter((item) => item !== removed);
+    if (removed && removed.isDefault && remaining.length > 0) {
+      remaining[0] = { ...remaining[0], isDefault: true };
+    }
+    addressesByUser.set(userId, remaining);
+
+    return HttpResponse.json({ success: true, message: 'Address deleted' });
+  }),
+
   // Login - using wildcard to match any origin
   http.post('*/api/auth/login', async ({ request }) => {
     const body = await request.json();
@@ -280,7 +963,17 @@ export const handlers = [
       );
     }
 
-    const token = generateMockToken(user.id, user.email);
+    if (twoFactorByUser.get(user.id)?.enabled) {
+      return HttpResponse.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: `mock-2fa-challenge-${user.id}`,
+          expiresIn: 300
+        }
+      });
+    }
 
     return HttpResponse.json({
       success: true,
@@ -290,9 +983,10 @@ export const handlers = [
           id: user.id,
           email: user.email,
           firstName: user.firstName,
-          lastName: user.lastName
+          lastName: user.lastName,
+          emailVerifiedAt: user.emailVerifiedAt
         },
-        token
+        ...mockSession(user)
       }
     });
   }),
@@ -342,24 +1036,227 @@ export const handlers = [
       email,
       firstName: firstName || null,
       lastName: lastName || null,
+      emailVerifiedAt: null,
       createdAt: new Date().toISOString()
     };
 
-    const token = generateMockToken(newUser.id, newUser.email);
-
     return HttpResponse.json(
       {
         success: true,
         message: 'User created successfully',
         data: {
           user: newUser,
-          token
+          ...mockSession(newUser)
         }
       },
       { status: 201 }
     );
   }),
 
+  http.post('*/api/auth/refresh', async ({ request }) => {
+    const { refreshToken } = await request.json();
+    const userId = Number((refreshToken || '').split('-')[3]);
+    const user = mockUsers.find((u) => u.id === userId);
+
+    if (!refreshToken || !refreshToken.startsWith('mock-refresh-token-') || !user) {
+      return HttpResponse.json(
+        { success: false, message: 'Invalid refresh token' },
+        { status: 401 }
+      );
+    }
+
+    return HttpResponse.json({
+      success: true,
+      message: 'Token refreshed',
+      data: mockSession(user)
+    });
+  }),
+
+  http.post('*/api/auth/logout', () => {
+    return HttpResponse.json({ success: true, message: 'Logged out' });
+  }),
+
+  http.post('*/api/auth/forgot-password', async ({ request }) => {
+    const { email } = await request.json();
+    if (!email) {
+      return HttpResponse.json({ success: false, message: 'Email is required' }, { status: 400 });
+    }
+
+    return HttpResponse.json({
+      success: true,
+      message: 'If an account exists for that email, we sent a link to reset the password.'
+    });
+  }),
+
+  http.post('*/api/auth/reset-password', async ({ request }) => {
+    const { token } = await request.json();
+    if (token !== 'valid-reset-token') {
+      return HttpResponse.json(
+        { success: false, message: 'This reset link is invalid or has expired' },
+        { status: 400 }
+      );
+    }
+
+    return HttpResponse.json({
+      success: true,
+      message: 'Your password has been reset. Please log in.'
+    });
+  }),
+
+  http.post('*/api/auth/verify-email', async ({ request }) => {
+    const { token } = await request.json();
+    if (token !== 'valid-verification-token') {
+      return HttpResponse.json(
+        { success: false, message: 'This verification link is invalid or has expired' },
+        { status: 400 }
+      );
+    }
+
+    return HttpResponse.json({
+      success: true,
+      message: 'Thanks, your email address is verified',
+      data: { emailVerifiedAt: new Date().toISOString() }
+    });
+  }),
+
+  http.post('*/api/auth/verify-email/resend', ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    const user = mockUsers.find((u) => u.id === userId);
+    if (!user) {
+      return unauthorized();
+    }
+
+    return HttpResponse.json({
+      success: true,
+      message: `We sent a new verification link to ${user.email}`
+    });
+  }),
+
+  http.post('*/api/auth/login/2fa', async ({ request }) => {
+    const { challengeToken, code } = await request.json();
+    const userId = Number((challengeToken || '').replace('mock-2fa-challenge-', ''));
+    const user = mockUsers.find((u) => u.id === userId);
+    const settings = twoFactorByUser.get(userId);
+
+    if (!user || !settings?.enabled) {
+      return HttpResponse.json(
+        { success: false, message: 'Your login attempt expired. Please log in again.' },
+        { status: 401 }
+      );
+    }
+
+    const recoveryIndex = settings.unusedRecoveryCodes.indexOf(code);
+    if (code !== MOCK_TOTP_CODE && recoveryIndex === -1) {
+      return HttpResponse.json(
+        { success: false, message: 'Invalid authentication code' },
+        { status: 401 }
+      );
+    }
+    if (recoveryIndex !== -1) {
+      settings.unusedRecoveryCodes.splice(recoveryIndex, 1);
+    }
+
+    return HttpResponse.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          emailVerifiedAt: user.emailVerifiedAt
+        },
+        ...mockSession(user)
+      }
+    });
+  }),
+
+  http.get('*/api/account/two-factor', ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const settings = twoFactorByUser.get(userId);
+    return HttpResponse.json({
+      success: true,
+      data: {
+        enabled: Boolean(settings?.enabled),
+        enabledAt: settings?.enabled ? '2026-10-19T12:00:00.000Z' : null,
+        recoveryCodesRemaining: settings?.enabled ? settings.unusedRecoveryCodes.length : 0
+      }
+    });
+  }),
+
+  http.post('*/api/account/two-factor/setup', async ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const { password } = await request.json();
+    const user = mockUsers.find((u) => u.id === userId);
+    if (validCredentials[user.email] !== password) {
+      return HttpResponse.json(
+        { success: false, message: 'Current password is incorrect' },
+        { status: 403 }
+      );
+    }
+
+    twoFactorByUser.set(userId, { enabled: false, unusedRecoveryCodes: [] });
+    return HttpResponse.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app',
+      data: {
+        secret: 'JBSWY3DPEHPK3PXP',
+        otpauthUri: `otpauth://totp/ShopSmart:${user.email}?secret=JBSWY3DPEHPK3PXP&issuer=ShopSmart`,
+        qrCodeDataUrl: 'data:image/png;base64,iVBORw0KGgo='
+      }
+    });
+  }),
+
+  http.post('*/api/account/two-factor/enable', async ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const { code } = await request.json();
+    if (code !== MOCK_TOTP_CODE) {
+      return HttpResponse.json(
+        { success: false, message: 'Invalid authentication code' },
+        { status: 400 }
+      );
+    }
+
+    twoFactorByUser.set(userId, { enabled: true, unusedRecoveryCodes: [...MOCK_RECOVERY_CODES] });
+    return HttpResponse.json({
+      success: true,
+      message: 'Two-factor authentication is on',
+      data: { recoveryCodes: MOCK_RECOVERY_CODES }
+    });
+  }),
+
+  http.post('*/api/account/two-factor/disable', async ({ request }) => {
+    const userId = getUserIdFromAuthHeader(request);
+    if (!userId) {
+      return unauthorized();
+    }
+
+    const { password } = await request.json();
+    const user = mockUsers.find((u) => u.id === userId);
+    if (validCredentials[user.email] !== password) {
+      return HttpResponse.json(
+        { success: false, message: 'Current password is incorrect' },
+        { status: 403 }
+      );
+    }
+
+    twoFactorByUser.delete(userId);
+    return HttpResponse.json({ success: true, message: 'Two-factor authentication is off' });
+  }),
+
   // Get Current User - using wildcard to match any origin
   http.get('*/api/auth/me', ({ request }) => {
     const authHeader = request.headers.get('Authorization');
@@ -395,6 +1292,7 @@ export const handlers = [
           email: user.email,
           firstName: user.firstName,
           lastName: user.lastName,
+          emailVerifiedAt: user.emailVerifiedAt,
           createdAt: user.createdAt
         }
       }
@@ -14,13 +14,16 @@ import { BrowserRouter } from 'react-router-dom';
 import Home from '../../pages/Home';
 import { AuthProvider } from '../../context/AuthContext';
 import { CartProvider } from '../../context/CartContext';
+import { CurrencyProvider } from '../../context/CurrencyContext';
 
 // Helper function to render with providers
 const renderWithProviders = (component) => {
   return render(
     <BrowserRouter>
       <AuthProvider>
-        <CartProvider>{component}</CartProvider>
+        <CurrencyProvider>
+          <CartProvider>{component}</CartProvider>
+        </CurrencyProvider>
       </AuthProvider>
     </BrowserRouter>
   );
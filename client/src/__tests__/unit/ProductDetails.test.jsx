@@ -3,6 +3,7 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { MemoryRouter, Route, Routes } from 'react-router-dom';
 import ProductDetails from '../../pages/ProductDetails';
 import { CartProvider } from '../../context/CartContext';
+import { CurrencyProvider } from '../../context/CurrencyContext';
 import { AuthProvider } from '../../context/AuthContext';
 
 describe('ProductDetails Component - Unit Tests', () => {
@@ -16,11 +17,13 @@ describe('ProductDetails Component - Unit Tests', () => {
     render(
       <MemoryRouter initialEntries={['/products/p-101']}>
         <AuthProvider>
-          <CartProvider>
-            <Routes>
-              <Route path="/products/:id" element={<ProductDetails />} />
-            </Routes>
-          </CartProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <Routes>
+                <Route path="/products/:id" element={<ProductDetails />} />
+              </Routes>
+            </CartProvider>
+          </CurrencyProvider>
         </AuthProvider>
       </MemoryRouter>
     );
@@ -54,11 +57,13 @@ describe('ProductDetails Component - Unit Tests', () => {
     render(
       <MemoryRouter initialEntries={['/products/p-101']}>
         <AuthProvider>
-          <CartProvider>
-            <Routes>
-              <Route path="/products/:id" element={<ProductDetails />} />
-            </Routes>
-          </CartProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <Routes>
+                <Route path="/products/:id" element={<ProductDetails />} />
+              </Routes>
+            </CartProvider>
+          </CurrencyProvider>
         </AuthProvider>
       </MemoryRouter>
     );
@@ -72,6 +77,48 @@ describe('ProductDetails Component - Unit Tests', () => {
     expect(screen.getByTestId('back-home-link')).toBeInTheDocument();
   });
 
+  it('should disable add to cart for a product that is no longer available', async () => {
+    global.fetch = vi.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            success: true,
+            data: {
+              product: {
+                id: 'p-101',
+                name: 'Wireless Headphones',
+                category: 'Audio',
+                price: 79.99,
+                rating: 4.5,
+                stock: 24,
+                image: 'https://example.com/headphones.jpg',
+                description: 'Premium sound for daily listening.',
+                available: false
+              }
+            }
+          })
+      })
+    );
+
+    render(
+      <MemoryRouter initialEntries={['/products/p-101']}>
+        <AuthProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <Routes>
+                <Route path="/products/:id" element={<ProductDetails />} />
+              </Routes>
+            </CartProvider>
+          </CurrencyProvider>
+        </AuthProvider>
+      </MemoryRouter>
+    );
+
+    const button = await screen.findByRole('button', { name: 'No Longer Available' });
+    expect(button).toBeDisabled();
+  });
+
   it('should render error state when request fails', async () => {
     global.fetch = vi.fn(() =>
       Promise.resolve({
@@ -83,11 +130,13 @@ describe('ProductDetails Component - Unit Tests', () => {
     render(
       <MemoryRouter initialEntries={['/products/unknown']}>
         <AuthProvider>
-          <CartProvider>
-            <Routes>
-              <Route path="/products/:id" element={<ProductDetails />} />
-            </Routes>
-          </CartProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <Routes>
+                <Route path="/products/:id" element={<ProductDetails />} />
+              </Routes>
+            </CartProvider>
+          </CurrencyProvider>
         </AuthProvider>
       </MemoryRouter>
     );
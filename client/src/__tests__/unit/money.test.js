@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import {
+  convertMoney,
+  formatMoney,
+  multiplyCents,
+  priceCentsOf,
+  sumCents,
+  toCents
+} from '../../lib/money';
+
+describe('money helpers', () => {
+  it('should keep sums exact in cents', () => {
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(sumCents([multiplyCents(7999, 3), 1])).toBe(23998);
+  });
+
+  it('should fall back to the decimal price for items without cents', () => {
+    expect(priceCentsOf({ priceCents: 12900, price: 129 })).toBe(12900);
+    expect(priceCentsOf({ price: 99.5 })).toBe(9950);
+  });
+
+  it('should format minor units for each currency', () => {
+    expect(formatMoney(7999)).toBe('$79.99');
+    expect(formatMoney(1250, 'EUR')).toBe('€12.50');
+    expect(formatMoney(1500, 'JPY')).toBe('¥1,500');
+  });
+
+  it('should convert through the exchange-rate table', () => {
+    const rates = { USD: 1, EUR: 0.5, JPY: 100 };
+
+    expect(convertMoney(1000, 'USD', 'EUR', rates)).toBe(500);
+    expect(convertMoney(1000, 'USD', 'JPY', rates)).toBe(1000);
+    expect(convertMoney(500, 'EUR', 'USD', rates)).toBe(1000);
+    expect(convertMoney(1000, 'USD', 'CHF', rates)).toBeNull();
+  });
+});
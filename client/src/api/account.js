@@ -0,0 +1,86 @@
+const apiUrl = import.meta.env.VITE_API_URL || '';
+
+async function accountRequest(token, path, options = {}, fallbackMessage) {
+  const response = await fetch(`${apiUrl}/api/account${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    }
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    const error = new Error(data.message || fallbackMessage);
+    error.errors = data.errors || [];
+    throw error;
+  }
+
+  return data.data;
+}
+
+function addressRequest(token, path, options, fallbackMessage) {
+  return accountRequest(token, `/addresses${path}`, options, fallbackMessage);
+}
+
+export async function fetchAddresses(token) {
+  const data = await addressRequest(token, '', {}, 'Failed to load addresses');
+  return data.addresses || [];
+}
+
+export async function createAddress(token, address) {
+  const data = await addressRequest(
+    token,
+    '',
+    { method: 'POST', body: JSON.stringify(address) },
+    'Failed to save address'
+  );
+  return data.address;
+}
+
+export async function updateAddress(token, id, changes) {
+  const data = await addressRequest(
+    token,
+    `/${id}`,
+    { method: 'PATCH', body: JSON.stringify(changes) },
+    'Failed to update address'
+  );
+  return data.address;
+}
+
+export async function deleteAddress(token, id) {
+  await addressRequest(token, `/${id}`, { method: 'DELETE' }, 'Failed to delete address');
+}
+
+export function fetchTwoFactorStatus(token) {
+  return accountRequest(token, '/two-factor', {}, 'Failed to load two-factor settings');
+}
+
+// Resolves to { secret, otpauthUri, qrCodeDataUrl }.
+export function startTwoFactorSetup(token, password) {
+  return accountRequest(
+    token,
+    '/two-factor/setup',
+    { method: 'POST', body: JSON.stringify({ password }) },
+    'Failed to start two-factor setup'
+  );
+}
+
+export async function enableTwoFactor(token, code) {
+  const data = await accountRequest(
+    token,
+    '/two-factor/enable',
+    { method: 'POST', body: JSON.stringify({ code }) },
+    'Failed to turn on two-factor authentication'
+  );
+  return data.recoveryCodes;
+}
+
+export async function disableTwoFactor(token, password) {
+  await accountRequest(
+    token,
+    '/two-factor/disable',
+    { method: 'POST', body: JSON.stringify({ password }) },
+    'Failed to turn off two-factor authentication'
+  );
+}
@@ -0,0 +1,44 @@
+const apiUrl = import.meta.env.VITE_API_URL || '';
+
+async function postAuth(path, body, fallbackMessage, token) {
+  const response = await fetch(`${apiUrl}/api/auth${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || fallbackMessage);
+  }
+
+  return data;
+}
+
+export async function requestPasswordReset(email) {
+  const data = await postAuth('/forgot-password', { email }, 'Failed to send reset link');
+  return data.message;
+}
+
+export async function resetPassword(token, password) {
+  const data = await postAuth('/reset-password', { token, password }, 'Failed to reset password');
+  return data.message;
+}
+
+export async function verifyEmail(token) {
+  const data = await postAuth('/verify-email', { token }, 'Failed to verify email address');
+  return data.message;
+}
+
+export async function resendVerificationEmail(authToken) {
+  const data = await postAuth(
+    '/verify-email/resend',
+    {},
+    'Failed to send verification email',
+    authToken
+  );
+  return data.message;
+}
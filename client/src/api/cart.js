@@ -7,8 +7,39 @@ function withAuth(token) {
   };
 }
 
-export async function fetchCart(token) {
-  const response = await fetch(`${apiUrl}/api/cart`, {
+// Stock conflicts (409) carry how many units can still be added.
+function cartError(data, fallback) {
+  const error = new Error(data.message || fallback);
+  error.availableQuantity = data.data?.availableQuantity;
+  return error;
+}
+
+// Totals, shipping, tax and the applied promo code are computed by the server.
+function toCart(payload) {
+  return {
+    items: payload.items || [],
+    totals: payload.totals || null,
+    shipping: payload.shipping || null,
+    tax: payload.tax || null,
+    coupon: payload.coupon || null
+  };
+}
+
+// The tax destination rides along as `?country=..&region=..`.
+function destinationQuery(destination) {
+  if (!destination || !destination.country) {
+    return '';
+  }
+
+  const params = new URLSearchParams({ country: destination.country });
+  if (destination.region) {
+    params.set('region', destination.region);
+  }
+  return `?${params.toString()}`;
+}
+
+export async function fetchCart(token, destination) {
+  const response = await fetch(`${apiUrl}/api/cart${destinationQuery(destination)}`, {
     headers: withAuth(token)
   });
   const data = await response.json();
@@ -17,7 +48,7 @@ export async function fetchCart(token) {
     throw new Error(data.message || 'Failed to fetch cart');
   }
 
-  return data.data.items || [];
+  return toCart(data.data);
 }
 
 export async function addCartItem(token, productId, quantity = 1) {
@@ -29,7 +60,7 @@ export async function addCartItem(token, productId, quantity = 1) {
   const data = await response.json();
 
   if (!response.ok || !data.success) {
-    throw new Error(data.message || 'Failed to add item to cart');
+    throw cartError(data, 'Failed to add item to cart');
   }
 }
 
@@ -42,7 +73,7 @@ export async function updateCartItem(token, productId, quantity) {
   const data = await response.json();
 
   if (!response.ok || !data.success) {
-    throw new Error(data.message || 'Failed to update cart item');
+    throw cartError(data, 'Failed to update cart item');
   }
 }
 
@@ -69,3 +100,88 @@ export async function clearUserCart(token) {
     throw new Error(data.message || 'Failed to clear cart');
   }
 }
+
+export async function mergeCart(token, items) {
+  const response = await fetch(`${apiUrl}/api/cart/merge`, {
+    method: 'POST',
+    headers: withAuth(token),
+    body: JSON.stringify({
+      items: items.map((item) => ({ productId: item.id, quantity: item.quantity }))
+    })
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to merge cart');
+  }
+
+  return data.data;
+}
+
+export async function acknowledgePriceChange(token, productId) {
+  const response = await fetch(`${apiUrl}/api/cart/items/${productId}/acknowledge-price`, {
+    method: 'POST',
+    headers: withAuth(token)
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to update cart');
+  }
+}
+
+export async function moveToWishlist(token, productId) {
+  const response = await fetch(`${apiUrl}/api/cart/items/${productId}/move-to-wishlist`, {
+    method: 'POST',
+    headers: withAuth(token)
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to move item to wishlist');
+  }
+}
+
+export async function applyCoupon(token, code, destination) {
+  const response = await fetch(`${apiUrl}/api/cart/coupon${destinationQuery(destination)}`, {
+    method: 'POST',
+    headers: withAuth(token),
+    body: JSON.stringify({ code })
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to apply promo code');
+  }
+
+  return toCart(data.data);
+}
+
+export async function removeCoupon(token, destination) {
+  const response = await fetch(`${apiUrl}/api/cart/coupon${destinationQuery(destination)}`, {
+    method: 'DELETE',
+    headers: withAuth(token)
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to remove promo code');
+  }
+
+  return toCart(data.data);
+}
+
+export async function selectShippingMethod(token, method, destination) {
+  const response = await fetch(`${apiUrl}/api/cart/shipping${destinationQuery(destination)}`, {
+    method: 'PUT',
+    headers: withAuth(token),
+    body: JSON.stringify({ method })
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to update shipping method');
+  }
+
+  return toCart(data.data);
+}
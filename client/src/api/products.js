@@ -1,14 +1,43 @@
 const apiUrl = import.meta.env.VITE_API_URL || '';
 
-export async function getProducts() {
-  const response = await fetch(`${apiUrl}/api/products`);
+// Drops empty values so the default listing is still requested as plain /api/products.
+export function buildProductQuery(params = {}) {
+  const search = new URLSearchParams();
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '' || value === false) {
+      return;
+    }
+
+    search.set(key, Array.isArray(value) ? value.join(',') : String(value));
+  });
+
+  const queryString = search.toString();
+  return queryString ? `?${queryString}` : '';
+}
+
+export async function getProducts(params = {}) {
+  const response = await fetch(`${apiUrl}/api/products${buildProductQuery(params)}`);
   const data = await response.json();
 
   if (!response.ok || !data.success) {
     throw new Error(data.message || 'Failed to fetch products');
   }
 
-  return data.data.products || [];
+  const products = data.data.products || [];
+
+  return {
+    products,
+    pagination: data.data.pagination || {
+      total: products.length,
+      page: 1,
+      pageSize: products.length,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPreviousPage: false
+    },
+    facets: data.data.facets || null
+  };
 }
 
 export async function getProductById(id) {
@@ -21,3 +50,14 @@ export async function getProductById(id) {
 
   return data.data.product;
 }
+
+export async function getSuggestions(query) {
+  const response = await fetch(`${apiUrl}/api/products/suggest${buildProductQuery({ q: query })}`);
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to fetch suggestions');
+  }
+
+  return data.data;
+}
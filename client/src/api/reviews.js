@@ -0,0 +1,38 @@
+import { buildProductQuery } from './products';
+
+const apiUrl = import.meta.env.VITE_API_URL || '';
+
+export async function getProductReviews(productId, params = {}) {
+  const response = await fetch(
+    `${apiUrl}/api/products/${productId}/reviews${buildProductQuery(params)}`
+  );
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to fetch reviews');
+  }
+
+  return {
+    reviews: data.data.reviews || [],
+    pagination: data.data.pagination || null,
+    summary: data.data.summary || null
+  };
+}
+
+export async function postProductReview(token, productId, review) {
+  const response = await fetch(`${apiUrl}/api/products/${productId}/reviews`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    },
+    body: JSON.stringify(review)
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to post review');
+  }
+
+  return data.data;
+}
@@ -0,0 +1,60 @@
+const apiUrl = import.meta.env.VITE_API_URL || '';
+
+function withAuth(token) {
+  return {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${token}`
+  };
+}
+
+export async function fetchWishlist(token) {
+  const response = await fetch(`${apiUrl}/api/wishlist`, {
+    headers: withAuth(token)
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to load wishlist');
+  }
+
+  return data.data.items || [];
+}
+
+export async function saveToWishlist(token, productId) {
+  const response = await fetch(`${apiUrl}/api/wishlist/items`, {
+    method: 'POST',
+    headers: withAuth(token),
+    body: JSON.stringify({ productId })
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to save item');
+  }
+
+  return data.data.item;
+}
+
+export async function removeFromWishlist(token, productId) {
+  const response = await fetch(`${apiUrl}/api/wishlist/items/${productId}`, {
+    method: 'DELETE',
+    headers: withAuth(token)
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to remove item');
+  }
+}
+
+export async function moveWishlistItemToCart(token, productId) {
+  const response = await fetch(`${apiUrl}/api/wishlist/items/${productId}/move-to-cart`, {
+    method: 'POST',
+    headers: withAuth(token)
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || 'Failed to move item to cart');
+  }
+}
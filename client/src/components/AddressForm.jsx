@@ -0,0 +1,124 @@
+import { useState } from 'react';
+
+// Mirrors the server's ADDRESS_FORMATS; the server has the final say.
+export const ADDRESS_COUNTRIES = [
+  { code: 'US', name: 'United States', regionLabel: 'State', postalCodeLabel: 'ZIP code' },
+  { code: 'CA', name: 'Canada', regionLabel: 'Province', postalCodeLabel: 'Postal code' },
+  { code: 'GB', name: 'United Kingdom', regionLabel: null, postalCodeLabel: 'Postcode' },
+  { code: 'DE', name: 'Germany', regionLabel: null, postalCodeLabel: 'Postal code' }
+];
+
+const EMPTY_ADDRESS = {
+  label: '',
+  fullName: '',
+  line1: '',
+  line2: '',
+  city: '',
+  region: '',
+  postalCode: '',
+  country: 'US',
+  phone: ''
+};
+
+function toFormValues(address) {
+  return Object.fromEntries(
+    Object.entries(EMPTY_ADDRESS).map(([field, empty]) => [field, address?.[field] ?? empty])
+  );
+}
+
+/**
+ * Add/edit form for a saved address. `onSubmit` receives the field values and
+ * resolves to `{ success, message }`; the form stays open on failure.
+ */
+function AddressForm({ address, onSubmit, onCancel, submitLabel = 'Save address' }) {
+  const [values, setValues] = useState(() => toFormValues(address));
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const country = ADDRESS_COUNTRIES.find((item) => item.code === values.country);
+
+  const field = (name) => ({
+    id: `address-${name}`,
+    name,
+    value: values[name],
+    onChange: (event) => setValues((current) => ({ ...current, [name]: event.target.value }))
+  });
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    const result = await onSubmit(country.regionLabel ? values : { ...values, region: '' });
+    setIsSubmitting(false);
+
+    setError(result.success ? '' : result.message || 'Could not save address.');
+  };
+
+  return (
+    <form className="address-form" onSubmit={handleSubmit} aria-label="Address">
+      {error ? (
+        <div className="error-message" role="alert">
+          {error}
+        </div>
+      ) : null}
+      <div className="form-group">
+        <label htmlFor="address-country">Country</label>
+        <select {...field('country')}>
+          {ADDRESS_COUNTRIES.map((item) => (
+            <option key={item.code} value={item.code}>
+              {item.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="form-group">
+        <label htmlFor="address-fullName">Full name</label>
+        <input type="text" autoComplete="name" required {...field('fullName')} />
+      </div>
+      <div className="form-group">
+        <label htmlFor="address-line1">Address line 1</label>
+        <input type="text" autoComplete="address-line1" required {...field('line1')} />
+      </div>
+      <div className="form-group">
+        <label htmlFor="address-line2">Address line 2 (optional)</label>
+        <input type="text" autoComplete="address-line2" {...field('line2')} />
+      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="address-city">City</label>
+          <input type="text" autoComplete="address-level2" required {...field('city')} />
+        </div>
+        {country.regionLabel ? (
+          <div className="form-group">
+            <label htmlFor="address-region">{country.regionLabel}</label>
+            <input type="text" autoComplete="address-level1" required {...field('region')} />
+          </div>
+        ) : null}
+        <div className="form-group">
+          <label htmlFor="address-postalCode">{country.postalCodeLabel}</label>
+          <input type="text" autoComplete="postal-code" required {...field('postalCode')} />
+        </div>
+      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="address-phone">Phone (optional)</label>
+          <input type="tel" autoComplete="tel" {...field('phone')} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="address-label">Label (optional)</label>
+          <input type="text" placeholder="Home, Work..." {...field('label')} />
+        </div>
+      </div>
+      <div className="address-form-actions">
+        <button type="submit" className="auth-button" disabled={isSubmitting}>
+          {isSubmitting ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel ? (
+          <button type="button" className="address-cancel" onClick={onCancel}>
+            Cancel
+          </button>
+        ) : null}
+      </div>
+    </form>
+  );
+}
+
+export default AddressForm;
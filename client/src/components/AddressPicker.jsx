@@ -0,0 +1,49 @@
+export function formatAddress(address) {
+  return [
+    address.line1,
+    address.line2,
+    [address.city, address.region, address.postalCode].filter(Boolean).join(' '),
+    address.country
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Radio list of saved addresses. `renderActions` adds per-address controls
+ * (edit, delete) next to each option.
+ */
+function AddressPicker({
+  addresses,
+  selectedId,
+  onSelect,
+  legend = 'Saved addresses',
+  renderActions
+}) {
+  return (
+    <fieldset className="address-picker">
+      <legend>{legend}</legend>
+      {addresses.map((address) => (
+        <div key={address.id} className="address-option" data-testid={`address-${address.id}`}>
+          <label>
+            <input
+              type="radio"
+              name="address"
+              value={address.id}
+              checked={address.id === selectedId}
+              onChange={() => onSelect(address)}
+            />
+            <span className="address-summary">
+              <strong>{address.label || address.fullName}</strong>
+              {address.isDefault ? <span className="address-default">Default</span> : null}
+              <span>{formatAddress(address)}</span>
+            </span>
+          </label>
+          {renderActions ? renderActions(address) : null}
+        </div>
+      ))}
+    </fieldset>
+  );
+}
+
+export default AddressPicker;
@@ -0,0 +1,23 @@
+import { useCurrency } from '../context/CurrencyContext';
+import { DISPLAY_CURRENCIES } from '../lib/exchangeRates';
+
+function CurrencySelect() {
+  const { displayCurrency, setDisplayCurrency } = useCurrency();
+
+  return (
+    <select
+      className="currency-select"
+      value={displayCurrency}
+      onChange={(event) => setDisplayCurrency(event.target.value)}
+      aria-label="Display currency"
+    >
+      {DISPLAY_CURRENCIES.map((currency) => (
+        <option key={currency} value={currency}>
+          {currency}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default CurrencySelect;
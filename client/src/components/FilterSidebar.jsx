@@ -0,0 +1,94 @@
+function FilterSidebar({ facets, filters, onChange }) {
+  if (!facets) {
+    return null;
+  }
+
+  const toggleCategory = (value) => {
+    const categories = filters.categories.includes(value)
+      ? filters.categories.filter((category) => category !== value)
+      : [...filters.categories, value];
+    onChange({ ...filters, categories });
+  };
+
+  const hasActiveFilters =
+    filters.categories.length > 0 || filters.price || filters.minRating || filters.inStock;
+
+  return (
+    <aside className="filter-sidebar" aria-label="Filter products" data-testid="filter-sidebar">
+      <div className="filter-group">
+        <h3>Category</h3>
+        {facets.categories.map((category) => (
+          <label key={category.value} className="filter-option">
+            <input
+              type="checkbox"
+              checked={filters.categories.includes(category.value)}
+              onChange={() => toggleCategory(category.value)}
+            />
+            <span>{category.value}</span>
+            <span className="facet-count">{category.count}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="filter-group">
+        <h3>Price</h3>
+        {facets.price.map((bucket) => (
+          <label key={bucket.key} className="filter-option">
+            <input
+              type="radio"
+              name="price-bucket"
+              checked={filters.price?.key === bucket.key}
+              disabled={bucket.count === 0 && filters.price?.key !== bucket.key}
+              onChange={() => onChange({ ...filters, price: bucket })}
+            />
+            <span>{bucket.label}</span>
+            <span className="facet-count">{bucket.count}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="filter-group">
+        <h3>Rating</h3>
+        {facets.rating.map((band) => (
+          <label key={band.min} className="filter-option">
+            <input
+              type="radio"
+              name="rating-band"
+              checked={filters.minRating === band.min}
+              disabled={band.count === 0 && filters.minRating !== band.min}
+              onChange={() => onChange({ ...filters, minRating: band.min })}
+            />
+            <span>{band.min}+ stars</span>
+            <span className="facet-count">{band.count}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="filter-group">
+        <h3>Availability</h3>
+        <label className="filter-option">
+          <input
+            type="checkbox"
+            checked={filters.inStock}
+            onChange={(event) => onChange({ ...filters, inStock: event.target.checked })}
+          />
+          <span>In stock</span>
+          <span className="facet-count">{facets.availability.inStock}</span>
+        </label>
+        <p className="facet-note">{facets.availability.outOfStock} out of stock</p>
+      </div>
+
+      {hasActiveFilters ? (
+        <button
+          type="button"
+          className="clear-filters-button"
+          onClick={() => onChange({ categories: [], price: null, minRating: null, inStock: false })}
+        >
+          Clear filters
+        </button>
+      ) : null}
+    </aside>
+  );
+}
+
+export default FilterSidebar;
@@ -0,0 +1,117 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { priceCentsOf } from '../lib/money';
+
+// Header cart pill that opens a slide-out summary of the cart.
+function MiniCart() {
+  const {
+    items,
+    cartCount,
+    cartTotalCents,
+    isDrawerOpen,
+    openDrawer,
+    closeDrawer,
+    removeFromCart,
+    moveToWishlist
+  } = useCart();
+  const { isAuthenticated } = useAuth();
+  const { formatPrice } = useCurrency();
+
+  useEffect(() => {
+    if (!isDrawerOpen) {
+      return undefined;
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        closeDrawer();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isDrawerOpen, closeDrawer]);
+
+  return (
+    <>
+      <button
+        type="button"
+        className="cart-pill"
+        data-testid="cart-count-pill"
+        aria-expanded={isDrawerOpen}
+        aria-controls="mini-cart"
+        onClick={isDrawerOpen ? closeDrawer : openDrawer}
+      >
+        Cart: {cartCount} item{cartCount === 1 ? '' : 's'}
+      </button>
+      {isDrawerOpen ? (
+        <>
+          <div className="mini-cart-backdrop" onClick={closeDrawer} aria-hidden="true" />
+          <aside id="mini-cart" className="mini-cart" role="dialog" aria-label="Mini cart">
+            <div className="mini-cart-head">
+              <h2>Your cart</h2>
+              <button
+                type="button"
+                className="mini-cart-close"
+                onClick={closeDrawer}
+                aria-label="Close cart"
+              >
+                &times;
+              </button>
+            </div>
+            {items.length === 0 ? (
+              <p className="mini-cart-empty">Your cart is empty.</p>
+            ) : (
+              <ul className="mini-cart-list">
+                {items.map((item) => (
+                  <li key={item.id} className="mini-cart-item">
+                    <img src={item.image} alt="" className="mini-cart-thumb" />
+                    <div>
+                      <p className="cart-item-name">{item.name}</p>
+                      <p className="cart-item-meta">
+                        {item.available === false
+                          ? 'No longer available'
+                          : `${item.quantity} x ${formatPrice(priceCentsOf(item), item.currency)}`}
+                      </p>
+                    </div>
+                    <div className="mini-cart-actions">
+                      {isAuthenticated ? (
+                        <button
+                          type="button"
+                          className="mini-cart-save"
+                          onClick={() => moveToWishlist(item.id)}
+                          aria-label={`Save ${item.name} for later`}
+                        >
+                          Save for later
+                        </button>
+                      ) : null}
+                      <button
+                        type="button"
+                        className="mini-cart-remove"
+                        onClick={() => removeFromCart(item.id)}
+                        aria-label={`Remove ${item.name}`}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="mini-cart-footer">
+              <p className="cart-total">Total: {formatPrice(cartTotalCents)}</p>
+              <Link to="/cart" className="mini-cart-link" onClick={closeDrawer}>
+                View cart
+              </Link>
+            </div>
+          </aside>
+        </>
+      ) : null}
+    </>
+  );
+}
+
+export default MiniCart;
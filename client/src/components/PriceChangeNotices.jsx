@@ -0,0 +1,40 @@
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { toCents } from '../lib/money';
+
+function PriceChangeNotices() {
+  const { priceChanges, acknowledgePriceChange } = useCart();
+  const { formatPrice } = useCurrency();
+
+  if (priceChanges.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="price-notices" aria-label="Price changes">
+      {priceChanges.map((item) => {
+        const { direction, previousPrice, currentPrice } = item.priceChange;
+
+        return (
+          <li key={item.id} className={`price-notice price-notice-${direction}`} role="status">
+            <span>
+              <strong>{direction === 'dropped' ? 'Price dropped' : 'Price increased'}:</strong>{' '}
+              {item.name} is now {formatPrice(toCents(currentPrice), item.currency)} (was{' '}
+              {formatPrice(toCents(previousPrice), item.currency)}).
+            </span>
+            <button
+              type="button"
+              className="price-notice-dismiss"
+              onClick={() => acknowledgePriceChange(item.id)}
+              aria-label={`Dismiss price change for ${item.name}`}
+            >
+              Got it
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default PriceChangeNotices;
@@ -0,0 +1,194 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { getProductReviews, postProductReview } from '../api/reviews';
+import { useAuth } from '../context/AuthContext';
+
+const STAR_VALUES = [5, 4, 3, 2, 1];
+const EMPTY_FORM = { rating: '', title: '', body: '' };
+
+function Stars({ rating }) {
+  return (
+    <span className="review-stars" aria-label={`${rating} out of 5 stars`}>
+      {'★'.repeat(rating)}
+      {'☆'.repeat(5 - rating)}
+    </span>
+  );
+}
+
+function RatingHistogram({ summary }) {
+  return (
+    <div className="rating-summary" data-testid="rating-summary">
+      <p className="rating-average">
+        <strong>{summary.average.toFixed(1)}</strong> out of 5 ({summary.count} review
+        {summary.count === 1 ? '' : 's'})
+      </p>
+      <ul className="rating-histogram" aria-label="Rating breakdown">
+        {STAR_VALUES.map((stars) => {
+          const count = summary.histogram[stars] || 0;
+          const percent = summary.count > 0 ? Math.round((count / summary.count) * 100) : 0;
+
+          return (
+            <li key={stars} className="histogram-row">
+              <span>{stars} star</span>
+              <span className="histogram-bar" aria-hidden="true">
+                <span className="histogram-fill" style={{ width: `${percent}%` }} />
+              </span>
+              <span className="histogram-count">{count}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+function ProductReviews({ productId, onSummaryChange }) {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [sort, setSort] = useState('newest');
+  const [page, setPage] = useState(1);
+  const [loadError, setLoadError] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formMessage, setFormMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const { token, isAuthenticated } = useAuth();
+
+  useEffect(() => {
+    let active = true;
+
+    getProductReviews(productId, { sort, page: page > 1 ? page : '' })
+      .then((data) => {
+        if (active) {
+          // Later pages are appended under "Show more reviews".
+          setReviews((current) => (page > 1 ? [...current, ...data.reviews] : data.reviews));
+          setPagination(data.pagination);
+          setSummary(data.summary);
+          setLoadError('');
+        }
+      })
+      .catch((err) => {
+        if (active) {
+          setLoadError(err.message || 'Could not load reviews.');
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [productId, sort, page]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const data = await postProductReview(token, productId, {
+        ...form,
+        rating: Number(form.rating)
+      });
+      setReviews((current) => (sort === 'newest' ? [data.review, ...current] : current));
+      setSummary(data.summary);
+      setForm(EMPTY_FORM);
+      setFormMessage('Thanks for your review!');
+      if (onSummaryChange) {
+        onSummaryChange(data.summary);
+      }
+    } catch (err) {
+      setFormMessage(err.message || 'Could not post your review.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const updateField = (field) => (event) => setForm({ ...form, [field]: event.target.value });
+
+  return (
+    <section className="card reviews-section" aria-label="Customer reviews">
+      <div className="reviews-head">
+        <h2>Customer Reviews</h2>
+        <select
+          value={sort}
+          onChange={(event) => {
+            setSort(event.target.value);
+            setPage(1);
+          }}
+          className="sort-select"
+          aria-label="Sort reviews"
+        >
+          <option value="newest">Newest</option>
+          <option value="oldest">Oldest</option>
+          <option value="highest">Highest rated</option>
+          <option value="lowest">Lowest rated</option>
+        </select>
+      </div>
+
+      {summary ? <RatingHistogram summary={summary} /> : null}
+      {loadError ? <p role="alert">{loadError}</p> : null}
+      {summary && summary.count === 0 ? (
+        <p className="empty-state">No reviews yet. Be the first to share your thoughts.</p>
+      ) : null}
+
+      <ul className="review-list">
+        {reviews.map((review) => (
+          <li key={review.id} className="review-item">
+            <Stars rating={review.rating} />
+            <h3>{review.title}</h3>
+            <p className="review-meta">
+              {review.author} &middot; {new Date(review.createdAt).toLocaleDateString()}
+            </p>
+            <p>{review.body}</p>
+          </li>
+        ))}
+      </ul>
+
+      {pagination && pagination.hasNextPage ? (
+        <button type="button" className="load-more-button" onClick={() => setPage(page + 1)}>
+          Show more reviews
+        </button>
+      ) : null}
+
+      {isAuthenticated ? (
+        <form className="review-form" onSubmit={handleSubmit} aria-label="Write a review">
+          <h3>Write a review</h3>
+          <label>
+            Rating
+            <select value={form.rating} onChange={updateField('rating')} required>
+              <option value="">Choose</option>
+              {STAR_VALUES.map((stars) => (
+                <option key={stars} value={stars}>
+                  {stars} star{stars === 1 ? '' : 's'}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Title
+            <input value={form.title} onChange={updateField('title')} maxLength={120} required />
+          </label>
+          <label>
+            Review
+            <textarea
+              value={form.body}
+              onChange={updateField('body')}
+              minLength={10}
+              maxLength={5000}
+              rows={4}
+              required
+            />
+          </label>
+          <button type="submit" className="buy-button" disabled={submitting}>
+            {submitting ? 'Posting...' : 'Post review'}
+          </button>
+          {formMessage ? <p className="review-form-message">{formMessage}</p> : null}
+        </form>
+      ) : (
+        <p className="review-login-hint">
+          <Link to="/login">Log in</Link> to write a review.
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default ProductReviews;
@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { useCart } from '../context/CartContext';
+
+function PromoCodeForm() {
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { coupon, applyCoupon, removeCoupon } = useCart();
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!code.trim()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await applyCoupon(code.trim());
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      setError(result.message || 'Could not apply promo code.');
+      return;
+    }
+
+    setCode('');
+    setError('');
+  };
+
+  const handleRemove = async () => {
+    const result = await removeCoupon();
+    setError(result.success ? '' : result.message || 'Could not remove promo code.');
+  };
+
+  return (
+    <div className="promo-code">
+      {coupon ? (
+        <div className="promo-code-applied" data-testid="applied-coupon">
+          <span>
+            <strong>{coupon.code}</strong> - {coupon.description}
+          </span>
+          <button type="button" className="promo-code-remove" onClick={handleRemove}>
+            Remove code
+          </button>
+          {!coupon.applied ? <p className="promo-code-warning">{coupon.message}</p> : null}
+        </div>
+      ) : (
+        <form className="promo-code-form" onSubmit={handleSubmit} aria-label="Promo code">
+          <input
+            type="text"
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            placeholder="Promo code"
+            aria-label="Promo code"
+            autoComplete="off"
+          />
+          <button type="submit" disabled={isSubmitting || !code.trim()}>
+            Apply
+          </button>
+        </form>
+      )}
+      {error ? (
+        <p className="promo-code-error" role="alert">
+          {error}
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
+export default PromoCodeForm;
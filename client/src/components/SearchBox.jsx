@@ -0,0 +1,155 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getSuggestions } from '../api/products';
+
+const SUGGEST_DELAY_MS = 150;
+
+function toOptions(suggestions) {
+  if (!suggestions) {
+    return [];
+  }
+
+  return [
+    ...suggestions.products.map((product) => ({
+      type: 'product',
+      key: `product-${product.id}`,
+      label: product.name,
+      hint: product.category,
+      value: product.id
+    })),
+    ...suggestions.categories.map((category) => ({
+      type: 'category',
+      key: `category-${category}`,
+      label: category,
+      hint: 'Category',
+      value: category
+    })),
+    ...suggestions.queries.map((query) => ({
+      type: 'query',
+      key: `query-${query}`,
+      label: query,
+      hint: 'Popular search',
+      value: query
+    }))
+  ];
+}
+
+function SearchBox({ value, onChange, onSelectCategory }) {
+  const [suggestions, setSuggestions] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const query = value.trim();
+    if (!query) {
+      setSuggestions(null);
+      return undefined;
+    }
+
+    let active = true;
+    const timer = setTimeout(() => {
+      getSuggestions(query)
+        .then((data) => {
+          if (active) {
+            setSuggestions(data);
+            setActiveIndex(-1);
+          }
+        })
+        .catch((err) => {
+          console.error('Error fetching suggestions:', err);
+        });
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [value]);
+
+  const options = toOptions(suggestions);
+  const expanded = open && options.length > 0;
+
+  const choose = (option) => {
+    setOpen(false);
+
+    if (option.type === 'product') {
+      navigate(`/products/${option.value}`);
+    } else if (option.type === 'category') {
+      onChange('');
+      onSelectCategory(option.value);
+    } else {
+      onChange(option.value);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (!expanded) {
+      if (event.key === 'ArrowDown' && options.length > 0) {
+        setOpen(true);
+      }
+      return;
+    }
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveIndex((index) => (index + 1) % options.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? options.length - 1 : index - 1));
+    } else if (event.key === 'Enter' && activeIndex >= 0) {
+      event.preventDefault();
+      choose(options[activeIndex]);
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="search-box">
+      <input
+        type="search"
+        value={value}
+        maxLength={100}
+        onChange={(event) => {
+          onChange(event.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        placeholder="Search products by name, category, or description"
+        className="search-input"
+        aria-label="Search products"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls="search-suggestions"
+        aria-activedescendant={
+          expanded && activeIndex >= 0 ? `suggestion-${options[activeIndex].key}` : undefined
+        }
+      />
+      {expanded ? (
+        <ul id="search-suggestions" className="search-suggestions" role="listbox">
+          {options.map((option, index) => (
+            <li
+              key={option.key}
+              id={`suggestion-${option.key}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'suggestion active' : 'suggestion'}
+              // Keeps focus in the input so onBlur does not close the list first.
+              onMouseDown={(event) => event.preventDefault()}
+              onClick={() => choose(option)}
+            >
+              <span>{option.label}</span>
+              <span className="suggestion-hint">{option.hint}</span>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
+
+export default SearchBox;
@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { toCents } from '../lib/money';
+
+function ShippingOptions() {
+  const [error, setError] = useState('');
+  const { shipping, setShippingMethod } = useCart();
+  const { formatPrice } = useCurrency();
+
+  if (!shipping || shipping.options.length === 0) {
+    return null;
+  }
+
+  const standard = shipping.options.find((option) => option.method === 'standard');
+
+  const handleChange = async (method) => {
+    const result = await setShippingMethod(method);
+    setError(result.success ? '' : result.message || 'Could not update shipping method.');
+  };
+
+  return (
+    <fieldset className="shipping-options">
+      <legend>Shipping method</legend>
+      {shipping.options.map((option) => (
+        <label key={option.method} className="shipping-option">
+          <input
+            type="radio"
+            name="shipping-method"
+            value={option.method}
+            checked={shipping.method === option.method}
+            onChange={() => handleChange(option.method)}
+          />
+          <span className="shipping-option-label">
+            {option.label}
+            <small>{option.estimate}</small>
+          </span>
+          <span className="shipping-option-cost">
+            {option.cost === 0 ? 'Free' : formatPrice(toCents(option.cost))}
+          </span>
+        </label>
+      ))}
+      {standard && standard.amountToFreeShipping > 0 ? (
+        <p className="shipping-hint">
+          Add {formatPrice(toCents(standard.amountToFreeShipping))} more for free standard shipping.
+        </p>
+      ) : null}
+      {error ? (
+        <p className="promo-code-error" role="alert">
+          {error}
+        </p>
+      ) : null}
+    </fieldset>
+  );
+}
+
+export default ShippingOptions;
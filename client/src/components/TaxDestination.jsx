@@ -0,0 +1,56 @@
+import { useCart } from '../context/CartContext';
+
+// Mirrors the destinations the server has tax rates for.
+const COUNTRIES = [
+  { code: 'US', name: 'United States', regions: ['CA', 'NY', 'TX', 'WA'] },
+  { code: 'CA', name: 'Canada', regions: ['ON', 'NS', 'QC'] },
+  { code: 'GB', name: 'United Kingdom', regions: [] },
+  { code: 'DE', name: 'Germany', regions: [] }
+];
+
+function TaxDestination() {
+  const { destination, setDestination } = useCart();
+  const country = COUNTRIES.find((item) => item.code === destination?.country);
+
+  return (
+    <div className="tax-destination">
+      <label>
+        Ship to
+        <select
+          value={destination?.country || ''}
+          onChange={(event) =>
+            setDestination(
+              event.target.value ? { country: event.target.value, region: null } : null
+            )
+          }
+          aria-label="Destination country"
+        >
+          <option value="">Choose a country</option>
+          {COUNTRIES.map((item) => (
+            <option key={item.code} value={item.code}>
+              {item.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      {country && country.regions.length > 0 ? (
+        <select
+          value={destination.region || ''}
+          onChange={(event) =>
+            setDestination({ country: country.code, region: event.target.value || null })
+          }
+          aria-label="Destination region"
+        >
+          <option value="">Other region</option>
+          {country.regions.map((region) => (
+            <option key={region} value={region}>
+              {region}
+            </option>
+          ))}
+        </select>
+      ) : null}
+    </div>
+  );
+}
+
+export default TaxDestination;
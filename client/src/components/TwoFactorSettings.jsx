@@ -0,0 +1,176 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  fetchTwoFactorStatus,
+  startTwoFactorSetup
+} from '../api/account';
+
+// Enrollment goes password -> scan QR and confirm a code -> save recovery codes.
+function TwoFactorSettings() {
+  const { token } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await fetchTwoFactorStatus(token));
+    } catch (err) {
+      setError(err.message || 'Could not load two-factor settings.');
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const run = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const handleStartSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      setSetup(await startTwoFactorSetup(token, password));
+      setPassword('');
+    });
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      setRecoveryCodes(await enableTwoFactor(token, code.trim()));
+      setSetup(null);
+      setCode('');
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await disableTwoFactor(token, password);
+      setPassword('');
+      await loadStatus();
+    });
+  };
+
+  const handleRecoveryCodesSaved = async () => {
+    setRecoveryCodes(null);
+    await loadStatus();
+  };
+
+  const passwordField = (
+    <div className="form-group">
+      <label htmlFor="two-factor-password">Current password</label>
+      <input
+        type="password"
+        id="two-factor-password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete="current-password"
+        required
+      />
+    </div>
+  );
+
+  let body = null;
+  if (recoveryCodes) {
+    body = (
+      <div className="two-factor-recovery">
+        <p>
+          Two-factor authentication is on. Save these recovery codes somewhere safe. Each one works
+          once if you lose your authenticator, and they won&apos;t be shown again.
+        </p>
+        <ul className="recovery-codes" aria-label="Recovery codes">
+          {recoveryCodes.map((recoveryCode) => (
+            <li key={recoveryCode}>
+              <code>{recoveryCode}</code>
+            </li>
+          ))}
+        </ul>
+        <button type="button" className="address-add" onClick={handleRecoveryCodesSaved}>
+          I&apos;ve saved my codes
+        </button>
+      </div>
+    );
+  } else if (setup) {
+    body = (
+      <form onSubmit={handleEnable} className="two-factor-setup">
+        <p>Scan this QR code with your authenticator app, then enter the code it shows.</p>
+        <img src={setup.qrCodeDataUrl} alt="QR code for your authenticator app" width="180" />
+        <p className="two-factor-secret">
+          Can&apos;t scan it? Enter this key instead: <code>{setup.secret}</code>
+        </p>
+        <div className="form-group">
+          <label htmlFor="two-factor-confirm-code">Authentication code</label>
+          <input
+            type="text"
+            id="two-factor-confirm-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="one-time-code"
+            required
+          />
+        </div>
+        <div className="address-form-actions">
+          <button type="submit" className="auth-button" disabled={busy}>
+            Turn on
+          </button>
+          <button type="button" className="address-cancel" onClick={() => setSetup(null)}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  } else if (status && status.enabled) {
+    body = (
+      <form onSubmit={handleDisable}>
+        <p>
+          Two-factor authentication is on. You have {status.recoveryCodesRemaining} unused recovery
+          codes.
+        </p>
+        {passwordField}
+        <button type="submit" className="auth-button" disabled={busy}>
+          Turn off two-factor authentication
+        </button>
+      </form>
+    );
+  } else if (status) {
+    body = (
+      <form onSubmit={handleStartSetup}>
+        <p>Protect your account with a code from an authenticator app each time you log in.</p>
+        {passwordField}
+        <button type="submit" className="auth-button" disabled={busy}>
+          Set up two-factor authentication
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <section className="card account-section" aria-label="Two-factor authentication">
+      <h2>Two-factor authentication</h2>
+      {error ? (
+        <p className="error-message" role="alert">
+          {error}
+        </p>
+      ) : null}
+      {body || <p>Loading...</p>}
+    </section>
+  );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,40 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { resendVerificationEmail } from '../api/auth';
+
+// Reminds logged-in users who haven't opened their verification link yet;
+// checkout stays blocked until they do.
+function VerifyEmailBanner() {
+  const { user, token } = useAuth();
+  const [notice, setNotice] = useState('');
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerifiedAt) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      setNotice(await resendVerificationEmail(token));
+    } catch (error) {
+      setNotice(error.message);
+    }
+    setSending(false);
+  };
+
+  return (
+    <div className="verify-email-banner" role="status" data-testid="verify-email-banner">
+      <p>
+        Please confirm your email address. We sent a link to <strong>{user.email}</strong>; you can
+        check out once it&apos;s confirmed.
+      </p>
+      <button type="button" onClick={handleResend} disabled={sending}>
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+      {notice && <p className="verify-email-notice">{notice}</p>}
+    </div>
+  );
+}
+
+export default VerifyEmailBanner;
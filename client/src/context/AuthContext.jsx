@@ -1,7 +1,18 @@
-import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { mergeCart } from '../api/cart';
+import { clearGuestCart, loadGuestCart } from '../lib/guestCart';
 
 const AuthContext = createContext(null);
 
+// Refresh this long before the access token expires so requests in flight
+// don't race the expiry.
+const REFRESH_MARGIN_MS = 60 * 1000;
+// How long to wait before trying again after a refresh failed for a reason
+// other than the refresh token being rejected (offline, server error).
+const REFRESH_RETRY_MS = 30 * 1000;
+
+const readExpiry = () => Number(localStorage.getItem('tokenExpiresAt')) || null;
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -14,15 +25,92 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [loading, setLoading] = useState(true);
+  const [refreshFailures, setRefreshFailures] = useState(0);
 
   const apiUrl = import.meta.env.VITE_API_URL || '';
 
-  const logout = useCallback(() => {
+  const refreshInFlight = useRef(null);
+
+  const storeSession = useCallback(({ token: accessToken, refreshToken, expiresIn }) => {
+    localStorage.setItem('token', accessToken);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+      localStorage.setItem('tokenExpiresAt', String(Date.now() + expiresIn * 1000));
+    }
+    setToken(accessToken);
+  }, []);
+
+  const clearSession = useCallback(() => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('tokenExpiresAt');
     setToken(null);
     setUser(null);
   }, []);
 
+  const logout = useCallback(() => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
+
+    if (refreshToken) {
+      fetch(`${apiUrl}/api/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ refreshToken })
+      }).catch((error) => console.error('Logout error:', error));
+    }
+  }, [apiUrl, clearSession]);
+
+  // Refresh tokens are single-use and reusing one ends the session, so
+  // overlapping callers share one request.
+  const refreshSession = useCallback(() => {
+    if (refreshInFlight.current) {
+      return refreshInFlight.current;
+    }
+
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      return Promise.resolve(false);
+    }
+
+    refreshInFlight.current = (async () => {
+      try {
+        const response = await fetch(`${apiUrl}/api/auth/refresh`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ refreshToken })
+        });
+        // Only a rejected refresh token ends the session; anything else keeps
+        // it so the refresh can be retried.
+        if (response.status === 401 || response.status === 403) {
+          clearSession();
+          return false;
+        }
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || `Token refresh failed with status ${response.status}`);
+        }
+
+        storeSession(data.data);
+        setRefreshFailures(0);
+        return true;
+      } catch (error) {
+        console.error('Token refresh error:', error);
+        setRefreshFailures((failures) => failures + 1);
+        return false;
+      } finally {
+        refreshInFlight.current = null;
+      }
+    })();
+
+    return refreshInFlight.current;
+  }, [apiUrl, storeSession, clearSession]);
+
   const fetchUser = useCallback(async () => {
     try {
       const response = await fetch(`${apiUrl}/api/auth/me`, {
@@ -37,20 +125,69 @@ export const AuthProvider = ({ children }) => {
         logout();
       }
     } catch (error) {
+      // Network trouble is not a reason to drop the session.
       console.error('Error fetching user:', error);
-      logout();
     } finally {
       setLoading(false);
     }
   }, [apiUrl, token, logout]);
 
+  // Moves a cart built while logged out into the account. A failed merge keeps
+  // the guest cart so it can be merged at the next login.
+  const mergeGuestCart = async (authToken) => {
+    const guestItems = loadGuestCart();
+    if (guestItems.length === 0) {
+      return;
+    }
+
+    try {
+      await mergeCart(authToken, guestItems);
+      clearGuestCart();
+    } catch (error) {
+      console.error('Guest cart merge error:', error);
+    }
+  };
+
+  const startSession = async (session) => {
+    await mergeGuestCart(session.token);
+    storeSession(session);
+    setUser(session.user);
+  };
+
   useEffect(() => {
-    if (token) {
-      fetchUser();
-    } else {
+    if (!token) {
       setLoading(false);
+      return;
+    }
+
+    // An access token that expired while the app was closed is swapped first;
+    // the new token re-runs this effect.
+    const expiresAt = readExpiry();
+    if (expiresAt && expiresAt <= Date.now()) {
+      refreshSession().then((refreshed) => {
+        if (!refreshed) {
+          setLoading(false);
+        }
+      });
+      return;
+    }
+
+    fetchUser();
+  }, [token, fetchUser, refreshSession]);
+
+  useEffect(() => {
+    const expiresAt = readExpiry();
+    if (!token || !expiresAt) {
+      return undefined;
     }
-  }, [token, fetchUser]);
+
+    const delay =
+      refreshFailures > 0
+        ? REFRESH_RETRY_MS
+        : Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0);
+    const timer = setTimeout(refreshSession, delay);
+    return () => clearTimeout(timer);
+  }, [token, refreshSession, refreshFailures]);
 
   const signup = async (email, password, firstName, lastName) => {
     try {
@@ -64,9 +201,7 @@ export const AuthProvider = ({ children }) => {
       const data = await response.json();
 
       if (data.success) {
-        localStorage.setItem('token', data.data.token);
-        setToken(data.data.token);
-        setUser(data.data.user);
+        await startSession(data.data);
         return { success: true };
       }
       return { success: false, message: data.message };
@@ -87,26 +222,60 @@ export const AuthProvider = ({ children }) => {
       });
       const data = await response.json();
 
+      // With 2FA on, the password step only returns a challenge for
+      // completeTwoFactorLogin.
+      if (data.success && data.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: data.data.challengeToken
+        };
+      }
+
       if (data.success) {
-        localStorage.setItem('token', data.data.token);
-        setToken(data.data.token);
-        setUser(data.data.user);
+        await startSession(data.data);
         return { success: true };
       }
-      return { success: false, message: data.message };
+      // retryAfter (seconds) is set when the account or client is rate limited
+      return { success: false, message: data.message, retryAfter: data.retryAfter };
     } catch (error) {
       console.error('Login error:', error);
       return { success: false, message: 'Network error. Please try again.' };
     }
   };
 
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await fetch(`${apiUrl}/api/auth/login/2fa`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ challengeToken, code })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        await startSession(data.data);
+        return { success: true };
+      }
+      return { success: false, message: data.message, retryAfter: data.retryAfter };
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return { success: false, message: 'Network error. Please try again.' };
+    }
+  };
+
   const value = {
     user,
     token,
     loading,
     signup,
     login,
+    completeTwoFactorLogin,
     logout,
+    refreshUser: fetchUser,
+    sessionError: refreshFailures > 0 ? 'Could not refresh your session. Retrying shortly.' : '',
     isAuthenticated: !!user
   };
 
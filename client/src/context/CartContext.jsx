@@ -1,51 +1,104 @@
 import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
 import { useAuth } from './AuthContext';
-import { addCartItem, clearUserCart, fetchCart, removeCartItem, updateCartItem } from '../api/cart';
+import {
+  acknowledgePriceChange as acknowledgeCartPrice,
+  addCartItem,
+  applyCoupon as applyCartCoupon,
+  clearUserCart,
+  fetchCart,
+  moveToWishlist as moveCartItemToWishlist,
+  removeCartItem,
+  removeCoupon as removeCartCoupon,
+  selectShippingMethod,
+  updateCartItem
+} from '../api/cart';
+import {
+  addGuestItem,
+  clearGuestCart,
+  loadGuestCart,
+  removeGuestItem,
+  saveGuestCart,
+  updateGuestItem
+} from '../lib/guestCart';
+import { moveWishlistItemToCart } from '../api/wishlist';
+import { multiplyCents, priceCentsOf, sumCents, toCents } from '../lib/money';
 
 const CartContext = createContext(null);
 
+const DESTINATION_KEY = 'taxDestination';
+
+function loadDestination() {
+  try {
+    return JSON.parse(localStorage.getItem(DESTINATION_KEY)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 export function CartProvider({ children }) {
   const [items, setItems] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [shipping, setShipping] = useState(null);
+  const [coupon, setCoupon] = useState(null);
+  const [tax, setTax] = useState(null);
+  const [destination, setDestinationState] = useState(loadDestination);
   const [isSyncing, setIsSyncing] = useState(false);
+  const [isDrawerOpen, setIsDrawerOpen] = useState(false);
   const { token, isAuthenticated } = useAuth();
 
-  const ensureAuthenticated = () => {
-    if (!isAuthenticated || !token) {
+  const isGuest = !isAuthenticated || !token;
+
+  // Applies a change to the localStorage cart; `change` throws on stock conflicts.
+  const updateGuestCart = (change, fallbackMessage) => {
+    try {
+      const nextItems = change(loadGuestCart());
+      saveGuestCart(nextItems);
+      setItems(nextItems);
+      return { success: true };
+    } catch (error) {
       return {
         success: false,
-        message: 'Please log in to manage your cart.'
+        message: error.message || fallbackMessage,
+        availableQuantity: error.availableQuantity
       };
     }
-
-    return { success: true };
   };
 
+  const setCart = useCallback((cart) => {
+    setItems(cart.items);
+    setTotals(cart.totals);
+    setShipping(cart.shipping);
+    setTax(cart.tax);
+    setCoupon(cart.coupon);
+  }, []);
+
   const refreshCart = useCallback(async () => {
     if (!isAuthenticated || !token) {
-      setItems([]);
+      setCart({ items: loadGuestCart(), totals: null, shipping: null, tax: null, coupon: null });
       return;
     }
 
     try {
       setIsSyncing(true);
-      const nextItems = await fetchCart(token);
-      setItems(nextItems);
+      setCart(await fetchCart(token, destination));
     } catch (error) {
       console.error('Failed to load user cart:', error);
-      setItems([]);
+      setCart({ items: [], totals: null, shipping: null, tax: null, coupon: null });
     } finally {
       setIsSyncing(false);
     }
-  }, [isAuthenticated, token]);
+  }, [isAuthenticated, token, destination, setCart]);
 
   useEffect(() => {
     refreshCart();
   }, [refreshCart]);
 
   const addToCart = async (product) => {
-    const auth = ensureAuthenticated();
-    if (!auth.success) {
-      return auth;
+    if (isGuest) {
+      return updateGuestCart(
+        (current) => addGuestItem(current, product, 1),
+        'Failed to add item to cart.'
+      );
     }
 
     try {
@@ -55,15 +108,18 @@ export function CartProvider({ children }) {
     } catch (error) {
       return {
         success: false,
-        message: error.message || 'Failed to add item to cart.'
+        message: error.message || 'Failed to add item to cart.',
+        availableQuantity: error.availableQuantity
       };
     }
   };
 
   const removeFromCart = async (productId) => {
-    const auth = ensureAuthenticated();
-    if (!auth.success) {
-      return auth;
+    if (isGuest) {
+      return updateGuestCart(
+        (current) => removeGuestItem(current, productId),
+        'Failed to remove item.'
+      );
     }
 
     try {
@@ -79,9 +135,11 @@ export function CartProvider({ children }) {
   };
 
   const updateQuantity = async (productId, quantity) => {
-    const auth = ensureAuthenticated();
-    if (!auth.success) {
-      return auth;
+    if (isGuest) {
+      return updateGuestCart(
+        (current) => updateGuestItem(current, productId, quantity),
+        'Failed to update quantity.'
+      );
     }
 
     try {
@@ -91,15 +149,17 @@ export function CartProvider({ children }) {
     } catch (error) {
       return {
         success: false,
-        message: error.message || 'Failed to update quantity.'
+        message: error.message || 'Failed to update quantity.',
+        availableQuantity: error.availableQuantity
       };
     }
   };
 
   const clearCart = async () => {
-    const auth = ensureAuthenticated();
-    if (!auth.success) {
-      return auth;
+    if (isGuest) {
+      clearGuestCart();
+      setItems([]);
+      return { success: true };
     }
 
     try {
@@ -114,11 +174,137 @@ export function CartProvider({ children }) {
     }
   };
 
+  // Guest carts never carry price changes, so only account carts reach the API.
+  const acknowledgePriceChange = async (productId) => {
+    if (isGuest) {
+      return { success: true };
+    }
+
+    try {
+      await acknowledgeCartPrice(token, productId);
+      await refreshCart();
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to update cart.'
+      };
+    }
+  };
+
+  // The wishlist is account-only, so guests are asked to log in first.
+  const moveToWishlist = async (productId) => {
+    if (isGuest) {
+      return { success: false, message: 'Log in to save items for later.' };
+    }
+
+    try {
+      await moveCartItemToWishlist(token, productId);
+      await refreshCart();
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to move item to wishlist.'
+      };
+    }
+  };
+
+  const moveToCart = async (productId) => {
+    if (isGuest) {
+      return { success: false, message: 'Log in to save items for later.' };
+    }
+
+    try {
+      await moveWishlistItemToCart(token, productId);
+      await refreshCart();
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to move item to cart.'
+      };
+    }
+  };
+
+  // Promo codes live on the account cart; guests are asked to log in first.
+  const applyCoupon = async (code) => {
+    if (isGuest) {
+      return { success: false, message: 'Log in to use promo codes.' };
+    }
+
+    try {
+      setCart(await applyCartCoupon(token, code, destination));
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to apply promo code.'
+      };
+    }
+  };
+
+  const removeCoupon = async () => {
+    if (isGuest) {
+      return { success: true };
+    }
+
+    try {
+      setCart(await removeCartCoupon(token, destination));
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to remove promo code.'
+      };
+    }
+  };
+
+  const setShippingMethod = async (method) => {
+    if (isGuest) {
+      return { success: false, message: 'Log in to choose a shipping method.' };
+    }
+
+    try {
+      setCart(await selectShippingMethod(token, method, destination));
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to update shipping method.'
+      };
+    }
+  };
+
+  // Remembered across visits; changing it reloads the cart with the new tax.
+  const setDestination = useCallback((nextDestination) => {
+    if (nextDestination) {
+      localStorage.setItem(DESTINATION_KEY, JSON.stringify(nextDestination));
+    } else {
+      localStorage.removeItem(DESTINATION_KEY);
+    }
+    setDestinationState(nextDestination);
+  }, []);
+
+  const openDrawer = useCallback(() => setIsDrawerOpen(true), []);
+  const closeDrawer = useCallback(() => setIsDrawerOpen(false), []);
+
   const cartCount = useMemo(() => items.reduce((total, item) => total + item.quantity, 0), [items]);
 
-  const cartTotal = useMemo(
-    () => items.reduce((total, item) => total + item.quantity * Number(item.price), 0),
-    [items]
+  const priceChanges = useMemo(() => items.filter((item) => item.priceChange), [items]);
+
+  // Account carts use the server's grand total (discounts, shipping and tax);
+  // guest carts are summed here in cents.
+  const cartTotalCents = useMemo(
+    () =>
+      totals
+        ? toCents(totals.total)
+        : sumCents(
+            items
+              .filter((item) => item.available !== false)
+              .map((item) => multiplyCents(priceCentsOf(item), item.quantity))
+          ),
+    [items, totals]
   );
 
   const value = {
@@ -127,10 +313,26 @@ export function CartProvider({ children }) {
     removeFromCart,
     updateQuantity,
     clearCart,
+    moveToWishlist,
+    moveToCart,
     cartCount,
-    cartTotal,
+    cartTotalCents,
+    totals,
+    shipping,
+    setShippingMethod,
+    tax,
+    destination,
+    setDestination,
+    coupon,
+    applyCoupon,
+    removeCoupon,
     isSyncing,
-    refreshCart
+    refreshCart,
+    priceChanges,
+    acknowledgePriceChange,
+    isDrawerOpen,
+    openDrawer,
+    closeDrawer
   };
 
   return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
@@ -0,0 +1,49 @@
+import { createContext, useCallback, useContext, useState } from 'react';
+import { convertMoney, formatMoney } from '../lib/money';
+import { EXCHANGE_RATES, STORE_CURRENCY } from '../lib/exchangeRates';
+
+const CurrencyContext = createContext(null);
+
+const DISPLAY_CURRENCY_KEY = 'displayCurrency';
+
+function loadDisplayCurrency() {
+  const stored = localStorage.getItem(DISPLAY_CURRENCY_KEY);
+  return stored && EXCHANGE_RATES[stored] ? stored : STORE_CURRENCY;
+}
+
+export function CurrencyProvider({ children }) {
+  const [displayCurrency, setDisplayCurrencyState] = useState(loadDisplayCurrency);
+
+  const setDisplayCurrency = useCallback((currency) => {
+    localStorage.setItem(DISPLAY_CURRENCY_KEY, currency);
+    setDisplayCurrencyState(currency);
+  }, []);
+
+  // Falls back to the original currency when there is no rate to convert with.
+  const formatPrice = useCallback(
+    (amount, currency = STORE_CURRENCY) => {
+      const converted = convertMoney(amount, currency, displayCurrency);
+      return converted === null
+        ? formatMoney(amount, currency)
+        : formatMoney(converted, displayCurrency);
+    },
+    [displayCurrency]
+  );
+
+  const value = {
+    displayCurrency,
+    setDisplayCurrency,
+    formatPrice,
+    isConverted: displayCurrency !== STORE_CURRENCY
+  };
+
+  return <CurrencyContext.Provider value={value}>{children}</CurrencyContext.Provider>;
+}
+
+export function useCurrency() {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+}
@@ -0,0 +1,13 @@
+// Units of each currency per US dollar, used only to display converted prices.
+// Orders are always charged in the store currency. Update these by hand.
+export const STORE_CURRENCY = 'USD';
+
+export const EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.37,
+  JPY: 149.5
+};
+
+export const DISPLAY_CURRENCIES = Object.keys(EXCHANGE_RATES);
@@ -0,0 +1,75 @@
+const STORAGE_KEY = 'guestCart';
+
+// Guest carts use the same item shape as GET /api/cart: the product plus `quantity`.
+export function loadGuestCart() {
+  try {
+    const items = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(items) ? items : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveGuestCart(items) {
+  if (items.length === 0) {
+    localStorage.removeItem(STORAGE_KEY);
+    return;
+  }
+
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+}
+
+export function clearGuestCart() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+function stockError(product) {
+  const error = new Error(
+    product.stock > 0 ? `Only ${product.stock} left in stock` : `${product.name} is out of stock`
+  );
+  error.availableQuantity = product.stock;
+  return error;
+}
+
+// Mirrors the server's stock checks so guests see the same messages.
+export function addGuestItem(items, product, quantity = 1) {
+  if (product.available === false) {
+    throw new Error('Product is no longer available');
+  }
+
+  const existing = items.find((item) => item.id === product.id);
+  const nextQuantity = (existing ? existing.quantity : 0) + quantity;
+
+  if (nextQuantity > product.stock) {
+    throw stockError(product);
+  }
+
+  if (existing) {
+    return items.map((item) =>
+      item.id === product.id ? { ...item, quantity: nextQuantity } : item
+    );
+  }
+
+  return [...items, { ...product, quantity: nextQuantity }];
+}
+
+export function updateGuestItem(items, productId, quantity) {
+  if (quantity <= 0) {
+    return removeGuestItem(items, productId);
+  }
+
+  const existing = items.find((item) => item.id === productId);
+  if (!existing) {
+    return items;
+  }
+
+  if (quantity > existing.stock) {
+    throw stockError(existing);
+  }
+
+  return items.map((item) => (item.id === productId ? { ...item, quantity } : item));
+}
+
+export function removeGuestItem(items, productId) {
+  return items.filter((item) => item.id !== productId);
+}
@@ -0,0 +1,49 @@
+import { EXCHANGE_RATES, STORE_CURRENCY } from './exchangeRates';
+
+// Amounts are integer minor units (cents for USD, whole yen for JPY) so sums
+// of discounted and taxed lines never pick up float rounding errors.
+
+function minorDigits(currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions()
+    .maximumFractionDigits;
+}
+
+export function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+// Guest carts saved before products carried `priceCents` only have `price`.
+export function priceCentsOf(item) {
+  return Number.isInteger(item.priceCents) ? item.priceCents : toCents(item.price);
+}
+
+export function multiplyCents(cents, quantity) {
+  return Math.round(cents * quantity);
+}
+
+export function sumCents(values) {
+  return values.reduce((total, cents) => total + cents, 0);
+}
+
+export function formatMoney(amount, currency = STORE_CURRENCY) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(
+    amount / 10 ** minorDigits(currency)
+  );
+}
+
+/**
+ * Converts minor units between currencies through the local rate table.
+ * Returns null when either currency has no configured rate.
+ */
+export function convertMoney(amount, from, to, rates = EXCHANGE_RATES) {
+  if (from === to) {
+    return amount;
+  }
+
+  if (!rates[from] || !rates[to]) {
+    return null;
+  }
+
+  const major = amount / 10 ** minorDigits(from);
+  return Math.round((major / rates[from]) * rates[to] * 10 ** minorDigits(to));
+}
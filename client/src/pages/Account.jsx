@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { createAddress, deleteAddress, fetchAddresses, updateAddress } from '../api/account';
+import AddressForm from '../components/AddressForm';
+import AddressPicker from '../components/AddressPicker';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+
+function Account() {
+  const { user, token, isAuthenticated, loading } = useAuth();
+  const [addresses, setAddresses] = useState([]);
+  const [addressesLoading, setAddressesLoading] = useState(true);
+  const [error, setError] = useState('');
+  // null (closed), 'new', or the address being edited.
+  const [editing, setEditing] = useState(null);
+
+  const loadAddresses = useCallback(async () => {
+    try {
+      setAddresses(await fetchAddresses(token));
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Could not load addresses.');
+    } finally {
+      setAddressesLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadAddresses();
+    }
+  }, [isAuthenticated, loadAddresses]);
+
+  if (loading && token) {
+    return <main className="container">Loading...</main>;
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  const handleSave = async (values) => {
+    try {
+      if (editing === 'new') {
+        await createAddress(token, values);
+      } else {
+        await updateAddress(token, editing.id, values);
+      }
+    } catch (err) {
+      return { success: false, message: err.message };
+    }
+
+    setEditing(null);
+    await loadAddresses();
+    return { success: true };
+  };
+
+  const handleMakeDefault = async (address) => {
+    try {
+      await updateAddress(token, address.id, { isDefault: true });
+      await loadAddresses();
+    } catch (err) {
+      setError(err.message || 'Could not change the default address.');
+    }
+  };
+
+  const handleDelete = async (address) => {
+    try {
+      await deleteAddress(token, address.id);
+      await loadAddresses();
+    } catch (err) {
+      setError(err.message || 'Could not delete address.');
+    }
+  };
+
+  const defaultAddress = addresses.find((address) => address.isDefault);
+
+  return (
+    <main className="container account-page">
+      <Link to="/" className="back-link">
+        &lt;- Back to products
+      </Link>
+      <section className="card account-section">
+        <h1>My account</h1>
+        <p className="account-email">{user.email}</p>
+      </section>
+      <section className="card account-section" aria-label="Address book">
+        <div className="section-head">
+          <h2>Address book</h2>
+          {!editing ? (
+            <button type="button" className="address-add" onClick={() => setEditing('new')}>
+              Add address
+            </button>
+          ) : null}
+        </div>
+        {error ? (
+          <p className="error-message" role="alert">
+            {error}
+          </p>
+        ) : null}
+        {editing ? (
+          <AddressForm
+            key={editing === 'new' ? 'new' : editing.id}
+            address={editing === 'new' ? null : editing}
+            onSubmit={handleSave}
+            onCancel={() => setEditing(null)}
+            submitLabel={editing === 'new' ? 'Save address' : 'Update address'}
+          />
+        ) : null}
+        {addressesLoading ? <p>Loading addresses...</p> : null}
+        {!addressesLoading && addresses.length === 0 && !editing ? (
+          <p className="empty-state">You have no saved addresses yet.</p>
+        ) : null}
+        {addresses.length > 0 ? (
+          <AddressPicker
+            addresses={addresses}
+            selectedId={defaultAddress ? defaultAddress.id : null}
+            onSelect={handleMakeDefault}
+            legend="Default address"
+            renderActions={(address) => (
+              <div className="address-actions">
+                <button
+                  type="button"
+                  onClick={() => setEditing(address)}
+                  aria-label={`Edit ${address.label || address.fullName}`}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(address)}
+                  aria-label={`Delete ${address.label || address.fullName}`}
+                >
+                  Delete
+                </button>
+              </div>
+            )}
+          />
+        ) : null}
+      </section>
+      <TwoFactorSettings />
+    </main>
+  );
+}
+
+export default Account;
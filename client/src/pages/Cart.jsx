@@ -0,0 +1,229 @@
+import { Fragment, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { STORE_CURRENCY } from '../lib/exchangeRates';
+import { multiplyCents, priceCentsOf, toCents } from '../lib/money';
+import MiniCart from '../components/MiniCart';
+import PriceChangeNotices from '../components/PriceChangeNotices';
+import PromoCodeForm from '../components/PromoCodeForm';
+import ShippingOptions from '../components/ShippingOptions';
+import TaxDestination from '../components/TaxDestination';
+
+// Keeps a draft while typing and only sends the quantity on blur or Enter.
+function QuantityInput({ item, onCommit }) {
+  const [draft, setDraft] = useState(String(item.quantity));
+
+  useEffect(() => {
+    setDraft(String(item.quantity));
+  }, [item.quantity]);
+
+  const commit = () => {
+    const quantity = Number(draft);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      setDraft(String(item.quantity));
+      return;
+    }
+
+    if (quantity !== item.quantity) {
+      onCommit(quantity);
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      className="cart-quantity-input"
+      min="0"
+      max={item.stock}
+      value={draft}
+      disabled={item.available === false}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter') {
+          commit();
+        }
+      }}
+      aria-label={`Quantity for ${item.name}`}
+    />
+  );
+}
+
+function Cart() {
+  const [cartNotice, setCartNotice] = useState('');
+  const { isAuthenticated } = useAuth();
+  const {
+    items,
+    removeFromCart,
+    updateQuantity,
+    clearCart,
+    cartTotalCents,
+    totals,
+    shipping,
+    tax
+  } = useCart();
+  const { formatPrice, isConverted } = useCurrency();
+
+  // Line totals, discounts and the summary come from the server in store
+  // currency units; guest lines are worked out here in cents.
+  const formatAmount = (amount) => formatPrice(toCents(amount));
+  const lineTotalCents = (item) =>
+    item.lineTotal === undefined
+      ? multiplyCents(priceCentsOf(item), item.quantity)
+      : toCents(item.lineTotal);
+
+  const handleQuantityChange = async (item, quantity) => {
+    const result = await updateQuantity(item.id, quantity);
+    setCartNotice(result.success ? '' : result.message || 'Could not update cart.');
+  };
+
+  return (
+    <main className="container cart-page">
+      <header className="store-topbar">
+        <Link to="/" className="back-link">
+          &lt;- Continue shopping
+        </Link>
+        <div className="store-actions">
+          <MiniCart />
+        </div>
+      </header>
+
+      <section className="card cart-section" aria-label="shopping-cart">
+        <div className="cart-head">
+          <h1>Shopping Cart</h1>
+          {items.length > 0 ? (
+            <button
+              type="button"
+              className="clear-cart-button"
+              onClick={() => {
+                clearCart();
+              }}
+            >
+              Clear cart
+            </button>
+          ) : null}
+        </div>
+        {!isAuthenticated ? <p>Log in to save your cart to your account.</p> : null}
+        {cartNotice ? <p className="cart-notice">{cartNotice}</p> : null}
+        <PriceChangeNotices />
+        {items.length === 0 ? (
+          <p className="empty-state">
+            Your cart is empty. <Link to="/">Browse products</Link> to get started.
+          </p>
+        ) : (
+          <>
+            <ul className="cart-list">
+              {items.map((item) => (
+                <li className="cart-item" key={item.id} data-testid={`cart-line-${item.id}`}>
+                  <div>
+                    <Link to={`/products/${item.id}`} className="cart-item-name">
+                      {item.name}
+                    </Link>
+                    <p className="cart-item-meta">
+                      {item.available === false
+                        ? 'No longer available'
+                        : `${formatPrice(priceCentsOf(item), item.currency)} each`}
+                    </p>
+                    {item.available !== false && item.quantity >= item.stock ? (
+                      <p className="cart-item-stock">Only {item.stock} in stock</p>
+                    ) : null}
+                  </div>
+                  <div className="cart-item-actions">
+                    <button
+                      type="button"
+                      onClick={() => handleQuantityChange(item, item.quantity - 1)}
+                      aria-label={`Decrease quantity for ${item.name}`}
+                      disabled={item.available === false}
+                    >
+                      -
+                    </button>
+                    <QuantityInput
+                      item={item}
+                      onCommit={(quantity) => handleQuantityChange(item, quantity)}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => handleQuantityChange(item, item.quantity + 1)}
+                      aria-label={`Increase quantity for ${item.name}`}
+                      disabled={item.available === false || item.quantity >= item.stock}
+                    >
+                      +
+                    </button>
+                    <span className="cart-line-subtotal">
+                      {item.available === false
+                        ? '-'
+                        : formatPrice(lineTotalCents(item), item.currency)}
+                      {item.discount > 0 ? (
+                        <small className="cart-line-discount">
+                          -{formatAmount(item.discount)} promo
+                        </small>
+                      ) : null}
+                    </span>
+                    <button
+                      type="button"
+                      className="remove-item-button"
+                      onClick={() => removeFromCart(item.id)}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            {isAuthenticated ? (
+              <>
+                <TaxDestination />
+                <ShippingOptions />
+                <PromoCodeForm />
+              </>
+            ) : (
+              <>
+                <p className="promo-code-hint">Log in to use promo codes.</p>
+                <p className="promo-code-hint">Shipping is calculated once you log in.</p>
+              </>
+            )}
+            {totals ? (
+              <dl className="cart-summary">
+                <dt>Subtotal</dt>
+                <dd>{formatAmount(totals.subtotal)}</dd>
+                {totals.discount > 0 ? (
+                  <>
+                    <dt>Discount</dt>
+                    <dd>-{formatAmount(totals.discount)}</dd>
+                  </>
+                ) : null}
+                {shipping && shipping.selected ? (
+                  <>
+                    <dt>Shipping ({shipping.selected.label})</dt>
+                    <dd>{totals.shipping === 0 ? 'Free' : formatAmount(totals.shipping)}</dd>
+                  </>
+                ) : null}
+                {tax
+                  ? tax.lines.map((line) => (
+                      <Fragment key={line.rate}>
+                        <dt>{tax.pricesIncludeTax ? `Includes ${line.label}` : line.label}</dt>
+                        <dd>{formatAmount(line.amount)}</dd>
+                      </Fragment>
+                    ))
+                  : null}
+              </dl>
+            ) : null}
+            {isAuthenticated && !tax ? (
+              <p className="promo-code-hint">Choose where to ship to see tax.</p>
+            ) : null}
+            <p className="cart-total">Total: {formatPrice(cartTotalCents)}</p>
+            {isConverted ? (
+              <p className="currency-note">
+                Converted prices are estimates. You are charged in {STORE_CURRENCY}.
+              </p>
+            ) : null}
+          </>
+        )}
+      </section>
+    </main>
+  );
+}
+
+export default Cart;
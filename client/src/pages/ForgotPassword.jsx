@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { requestPasswordReset } from '../api/auth';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      setMessage(await requestPasswordReset(email));
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Forgot your password?</h2>
+        {error && (
+          <div className="error-message" role="alert">
+            {error}
+          </div>
+        )}
+        {message ? (
+          <div className="success-message" role="status">
+            {message}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} data-testid="forgot-password-form">
+            <p className="auth-hint">
+              Enter the email you signed up with and we&apos;ll send you a link to choose a new
+              password.
+            </p>
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                required
+                aria-label="Email"
+                data-testid="email-input"
+              />
+            </div>
+            <button
+              type="submit"
+              className="auth-button"
+              disabled={loading}
+              data-testid="forgot-password-button"
+            >
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+        <p className="auth-link">
+          Remembered it? <Link to="/login">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
@@ -1,19 +1,47 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { Link } from 'react-router-dom';
 import { getProducts } from '../api/products';
 import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { priceCentsOf } from '../lib/money';
+import FilterSidebar from '../components/FilterSidebar';
+import SearchBox from '../components/SearchBox';
+import MiniCart from '../components/MiniCart';
+import CurrencySelect from '../components/CurrencySelect';
+import PriceChangeNotices from '../components/PriceChangeNotices';
+import VerifyEmailBanner from '../components/VerifyEmailBanner';
+
+const EMPTY_FILTERS = { categories: [], price: null, minRating: null, inStock: false };
+
+// Facet buckets are [min, max); the API's maxPrice is inclusive, so stop a cent short.
+function toPriceParams(bucket) {
+  if (!bucket) {
+    return { minPrice: '', maxPrice: '' };
+  }
+
+  return {
+    minPrice: bucket.min > 0 ? bucket.min : '',
+    maxPrice: bucket.max === null ? '' : (bucket.max - 0.01).toFixed(2)
+  };
+}
 
 function Home() {
   const [healthData, setHealthData] = useState(null);
   const [products, setProducts] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [facets, setFacets] = useState(null);
   const [productsLoading, setProductsLoading] = useState(true);
   const [productsError, setProductsError] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [sort, setSort] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
   const [cartNotice, setCartNotice] = useState('');
   const { user, logout, isAuthenticated } = useAuth();
-  const { items, addToCart, removeFromCart, updateQuantity, clearCart, cartCount, cartTotal } =
-    useCart();
+  const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
 
   useEffect(() => {
     const apiUrl = import.meta.env.VITE_API_URL || '';
@@ -21,33 +49,59 @@ function Home() {
       .then((res) => res.json())
       .then((data) => setHealthData(data))
       .catch((err) => console.error('Error fetching health check:', err));
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedQuery(searchQuery.trim());
+      setPage(1);
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  useEffect(() => {
+    let active = true;
+    setProductsLoading(true);
 
-    getProducts()
+    getProducts({
+      q: debouncedQuery,
+      category: filters.categories,
+      ...toPriceParams(filters.price),
+      minRating: filters.minRating,
+      inStock: filters.inStock,
+      sort,
+      page: page > 1 ? page : ''
+    })
       .then((data) => {
-        setProducts(data);
+        if (active) {
+          setProducts(data.products);
+          setPagination(data.pagination);
+          setFacets(data.facets);
+          setProductsError('');
+        }
       })
       .catch((err) => {
         console.error('Error fetching products:', err);
-        setProductsError('Could not load products right now.');
+        if (active) {
+          setProductsError('Could not load products right now.');
+        }
       })
       .finally(() => {
-        setProductsLoading(false);
+        if (active) {
+          setProductsLoading(false);
+        }
       });
-  }, []);
 
-  const filteredProducts = useMemo(() => {
-    const normalized = searchQuery.trim().toLowerCase();
-    if (!normalized) {
-      return products;
-    }
+    return () => {
+      active = false;
+    };
+  }, [debouncedQuery, filters, sort, page]);
 
-    return products.filter((product) => {
-      return [product.name, product.category, product.description]
-        .join(' ')
-        .toLowerCase()
-        .includes(normalized);
-    });
-  }, [products, searchQuery]);
+  const handleFiltersChange = (nextFilters) => {
+    setFilters(nextFilters);
+    setPage(1);
+  };
 
   const handleAddToCart = async (product) => {
     const result = await addToCart(product);
@@ -64,12 +118,17 @@ function Home() {
       <header className="store-topbar">
         <h1>ShopSmart</h1>
         <div className="store-actions">
-          <div className="cart-pill" data-testid="cart-count-pill">
-            Cart: {cartCount} item{cartCount === 1 ? '' : 's'}
-          </div>
+          <CurrencySelect />
+          <MiniCart />
           {isAuthenticated ? (
             <div className="user-section">
               <p className="welcome-text">Welcome, {user.firstName || user.email}!</p>
+              <Link to="/wishlist" className="nav-link" data-testid="wishlist-link">
+                Wishlist
+              </Link>
+              <Link to="/account" className="nav-link" data-testid="account-link">
+                My account
+              </Link>
               <button onClick={logout} className="logout-button" data-testid="logout-button">
                 Logout
               </button>
@@ -87,6 +146,8 @@ function Home() {
         </div>
       </header>
 
+      <VerifyEmailBanner />
+
       <section className="hero-shell" aria-label="hero">
         <p className="hero-kicker">Spring deals</p>
         <p className="hero-subtitle">
@@ -105,121 +166,107 @@ function Home() {
           <p>Handpicked items with premium quality and competitive pricing.</p>
         </div>
         <div className="catalog-toolbar">
-          <input
-            type="search"
+          <SearchBox
             value={searchQuery}
-            onChange={(event) => setSearchQuery(event.target.value)}
-            placeholder="Search products by name, category, or description"
-            className="search-input"
-            aria-label="Search products"
+            onChange={setSearchQuery}
+            onSelectCategory={(category) =>
+              handleFiltersChange({ ...filters, categories: [category] })
+            }
           />
+          <select
+            value={sort}
+            onChange={(event) => {
+              setSort(event.target.value);
+              setPage(1);
+            }}
+            className="sort-select"
+            aria-label="Sort products"
+          >
+            <option value="">{debouncedQuery ? 'Best match' : 'Featured'}</option>
+            <option value="price-asc">Price: low to high</option>
+            <option value="price-desc">Price: high to low</option>
+            <option value="rating">Top rated</option>
+            <option value="newest">Newest</option>
+            <option value="name">Name</option>
+          </select>
           <p className="results-count">
-            Showing {filteredProducts.length} of {products.length} products
+            Showing {products.length} of {pagination ? pagination.total : products.length} products
           </p>
         </div>
         {cartNotice ? <p className="cart-notice">{cartNotice}</p> : null}
-        {productsLoading ? <p>Loading products...</p> : null}
-        {!productsLoading && productsError ? <p role="alert">{productsError}</p> : null}
-        {!productsLoading && !productsError ? (
-          <div className="products-grid" data-testid="products-grid">
-            {filteredProducts.map((product) => (
-              <article
-                key={product.id}
-                className="product-card"
-                data-testid={`product-card-${product.id}`}
-              >
-                <img src={product.image} alt={product.name} className="product-image" />
-                <div className="product-card-content">
-                  <p className="product-category">{product.category}</p>
-                  <h3>{product.name}</h3>
-                  <p className="product-description">{product.description}</p>
-                  <div className="product-footer">
-                    <span className="product-price">${Number(product.price).toFixed(2)}</span>
-                    <div className="product-actions">
-                      <button
-                        type="button"
-                        className="add-cart-button"
-                        onClick={() => {
-                          handleAddToCart(product);
-                        }}
-                      >
-                        Add to cart
-                      </button>
-                      <Link
-                        className="view-details-link"
-                        to={`/products/${product.id}`}
-                        data-testid={`product-link-${product.id}`}
-                      >
-                        View details
-                      </Link>
+        <PriceChangeNotices />
+        <div className="catalog-layout">
+          <FilterSidebar facets={facets} filters={filters} onChange={handleFiltersChange} />
+          <div className="catalog-results">
+            {productsLoading ? <p>Loading products...</p> : null}
+            {!productsLoading && productsError ? <p role="alert">{productsError}</p> : null}
+            {!productsLoading && !productsError ? (
+              <div className="products-grid" data-testid="products-grid">
+                {products.map((product) => (
+                  <article
+                    key={product.id}
+                    className="product-card"
+                    data-testid={`product-card-${product.id}`}
+                  >
+                    <img src={product.image} alt={product.name} className="product-image" />
+                    <div className="product-card-content">
+                      <p className="product-category">{product.category}</p>
+                      <h3>{product.name}</h3>
+                      <p className="product-description">{product.description}</p>
+                      <div className="product-footer">
+                        <span className="product-price">
+                          {formatPrice(priceCentsOf(product), product.currency)}
+                        </span>
+                        <div className="product-actions">
+                          <button
+                            type="button"
+                            className="add-cart-button"
+                            onClick={() => {
+                              handleAddToCart(product);
+                            }}
+                          >
+                            Add to cart
+                          </button>
+                          <Link
+                            className="view-details-link"
+                            to={`/products/${product.id}`}
+                            data-testid={`product-link-${product.id}`}
+                          >
+                            View details
+                          </Link>
+                        </div>
+                      </div>
                     </div>
-                  </div>
-                </div>
-              </article>
-            ))}
+                  </article>
+                ))}
+              </div>
+            ) : null}
+            {!productsLoading && !productsError && products.length === 0 ? (
+              <p className="empty-state">No products match your search right now.</p>
+            ) : null}
+            {pagination && pagination.totalPages > 1 ? (
+              <nav className="pagination" aria-label="Product pages">
+                <button
+                  type="button"
+                  onClick={() => setPage(page - 1)}
+                  disabled={!pagination.hasPreviousPage || productsLoading}
+                >
+                  Previous
+                </button>
+                <span>
+                  Page {pagination.page} of {pagination.totalPages}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setPage(page + 1)}
+                  disabled={!pagination.hasNextPage || productsLoading}
+                >
+                  Next
+                </button>
+              </nav>
+            ) : null}
           </div>
-        ) : null}
-        {!productsLoading && !productsError && filteredProducts.length === 0 ? (
-          <p className="empty-state">No products match your search right now.</p>
-        ) : null}
-      </section>
-
-      <section className="card cart-section" aria-label="shopping-cart">
-        <div className="cart-head">
-          <h2>Shopping Cart</h2>
-          {items.length > 0 ? (
-            <button
-              type="button"
-              className="clear-cart-button"
-              onClick={() => {
-                clearCart();
-              }}
-            >
-              Clear cart
-            </button>
-          ) : null}
         </div>
-        {!isAuthenticated ? <p>Login required to save and manage your cart.</p> : null}
-        {items.length === 0 ? <p>Your cart is empty. Add products to get started.</p> : null}
-        {items.length > 0 ? (
-          <>
-            <ul className="cart-list">
-              {items.map((item) => (
-                <li className="cart-item" key={item.id}>
-                  <div>
-                    <p className="cart-item-name">{item.name}</p>
-                    <p className="cart-item-meta">${Number(item.price).toFixed(2)} each</p>
-                  </div>
-                  <div className="cart-item-actions">
-                    <button
-                      type="button"
-                      onClick={() => updateQuantity(item.id, item.quantity - 1)}
-                      aria-label={`Decrease quantity for ${item.name}`}
-                    >
-                      -
-                    </button>
-                    <span>{item.quantity}</span>
-                    <button
-                      type="button"
-                      onClick={() => updateQuantity(item.id, item.quantity + 1)}
-                      aria-label={`Increase quantity for ${item.name}`}
-                    >
-                      +
-                    </button>
-                    <button
-                      type="button"
-                      className="remove-item-button"
-                      onClick={() => removeFromCart(item.id)}
-                    >
-                      Remove
-                    </button>
-                  </div>
-                </li>
-              ))}
-            </ul>
-            <p className="cart-total">Total: ${cartTotal.toFixed(2)}</p>
-          </>
-        ) : null}
       </section>
 
       <section className="status-panel card">
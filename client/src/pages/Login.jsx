@@ -1,77 +1,175 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
+// 75 -> "1:15"
+function formatWait(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
 function Login() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
+  // Set after the password step when the account has 2FA on.
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError('');
-    setLoading(true);
+  useEffect(() => {
+    if (!lockedUntil) {
+      return undefined;
+    }
+
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= lockedUntil) {
+        setLockedUntil(null);
+        setError('');
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
 
-    const result = await login(email, password);
+  const waitSeconds = lockedUntil ? Math.max(Math.ceil((lockedUntil - now) / 1000), 0) : 0;
 
+  const handleResult = (result) => {
     if (result.success) {
       navigate('/');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.retryAfter) {
+      const current = Date.now();
+      setNow(current);
+      setLockedUntil(current + result.retryAfter * 1000);
     } else {
       setError(result.message);
     }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    handleResult(await login(email, password));
     setLoading(false);
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    handleResult(await completeTwoFactorLogin(challengeToken, code));
+    setLoading(false);
+  };
+
+  const handleStartOver = () => {
+    setChallengeToken(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
   return (
     <div className="auth-container">
       <div className="auth-card">
-        <h2>Login to ShopSmart</h2>
+        <h2>{challengeToken ? 'Two-step verification' : 'Login to ShopSmart'}</h2>
+        {waitSeconds > 0 && (
+          <div className="error-message" role="alert" data-testid="login-wait">
+            Too many login attempts. Try again in {formatWait(waitSeconds)}.
+          </div>
+        )}
         {error && (
           <div className="error-message" role="alert">
             {error}
           </div>
         )}
-        <form onSubmit={handleSubmit} data-testid="login-form">
-          <div className="form-group">
-            <label htmlFor="email">Email</label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              placeholder="Enter your email"
-              required
-              aria-label="Email"
-              data-testid="email-input"
-            />
-          </div>
-          <div className="form-group">
-            <label htmlFor="password">Password</label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              placeholder="Enter your password"
-              required
-              aria-label="Password"
-              data-testid="password-input"
-            />
-          </div>
-          <button
-            type="submit"
-            className="auth-button"
-            disabled={loading}
-            data-testid="login-button"
-          >
-            {loading ? 'Logging in...' : 'Login'}
-          </button>
-        </form>
+        {challengeToken ? (
+          <form onSubmit={handleCodeSubmit} data-testid="two-factor-form">
+            <div className="form-group">
+              <label htmlFor="two-factor-code">Authentication code</label>
+              <input
+                type="text"
+                id="two-factor-code"
+                name="code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="6-digit code or recovery code"
+                autoComplete="one-time-code"
+                required
+                aria-label="Authentication code"
+                data-testid="two-factor-code-input"
+              />
+            </div>
+            <p className="auth-hint">
+              Open your authenticator app and enter the code for ShopSmart. Lost your device? Use
+              one of your recovery codes.
+            </p>
+            <button
+              type="submit"
+              className="auth-button"
+              disabled={loading || waitSeconds > 0}
+              data-testid="two-factor-button"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+            <p className="auth-link">
+              <button type="button" className="link-button" onClick={handleStartOver}>
+                Use a different account
+              </button>
+            </p>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} data-testid="login-form">
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                required
+                aria-label="Email"
+                data-testid="email-input"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter your password"
+                required
+                aria-label="Password"
+                data-testid="password-input"
+              />
+            </div>
+            <p className="forgot-password-link">
+              <Link to="/forgot-password">Forgot password?</Link>
+            </p>
+            <button
+              type="submit"
+              className="auth-button"
+              disabled={loading || waitSeconds > 0}
+              data-testid="login-button"
+            >
+              {loading ? 'Logging in...' : 'Login'}
+            </button>
+          </form>
+        )}
         <p className="auth-link">
           Don&apos;t have an account? <Link to="/signup">Sign up</Link>
         </p>
@@ -2,6 +2,14 @@ import { useEffect, useState } from 'react';
 import { Link, useParams } from 'react-router-dom';
 import { getProductById } from '../api/products';
 import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+import { saveToWishlist } from '../api/wishlist';
+import { useCurrency } from '../context/CurrencyContext';
+import { priceCentsOf } from '../lib/money';
+import { STORE_CURRENCY } from '../lib/exchangeRates';
+import MiniCart from '../components/MiniCart';
+import CurrencySelect from '../components/CurrencySelect';
+import ProductReviews from '../components/ProductReviews';
 
 function ProductDetails() {
   const { id } = useParams();
@@ -9,7 +17,9 @@ function ProductDetails() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [cartMessage, setCartMessage] = useState('');
-  const { addToCart, cartCount } = useCart();
+  const { addToCart } = useCart();
+  const { formatPrice, isConverted } = useCurrency();
+  const { token, isAuthenticated } = useAuth();
 
   const handleAddToCart = async () => {
     const result = await addToCart(product);
@@ -23,6 +33,22 @@ function ProductDetails() {
     setTimeout(() => setCartMessage(''), 1800);
   };
 
+  const handleSaveForLater = async () => {
+    if (!isAuthenticated) {
+      setCartMessage('Log in to save items for later.');
+      setTimeout(() => setCartMessage(''), 2200);
+      return;
+    }
+
+    try {
+      await saveToWishlist(token, product.id);
+      setCartMessage('Saved to your wishlist');
+    } catch (err) {
+      setCartMessage(err.message || 'Could not save item.');
+    }
+    setTimeout(() => setCartMessage(''), 2200);
+  };
+
   useEffect(() => {
     let mounted = true;
 
@@ -76,9 +102,10 @@ function ProductDetails() {
       <Link to="/" className="back-link" data-testid="back-home-link">
         &lt;- Back to products
       </Link>
-      <p className="details-cart-pill">
-        Cart: {cartCount} item{cartCount === 1 ? '' : 's'}
-      </p>
+      <div className="details-cart-row">
+        <CurrencySelect />
+        <MiniCart />
+      </div>
       <article className="product-details-card" data-testid="product-details-card">
         <img src={product.image} alt={product.name} className="product-details-image" />
         <div className="product-details-content">
@@ -86,24 +113,48 @@ function ProductDetails() {
           <h1>{product.name}</h1>
           <p className="product-description">{product.description}</p>
           <div className="product-meta">
-            <span>${Number(product.price).toFixed(2)}</span>
-            <span>Rating: {product.rating}</span>
+            <span>{formatPrice(priceCentsOf(product), product.currency)}</span>
+            <span>
+              Rating: {product.reviewCount ? product.rating.toFixed(1) : 'No reviews yet'}
+              {product.reviewCount ? ` (${product.reviewCount})` : ''}
+            </span>
             <span>{product.stock} left in stock</span>
           </div>
           <div className="product-cta-row">
-            <button className="buy-button" type="button" onClick={handleAddToCart}>
-              Add to Cart
+            <button
+              className="buy-button"
+              type="button"
+              onClick={handleAddToCart}
+              disabled={product.available === false}
+            >
+              {product.available === false ? 'No Longer Available' : 'Add to Cart'}
             </button>
-            <button className="wishlist-button" type="button">
+            <button className="wishlist-button" type="button" onClick={handleSaveForLater}>
               Save for Later
             </button>
           </div>
           {cartMessage ? <p className="add-cart-feedback">{cartMessage}</p> : null}
+          {isConverted ? (
+            <p className="currency-note">
+              Converted prices are estimates. You are charged in{' '}
+              {product.currency || STORE_CURRENCY}.
+            </p>
+          ) : null}
           <p className="delivery-note">
             Delivery in 2-4 business days. Easy returns within 30 days.
           </p>
         </div>
       </article>
+      <ProductReviews
+        productId={product.id}
+        onSummaryChange={(summary) =>
+          setProduct((current) => ({
+            ...current,
+            rating: summary.average,
+            reviewCount: summary.count
+          }))
+        }
+      />
     </main>
   );
 }
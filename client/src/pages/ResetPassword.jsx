@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { resetPassword } from '../api/auth';
+
+function ResetPassword() {
+  const { token } = useParams();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      setMessage(await resetPassword(token, password));
+    } catch (resetError) {
+      setError(resetError.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Choose a new password</h2>
+        {error && (
+          <div className="error-message" role="alert">
+            {error}
+          </div>
+        )}
+        {message ? (
+          <>
+            <div className="success-message" role="status">
+              {message}
+            </div>
+            <p className="auth-link">
+              <Link to="/login">Go to login</Link>
+            </p>
+          </>
+        ) : (
+          <>
+            <form onSubmit={handleSubmit} data-testid="reset-password-form">
+              <div className="form-group">
+                <label htmlFor="password">New password</label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="At least 6 characters"
+                  required
+                  aria-label="New password"
+                  data-testid="password-input"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="confirmPassword">Confirm new password</label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  placeholder="Repeat the new password"
+                  required
+                  aria-label="Confirm new password"
+                  data-testid="confirm-password-input"
+                />
+              </div>
+              <button
+                type="submit"
+                className="auth-button"
+                disabled={loading}
+                data-testid="reset-password-button"
+              >
+                {loading ? 'Saving...' : 'Reset password'}
+              </button>
+            </form>
+            <p className="auth-link">
+              Link expired? <Link to="/forgot-password">Request a new one</Link>
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
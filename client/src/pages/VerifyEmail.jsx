@@ -0,0 +1,64 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { verifyEmail } from '../api/auth';
+import { useAuth } from '../context/AuthContext';
+
+function VerifyEmail() {
+  const { token } = useParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let active = true;
+
+    verifyEmail(token)
+      .then((result) => {
+        if (active) {
+          setStatus('verified');
+          setMessage(result);
+        }
+      })
+      .catch((error) => {
+        if (active) {
+          setStatus('failed');
+          setMessage(error.message);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [token]);
+
+  // Pick up the new emailVerifiedAt so the reminder banner goes away.
+  useEffect(() => {
+    if (status === 'verified' && isAuthenticated) {
+      refreshUser();
+    }
+  }, [status, isAuthenticated, refreshUser]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Confirm your email</h2>
+        {status === 'verifying' && <p className="auth-hint">Checking your link...</p>}
+        {status === 'verified' && (
+          <div className="success-message" role="status">
+            {message}
+          </div>
+        )}
+        {status === 'failed' && (
+          <div className="error-message" role="alert">
+            {message}
+          </div>
+        )}
+        <p className="auth-link">
+          <Link to="/">Continue shopping</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
@@ -0,0 +1,135 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { fetchWishlist, removeFromWishlist } from '../api/wishlist';
+import { priceCentsOf, toCents } from '../lib/money';
+import MiniCart from '../components/MiniCart';
+
+function Wishlist() {
+  const { token, isAuthenticated, loading } = useAuth();
+  const { items: cartItems, moveToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const [items, setItems] = useState([]);
+  const [itemsLoading, setItemsLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const loadWishlist = useCallback(async () => {
+    try {
+      setItems(await fetchWishlist(token));
+    } catch (err) {
+      setMessage(err.message || 'Could not load your wishlist.');
+    } finally {
+      setItemsLoading(false);
+    }
+  }, [token]);
+
+  // Moves in either direction change both lists, so reload whenever the cart does.
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadWishlist();
+    }
+  }, [isAuthenticated, loadWishlist, cartItems]);
+
+  if (loading && token) {
+    return <main className="container">Loading...</main>;
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  const handleMoveToCart = async (item) => {
+    const result = await moveToCart(item.id);
+    setMessage(result.success ? `${item.name} moved to your cart.` : result.message);
+  };
+
+  const handleRemove = async (item) => {
+    try {
+      await removeFromWishlist(token, item.id);
+      setMessage('');
+      await loadWishlist();
+    } catch (err) {
+      setMessage(err.message || 'Could not remove item.');
+    }
+  };
+
+  return (
+    <main className="container wishlist-page">
+      <div className="details-cart-row">
+        <MiniCart />
+      </div>
+      <Link to="/" className="back-link">
+        &lt;- Back to products
+      </Link>
+      <section className="card">
+        <h1>Saved for later</h1>
+        {message ? (
+          <p className="cart-notice" role="status">
+            {message}
+          </p>
+        ) : null}
+        {itemsLoading ? <p>Loading your wishlist...</p> : null}
+        {!itemsLoading && items.length === 0 ? (
+          <p className="empty-state">Nothing saved yet. Use Save for Later on any product.</p>
+        ) : null}
+        <ul className="wishlist-list">
+          {items.map((item) => {
+            const canMove = item.available !== false && item.stock > 0;
+
+            return (
+              <li key={item.id} className="wishlist-item" data-testid={`wishlist-item-${item.id}`}>
+                <img src={item.image} alt="" className="mini-cart-thumb" />
+                <div className="wishlist-item-info">
+                  <Link to={`/products/${item.id}`} className="cart-item-name">
+                    {item.name}
+                  </Link>
+                  <p className="product-price">{formatPrice(priceCentsOf(item), item.currency)}</p>
+                  <div className="wishlist-flags">
+                    {item.priceDrop ? (
+                      <span className="wishlist-flag wishlist-flag-drop">
+                        Price dropped from{' '}
+                        {formatPrice(toCents(item.priceDrop.previousPrice), item.currency)}
+                      </span>
+                    ) : null}
+                    {item.backInStock ? (
+                      <span className="wishlist-flag wishlist-flag-stock">Back in stock</span>
+                    ) : null}
+                    {item.available === false ? (
+                      <span className="wishlist-flag">No longer available</span>
+                    ) : null}
+                    {item.available !== false && item.stock <= 0 ? (
+                      <span className="wishlist-flag">Out of stock</span>
+                    ) : null}
+                  </div>
+                </div>
+                <div className="wishlist-actions">
+                  <button
+                    type="button"
+                    className="add-cart-button"
+                    onClick={() => handleMoveToCart(item)}
+                    disabled={!canMove}
+                    aria-label={`Move ${item.name} to cart`}
+                  >
+                    Move to cart
+                  </button>
+                  <button
+                    type="button"
+                    className="mini-cart-remove"
+                    onClick={() => handleRemove(item)}
+                    aria-label={`Remove ${item.name} from wishlist`}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </section>
+    </main>
+  );
+}
+
+export default Wishlist;
@@ -0,0 +1,34 @@
+// Sample promo codes for local development.
+const coupons = [
+  {
+    code: 'WELCOME10',
+    type: 'percentage',
+    value: '10.00',
+    perUserLimit: 1
+  },
+  {
+    code: 'SAVE15',
+    type: 'fixed_amount',
+    value: '15.00',
+    minSpend: '100.00'
+  },
+  {
+    code: 'FREESHIP',
+    type: 'free_shipping'
+  },
+  {
+    code: 'AUDIO20',
+    type: 'percentage',
+    value: '20.00',
+    category: 'Audio'
+  },
+  {
+    code: 'B2G1',
+    type: 'buy_x_get_y',
+    buyQuantity: 2,
+    getQuantity: 1,
+    usageLimit: 500
+  }
+];
+
+module.exports = coupons;
@@ -3,9 +3,10 @@ const products = [
     id: 'p-101',
     name: 'Wireless Headphones',
     category: 'Audio',
-    price: 79.99,
-    rating: 4.5,
+    priceCents: 7999,
+    currency: 'USD',
     stock: 24,
+    weightGrams: 350,
     image:
       'https://images.unsplash.com/photo-1505740420928-5e560c06d30e?auto=format&fit=crop&w=800&q=80',
     description:
@@ -15,9 +16,10 @@ const products = [
     id: 'p-102',
     name: 'Smart Fitness Watch',
     category: 'Wearables',
-    price: 129,
-    rating: 4.3,
+    priceCents: 12900,
+    currency: 'USD',
     stock: 15,
+    weightGrams: 120,
     image:
       'https://images.unsplash.com/photo-1523275335684-37898b6baf30?auto=format&fit=crop&w=800&q=80',
     description:
@@ -27,9 +29,10 @@ const products = [
     id: 'p-103',
     name: 'Mechanical Keyboard',
     category: 'Accessories',
-    price: 99.5,
-    rating: 4.7,
+    priceCents: 9950,
+    currency: 'USD',
     stock: 32,
+    weightGrams: 950,
     image:
       'https://images.unsplash.com/photo-1511467687858-23d96c32e4ae?auto=format&fit=crop&w=800&q=80',
     description:
@@ -39,9 +42,10 @@ const products = [
     id: 'p-104',
     name: 'Portable SSD 1TB',
     category: 'Storage',
-    price: 119.99,
-    rating: 4.6,
+    priceCents: 11999,
+    currency: 'USD',
     stock: 18,
+    weightGrams: 80,
     image:
       'https://images.unsplash.com/photo-1597872200969-2b65d56bd16b?auto=format&fit=crop&w=800&q=80',
     description:
@@ -51,9 +55,10 @@ const products = [
     id: 'p-105',
     name: '4K UltraWide Monitor',
     category: 'Displays',
-    price: 349.99,
-    rating: 4.4,
+    priceCents: 34999,
+    currency: 'USD',
     stock: 10,
+    weightGrams: 9800,
     image:
       'https://images.unsplash.com/photo-1527443224154-c4dbbe218347?auto=format&fit=crop&w=800&q=80',
     description:
@@ -63,9 +68,10 @@ const products = [
     id: 'p-106',
     name: 'Noise Canceling Earbuds',
     category: 'Audio',
-    price: 59.99,
-    rating: 4.2,
+    priceCents: 5999,
+    currency: 'USD',
     stock: 42,
+    weightGrams: 90,
     image:
       'https://images.unsplash.com/photo-1590658268037-6bf12165a8df?auto=format&fit=crop&w=800&q=80',
     description:
@@ -75,9 +81,10 @@ const products = [
     id: 'p-107',
     name: 'Ergonomic Office Chair',
     category: 'Furniture',
-    price: 219.0,
-    rating: 4.5,
+    priceCents: 21900,
+    currency: 'USD',
     stock: 14,
+    weightGrams: 18500,
     image:
       'https://images.unsplash.com/photo-1505798577917-a65157d3320a?auto=format&fit=crop&w=800&q=80',
     description:
@@ -87,9 +94,10 @@ const products = [
     id: 'p-108',
     name: 'Smart Home Speaker',
     category: 'Home Tech',
-    price: 89.0,
-    rating: 4.1,
+    priceCents: 8900,
+    currency: 'USD',
     stock: 21,
+    weightGrams: 1200,
     image:
       'https://images.unsplash.com/photo-1589492477829-5e65395b66cc?auto=format&fit=crop&w=800&q=80',
     description:
@@ -99,9 +107,10 @@ const products = [
     id: 'p-109',
     name: 'Gaming Mouse Pro',
     category: 'Accessories',
-    price: 49.5,
-    rating: 4.6,
+    priceCents: 4950,
+    currency: 'USD',
     stock: 37,
+    weightGrams: 110,
     image:
       'https://images.unsplash.com/photo-1615663245857-ac93bb7c39e7?auto=format&fit=crop&w=800&q=80',
     description:
@@ -111,9 +120,10 @@ const products = [
     id: 'p-110',
     name: 'Laptop Stand Aluminum',
     category: 'Workspace',
-    price: 39.99,
-    rating: 4.3,
+    priceCents: 3999,
+    currency: 'USD',
     stock: 54,
+    weightGrams: 1400,
     image:
       'https://images.unsplash.com/photo-1517336714739-489689fd1ca8?auto=format&fit=crop&w=800&q=80',
     description:
@@ -123,9 +133,10 @@ const products = [
     id: 'p-111',
     name: 'USB-C Docking Station',
     category: 'Connectivity',
-    price: 139.99,
-    rating: 4.4,
+    priceCents: 13999,
+    currency: 'USD',
     stock: 16,
+    weightGrams: 450,
     image:
       'https://images.unsplash.com/photo-1611262588024-d12430b98920?auto=format&fit=crop&w=800&q=80',
     description:
@@ -135,9 +146,10 @@ const products = [
     id: 'p-112',
     name: 'Mechanical Gaming Keypad',
     category: 'Gaming',
-    price: 74.25,
-    rating: 4.0,
+    priceCents: 7425,
+    currency: 'USD',
     stock: 19,
+    weightGrams: 400,
     image:
       'https://images.unsplash.com/photo-1618384887929-16ec33fab9ef?auto=format&fit=crop&w=800&q=80',
     description: 'One-handed mechanical keypad with programmable macros for faster in-game actions.'
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE `Product` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `category` VARCHAR(191) NOT NULL,
+    `price` DECIMAL(10, 2) NOT NULL,
+    `rating` DOUBLE NOT NULL DEFAULT 0,
+    `stock` INTEGER NOT NULL DEFAULT 0,
+    `image` VARCHAR(500) NOT NULL,
+    `description` TEXT NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `Product_category_idx`(`category`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Backfill the catalog that used to live in src/data/products.js so existing
+-- cart rows satisfy the new foreign key. prisma/seed.js keeps it up to date.
+INSERT INTO `Product` (`id`, `name`, `category`, `price`, `rating`, `stock`, `image`, `description`, `updatedAt`) VALUES
+    ('p-101', 'Wireless Headphones', 'Audio', 79.99, 4.5, 24, 'https://images.unsplash.com/photo-1505740420928-5e560c06d30e?auto=format&fit=crop&w=800&q=80', 'Comfortable over-ear wireless headphones with active noise cancellation and 30-hour battery life.', CURRENT_TIMESTAMP(3)),
+    ('p-102', 'Smart Fitness Watch', 'Wearables', 129.00, 4.3, 15, 'https://images.unsplash.com/photo-1523275335684-37898b6baf30?auto=format&fit=crop&w=800&q=80', 'Track workouts, heart rate, and sleep with a water-resistant design and 7-day battery backup.', CURRENT_TIMESTAMP(3)),
+    ('p-103', 'Mechanical Keyboard', 'Accessories', 99.50, 4.7, 32, 'https://images.unsplash.com/photo-1511467687858-23d96c32e4ae?auto=format&fit=crop&w=800&q=80', 'RGB mechanical keyboard with hot-swappable switches and compact layout for productivity and gaming.', CURRENT_TIMESTAMP(3)),
+    ('p-104', 'Portable SSD 1TB', 'Storage', 119.99, 4.6, 18, 'https://images.unsplash.com/photo-1597872200969-2b65d56bd16b?auto=format&fit=crop&w=800&q=80', 'High-speed external SSD with USB-C support, ideal for backups, media, and creative workloads.', CURRENT_TIMESTAMP(3)),
+    ('p-105', '4K UltraWide Monitor', 'Displays', 349.99, 4.4, 10, 'https://images.unsplash.com/photo-1527443224154-c4dbbe218347?auto=format&fit=crop&w=800&q=80', '34-inch ultrawide monitor with rich color accuracy and USB-C connectivity for creators.', CURRENT_TIMESTAMP(3)),
+    ('p-106', 'Noise Canceling Earbuds', 'Audio', 59.99, 4.2, 42, 'https://images.unsplash.com/photo-1590658268037-6bf12165a8df?auto=format&fit=crop&w=800&q=80', 'Compact earbuds with active noise cancellation, wireless charging, and all-day battery life.', CURRENT_TIMESTAMP(3)),
+    ('p-107', 'Ergonomic Office Chair', 'Furniture', 219.00, 4.5, 14, 'https://images.unsplash.com/photo-1505798577917-a65157d3320a?auto=format&fit=crop&w=800&q=80', 'Breathable mesh office chair with lumbar support and adjustable armrests for comfort.', CURRENT_TIMESTAMP(3)),
+    ('p-108', 'Smart Home Speaker', 'Home Tech', 89.00, 4.1, 21, 'https://images.unsplash.com/photo-1589492477829-5e65395b66cc?auto=format&fit=crop&w=800&q=80', 'Voice-controlled smart speaker with room-filling sound and seamless multi-room pairing.', CURRENT_TIMESTAMP(3)),
+    ('p-109', 'Gaming Mouse Pro', 'Accessories', 49.50, 4.6, 37, 'https://images.unsplash.com/photo-1615663245857-ac93bb7c39e7?auto=format&fit=crop&w=800&q=80', 'Lightweight gaming mouse with precision sensor, customizable DPI profiles, and RGB lighting.', CURRENT_TIMESTAMP(3)),
+    ('p-110', 'Laptop Stand Aluminum', 'Workspace', 39.99, 4.3, 54, 'https://images.unsplash.com/photo-1517336714739-489689fd1ca8?auto=format&fit=crop&w=800&q=80', 'Sleek aluminum laptop stand to improve posture and airflow with foldable portability.', CURRENT_TIMESTAMP(3)),
+    ('p-111', 'USB-C Docking Station', 'Connectivity', 139.99, 4.4, 16, 'https://images.unsplash.com/photo-1611262588024-d12430b98920?auto=format&fit=crop&w=800&q=80', 'Expand your laptop with HDMI, Ethernet, USB ports, and power delivery in one dock.', CURRENT_TIMESTAMP(3)),
+    ('p-112', 'Mechanical Gaming Keypad', 'Gaming', 74.25, 4.0, 19, 'https://images.unsplash.com/photo-1618384887929-16ec33fab9ef?auto=format&fit=crop&w=800&q=80', 'One-handed mechanical keypad with programmable macros for faster in-game actions.', CURRENT_TIMESTAMP(3));
+
+-- Drop cart rows that reference products outside the catalog
+DELETE FROM `UserCartItem` WHERE `productId` NOT IN (SELECT `id` FROM `Product`);
+
+-- AddForeignKey
+ALTER TABLE `UserCartItem` ADD CONSTRAINT `UserCartItem_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE `Payment` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `provider` VARCHAR(50) NOT NULL,
+    `providerRef` VARCHAR(100) NOT NULL,
+    `status` ENUM('requires_action', 'authorized', 'captured', 'declined', 'refunded', 'voided') NOT NULL,
+    `amount` DECIMAL(10, 2) NOT NULL,
+    `currency` VARCHAR(3) NOT NULL DEFAULT 'USD',
+    `cardLast4` VARCHAR(4) NULL,
+    `failureCode` VARCHAR(100) NULL,
+    `failureMessage` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Payment_providerRef_key`(`providerRef`),
+    INDEX `Payment_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Payment` ADD CONSTRAINT `Payment_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `UserCartItem` ADD COLUMN `priceSnapshot` DECIMAL(10, 2) NULL;
+
+-- Existing rows start from today's price, so nothing is flagged as changed.
+UPDATE `UserCartItem` INNER JOIN `Product` ON `Product`.`id` = `UserCartItem`.`productId`
+SET `UserCartItem`.`priceSnapshot` = `Product`.`price`;
+
+-- AlterTable
+ALTER TABLE `UserCartItem` MODIFY `priceSnapshot` DECIMAL(10, 2) NOT NULL;
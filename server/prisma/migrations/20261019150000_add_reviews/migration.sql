@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE `Product` ADD COLUMN `reviewCount` INTEGER NOT NULL DEFAULT 0;
+
+-- Ratings used to be typed in by hand; from now on they come from reviews only.
+UPDATE `Product` SET `rating` = 0;
+
+-- CreateTable
+CREATE TABLE `Review` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `productId` VARCHAR(191) NOT NULL,
+    `userId` INTEGER NOT NULL,
+    `rating` INTEGER NOT NULL,
+    `title` VARCHAR(120) NOT NULL,
+    `body` TEXT NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `Review_productId_createdAt_idx`(`productId`, `createdAt`),
+    INDEX `Review_userId_idx`(`userId`),
+    UNIQUE INDEX `Review_productId_userId_key`(`productId`, `userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Review` ADD CONSTRAINT `Review_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Review` ADD CONSTRAINT `Review_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,68 @@
+-- AlterTable
+ALTER TABLE `Order` ADD COLUMN `couponCode` VARCHAR(40) NULL,
+    ADD COLUMN `discount` DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `OrderItem` ADD COLUMN `discount` DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `Coupon` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `code` VARCHAR(40) NOT NULL,
+    `type` ENUM('percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y') NOT NULL,
+    `value` DECIMAL(10, 2) NULL,
+    `buyQuantity` INTEGER NULL,
+    `getQuantity` INTEGER NULL,
+    `category` VARCHAR(191) NULL,
+    `minSpend` DECIMAL(10, 2) NULL,
+    `startsAt` DATETIME(3) NULL,
+    `expiresAt` DATETIME(3) NULL,
+    `usageLimit` INTEGER NULL,
+    `perUserLimit` INTEGER NULL,
+    `timesUsed` INTEGER NOT NULL DEFAULT 0,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Coupon_code_key`(`code`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `CartCoupon` (
+    `userId` INTEGER NOT NULL,
+    `couponId` INTEGER NOT NULL,
+    `appliedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `CartCoupon_couponId_idx`(`couponId`),
+    PRIMARY KEY (`userId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `CouponRedemption` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `couponId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+    `orderId` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `CouponRedemption_couponId_userId_idx`(`couponId`, `userId`),
+    INDEX `CouponRedemption_userId_idx`(`userId`),
+    INDEX `CouponRedemption_orderId_idx`(`orderId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `CartCoupon` ADD CONSTRAINT `CartCoupon_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CartCoupon` ADD CONSTRAINT `CartCoupon_couponId_fkey` FOREIGN KEY (`couponId`) REFERENCES `Coupon`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CouponRedemption` ADD CONSTRAINT `CouponRedemption_couponId_fkey` FOREIGN KEY (`couponId`) REFERENCES `Coupon`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CouponRedemption` ADD CONSTRAINT `CouponRedemption_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CouponRedemption` ADD CONSTRAINT `CouponRedemption_orderId_fkey` FOREIGN KEY (`orderId`) REFERENCES `Order`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
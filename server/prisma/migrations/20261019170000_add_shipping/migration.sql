@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE `Product` ADD COLUMN `weightGrams` INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `Order` ADD COLUMN `shipping` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `shippingMethod` VARCHAR(20) NULL;
+
+-- CreateTable
+CREATE TABLE `CartShipping` (
+    `userId` INTEGER NOT NULL,
+    `method` VARCHAR(20) NOT NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`userId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `CartShipping` ADD CONSTRAINT `CartShipping_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
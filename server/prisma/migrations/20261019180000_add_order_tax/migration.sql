@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Order` ADD COLUMN `tax` DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `taxIncluded` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `taxCountry` VARCHAR(2) NULL,
+    ADD COLUMN `taxRegion` VARCHAR(3) NULL;
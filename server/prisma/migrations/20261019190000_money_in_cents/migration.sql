@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `Product` ADD COLUMN `priceCents` INTEGER NULL,
+    ADD COLUMN `currency` VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE `UserCartItem` ADD COLUMN `priceSnapshotCents` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `Order` ADD COLUMN `currency` VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+-- Carry the existing decimal amounts over as whole cents.
+UPDATE `Product` SET `priceCents` = ROUND(`price` * 100);
+UPDATE `UserCartItem` SET `priceSnapshotCents` = ROUND(`priceSnapshot` * 100);
+
+-- AlterTable
+ALTER TABLE `Product` DROP COLUMN `price`,
+    MODIFY `priceCents` INTEGER NOT NULL;
+
+-- AlterTable
+ALTER TABLE `UserCartItem` DROP COLUMN `priceSnapshot`,
+    MODIFY `priceSnapshotCents` INTEGER NOT NULL;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `Address` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `label` VARCHAR(40) NULL,
+    `fullName` VARCHAR(120) NOT NULL,
+    `line1` VARCHAR(191) NOT NULL,
+    `line2` VARCHAR(191) NULL,
+    `city` VARCHAR(100) NOT NULL,
+    `region` VARCHAR(3) NULL,
+    `postalCode` VARCHAR(10) NOT NULL,
+    `country` VARCHAR(2) NOT NULL,
+    `phone` VARCHAR(30) NULL,
+    `isDefault` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `Address_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Address` ADD CONSTRAINT `Address_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
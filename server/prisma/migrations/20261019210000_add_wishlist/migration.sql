@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `WishlistItem` (
+    `userId` INTEGER NOT NULL,
+    `productId` VARCHAR(191) NOT NULL,
+    `priceSnapshotCents` INTEGER NOT NULL,
+    `inStockAtSave` BOOLEAN NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `WishlistItem_productId_idx`(`productId`),
+    PRIMARY KEY (`userId`, `productId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `WishlistItem` ADD CONSTRAINT `WishlistItem_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WishlistItem` ADD CONSTRAINT `WishlistItem_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
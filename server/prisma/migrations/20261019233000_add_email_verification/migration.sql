@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `emailVerifiedAt` DATETIME(3) NULL,
+    ADD COLUMN `verificationSentAt` DATETIME(3) NULL;
+
+-- Accounts created before verification existed are treated as verified.
+UPDATE `User` SET `emailVerifiedAt` = `createdAt`;
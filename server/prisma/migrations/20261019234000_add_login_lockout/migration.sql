@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `failedLoginCount` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `lockedUntil` DATETIME(3) NULL;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `twoFactorSecret` VARCHAR(255) NULL,
+    ADD COLUMN `twoFactorEnabledAt` DATETIME(3) NULL,
+    ADD COLUMN `twoFactorLastStep` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `RecoveryCode` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `codeHash` VARCHAR(64) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `RecoveryCode_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `RecoveryCode` ADD CONSTRAINT `RecoveryCode_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+const { PrismaClient } = require('@prisma/client');
+const products = require('./data/products');
+const coupons = require('./data/coupons');
+
+const prisma = new PrismaClient();
+
+async function main() {
+  for (const product of products) {
+    const { id, ...fields } = product;
+
+    await prisma.product.upsert({
+      where: { id },
+      update: fields,
+      create: product
+    });
+  }
+
+  console.log(`Seeded ${products.length} products`);
+
+  for (const coupon of coupons) {
+    const { code, ...fields } = coupon;
+
+    await prisma.coupon.upsert({
+      where: { code },
+      update: fields,
+      create: coupon
+    });
+  }
+
+  console.log(`Seeded ${coupons.length} coupons`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Seed error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,42 @@
+// Usage: npm run user:role -- <email> [role]
+// Promotes the user to admin when no role is given.
+require('dotenv').config();
+const prisma = require('../src/lib/prisma');
+const { ROLES } = require('../src/lib/roles');
+
+async function main() {
+  const [email, role = 'admin'] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: npm run user:role -- <email> [role]');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`Role must be one of: ${ROLES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { role }
+  });
+
+  console.log(`${email} is now ${role}. Existing tokens keep their old role until they expire.`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Set role error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -2,13 +2,37 @@ const express = require('express');
 const cors = require('cors');
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
+const reviewRoutes = require('./routes/reviews');
 const cartRoutes = require('./routes/cart');
+const wishlistRoutes = require('./routes/wishlist');
+const orderRoutes = require('./routes/orders');
+const paymentRoutes = require('./routes/payments');
+const addressRoutes = require('./routes/addresses');
+const twoFactorRoutes = require('./routes/twoFactor');
+const paymentWebhookRoutes = require('./routes/paymentWebhooks');
+const adminProductRoutes = require('./routes/adminProducts');
+const adminCouponRoutes = require('./routes/adminCoupons');
+const adminUserRoutes = require('./routes/adminUsers');
 
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 for one hop) so req.ip, which
+// the auth rate limits key on, is the client address rather than the proxy's.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(
+  express.json({
+    // Payment webhooks are signed over the exact bytes the provider sent.
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  })
+);
 
 // Health Check Route
 app.get('/api/health', (req, res) => {
@@ -23,11 +47,31 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 
 // Product Routes
+app.use('/api/products/:productId/reviews', reviewRoutes);
 app.use('/api/products', productRoutes);
 
 // Cart Routes
 app.use('/api/cart', cartRoutes);
 
+// Wishlist Routes
+app.use('/api/wishlist', wishlistRoutes);
+
+// Order Routes
+app.use('/api/orders', orderRoutes);
+
+// Account Routes
+app.use('/api/account/addresses', addressRoutes);
+app.use('/api/account/two-factor', twoFactorRoutes);
+
+// Payment Routes (webhooks first: they are not behind requireAuth)
+app.use('/api/payments/webhooks', paymentWebhookRoutes);
+app.use('/api/payments', paymentRoutes);
+
+// Admin Routes
+app.use('/api/admin/products', adminProductRoutes);
+app.use('/api/admin/coupons', adminCouponRoutes);
+app.use('/api/admin/users', adminUserRoutes);
+
 // Root Route (optional, just to show something)
 app.get('/', (req, res) => {
   res.send('ShopSmart Backend Service');
@@ -0,0 +1,135 @@
+const MAX_ADDRESSES = 20;
+
+// Countries we ship to, with the postal code format and whether a
+// state/province is part of the address.
+const ADDRESS_FORMATS = {
+  US: {
+    postalCodeLabel: 'ZIP code',
+    postalCode: /^\d{5}(-\d{4})?$/,
+    regionRequired: true
+  },
+  CA: {
+    postalCodeLabel: 'postal code',
+    postalCode: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+    regionRequired: true
+  },
+  GB: {
+    postalCodeLabel: 'postcode',
+    postalCode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+    regionRequired: false
+  },
+  DE: {
+    postalCodeLabel: 'postal code',
+    postalCode: /^\d{5}$/,
+    regionRequired: false
+  }
+};
+
+const TEXT_FIELDS = [
+  { field: 'fullName', maxLength: 120, required: true },
+  { field: 'line1', maxLength: 191, required: true },
+  { field: 'line2', maxLength: 191, required: false },
+  { field: 'city', maxLength: 100, required: true },
+  { field: 'label', maxLength: 40, required: false },
+  { field: 'phone', maxLength: 30, required: false }
+];
+
+function serializeAddress(address) {
+  return {
+    id: address.id,
+    label: address.label || null,
+    fullName: address.fullName,
+    line1: address.line1,
+    line2: address.line2 || null,
+    city: address.city,
+    region: address.region || null,
+    postalCode: address.postalCode,
+    country: address.country,
+    phone: address.phone || null,
+    isDefault: Boolean(address.isDefault),
+    createdAt: address.createdAt,
+    updatedAt: address.updatedAt
+  };
+}
+
+function trimmed(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Validates a full address payload. PATCH requests merge the stored address
+ * with the changes first, since the postal code rules depend on the country.
+ * Returns `{ errors, data }` where `data` holds the normalized fields.
+ */
+function validateAddressInput(input) {
+  const body = input || {};
+  const errors = [];
+  const data = {};
+
+  TEXT_FIELDS.forEach(({ field, maxLength, required }) => {
+    const value = trimmed(body[field]);
+
+    if (!value) {
+      if (required) {
+        errors.push(`${field} is required`);
+      } else {
+        data[field] = null;
+      }
+      return;
+    }
+
+    if (value.length > maxLength) {
+      errors.push(`${field} must be at most ${maxLength} characters`);
+      return;
+    }
+
+    data[field] = value;
+  });
+
+  const country = trimmed(body.country).toUpperCase();
+  const format = ADDRESS_FORMATS[country];
+
+  if (!format) {
+    errors.push(`country must be one of: ${Object.keys(ADDRESS_FORMATS).join(', ')}`);
+    return { errors, data };
+  }
+
+  data.country = country;
+
+  const region = trimmed(body.region).toUpperCase();
+  if (!region) {
+    if (format.regionRequired) {
+      errors.push(`region is required for ${country} addresses`);
+    } else {
+      data.region = null;
+    }
+  } else if (!/^[A-Z0-9]{1,3}$/.test(region)) {
+    errors.push('region must be a region code of at most three characters');
+  } else {
+    data.region = region;
+  }
+
+  const postalCode = trimmed(body.postalCode).toUpperCase();
+  if (!postalCode) {
+    errors.push('postalCode is required');
+  } else if (!format.postalCode.test(postalCode)) {
+    errors.push(`postalCode must be a valid ${country} ${format.postalCodeLabel}`);
+  } else {
+    data.postalCode = postalCode;
+  }
+
+  if (body.isDefault !== undefined && typeof body.isDefault !== 'boolean') {
+    errors.push('isDefault must be true or false');
+  } else if (body.isDefault !== undefined) {
+    data.isDefault = body.isDefault;
+  }
+
+  return { errors, data };
+}
+
+module.exports = {
+  MAX_ADDRESSES,
+  ADDRESS_FORMATS,
+  serializeAddress,
+  validateAddressInput
+};
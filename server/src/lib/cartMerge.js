@@ -0,0 +1,84 @@
+const MAX_MERGE_ITEMS = 100;
+
+/**
+ * Normalizes the guest cart sent at login. Returns `{ error }` for a payload
+ * that is not a list of `{ productId, quantity }`, otherwise `{ lines }` with
+ * duplicate products folded into one line.
+ */
+function parseGuestItems(items) {
+  if (!Array.isArray(items)) {
+    return { error: 'items must be an array' };
+  }
+
+  if (items.length > MAX_MERGE_ITEMS) {
+    return { error: `A cart can merge at most ${MAX_MERGE_ITEMS} items` };
+  }
+
+  const lines = new Map();
+
+  for (const item of items) {
+    const productId = item && typeof item.productId === 'string' ? item.productId.trim() : '';
+    const quantity = Number(item && item.quantity);
+
+    if (!productId || !Number.isInteger(quantity) || quantity <= 0) {
+      return { error: 'Each item needs a productId and a positive whole quantity' };
+    }
+
+    lines.set(productId, (lines.get(productId) || 0) + quantity);
+  }
+
+  return { lines };
+}
+
+/**
+ * Works out the account cart after merging guest lines into it.
+ *
+ * - A product already in the account cart gets the guest quantity added.
+ * - The result is capped at the product's stock.
+ * - Missing, archived and out-of-stock products are skipped; the account
+ *   cart row for them, if any, is left alone.
+ *
+ * Returns the rows to write and a note for every line that did not merge as-is.
+ */
+function planCartMerge(lines, cartItems, products) {
+  const productsById = new Map(products.map((product) => [product.id, product]));
+  const quantityInCart = new Map(cartItems.map((item) => [item.productId, item.quantity]));
+  const writes = [];
+  const adjustments = [];
+
+  lines.forEach((guestQuantity, productId) => {
+    const product = productsById.get(productId);
+
+    if (!product || product.archivedAt) {
+      adjustments.push({ productId, requested: guestQuantity, quantity: 0, reason: 'unavailable' });
+      return;
+    }
+
+    if (product.stock <= 0) {
+      adjustments.push({
+        productId,
+        requested: guestQuantity,
+        quantity: 0,
+        reason: 'out_of_stock'
+      });
+      return;
+    }
+
+    const requested = (quantityInCart.get(productId) || 0) + guestQuantity;
+    const quantity = Math.min(requested, product.stock);
+
+    if (quantity < requested) {
+      adjustments.push({ productId, requested, quantity, reason: 'limited' });
+    }
+
+    writes.push({ productId, quantity, priceCents: product.priceCents });
+  });
+
+  return { writes, adjustments };
+}
+
+module.exports = {
+  MAX_MERGE_ITEMS,
+  parseGuestItems,
+  planCartMerge
+};
@@ -0,0 +1,48 @@
+const { multiplyCents, sumCents } = require('./money');
+
+/**
+ * Prices cart rows loaded with `include: { product: true }`.
+ * Returns the per-line totals and the cart subtotal, all in cents.
+ */
+function priceCartItems(cartItems) {
+  const lines = cartItems.map((item) => {
+    const unitPriceCents = item.product.priceCents;
+
+    return {
+      productId: item.productId,
+      category: item.product.category,
+      quantity: item.quantity,
+      unitPriceCents,
+      lineTotalCents: multiplyCents(unitPriceCents, item.quantity)
+    };
+  });
+
+  return {
+    lines,
+    subtotalCents: sumCents(lines.map((line) => line.lineTotalCents))
+  };
+}
+
+// Splits `amountCents` over `lines` in proportion to their totals; the last
+// line takes the rounding remainder so the parts add up exactly.
+function spreadCents(amountCents, lines) {
+  const base = lines.reduce((total, line) => total + line.lineTotalCents, 0);
+  const shares = new Map();
+  let remaining = amountCents;
+
+  lines.forEach((line, index) => {
+    const share =
+      index === lines.length - 1 || base === 0
+        ? remaining
+        : Math.floor((amountCents * line.lineTotalCents) / base);
+    shares.set(line.productId, share);
+    remaining -= share;
+  });
+
+  return shares;
+}
+
+module.exports = {
+  priceCartItems,
+  spreadCents
+};
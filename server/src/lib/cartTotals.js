@@ -0,0 +1,203 @@
+const { priceCartItems, spreadCents } = require('./cartPricing');
+const { centsToAmount } = require('./money');
+const { couponIneligibility, computeDiscounts, describeCoupon } = require('./coupons');
+const {
+  DEFAULT_SHIPPING_METHOD,
+  SHIPPING_METHODS,
+  cartWeightGrams,
+  findShippingMethod,
+  quoteShipping
+} = require('./shipping');
+const { calculateTax } = require('./tax');
+
+/**
+ * Prices a cart with its applied coupon, if any, the chosen shipping method
+ * and, once a destination is known, tax. Archived products are left out of
+ * every total. When the coupon no longer qualifies, `couponError` says why
+ * and no discount is taken.
+ */
+function priceCart(
+  cartItems,
+  coupon,
+  {
+    userRedemptions = 0,
+    now = new Date(),
+    shippingMethod = DEFAULT_SHIPPING_METHOD,
+    destination = null
+  } = {}
+) {
+  const available = cartItems.filter((item) => !item.product.archivedAt);
+  const { lines, subtotalCents } = priceCartItems(available);
+
+  let couponError = null;
+  let discounts = { lineDiscounts: new Map(), orderDiscountCents: 0, freeShipping: false };
+
+  if (coupon) {
+    couponError = couponIneligibility(coupon, { lines, subtotalCents, userRedemptions, now });
+    if (!couponError) {
+      discounts = computeDiscounts(coupon, lines, subtotalCents);
+    }
+  }
+
+  const pricedLines = lines.map((line) => {
+    const discountCents = discounts.lineDiscounts.get(line.productId) || 0;
+    return { ...line, discountCents, lineTotalCents: line.lineTotalCents - discountCents };
+  });
+
+  const lineDiscountCents = pricedLines.reduce((total, line) => total + line.discountCents, 0);
+  const afterLinesCents = subtotalCents - lineDiscountCents;
+  const orderDiscountCents = Math.min(discounts.orderDiscountCents, afterLinesCents);
+  const merchandiseCents = afterLinesCents - orderDiscountCents;
+
+  // An empty cart has nothing to ship.
+  const parcel = {
+    merchandiseCents,
+    weightGrams: cartWeightGrams(available),
+    freeShippingCode: discounts.freeShipping
+  };
+  const shippingOptions =
+    lines.length > 0 ? SHIPPING_METHODS.map((method) => quoteShipping(method, parcel)) : [];
+  const method = findShippingMethod(shippingMethod) || findShippingMethod(DEFAULT_SHIPPING_METHOD);
+  const shipping = shippingOptions.find((option) => option.method === method.id) || null;
+  const shippingCents = shipping ? shipping.costCents : 0;
+
+  // Each line is taxed on what the shopper pays for it, so order-level
+  // discounts are shared out across the lines first.
+  const orderDiscountShares = spreadCents(orderDiscountCents, pricedLines);
+  const tax = destination
+    ? calculateTax(
+        pricedLines.map((line) => ({
+          productId: line.productId,
+          category: line.category,
+          taxableCents: line.lineTotalCents - (orderDiscountShares.get(line.productId) || 0)
+        })),
+        destination
+      )
+    : null;
+  const taxCents = tax ? tax.taxCents : 0;
+  const addedTaxCents = tax && !tax.pricesIncludeTax ? taxCents : 0;
+
+  return {
+    lines: pricedLines,
+    subtotalCents,
+    lineDiscountCents,
+    orderDiscountCents,
+    discountCents: lineDiscountCents + orderDiscountCents,
+    shippingMethod: method.id,
+    shipping,
+    shippingOptions,
+    shippingCents,
+    tax,
+    taxCents,
+    totalCents: merchandiseCents + shippingCents + addedTaxCents,
+    freeShipping: discounts.freeShipping,
+    coupon,
+    couponError
+  };
+}
+
+/**
+ * Loads the user's cart rows, applied coupon and shipping choice through
+ * `client` (the Prisma client or a transaction) and prices them for
+ * `destination`.
+ */
+async function loadPricedCart(client, userId, { destination = null, now = new Date() } = {}) {
+  const [cartItems, cartCoupon, cartShipping] = await Promise.all([
+    client.userCartItem.findMany({
+      where: { userId },
+      include: { product: true },
+      orderBy: { createdAt: 'asc' }
+    }),
+    client.cartCoupon.findUnique({ where: { userId }, include: { coupon: true } }),
+    client.cartShipping.findUnique({ where: { userId } })
+  ]);
+
+  const coupon = cartCoupon ? cartCoupon.coupon : null;
+  const userRedemptions = coupon
+    ? await client.couponRedemption.count({ where: { couponId: coupon.id, userId } })
+    : 0;
+
+  return {
+    cartItems,
+    userRedemptions,
+    pricing: priceCart(cartItems, coupon, {
+      userRedemptions,
+      now,
+      shippingMethod: cartShipping ? cartShipping.method : DEFAULT_SHIPPING_METHOD,
+      destination
+    })
+  };
+}
+
+function serializeTotals(pricing) {
+  return {
+    subtotal: centsToAmount(pricing.subtotalCents),
+    lineDiscount: centsToAmount(pricing.lineDiscountCents),
+    orderDiscount: centsToAmount(pricing.orderDiscountCents),
+    discount: centsToAmount(pricing.discountCents),
+    freeShipping: pricing.freeShipping,
+    shipping: centsToAmount(pricing.shippingCents),
+    tax: centsToAmount(pricing.taxCents),
+    taxIncluded: Boolean(pricing.tax && pricing.tax.pricesIncludeTax),
+    total: centsToAmount(pricing.totalCents)
+  };
+}
+
+// `null` until the shopper has said where the order is going.
+function serializeTax(pricing) {
+  if (!pricing.tax) {
+    return null;
+  }
+
+  return {
+    destination: pricing.tax.destination,
+    pricesIncludeTax: pricing.tax.pricesIncludeTax,
+    lines: pricing.tax.lines.map((line) => ({
+      label: line.label,
+      rate: line.rate,
+      taxable: centsToAmount(line.taxableCents),
+      amount: centsToAmount(line.taxCents)
+    }))
+  };
+}
+
+function serializeShippingQuote(quote) {
+  return {
+    method: quote.method,
+    label: quote.label,
+    estimate: quote.estimate,
+    cost: centsToAmount(quote.costCents),
+    freeShippingApplied: quote.freeShippingApplied,
+    amountToFreeShipping: centsToAmount(quote.amountToFreeShippingCents)
+  };
+}
+
+function serializeShipping(pricing) {
+  return {
+    method: pricing.shippingMethod,
+    selected: pricing.shipping ? serializeShippingQuote(pricing.shipping) : null,
+    options: pricing.shippingOptions.map(serializeShippingQuote)
+  };
+}
+
+function serializeAppliedCoupon(pricing) {
+  if (!pricing.coupon) {
+    return null;
+  }
+
+  return {
+    code: pricing.coupon.code,
+    description: describeCoupon(pricing.coupon),
+    applied: !pricing.couponError,
+    message: pricing.couponError
+  };
+}
+
+module.exports = {
+  priceCart,
+  loadPricedCart,
+  serializeTotals,
+  serializeShipping,
+  serializeTax,
+  serializeAppliedCoupon
+};
@@ -0,0 +1,52 @@
+const prisma = require('./prisma');
+const { createSearchIndex } = require('./search');
+
+// Admin routes invalidate the index on every change; the max age covers
+// writes made elsewhere (seed script, another server process).
+const MAX_INDEX_AGE_MS = 5 * 60 * 1000;
+
+let cached = null;
+
+async function buildIndex() {
+  const products = await prisma.product.findMany({
+    where: { archivedAt: null },
+    select: { id: true, name: true, category: true, description: true }
+  });
+
+  return createSearchIndex(products);
+}
+
+function getCatalogIndex() {
+  if (!cached || Date.now() - cached.builtAt > MAX_INDEX_AGE_MS) {
+    const entry = { builtAt: Date.now(), index: buildIndex() };
+    cached = entry;
+
+    entry.index.catch(() => {
+      if (cached === entry) {
+        cached = null;
+      }
+    });
+  }
+
+  return cached.index;
+}
+
+async function searchCatalog(query) {
+  const index = await getCatalogIndex();
+  return index.search(query);
+}
+
+async function suggestFromCatalog(query, limit) {
+  const index = await getCatalogIndex();
+  return index.suggest(query, limit);
+}
+
+function invalidateCatalogIndex() {
+  cached = null;
+}
+
+module.exports = {
+  searchCatalog,
+  suggestFromCatalog,
+  invalidateCatalogIndex
+};
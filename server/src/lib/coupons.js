@@ -0,0 +1,295 @@
+const { spreadCents } = require('./cartPricing');
+const { formatMoney, toCents } = require('./money');
+
+const COUPON_TYPES = ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function describeCoupon(coupon) {
+  const scope = coupon.category ? ` on ${coupon.category}` : '';
+
+  switch (coupon.type) {
+    case 'percentage':
+      return `${Number(coupon.value)}% off${scope}`;
+    case 'fixed_amount':
+      return `${formatMoney(toCents(coupon.value))} off${scope}`;
+    case 'free_shipping':
+      return 'Free shipping';
+    case 'buy_x_get_y':
+      return `Buy ${coupon.buyQuantity} get ${coupon.getQuantity} free${scope}`;
+    default:
+      return coupon.code;
+  }
+}
+
+function appliesToLine(coupon, line) {
+  return !coupon.category || coupon.category === line.category;
+}
+
+/**
+ * Returns why `coupon` can't be used right now, or null when it can.
+ * `subtotalCents` is the whole cart; `userRedemptions` is how many orders
+ * this user has already placed with the code.
+ */
+function couponIneligibility(coupon, { lines, subtotalCents, userRedemptions = 0, now }) {
+  if (!coupon.active) {
+    return 'This code is no longer active';
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return 'This code is not active yet';
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return 'This code has expired';
+  }
+  if (coupon.usageLimit !== null && coupon.timesUsed >= coupon.usageLimit) {
+    return 'This code has reached its usage limit';
+  }
+  if (coupon.perUserLimit !== null && userRedemptions >= coupon.perUserLimit) {
+    return 'You have already used this code';
+  }
+  if (coupon.category && !lines.some((line) => appliesToLine(coupon, line))) {
+    return `This code only applies to ${coupon.category} products`;
+  }
+  if (coupon.minSpend !== null && subtotalCents < toCents(coupon.minSpend)) {
+    return `Spend at least ${formatMoney(toCents(coupon.minSpend))} to use this code`;
+  }
+
+  return null;
+}
+
+/**
+ * Works out what an eligible coupon takes off. Category-restricted and
+ * buy-X-get-Y codes discount individual lines; unrestricted percentage and
+ * fixed codes discount the order as a whole.
+ */
+function computeDiscounts(coupon, lines, subtotalCents) {
+  const lineDiscounts = new Map();
+  const eligible = lines.filter((line) => appliesToLine(coupon, line));
+  let orderDiscountCents = 0;
+
+  if (coupon.type === 'percentage') {
+    const percent = Number(coupon.value);
+    if (coupon.category) {
+      eligible.forEach((line) => {
+        lineDiscounts.set(line.productId, Math.round((line.lineTotalCents * percent) / 100));
+      });
+    } else {
+      orderDiscountCents = Math.round((subtotalCents * percent) / 100);
+    }
+  }
+
+  if (coupon.type === 'fixed_amount') {
+    if (coupon.category) {
+      const eligibleCents = eligible.reduce((total, line) => total + line.lineTotalCents, 0);
+      const amountCents = Math.min(toCents(coupon.value), eligibleCents);
+      spreadCents(amountCents, eligible).forEach((share, productId) => {
+        lineDiscounts.set(productId, share);
+      });
+    } else {
+      orderDiscountCents = Math.min(toCents(coupon.value), subtotalCents);
+    }
+  }
+
+  // Every (buy + get) units of the same product, `get` of them are free.
+  if (coupon.type === 'buy_x_get_y') {
+    const groupSize = coupon.buyQuantity + coupon.getQuantity;
+    eligible.forEach((line) => {
+      const freeUnits = Math.floor(line.quantity / groupSize) * coupon.getQuantity;
+      if (freeUnits > 0) {
+        lineDiscounts.set(line.productId, freeUnits * line.unitPriceCents);
+      }
+    });
+  }
+
+  // Coupons are validated when saved, but a discount must still never price
+  // a line or the order below zero.
+  eligible.forEach((line) => {
+    if (lineDiscounts.has(line.productId)) {
+      lineDiscounts.set(
+        line.productId,
+        Math.min(lineDiscounts.get(line.productId), line.lineTotalCents)
+      );
+    }
+  });
+
+  return {
+    lineDiscounts,
+    orderDiscountCents: Math.min(orderDiscountCents, subtotalCents),
+    freeShipping: coupon.type === 'free_shipping'
+  };
+}
+
+function parseOptionalDate(value, field, errors) {
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${field} must be a valid date`);
+    return undefined;
+  }
+  return date;
+}
+
+function parseOptionalCount(value, field, errors) {
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    errors.push(`${field} must be a positive integer`);
+    return undefined;
+  }
+  return number;
+}
+
+/**
+ * Validates a coupon payload from the admin API, in the same shape as
+ * validateProductInput: `partial` checks only the fields that are present.
+ * Rules spanning several fields are checked against `existing` merged with
+ * the payload, so a partial update can't leave a stored coupon inconsistent.
+ */
+function validateCouponInput(input, { partial = false, existing = {} } = {}) {
+  const body = input || {};
+  const errors = [];
+  const data = {};
+  const has = (field) => body[field] !== undefined;
+  const invalid = (field) => has(field) && data[field] === undefined;
+
+  if (!partial) {
+    ['code', 'type']
+      .filter((field) => !has(field))
+      .forEach((field) => {
+        errors.push(`${field} is required`);
+      });
+  }
+
+  if (has('code')) {
+    const code = normalizeCode(body.code);
+    if (!CODE_PATTERN.test(code)) {
+      errors.push('code must be 3-40 letters, numbers, dashes or underscores');
+    } else {
+      data.code = code;
+    }
+  }
+
+  if (has('type')) {
+    if (!COUPON_TYPES.includes(body.type)) {
+      errors.push(`type must be one of: ${COUPON_TYPES.join(', ')}`);
+    } else {
+      data.type = body.type;
+    }
+  }
+
+  if (has('value')) {
+    const value = body.value === null ? null : Number(body.value);
+    if (value !== null && (!Number.isFinite(value) || value <= 0)) {
+      errors.push('value must be a positive amount (at most 100 for percentage codes)');
+    } else {
+      data.value = value === null ? null : value.toFixed(2);
+    }
+  }
+
+  ['buyQuantity', 'getQuantity', 'usageLimit', 'perUserLimit'].forEach((field) => {
+    if (has(field)) {
+      const parsed = parseOptionalCount(body[field], field, errors);
+      if (parsed !== undefined) {
+        data[field] = parsed;
+      }
+    }
+  });
+
+  if (has('category')) {
+    if (body.category !== null && (typeof body.category !== 'string' || !body.category.trim())) {
+      errors.push('category must be a non-empty string or null');
+    } else {
+      data.category = body.category ? body.category.trim() : null;
+    }
+  }
+
+  if (has('minSpend')) {
+    const minSpend = body.minSpend === null ? null : Number(body.minSpend);
+    if (minSpend !== null && (!Number.isFinite(minSpend) || minSpend < 0)) {
+      errors.push('minSpend must be a non-negative amount');
+    } else {
+      data.minSpend = minSpend === null ? null : minSpend.toFixed(2);
+    }
+  }
+
+  ['startsAt', 'expiresAt'].forEach((field) => {
+    if (has(field)) {
+      const parsed = parseOptionalDate(body[field], field, errors);
+      if (parsed !== undefined) {
+        data[field] = parsed;
+      }
+    }
+  });
+
+  if (has('active')) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('active must be true or false');
+    } else {
+      data.active = body.active;
+    }
+  }
+
+  const coupon = { ...existing, ...data };
+
+  if (['percentage', 'fixed_amount'].includes(coupon.type) && !invalid('value')) {
+    if (coupon.value === null || coupon.value === undefined) {
+      errors.push('value is required for percentage and fixed_amount codes');
+    } else if (coupon.type === 'percentage' && Number(coupon.value) > 100) {
+      errors.push('value must be a positive amount (at most 100 for percentage codes)');
+    }
+  }
+
+  if (
+    coupon.type === 'buy_x_get_y' &&
+    !invalid('buyQuantity') &&
+    !invalid('getQuantity') &&
+    (!coupon.buyQuantity || !coupon.getQuantity)
+  ) {
+    errors.push('buyQuantity and getQuantity are required for buy_x_get_y codes');
+  }
+
+  if (coupon.startsAt && coupon.expiresAt && coupon.startsAt >= coupon.expiresAt) {
+    errors.push('expiresAt must be after startsAt');
+  }
+
+  return { errors, data };
+}
+
+function serializeCoupon(coupon) {
+  return {
+    id: coupon.id,
+    code: coupon.code,
+    type: coupon.type,
+    value: coupon.value === null ? null : Number(coupon.value),
+    buyQuantity: coupon.buyQuantity,
+    getQuantity: coupon.getQuantity,
+    category: coupon.category,
+    minSpend: coupon.minSpend === null ? null : Number(coupon.minSpend),
+    startsAt: coupon.startsAt,
+    expiresAt: coupon.expiresAt,
+    usageLimit: coupon.usageLimit,
+    perUserLimit: coupon.perUserLimit,
+    timesUsed: coupon.timesUsed,
+    active: coupon.active,
+    description: describeCoupon(coupon)
+  };
+}
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCode,
+  describeCoupon,
+  couponIneligibility,
+  computeDiscounts,
+  validateCouponInput,
+  serializeCoupon
+};
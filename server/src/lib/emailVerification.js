@@ -0,0 +1,64 @@
+const jwt = require('jsonwebtoken');
+const { appLink, sendMail } = require('./mailer');
+
+const VERIFICATION_TOKEN_TTL = '24h';
+const RESEND_COOLDOWN_SECONDS = 60;
+const PURPOSE = 'verify-email';
+
+// Verification links carry a signed token rather than a stored one. The
+// email is part of the payload so a link stops working if the address changes.
+function signVerificationToken(user) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, purpose: PURPOSE },
+    process.env.JWT_SECRET || 'default-secret',
+    { expiresIn: VERIFICATION_TOKEN_TTL, audience: PURPOSE }
+  );
+}
+
+// Returns `{ userId, email }`, or null for a bad, expired or non-verification token.
+function readVerificationToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET || 'default-secret', {
+      audience: PURPOSE
+    });
+    return payload.purpose === PURPOSE ? { userId: payload.userId, email: payload.email } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sendVerificationEmail(user) {
+  const link = appLink(`/verify-email/${signVerificationToken(user)}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your ShopSmart email address',
+    text: [
+      `Hi${user.firstName ? ` ${user.firstName}` : ''},`,
+      '',
+      'Please confirm your email address to finish setting up your ShopSmart account:',
+      '',
+      link,
+      '',
+      'The link is valid for 24 hours.'
+    ].join('\n')
+  });
+}
+
+// Seconds until another verification email may be sent, or 0.
+function resendWaitSeconds(user, now = new Date()) {
+  if (!user.verificationSentAt) {
+    return 0;
+  }
+
+  const elapsed = (now.getTime() - new Date(user.verificationSentAt).getTime()) / 1000;
+  return Math.max(Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed), 0);
+}
+
+module.exports = {
+  RESEND_COOLDOWN_SECONDS,
+  signVerificationToken,
+  readVerificationToken,
+  sendVerificationEmail,
+  resendWaitSeconds
+};
@@ -0,0 +1,63 @@
+// After LOCKOUT_THRESHOLD failed logins in a row the account is locked, for
+// BASE_LOCK_SECONDS at first and twice as long for each further failure, up
+// to MAX_LOCK_SECONDS. A successful login or a password reset clears it.
+const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCK_SECONDS = 60;
+const MAX_LOCK_SECONDS = 60 * 60;
+
+function lockSecondsFor(failedLoginCount) {
+  if (failedLoginCount < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+
+  const doublings = failedLoginCount - LOCKOUT_THRESHOLD;
+  return Math.min(BASE_LOCK_SECONDS * 2 ** doublings, MAX_LOCK_SECONDS);
+}
+
+// Seconds until a locked account can try again, or 0.
+function lockoutSecondsRemaining(user, now = new Date()) {
+  if (!user.lockedUntil) {
+    return 0;
+  }
+
+  const remainingMs = new Date(user.lockedUntil).getTime() - now.getTime();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+// Returns the lock length in seconds when this failure locked the account.
+async function recordFailedLogin(client, user, now = new Date()) {
+  const updated = await client.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: { increment: 1 } },
+    select: { failedLoginCount: true }
+  });
+
+  const lockSeconds = lockSecondsFor(updated.failedLoginCount);
+  if (lockSeconds > 0) {
+    await client.user.update({
+      where: { id: user.id },
+      data: { lockedUntil: new Date(now.getTime() + lockSeconds * 1000) }
+    });
+  }
+
+  return lockSeconds;
+}
+
+function clearFailedLogins(client, user) {
+  if (!user.failedLoginCount && !user.lockedUntil) {
+    return null;
+  }
+
+  return client.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: 0, lockedUntil: null }
+  });
+}
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  lockSecondsFor,
+  lockoutSecondsRemaining,
+  recordFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,72 @@
+const { createSmtpTransport } = require('./smtpTransport');
+const { createLogTransport } = require('./logTransport');
+const { createMemoryTransport } = require('./memoryTransport');
+
+/**
+ * Mail transports share one interface:
+ *
+ *   send({ from, to, subject, text, html? }) -> { messageId }
+ *
+ * `smtp` delivers for real, `log` prints each message (and writes it to
+ * MAIL_LOG_DIR when set) for local development, and `memory` keeps messages
+ * in an array so tests can read them back.
+ */
+const TRANSPORT_FACTORIES = {
+  smtp: () => createSmtpTransport({ url: process.env.SMTP_URL }),
+  log: () => createLogTransport({ dir: process.env.MAIL_LOG_DIR }),
+  memory: () => createMemoryTransport()
+};
+
+const instances = new Map();
+
+// The log transport prints whole messages, reset links included, so it is
+// only a default in development; anywhere else the transport must be chosen.
+function defaultTransportName() {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+
+  const env = process.env.NODE_ENV || 'development';
+  if (env === 'test') {
+    return 'memory';
+  }
+  if (env === 'development') {
+    return 'log';
+  }
+  throw new Error(`MAIL_TRANSPORT must be set when NODE_ENV is ${env}`);
+}
+
+// Checked on load so a misconfigured server fails at startup, not on the
+// first email.
+defaultTransportName();
+
+function getMailTransport(name = defaultTransportName()) {
+  if (!TRANSPORT_FACTORIES[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, TRANSPORT_FACTORIES[name]());
+  }
+
+  return instances.get(name);
+}
+
+// Absolute link into the client app for use in email bodies.
+function appLink(path) {
+  const appUrl = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${appUrl}${path}`;
+}
+
+function sendMail(message) {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'ShopSmart <no-reply@shopsmart.local>',
+    ...message
+  });
+}
+
+module.exports = {
+  appLink,
+  getMailTransport,
+  sendMail
+};
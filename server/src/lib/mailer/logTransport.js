@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Development sink: mail is printed instead of sent, and saved as a .eml-style
+// text file per message when a directory is configured.
+function createLogTransport({ dir } = {}) {
+  return {
+    async send(message) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const rendered = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text
+      ].join('\n');
+
+      if (dir) {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, `${messageId}.eml`), rendered);
+      }
+
+      console.log(`[mail ${messageId}]\n${rendered}`);
+      return { messageId };
+    }
+  };
+}
+
+module.exports = {
+  createLogTransport
+};
@@ -0,0 +1,19 @@
+function createMemoryTransport() {
+  const sent = [];
+
+  return {
+    sent,
+    async send(message) {
+      const messageId = `memory-${sent.length + 1}`;
+      sent.push({ ...message, messageId });
+      return { messageId };
+    },
+    clear() {
+      sent.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryTransport
+};
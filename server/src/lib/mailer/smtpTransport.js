@@ -0,0 +1,20 @@
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({ url }) {
+  if (!url) {
+    throw new Error('SMTP_URL must be set to use the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport(url);
+
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = {
+  createSmtpTransport
+};
@@ -0,0 +1,39 @@
+// Catalog prices are stored as integer minor units (cents) with a currency
+// code. Order and payment columns are still Decimal and are written as
+// two-decimal strings.
+const STORE_CURRENCY = 'USD';
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+// Plain number for API payloads, e.g. 7999 -> 79.99.
+function centsToAmount(cents) {
+  return Number(fromCents(cents));
+}
+
+function multiplyCents(cents, quantity) {
+  return Math.round(cents * quantity);
+}
+
+function sumCents(values) {
+  return values.reduce((total, cents) => total + cents, 0);
+}
+
+function formatMoney(cents, currency = STORE_CURRENCY) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(cents / 100);
+}
+
+module.exports = {
+  STORE_CURRENCY,
+  toCents,
+  fromCents,
+  centsToAmount,
+  multiplyCents,
+  sumCents,
+  formatMoney
+};
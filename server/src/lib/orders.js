@@ -0,0 +1,169 @@
+const prisma = require('./prisma');
+const { STORE_CURRENCY, centsToAmount, fromCents, multiplyCents, toCents } = require('./money');
+const { loadPricedCart } = require('./cartTotals');
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Thrown inside the checkout transaction so Prisma rolls it back; the route
+// turns it into a response.
+class CheckoutError extends Error {
+  constructor(status, message, data) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+function serializeOrder(order) {
+  return {
+    id: order.id,
+    status: order.status,
+    subtotal: Number(order.subtotal),
+    discount: Number(order.discount || 0),
+    couponCode: order.couponCode || null,
+    shipping: Number(order.shipping || 0),
+    shippingMethod: order.shippingMethod || null,
+    tax: Number(order.tax || 0),
+    taxIncluded: Boolean(order.taxIncluded),
+    total: Number(order.total),
+    currency: order.currency || STORE_CURRENCY,
+    createdAt: order.createdAt,
+    items: (order.items || []).map((item) => ({
+      productId: item.productId,
+      name: item.productName,
+      unitPrice: Number(item.unitPrice),
+      quantity: item.quantity,
+      discount: Number(item.discount || 0),
+      lineTotal: centsToAmount(
+        multiplyCents(toCents(item.unitPrice), item.quantity) - toCents(item.discount || 0)
+      )
+    }))
+  };
+}
+
+function findOrderByKey(userId, idempotencyKey) {
+  return prisma.order.findUnique({
+    where: { userId_idempotencyKey: { userId, idempotencyKey } },
+    include: { items: true }
+  });
+}
+
+/**
+ * Turns the user's cart into an order in one transaction: checks every line,
+ * takes the stock, snapshots name and price, redeems the applied coupon and
+ * empties the cart. Tax is charged for `destination` when one is given.
+ * Throws CheckoutError when the cart can't be ordered as-is.
+ */
+function placeOrder(userId, idempotencyKey, { destination = null } = {}) {
+  return prisma.$transaction(async (tx) => {
+    const { cartItems, pricing } = await loadPricedCart(tx, userId, { destination });
+
+    if (cartItems.length === 0) {
+      throw new CheckoutError(400, 'Your cart is empty');
+    }
+
+    const unavailable = cartItems.filter((item) => item.product.archivedAt);
+    if (unavailable.length > 0) {
+      throw new CheckoutError(409, 'Some items in your cart are no longer available', {
+        productIds: unavailable.map((item) => item.productId)
+      });
+    }
+
+    for (const item of cartItems) {
+      // The stock condition makes the decrement atomic: a concurrent order
+      // that got there first leaves this update matching no rows.
+      const { count } = await tx.product.updateMany({
+        where: { id: item.productId, archivedAt: null, stock: { gte: item.quantity } },
+        data: { stock: { decrement: item.quantity } }
+      });
+
+      if (count === 0) {
+        const current = await tx.product.findUnique({ where: { id: item.productId } });
+        const availableQuantity = current ? current.stock : 0;
+
+        throw new CheckoutError(
+          409,
+          availableQuantity > 0
+            ? `Only ${availableQuantity} of ${item.product.name} left in stock`
+            : `${item.product.name} is out of stock`,
+          { productId: item.productId, availableQuantity, quantityInCart: item.quantity }
+        );
+      }
+    }
+
+    const { coupon } = pricing;
+    if (pricing.couponError) {
+      throw new CheckoutError(409, pricing.couponError, { code: coupon.code });
+    }
+
+    if (coupon) {
+      // Same pattern as the stock decrement: the limit check and the
+      // increment happen in one statement.
+      const { count } = await tx.coupon.updateMany({
+        where: {
+          id: coupon.id,
+          OR: [{ usageLimit: null }, { timesUsed: { lt: coupon.usageLimit } }]
+        },
+        data: { timesUsed: { increment: 1 } }
+      });
+
+      if (count === 0) {
+        throw new CheckoutError(409, 'This code has reached its usage limit', {
+          code: coupon.code
+        });
+      }
+    }
+
+    const lineDiscounts = new Map(
+      pricing.lines.map((line) => [line.productId, line.discountCents])
+    );
+
+    const order = await tx.order.create({
+      data: {
+        userId,
+        idempotencyKey,
+        subtotal: fromCents(pricing.subtotalCents),
+        discount: fromCents(pricing.discountCents),
+        shipping: fromCents(pricing.shippingCents),
+        shippingMethod: pricing.shippingMethod,
+        tax: fromCents(pricing.taxCents),
+        taxIncluded: Boolean(pricing.tax && pricing.tax.pricesIncludeTax),
+        taxCountry: destination ? destination.country : null,
+        taxRegion: destination ? destination.region : null,
+        total: fromCents(pricing.totalCents),
+        currency: STORE_CURRENCY,
+        couponCode: coupon ? coupon.code : null,
+        items: {
+          create: cartItems.map((item) => ({
+            productId: item.productId,
+            productName: item.product.name,
+            unitPrice: fromCents(item.product.priceCents),
+            quantity: item.quantity,
+            discount: fromCents(lineDiscounts.get(item.productId) || 0)
+          }))
+        }
+      },
+      include: { items: true }
+    });
+
+    if (coupon) {
+      await tx.couponRedemption.create({
+        data: { couponId: coupon.id, userId, orderId: order.id }
+      });
+      await tx.cartCoupon.deleteMany({ where: { userId } });
+    }
+
+    await tx.userCartItem.deleteMany({ where: { userId } });
+
+    return order;
+  });
+}
+
+module.exports = {
+  IDEMPOTENCY_KEY_PATTERN,
+  CheckoutError,
+  serializeOrder,
+  findOrderByKey,
+  placeOrder
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+const { appLink, sendMail } = require('./mailer');
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+class PasswordResetError extends Error {
+  constructor(message = 'This reset link is invalid or has expired') {
+    super(message);
+    this.name = 'PasswordResetError';
+  }
+}
+
+/**
+ * Creates a reset token for the user and emails the link. Earlier unused
+ * links are retired so only the newest one works.
+ */
+async function requestPasswordReset(client, user, now = new Date()) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await client.$transaction(async (tx) => {
+    await tx.passwordResetToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: now }
+    });
+    await tx.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+      }
+    });
+  });
+
+  const link = appLink(`/reset-password/${token}`);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your ShopSmart password',
+    text: [
+      `Hi${user.firstName ? ` ${user.firstName}` : ''},`,
+      '',
+      'Someone asked to reset the password for your ShopSmart account.',
+      `Choose a new password here within ${RESET_TOKEN_TTL_MINUTES} minutes:`,
+      '',
+      link,
+      '',
+      'If this was not you, you can ignore this email.'
+    ].join('\n')
+  });
+
+  return token;
+}
+
+/**
+ * Sets the new password, lifts any login lockout and signs the user out
+ * everywhere by revoking every refresh token; access tokens already issued
+ * lapse on their own shortly.
+ */
+async function resetPassword(client, token, passwordHash, now = new Date()) {
+  const reset = await client.passwordResetToken.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!reset || reset.usedAt || reset.expiresAt <= now) {
+    throw new PasswordResetError();
+  }
+
+  return client.$transaction(async (tx) => {
+    // Claiming the token by its unused state keeps it single-use under races.
+    const { count } = await tx.passwordResetToken.updateMany({
+      where: { id: reset.id, usedAt: null },
+      data: { usedAt: now }
+    });
+    if (count === 0) {
+      throw new PasswordResetError();
+    }
+
+    await tx.user.update({
+      where: { id: reset.userId },
+      data: { password: passwordHash, failedLoginCount: 0, lockedUntil: null }
+    });
+    await tx.refreshToken.updateMany({
+      where: { userId: reset.userId, revokedAt: null },
+      data: { revokedAt: now }
+    });
+
+    return reset.userId;
+  });
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  PasswordResetError,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,75 @@
+const MONTHS = 12;
+
+function serializePayment(payment, nextAction) {
+  return {
+    id: payment.id,
+    status: payment.status,
+    amount: Number(payment.amount),
+    currency: payment.currency,
+    cardLast4: payment.cardLast4,
+    failureCode: payment.failureCode,
+    failureMessage: payment.failureMessage,
+    createdAt: payment.createdAt,
+    ...(nextAction ? { nextAction } : {})
+  };
+}
+
+/**
+ * Checks the card fields sent to POST /api/payments/intents. Returns
+ * `{ errors, card }`; only the number, expiry and CVC are read and none of
+ * them is stored except the last four digits.
+ */
+function validateCard(input, now = new Date()) {
+  const errors = [];
+  const card = input && typeof input === 'object' ? input : {};
+  const number = String(card.number || '').replace(/[\s-]/g, '');
+  const expMonth = Number(card.expMonth);
+  const expYear = Number(card.expYear);
+  const cvc = String(card.cvc || '');
+
+  if (!/^\d{12,19}$/.test(number)) {
+    errors.push('Card number must be 12 to 19 digits');
+  }
+
+  if (!Number.isInteger(expMonth) || expMonth < 1 || expMonth > MONTHS) {
+    errors.push('Expiry month must be between 1 and 12');
+  } else if (
+    !Number.isInteger(expYear) ||
+    expYear * MONTHS + expMonth < now.getFullYear() * MONTHS + now.getMonth() + 1
+  ) {
+    errors.push('Card has expired');
+  }
+
+  if (!/^\d{3,4}$/.test(cvc)) {
+    errors.push('CVC must be 3 or 4 digits');
+  }
+
+  return { errors, card: { number, expMonth, expYear, cvc } };
+}
+
+// Webhook event types and the payment status each one moves to.
+const WEBHOOK_STATUSES = {
+  'payment.authorized': 'authorized',
+  'payment.failed': 'declined',
+  'payment.captured': 'captured',
+  'payment.refunded': 'refunded',
+  'payment.voided': 'voided'
+};
+
+// The statuses a payment may move to each status from. Webhooks can arrive
+// late or more than once, so an update only applies while the payment is in
+// one of these; a replayed `payment.authorized` can't undo a capture.
+const PAYMENT_TRANSITIONS = {
+  authorized: ['requires_action'],
+  declined: ['requires_action'],
+  captured: ['authorized'],
+  refunded: ['captured'],
+  voided: ['requires_action', 'authorized']
+};
+
+module.exports = {
+  serializePayment,
+  validateCard,
+  WEBHOOK_STATUSES,
+  PAYMENT_TRANSITIONS
+};
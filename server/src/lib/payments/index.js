@@ -0,0 +1,42 @@
+const { createMockGateway } = require('./mockGateway');
+
+/**
+ * Payment providers share one interface:
+ *
+ *   authorize({ amountCents, currency, card }) -> { status, providerRef, failureCode?,
+ *                                                   failureMessage?, nextAction? }
+ *   capture(providerRef, amountCents)  -> { status, providerRef?, failureCode? }
+ *   refund(providerRef, amountCents)   -> { status, providerRef?, failureCode? }
+ *   void(providerRef)                  -> { status, providerRef?, failureCode? }
+ *   retrieve(providerRef)              -> { status, providerRef, failureCode?,
+ *                                           failureMessage? }
+ *   verifyWebhook(rawBody, signature)  -> event | null
+ *
+ * `status` is one of the PaymentStatus enum values in schema.prisma.
+ * A real processor is added by writing an adapter and registering it below.
+ */
+const PROVIDER_FACTORIES = {
+  mock: () =>
+    createMockGateway({
+      webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret'
+    })
+};
+
+const instances = new Map();
+
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+  // Names can come from a webhook URL, so inherited keys like `constructor` must not match.
+  if (!Object.hasOwn(PROVIDER_FACTORIES, name)) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, PROVIDER_FACTORIES[name]());
+  }
+
+  return instances.get(name);
+}
+
+module.exports = {
+  getPaymentProvider
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+
+// Card numbers with a fixed outcome, modelled on the test cards real
+// processors publish. Any other number that passes the Luhn check succeeds.
+const TEST_CARDS = {
+  success: '4242424242424242',
+  decline: '4000000000000002',
+  insufficientFunds: '4000000000009995',
+  threeDSecure: '4000000000003220'
+};
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function passesLuhn(number) {
+  let sum = 0;
+
+  for (let index = 0; index < number.length; index += 1) {
+    let digit = Number(number[number.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+function declined(providerRef, failureCode, failureMessage) {
+  return { status: 'declined', providerRef, failureCode, failureMessage };
+}
+
+/**
+ * In-process payment gateway for development and CI. Keeps authorizations in
+ * memory and signs its webhooks the way a hosted provider would, so the
+ * webhook route is exercised end to end.
+ */
+function createMockGateway({ webhookSecret }) {
+  const charges = new Map();
+
+  function sign(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+      .createHmac('sha256', webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  function findCharge(providerRef) {
+    const charge = charges.get(providerRef);
+    if (!charge) {
+      throw new Error(`Unknown mock charge: ${providerRef}`);
+    }
+    return charge;
+  }
+
+  async function authorize({ amountCents, currency, card }) {
+    const providerRef = `mock_ch_${crypto.randomBytes(8).toString('hex')}`;
+    const number = card.number;
+
+    if (number === TEST_CARDS.decline || !passesLuhn(number)) {
+      return declined(providerRef, 'card_declined', 'Your card was declined');
+    }
+
+    if (number === TEST_CARDS.insufficientFunds) {
+      return declined(providerRef, 'insufficient_funds', 'Your card has insufficient funds');
+    }
+
+    const charge = { amountCents, currency, capturedCents: 0, refundedCents: 0 };
+    charges.set(providerRef, charge);
+
+    if (number === TEST_CARDS.threeDSecure) {
+      charge.status = 'requires_action';
+      return {
+        status: 'requires_action',
+        providerRef,
+        nextAction: {
+          type: 'three_d_secure',
+          challengeUrl: `https://mock-gateway.invalid/3ds/${providerRef}`
+        }
+      };
+    }
+
+    charge.status = 'authorized';
+    return { status: 'authorized', providerRef };
+  }
+
+  async function capture(providerRef, amountCents) {
+    const charge = findCharge(providerRef);
+    if (charge.status !== 'authorized' || amountCents > charge.amountCents) {
+      return { status: charge.status, failureCode: 'capture_not_allowed' };
+    }
+
+    charge.status = 'captured';
+    charge.capturedCents = amountCents;
+    return { status: 'captured', providerRef };
+  }
+
+  async function refund(providerRef, amountCents) {
+    const charge = findCharge(providerRef);
+    if (charge.status !== 'captured' || amountCents > charge.capturedCents) {
+      return { status: charge.status, failureCode: 'refund_not_allowed' };
+    }
+
+    charge.status = 'refunded';
+    charge.refundedCents = amountCents;
+    return { status: 'refunded', providerRef };
+  }
+
+  async function voidAuthorization(providerRef) {
+    const charge = findCharge(providerRef);
+    if (charge.status !== 'authorized' && charge.status !== 'requires_action') {
+      return { status: charge.status, failureCode: 'void_not_allowed' };
+    }
+
+    charge.status = 'voided';
+    return { status: 'voided', providerRef };
+  }
+
+  /**
+   * Checks a `t=<unix seconds>,v1=<hex hmac>` signature header against the raw
+   * request body. Returns the parsed event, or null if it doesn't verify.
+   */
+  function verifyWebhook(rawBody, signatureHeader, now = Date.now()) {
+    if (!rawBody || !signatureHeader) {
+      return null;
+    }
+
+    const parts = Object.fromEntries(
+      signatureHeader.split(',').map((part) => part.trim().split('=', 2))
+    );
+    const timestamp = Number(parts.t);
+
+    if (!Number.isInteger(timestamp) || !parts.v1) {
+      return null;
+    }
+
+    if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(rawBody.toString('utf8'), timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async function retrieve(providerRef) {
+    const charge = findCharge(providerRef);
+    return { status: charge.status, providerRef, ...charge.failure };
+  }
+
+  // Stands in for the customer finishing the 3-D Secure challenge on the
+  // bank's page. Returns the webhook event the gateway would send for it.
+  function completeChallenge(providerRef, passed) {
+    const charge = findCharge(providerRef);
+    charge.status = passed ? 'authorized' : 'declined';
+    if (!passed) {
+      charge.failure = {
+        failureCode: 'authentication_failed',
+        failureMessage: '3-D Secure failed'
+      };
+    }
+
+    return {
+      type: passed ? 'payment.authorized' : 'payment.failed',
+      data: { providerRef, ...charge.failure }
+    };
+  }
+
+  return {
+    name: 'mock',
+    signatureHeader: 'X-Mock-Signature',
+    authorize,
+    capture,
+    refund,
+    void: voidAuthorization,
+    retrieve,
+    verifyWebhook,
+    sign,
+    completeChallenge
+  };
+}
+
+module.exports = {
+  TEST_CARDS,
+  passesLuhn,
+  createMockGateway
+};
@@ -0,0 +1,51 @@
+// Tracks which searches shoppers run so autocomplete can offer them back.
+// Kept in memory like the search index; counts reset when the server restarts.
+const MAX_TRACKED_QUERIES = 500;
+
+const counts = new Map();
+
+function normalizeQuery(query) {
+  return String(query || '')
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+function recordQuery(query) {
+  const normalized = normalizeQuery(query);
+  if (normalized.length < 2 || normalized.length > 100) {
+    return;
+  }
+
+  counts.set(normalized, (counts.get(normalized) || 0) + 1);
+
+  if (counts.size > MAX_TRACKED_QUERIES) {
+    let leastUsed = null;
+    counts.forEach((count, key) => {
+      if (key !== normalized && (leastUsed === null || count < counts.get(leastUsed))) {
+        leastUsed = key;
+      }
+    });
+    counts.delete(leastUsed);
+  }
+}
+
+function popularQueries(prefix, limit = 5) {
+  const normalized = normalizeQuery(prefix);
+
+  return [...counts.entries()]
+    .filter(([query]) => query.startsWith(normalized) && query !== normalized)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([query, count]) => ({ query, count }));
+}
+
+function resetPopularQueries() {
+  counts.clear();
+}
+
+module.exports = {
+  recordQuery,
+  popularQueries,
+  resetPopularQueries
+};
@@ -0,0 +1,92 @@
+const { toCents } = require('./money');
+
+const PRICE_BUCKETS = [
+  { key: 'under-25', label: 'Under $25', min: 0, max: 25 },
+  { key: '25-50', label: '$25 to $50', min: 25, max: 50 },
+  { key: '50-100', label: '$50 to $100', min: 50, max: 100 },
+  { key: '100-200', label: '$100 to $200', min: 100, max: 200 },
+  { key: '200-plus', label: '$200 and up', min: 200, max: null }
+];
+
+const RATING_BANDS = [4, 3, 2, 1];
+
+function matchesCategory(product, filters) {
+  return filters.categories.length === 0 || filters.categories.includes(product.category);
+}
+
+function matchesPrice(product, filters) {
+  const price = product.priceCents;
+  return (
+    (filters.minPrice === undefined || price >= toCents(filters.minPrice)) &&
+    (filters.maxPrice === undefined || price <= toCents(filters.maxPrice))
+  );
+}
+
+function matchesRating(product, filters) {
+  return filters.minRating === undefined || product.rating >= filters.minRating;
+}
+
+function matchesStock(product, filters) {
+  return !filters.inStock || product.stock > 0;
+}
+
+const MATCHERS = {
+  category: matchesCategory,
+  price: matchesPrice,
+  rating: matchesRating,
+  availability: matchesStock
+};
+
+// Applies every active filter except the one a facet controls, so its own
+// options keep showing what selecting them would return.
+function matchesOtherFilters(product, filters, facet) {
+  return Object.entries(MATCHERS).every(
+    ([name, matches]) => name === facet || matches(product, filters)
+  );
+}
+
+/**
+ * Counts products per category, price bucket, rating band and availability.
+ * `products` is the text-search result set (category, price, rating and stock
+ * are enough); `filters` are the parsed filters from parseProductQuery.
+ */
+function computeFacets(products, filters) {
+  const pool = (facet) =>
+    products.filter((product) => matchesOtherFilters(product, filters, facet));
+
+  const categoryCounts = new Map();
+  pool('category').forEach((product) => {
+    categoryCounts.set(product.category, (categoryCounts.get(product.category) || 0) + 1);
+  });
+
+  const pricePool = pool('price');
+  const ratingPool = pool('rating');
+  const stockPool = pool('availability');
+
+  return {
+    categories: [...categoryCounts.entries()]
+      .map(([value, count]) => ({ value, count, selected: filters.categories.includes(value) }))
+      .sort((a, b) => a.value.localeCompare(b.value)),
+    price: PRICE_BUCKETS.map((bucket) => ({
+      ...bucket,
+      count: pricePool.filter((product) => {
+        const price = product.priceCents;
+        return price >= toCents(bucket.min) && (bucket.max === null || price < toCents(bucket.max));
+      }).length
+    })),
+    rating: RATING_BANDS.map((min) => ({
+      min,
+      count: ratingPool.filter((product) => product.rating >= min).length
+    })),
+    availability: {
+      inStock: stockPool.filter((product) => product.stock > 0).length,
+      outOfStock: stockPool.filter((product) => product.stock <= 0).length
+    }
+  };
+}
+
+module.exports = {
+  PRICE_BUCKETS,
+  RATING_BANDS,
+  computeFacets
+};
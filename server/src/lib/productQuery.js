@@ -0,0 +1,167 @@
+const { toCents } = require('./money');
+const { MAX_QUERY_LENGTH, MAX_QUERY_TOKENS, tokenize } = require('./search');
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 48;
+
+// `relevance` has no database ordering: matches are ranked by the search index.
+const SORT_ORDERS = {
+  relevance: null,
+  featured: [{ id: 'asc' }],
+  'price-asc': [{ priceCents: 'asc' }, { id: 'asc' }],
+  'price-desc': [{ priceCents: 'desc' }, { id: 'asc' }],
+  rating: [{ rating: 'desc' }, { id: 'asc' }],
+  newest: [{ createdAt: 'desc' }, { id: 'asc' }],
+  name: [{ name: 'asc' }, { id: 'asc' }]
+};
+
+function parseNumber(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function parsePositiveInt(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : NaN;
+}
+
+/**
+ * Parses the query string of GET /api/products.
+ *
+ * Supported parameters: q, category (comma separated), minPrice, maxPrice,
+ * minRating, inStock, sort (relevance | featured | price-asc | price-desc |
+ * rating | newest | name), page and pageSize. Sorting defaults to relevance
+ * when there is a search query and to featured otherwise.
+ *
+ * Returns `{ errors }` when a parameter is malformed, otherwise the parsed
+ * `filters` alongside `orderBy`, `page`, `pageSize`, `skip` and `take`.
+ */
+function parseProductQuery(query = {}) {
+  const errors = [];
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const categories =
+    typeof query.category === 'string'
+      ? query.category
+          .split(',')
+          .map((category) => category.trim())
+          .filter(Boolean)
+      : [];
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  const minRating = parseNumber(query.minRating);
+  const inStock = query.inStock === 'true' || query.inStock === '1';
+  const sort = query.sort || (q ? 'relevance' : 'featured');
+  const page = parsePositiveInt(query.page, 1);
+  const pageSize = parsePositiveInt(query.pageSize, DEFAULT_PAGE_SIZE);
+
+  if (q.length > MAX_QUERY_LENGTH) {
+    errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  } else if (tokenize(q).length > MAX_QUERY_TOKENS) {
+    errors.push(`q must be at most ${MAX_QUERY_TOKENS} words`);
+  }
+  if (Number.isNaN(minPrice) || minPrice < 0) {
+    errors.push('minPrice must be a non-negative number');
+  }
+  if (Number.isNaN(maxPrice) || maxPrice < 0) {
+    errors.push('maxPrice must be a non-negative number');
+  }
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    errors.push('minPrice cannot be greater than maxPrice');
+  }
+  if (Number.isNaN(minRating) || minRating < 0 || minRating > 5) {
+    errors.push('minRating must be between 0 and 5');
+  }
+  if (!Object.prototype.hasOwnProperty.call(SORT_ORDERS, sort)) {
+    errors.push(`sort must be one of: ${Object.keys(SORT_ORDERS).join(', ')}`);
+  }
+  if (Number.isNaN(page)) {
+    errors.push('page must be a positive integer');
+  }
+  if (Number.isNaN(pageSize) || pageSize > MAX_PAGE_SIZE) {
+    errors.push(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // Relevance only means something when there is a query to rank against.
+  const effectiveSort = sort === 'relevance' && !q ? 'featured' : sort;
+
+  return {
+    errors,
+    filters: { q, categories, minPrice, maxPrice, minRating, inStock, sort: effectiveSort },
+    orderBy: SORT_ORDERS[effectiveSort],
+    page,
+    pageSize,
+    skip: (page - 1) * pageSize,
+    take: pageSize
+  };
+}
+
+/**
+ * Builds the Prisma `where` clauses for parsed filters. `matchedIds` are the
+ * search index hits for `filters.q` (ignored when there is no query).
+ * `searchWhere` applies only the text search and is the base set for facets.
+ */
+function buildProductWhere(filters, matchedIds) {
+  const { q, categories, minPrice, maxPrice, minRating, inStock } = filters;
+  const searchWhere = { archivedAt: null };
+
+  if (q) {
+    searchWhere.id = { in: matchedIds || [] };
+  }
+
+  const where = { ...searchWhere };
+
+  if (categories.length > 0) {
+    where.category = { in: categories };
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    where.priceCents = {};
+    if (minPrice !== undefined) {
+      where.priceCents.gte = toCents(minPrice);
+    }
+    if (maxPrice !== undefined) {
+      where.priceCents.lte = toCents(maxPrice);
+    }
+  }
+  if (minRating !== undefined) {
+    where.rating = { gte: minRating };
+  }
+  if (inStock) {
+    where.stock = { gt: 0 };
+  }
+
+  return { searchWhere, where };
+}
+
+function buildPagination(total, page, pageSize) {
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+  return {
+    total,
+    page,
+    pageSize,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseProductQuery,
+  buildProductWhere,
+  buildPagination
+};
@@ -0,0 +1,145 @@
+const { STORE_CURRENCY, centsToAmount, toCents } = require('./money');
+
+const REQUIRED_FIELDS = ['name', 'category', 'price', 'stock', 'image', 'description'];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+// Prices are stored in cents; `price` stays a plain number for existing clients.
+function serializeProduct(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    category: product.category,
+    price: centsToAmount(product.priceCents),
+    priceCents: product.priceCents,
+    currency: product.currency || STORE_CURRENCY,
+    rating: product.rating,
+    reviewCount: product.reviewCount || 0,
+    stock: product.stock,
+    image: product.image,
+    description: product.description,
+    available: !product.archivedAt
+  };
+}
+
+function serializeAdminProduct(product) {
+  return {
+    ...serializeProduct(product),
+    weightGrams: product.weightGrams || 0,
+    archivedAt: product.archivedAt || null,
+    createdAt: product.createdAt,
+    updatedAt: product.updatedAt
+  };
+}
+
+function isNonEmptyString(value, maxLength) {
+  return typeof value === 'string' && value.trim().length > 0 && value.trim().length <= maxLength;
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates a product payload from the admin API.
+ * With `partial` set only the fields present in `input` are checked (PATCH);
+ * otherwise every required field must be supplied (POST/PUT).
+ * Returns `{ errors, data }` where `data` holds the normalized fields.
+ */
+function validateProductInput(input, { partial = false } = {}) {
+  const body = input || {};
+  const errors = [];
+  const data = {};
+
+  if (!partial) {
+    REQUIRED_FIELDS.filter((field) => body[field] === undefined || body[field] === null).forEach(
+      (field) => errors.push(`${field} is required`)
+    );
+  }
+
+  const has = (field) => body[field] !== undefined && body[field] !== null;
+
+  if (has('id')) {
+    if (typeof body.id !== 'string' || !ID_PATTERN.test(body.id)) {
+      errors.push('id must contain only lowercase letters, numbers and dashes');
+    } else {
+      data.id = body.id;
+    }
+  }
+
+  if (has('name')) {
+    if (!isNonEmptyString(body.name, 191)) {
+      errors.push('name must be a non-empty string of at most 191 characters');
+    } else {
+      data.name = body.name.trim();
+    }
+  }
+
+  if (has('category')) {
+    if (!isNonEmptyString(body.category, 50)) {
+      errors.push('category must be a non-empty string of at most 50 characters');
+    } else {
+      data.category = body.category.trim();
+    }
+  }
+
+  if (has('price')) {
+    const price = Number(body.price);
+    const hasSubCentDigits = Math.abs(Math.round(price * 100) - price * 100) > 1e-6;
+    if (!Number.isFinite(price) || price <= 0 || hasSubCentDigits) {
+      errors.push('price must be a positive amount with at most two decimal places');
+    } else {
+      data.priceCents = toCents(price);
+    }
+  }
+
+  if (has('stock')) {
+    const stock = Number(body.stock);
+    if (!Number.isInteger(stock) || stock < 0) {
+      errors.push('stock must be a non-negative integer');
+    } else {
+      data.stock = stock;
+    }
+  }
+
+  if (has('weightGrams')) {
+    const weightGrams = Number(body.weightGrams);
+    if (!Number.isInteger(weightGrams) || weightGrams < 0) {
+      errors.push('weightGrams must be a non-negative integer');
+    } else {
+      data.weightGrams = weightGrams;
+    }
+  }
+
+  if (has('image')) {
+    if (!isHttpUrl(body.image) || body.image.length > 500) {
+      errors.push('image must be an http(s) URL of at most 500 characters');
+    } else {
+      data.image = body.image;
+    }
+  }
+
+  if (has('description')) {
+    if (!isNonEmptyString(body.description, 5000)) {
+      errors.push('description must be a non-empty string of at most 5000 characters');
+    } else {
+      data.description = body.description.trim();
+    }
+  }
+
+  return { errors, data };
+}
+
+module.exports = {
+  serializeProduct,
+  serializeAdminProduct,
+  validateProductInput
+};
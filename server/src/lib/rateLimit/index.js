@@ -0,0 +1,34 @@
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Rate limit stores share one interface:
+ *
+ *   hit(key, { limit, windowMs, now }) -> { allowed, remaining, retryAfterMs }
+ *   clear()
+ *
+ * `hit` applies a sliding window: a request is allowed while fewer than
+ * `limit` requests for the key were allowed in the last `windowMs`. Refused
+ * requests are not counted. A shared store (e.g. Redis) is needed once the API
+ * runs on more than one process; add an adapter and register it below.
+ */
+const STORE_FACTORIES = {
+  memory: () => createMemoryStore()
+};
+
+const instances = new Map();
+
+function getRateLimitStore(name = process.env.RATE_LIMIT_STORE || 'memory') {
+  if (!STORE_FACTORIES[name]) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, STORE_FACTORIES[name]());
+  }
+
+  return instances.get(name);
+}
+
+module.exports = {
+  getRateLimitStore
+};
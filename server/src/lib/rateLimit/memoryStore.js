@@ -0,0 +1,51 @@
+const SWEEP_EVERY = 1000;
+
+// Keeps the timestamps of allowed requests per key. Good for a single
+// process; counters reset when the server restarts.
+function createMemoryStore() {
+  const entries = new Map();
+  let hitsSinceSweep = 0;
+
+  // Drops keys with nothing left in their window so the map doesn't grow
+  // with every IP and email ever seen.
+  function sweep(now) {
+    entries.forEach((entry, key) => {
+      if (entry.times[entry.times.length - 1] <= now - entry.windowMs) {
+        entries.delete(key);
+      }
+    });
+  }
+
+  return {
+    async hit(key, { limit, windowMs, now = Date.now() }) {
+      hitsSinceSweep += 1;
+      if (hitsSinceSweep >= SWEEP_EVERY) {
+        hitsSinceSweep = 0;
+        sweep(now);
+      }
+
+      const windowStart = now - windowMs;
+      const entry = entries.get(key);
+      const times = entry ? entry.times.filter((time) => time > windowStart) : [];
+
+      if (times.length >= limit) {
+        entries.set(key, { windowMs, times });
+        // Allowed again once enough of the oldest hits have left the window.
+        const unblocksAt = times[times.length - limit] + windowMs;
+        return { allowed: false, remaining: 0, retryAfterMs: unblocksAt - now };
+      }
+
+      times.push(now);
+      entries.set(key, { windowMs, times });
+      return { allowed: true, remaining: limit - times.length, retryAfterMs: 0 };
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
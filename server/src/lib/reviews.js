@@ -0,0 +1,123 @@
+const DEFAULT_REVIEW_PAGE_SIZE = 5;
+const MAX_REVIEW_PAGE_SIZE = 20;
+const STAR_VALUES = [5, 4, 3, 2, 1];
+
+const REVIEW_SORT_ORDERS = {
+  newest: [{ createdAt: 'desc' }, { id: 'desc' }],
+  oldest: [{ createdAt: 'asc' }, { id: 'asc' }],
+  highest: [{ rating: 'desc' }, { createdAt: 'desc' }],
+  lowest: [{ rating: 'asc' }, { createdAt: 'desc' }]
+};
+
+function parsePositiveInt(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : NaN;
+}
+
+/**
+ * Parses `page`, `pageSize` and `sort` (newest | oldest | highest | lowest)
+ * for GET /api/products/:id/reviews. Returns `{ errors }` or the Prisma
+ * `orderBy`, `skip` and `take` alongside the parsed values.
+ */
+function parseReviewQuery(query = {}) {
+  const errors = [];
+  const sort = query.sort || 'newest';
+  const page = parsePositiveInt(query.page, 1);
+  const pageSize = parsePositiveInt(query.pageSize, DEFAULT_REVIEW_PAGE_SIZE);
+
+  if (!Object.prototype.hasOwnProperty.call(REVIEW_SORT_ORDERS, sort)) {
+    errors.push(`sort must be one of: ${Object.keys(REVIEW_SORT_ORDERS).join(', ')}`);
+  }
+  if (Number.isNaN(page)) {
+    errors.push('page must be a positive integer');
+  }
+  if (Number.isNaN(pageSize) || pageSize > MAX_REVIEW_PAGE_SIZE) {
+    errors.push(`pageSize must be an integer between 1 and ${MAX_REVIEW_PAGE_SIZE}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    errors,
+    sort,
+    page,
+    pageSize,
+    orderBy: REVIEW_SORT_ORDERS[sort],
+    skip: (page - 1) * pageSize,
+    take: pageSize
+  };
+}
+
+function validateReviewInput(input) {
+  const body = input || {};
+  const errors = [];
+  const rating = Number(body.rating);
+  const title = typeof body.title === 'string' ? body.title.trim() : '';
+  const text = typeof body.body === 'string' ? body.body.trim() : '';
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.push('rating must be a whole number from 1 to 5');
+  }
+  if (title.length === 0 || title.length > 120) {
+    errors.push('title must be between 1 and 120 characters');
+  }
+  if (text.length < 10 || text.length > 5000) {
+    errors.push('body must be between 10 and 5000 characters');
+  }
+
+  return { errors, data: { rating, title, body: text } };
+}
+
+// Shows "Jane S." rather than the full name or the email address.
+function authorName(user) {
+  if (!user || !user.firstName) {
+    return 'Customer';
+  }
+
+  return user.lastName ? `${user.firstName} ${user.lastName[0]}.` : user.firstName;
+}
+
+function serializeReview(review) {
+  return {
+    id: review.id,
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    author: authorName(review.user),
+    createdAt: review.createdAt
+  };
+}
+
+/**
+ * Turns `review.groupBy({ by: ['rating'], _count: { _all: true } })` rows into
+ * the average, total and a count for every star value.
+ */
+function summarizeRatings(groups) {
+  const histogram = Object.fromEntries(STAR_VALUES.map((stars) => [stars, 0]));
+  groups.forEach((group) => {
+    histogram[group.rating] = group._count._all;
+  });
+
+  const count = STAR_VALUES.reduce((total, stars) => total + histogram[stars], 0);
+  const sum = STAR_VALUES.reduce((total, stars) => total + stars * histogram[stars], 0);
+
+  return {
+    average: count > 0 ? Math.round((sum / count) * 10) / 10 : 0,
+    count,
+    histogram
+  };
+}
+
+module.exports = {
+  REVIEW_SORT_ORDERS,
+  parseReviewQuery,
+  validateReviewInput,
+  serializeReview,
+  summarizeRatings
+};
@@ -0,0 +1,5 @@
+const ROLES = ['customer', 'staff', 'admin'];
+
+module.exports = {
+  ROLES
+};
@@ -0,0 +1,279 @@
+// In-process full-text search over the product catalog: tokenizing, light
+// stemming, an inverted index with field weights and edit-distance typo
+// tolerance. Small enough to rebuild on every catalog change.
+
+const FIELD_WEIGHTS = {
+  name: 3,
+  category: 2,
+  description: 1
+};
+
+// Each query token is compared against every indexed term, so queries are
+// capped before they reach the index.
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TOKENS = 10;
+
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  oneEdit: 0.6,
+  twoEdits: 0.35
+};
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'for',
+  'in',
+  'of',
+  'on',
+  'or',
+  'the',
+  'to',
+  'with',
+  'your'
+]);
+
+function stem(word) {
+  if (word.length <= 3) {
+    return word;
+  }
+
+  if (word.endsWith('ies') && word.length > 4) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (word.endsWith('sses')) {
+    return word.slice(0, -2);
+  }
+  if (/(?:ss|us|is)$/.test(word)) {
+    return word;
+  }
+  if (/(?:xes|zes|ches|shes)$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.endsWith('ing') && word.length > 5) {
+    return word.slice(0, -3);
+  }
+  if (word.endsWith('ed') && word.length > 4) {
+    return word.slice(0, -2);
+  }
+  if (word.endsWith('ly') && word.length > 4) {
+    return word.slice(0, -2);
+  }
+  if (word.endsWith('s')) {
+    return word.slice(0, -1);
+  }
+
+  return word;
+}
+
+function splitWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Lower-cases, strips punctuation, drops stop words and stems.
+ * "Noise-Canceling Earbuds" -> ['noise', 'cancel', 'earbud']
+ */
+function tokenize(text) {
+  return splitWords(text)
+    .filter((word) => !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// Levenshtein distance that gives up once it exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function allowedEdits(token) {
+  if (token.length >= 8) {
+    return 2;
+  }
+  if (token.length >= 4) {
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Builds an inverted index over `name`, `category` and `description`.
+ * Each posting keeps the heaviest field a term appeared in for that product.
+ */
+function createSearchIndex(products) {
+  const postings = new Map();
+
+  products.forEach((product) => {
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(product[field]).forEach((term) => {
+        if (!postings.has(term)) {
+          postings.set(term, new Map());
+        }
+
+        const docs = postings.get(term);
+        docs.set(product.id, Math.max(docs.get(product.id) || 0, weight));
+      });
+    });
+  });
+
+  const documentCount = products.length;
+
+  // Every indexed term the query token could stand for, with how well it matches.
+  function expand(token, isLastToken) {
+    const maxEdits = allowedEdits(token);
+    const candidates = [];
+
+    postings.forEach((docs, term) => {
+      if (term === token) {
+        candidates.push({ term, quality: MATCH_QUALITY.exact });
+        return;
+      }
+
+      // The last token may still be being typed.
+      if (isLastToken && token.length >= 2 && term.startsWith(token)) {
+        candidates.push({ term, quality: MATCH_QUALITY.prefix });
+        return;
+      }
+
+      if (maxEdits === 0) {
+        return;
+      }
+
+      const distance = editDistance(token, term, maxEdits);
+      if (distance === 1) {
+        candidates.push({ term, quality: MATCH_QUALITY.oneEdit });
+      } else if (distance === 2 && maxEdits === 2) {
+        candidates.push({ term, quality: MATCH_QUALITY.twoEdits });
+      }
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Returns `[{ id, score }]` ordered by descending score. Every query token
+   * has to match some field of a product for it to be returned.
+   */
+  function search(query) {
+    const tokens = tokenize(query.slice(0, MAX_QUERY_LENGTH)).slice(0, MAX_QUERY_TOKENS);
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    let scores = null;
+
+    tokens.forEach((token, position) => {
+      const tokenScores = new Map();
+
+      expand(token, position === tokens.length - 1).forEach(({ term, quality }) => {
+        const docs = postings.get(term);
+        const idf = Math.log(1 + documentCount / docs.size);
+
+        docs.forEach((weight, id) => {
+          const score = weight * quality * idf;
+          tokenScores.set(id, Math.max(tokenScores.get(id) || 0, score));
+        });
+      });
+
+      if (scores === null) {
+        scores = tokenScores;
+        return;
+      }
+
+      const combined = new Map();
+      scores.forEach((score, id) => {
+        if (tokenScores.has(id)) {
+          combined.set(id, score + tokenScores.get(id));
+        }
+      });
+      scores = combined;
+    });
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+  }
+
+  const suggestionDocs = products.map((product) => ({
+    id: product.id,
+    name: product.name,
+    category: product.category,
+    words: splitWords(product.name)
+  }));
+
+  /**
+   * Prefix matches for autocomplete: every typed word has to start some word
+   * of the product name. Returns up to `limit` products and categories.
+   */
+  function suggest(query, limit = 5) {
+    const prefixes = splitWords(query);
+    if (prefixes.length === 0) {
+      return { products: [], categories: [] };
+    }
+
+    const startsAll = (words) =>
+      prefixes.every((prefix) => words.some((word) => word.startsWith(prefix)));
+
+    const productMatches = suggestionDocs
+      .filter((doc) => startsAll(doc.words))
+      // Names that start with the first typed word read as the better match.
+      .sort(
+        (a, b) =>
+          Number(b.words[0].startsWith(prefixes[0])) - Number(a.words[0].startsWith(prefixes[0])) ||
+          a.name.localeCompare(b.name)
+      )
+      .slice(0, limit)
+      .map(({ id, name, category }) => ({ id, name, category }));
+
+    const categories = [...new Set(suggestionDocs.map((doc) => doc.category))]
+      .filter((category) => startsAll(splitWords(category)))
+      .sort((a, b) => a.localeCompare(b))
+      .slice(0, limit);
+
+    return { products: productMatches, categories };
+  }
+
+  return {
+    size: documentCount,
+    search,
+    suggest
+  };
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  MAX_QUERY_LENGTH,
+  MAX_QUERY_TOKENS,
+  tokenize,
+  stem,
+  editDistance,
+  createSearchIndex
+};
@@ -0,0 +1,97 @@
+// Shipping methods offered at checkout. Standard uses price tiers, express is
+// priced by parcel weight and pickup is always free. Standard also ships free
+// once the discounted merchandise total reaches the threshold advertised on
+// the storefront, or when the cart carries a free-shipping code.
+
+const { toCents } = require('./money');
+
+const FREE_SHIPPING_THRESHOLD_CENTS = toCents(process.env.FREE_SHIPPING_THRESHOLD || 50);
+
+const DEFAULT_SHIPPING_METHOD = 'standard';
+
+const SHIPPING_METHODS = [
+  {
+    id: 'standard',
+    label: 'Standard',
+    estimate: '3-5 business days',
+    freeShippingEligible: true,
+    rate: {
+      type: 'price',
+      // `upToCents` is exclusive; the last tier has no upper bound.
+      tiers: [
+        { upToCents: 2500, cents: 599 },
+        { upToCents: null, cents: 499 }
+      ]
+    }
+  },
+  {
+    id: 'express',
+    label: 'Express',
+    estimate: '1-2 business days',
+    freeShippingEligible: false,
+    rate: { type: 'weight', baseCents: 1299, includedGrams: 1000, perKgCents: 200 }
+  },
+  {
+    id: 'pickup',
+    label: 'Store pickup',
+    estimate: 'Ready next business day',
+    freeShippingEligible: false,
+    rate: { type: 'flat', cents: 0 }
+  }
+];
+
+function findShippingMethod(id) {
+  return SHIPPING_METHODS.find((method) => method.id === id) || null;
+}
+
+function rateCents(rate, { merchandiseCents, weightGrams }) {
+  if (rate.type === 'price') {
+    return rate.tiers.find((tier) => tier.upToCents === null || merchandiseCents < tier.upToCents)
+      .cents;
+  }
+
+  if (rate.type === 'weight') {
+    // Every started kilogram over the included weight is charged.
+    const extraKg = Math.ceil(Math.max(0, weightGrams - rate.includedGrams) / 1000);
+    return rate.baseCents + extraKg * rate.perKgCents;
+  }
+
+  return rate.cents;
+}
+
+/**
+ * Quotes one method for a parcel. `merchandiseCents` is the cart total after
+ * discounts; `freeShippingCode` is set when a free-shipping coupon applies.
+ */
+function quoteShipping(method, { merchandiseCents, weightGrams, freeShippingCode = false }) {
+  const baseCents = rateCents(method.rate, { merchandiseCents, weightGrams });
+  const overThreshold = merchandiseCents >= FREE_SHIPPING_THRESHOLD_CENTS;
+  const waived = method.freeShippingEligible && (overThreshold || freeShippingCode);
+
+  return {
+    method: method.id,
+    label: method.label,
+    estimate: method.estimate,
+    baseCents,
+    costCents: waived ? 0 : baseCents,
+    freeShippingApplied: waived && baseCents > 0,
+    amountToFreeShippingCents:
+      method.freeShippingEligible && !waived ? FREE_SHIPPING_THRESHOLD_CENTS - merchandiseCents : 0
+  };
+}
+
+function cartWeightGrams(cartItems) {
+  return cartItems.reduce(
+    (total, item) => total + (item.product.weightGrams || 0) * item.quantity,
+    0
+  );
+}
+
+module.exports = {
+  FREE_SHIPPING_THRESHOLD_CENTS,
+  DEFAULT_SHIPPING_METHOD,
+  SHIPPING_METHODS,
+  findShippingMethod,
+  quoteShipping,
+  cartWeightGrams
+};
@@ -0,0 +1,136 @@
+// Tax rates by destination. A country sets the default rate and whether shelf
+// prices already include tax (VAT-style) or tax is added at checkout (US
+// sales-tax style); a region overrides the country's rate, and
+// `categoryRates` override either for particular product categories.
+// Rates are percentages. Shipping is not taxed.
+const TAX_JURISDICTIONS = {
+  US: {
+    name: 'Sales tax',
+    pricesIncludeTax: false,
+    rate: 0,
+    regions: {
+      CA: { rate: 7.25 },
+      NY: { rate: 4 },
+      TX: { rate: 6.25 },
+      WA: { rate: 6.5 }
+    }
+  },
+  CA: {
+    name: 'GST/HST',
+    pricesIncludeTax: false,
+    rate: 5,
+    regions: {
+      ON: { rate: 13 },
+      NS: { rate: 15 },
+      QC: { rate: 14.975 }
+    }
+  },
+  GB: {
+    name: 'VAT',
+    pricesIncludeTax: true,
+    rate: 20,
+    // Reduced rate for energy-saving home equipment.
+    categoryRates: { 'Home Tech': 5 }
+  },
+  DE: {
+    name: 'MwSt',
+    pricesIncludeTax: true,
+    rate: 19
+  }
+};
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const REGION_PATTERN = /^[A-Z0-9]{1,3}$/;
+
+/**
+ * Reads `country` and optional `region` (ISO 3166 codes) from a query string
+ * or request body. Returns `{ destination }`, `null` when no country is
+ * given, or `{ error }`.
+ */
+function parseDestination(input) {
+  const country = typeof input.country === 'string' ? input.country.trim().toUpperCase() : '';
+  const region = typeof input.region === 'string' ? input.region.trim().toUpperCase() : '';
+
+  if (!country) {
+    return { destination: null };
+  }
+  if (!COUNTRY_PATTERN.test(country)) {
+    return { error: 'country must be a two-letter country code' };
+  }
+  if (region && !REGION_PATTERN.test(region)) {
+    return { error: 'region must be a region code of at most three characters' };
+  }
+
+  return { destination: { country, region: region || null } };
+}
+
+// Resolves the rate for one product category; unlisted countries are untaxed.
+function rateFor(jurisdiction, regionCode, category) {
+  if (!jurisdiction) {
+    return 0;
+  }
+
+  const region = (jurisdiction.regions || {})[regionCode] || {};
+  const categoryRates = { ...jurisdiction.categoryRates, ...region.categoryRates };
+  if (categoryRates[category] !== undefined) {
+    return categoryRates[category];
+  }
+
+  return region.rate !== undefined ? region.rate : jurisdiction.rate;
+}
+
+// Tax on one line, rounded to the cent. Inclusive prices have the tax taken
+// out of the amount; exclusive prices have it added on top.
+function lineTaxCents(amountCents, rate, pricesIncludeTax) {
+  if (rate === 0) {
+    return 0;
+  }
+
+  return pricesIncludeTax
+    ? Math.round((amountCents * rate) / (100 + rate))
+    : Math.round((amountCents * rate) / 100);
+}
+
+/**
+ * Taxes `lines` (`{ productId, category, taxableCents }`) for a destination.
+ * Each line is rounded on its own and the results are grouped by rate.
+ */
+function calculateTax(lines, destination) {
+  const jurisdiction = TAX_JURISDICTIONS[destination.country];
+  const pricesIncludeTax = Boolean(jurisdiction && jurisdiction.pricesIncludeTax);
+  const byRate = new Map();
+  let taxCents = 0;
+
+  lines.forEach((line) => {
+    const rate = rateFor(jurisdiction, destination.region, line.category);
+    const cents = lineTaxCents(line.taxableCents, rate, pricesIncludeTax);
+    taxCents += cents;
+
+    if (rate === 0) {
+      return;
+    }
+
+    const group = byRate.get(rate) || {
+      label: `${jurisdiction.name} (${rate}%)`,
+      rate,
+      taxableCents: 0,
+      taxCents: 0
+    };
+    group.taxableCents += line.taxableCents;
+    group.taxCents += cents;
+    byRate.set(rate, group);
+  });
+
+  return {
+    destination,
+    pricesIncludeTax,
+    taxCents,
+    lines: [...byRate.values()].sort((a, b) => b.rate - a.rate)
+  };
+}
+
+module.exports = {
+  TAX_JURISDICTIONS,
+  parseDestination,
+  calculateTax
+};
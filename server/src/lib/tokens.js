@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Thrown by rotateRefreshToken; `reused` means the whole family was revoked.
+class RefreshTokenError extends Error {
+  constructor(message, { reused = false } = {}) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.reused = reused;
+  }
+}
+
+// Only a SHA-256 of each refresh token is stored, so a leaked table can't be
+// replayed. The tokens are random, so a salted slow hash isn't needed.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role },
+    process.env.JWT_SECRET || 'default-secret',
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Single-purpose tokens (email links, 2FA challenges) share the signing
+// secret, so anything carrying an audience or purpose is refused as a session.
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
+  if (payload.aud !== undefined || payload.purpose !== undefined) {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+  return payload;
+}
+
+async function createRefreshToken(client, userId, familyId, now) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await client.refreshToken.create({
+    data: {
+      userId,
+      familyId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  return { token, record };
+}
+
+function sessionPayload(accessToken, refreshToken) {
+  const { iat, exp } = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: exp - iat
+  };
+}
+
+/**
+ * Starts a new token family for a fresh login or signup.
+ * Returns `{ token, refreshToken, expiresIn }` for the response body.
+ */
+async function issueSession(client, user, now = new Date()) {
+  const { token } = await createRefreshToken(client, user.id, crypto.randomUUID(), now);
+  return sessionPayload(signAccessToken(user), token);
+}
+
+/**
+ * Swaps a refresh token for a new access/refresh pair in the same family.
+ * Presenting a token that was already rotated or revoked means it leaked, so
+ * every token in its family is revoked and the user has to log in again.
+ */
+async function rotateRefreshToken(client, refreshToken, now = new Date()) {
+  const current = await client.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { user: true }
+  });
+
+  if (!current) {
+    throw new RefreshTokenError('Invalid refresh token');
+  }
+
+  if (current.revokedAt) {
+    await client.refreshToken.updateMany({
+      where: { familyId: current.familyId, revokedAt: null },
+      data: { revokedAt: now }
+    });
+    throw new RefreshTokenError('Refresh token was already used; please log in again', {
+      reused: true
+    });
+  }
+
+  if (current.expiresAt <= now) {
+    throw new RefreshTokenError('Refresh token has expired');
+  }
+
+  return client.$transaction(async (tx) => {
+    // Claiming the old token by its unrevoked state means only one of two
+    // concurrent refreshes with the same token can win.
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: current.id, revokedAt: null },
+      data: { revokedAt: now }
+    });
+    if (count === 0) {
+      throw new RefreshTokenError('Invalid refresh token');
+    }
+
+    const next = await createRefreshToken(tx, current.userId, current.familyId, now);
+    await tx.refreshToken.update({
+      where: { id: current.id },
+      data: { replacedById: next.record.id }
+    });
+
+    return {
+      user: current.user,
+      session: sessionPayload(signAccessToken(current.user), next.token)
+    };
+  });
+}
+
+// Logging out twice, or with an unknown token, is not an error.
+function revokeRefreshToken(client, refreshToken, now = new Date()) {
+  return client.refreshToken.updateMany({
+    where: { tokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: now }
+  });
+}
+
+module.exports = {
+  RefreshTokenError,
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken
+};
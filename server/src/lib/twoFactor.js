@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+
+const ISSUER = 'ShopSmart';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const CHALLENGE_PURPOSE = '2fa-challenge';
+
+// TOTP secrets have to be readable to check codes, so they are encrypted
+// (AES-256-GCM) rather than hashed. Stored as iv.tag.ciphertext in base64url.
+function encryptionKey() {
+  const material =
+    process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'default-secret';
+  return crypto.createHash('sha256').update(material).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, ciphertext] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// Recovery codes are shown once as xxxxx-xxxxx and stored hashed. Dashes,
+// spaces and case are ignored when one is entered.
+function normalizeRecoveryCode(code) {
+  return String(code).replace(/[\s-]/g, '').toLowerCase();
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+// Replaces the user's recovery codes and returns the new plain codes.
+async function replaceRecoveryCodes(client, userId) {
+  const codes = generateRecoveryCodes();
+
+  await client.recoveryCode.deleteMany({ where: { userId } });
+  await client.recoveryCode.createMany({
+    data: codes.map((code) => ({ userId, codeHash: hashToken(normalizeRecoveryCode(code)) }))
+  });
+
+  return codes;
+}
+
+// Issued by /login in place of a session when 2FA is on; only good for
+// POST /login/2fa.
+function signChallengeToken(user) {
+  return jwt.sign(
+    { userId: user.id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET || 'default-secret',
+    { expiresIn: CHALLENGE_TTL_SECONDS, audience: CHALLENGE_PURPOSE }
+  );
+}
+
+function readChallengeToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET || 'default-secret', {
+      audience: CHALLENGE_PURPOSE
+    });
+    return payload.purpose === CHALLENGE_PURPOSE ? payload.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Accepts either a current TOTP code or an unused recovery code. A TOTP code
+ * moves `twoFactorLastStep` forward so it can't be used twice; a recovery code
+ * is marked used. Returns 'totp', 'recovery' or null.
+ */
+async function verifySecondFactor(client, user, code, now = new Date()) {
+  if (!user.twoFactorSecret || typeof code !== 'string') {
+    return null;
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactorSecret), code.trim(), {
+    now,
+    afterStep: user.twoFactorLastStep
+  });
+  if (step !== null) {
+    await client.user.update({
+      where: { id: user.id },
+      data: { twoFactorLastStep: step }
+    });
+    return 'totp';
+  }
+
+  const { count } = await client.recoveryCode.updateMany({
+    where: { userId: user.id, codeHash: hashToken(normalizeRecoveryCode(code)), usedAt: null },
+    data: { usedAt: now }
+  });
+  return count > 0 ? 'recovery' : null;
+}
+
+module.exports = {
+  ISSUER,
+  CHALLENGE_TTL_SECONDS,
+  encryptSecret,
+  decryptSecret,
+  replaceRecoveryCodes,
+  signChallengeToken,
+  readChallengeToken,
+  verifySecondFactor
+};
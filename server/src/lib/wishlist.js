@@ -0,0 +1,27 @@
+const { serializeProduct } = require('./products');
+const { centsToAmount } = require('./money');
+
+// Compared against what the product looked like when it was saved, so the
+// flags stay until the item leaves the wishlist.
+function serializeWishlistItem(item) {
+  const { product } = item;
+  const available = !product.archivedAt;
+  const priceDropped = available && product.priceCents < item.priceSnapshotCents;
+
+  return {
+    ...serializeProduct(product),
+    savedAt: item.createdAt,
+    savedPrice: centsToAmount(item.priceSnapshotCents),
+    priceDrop: priceDropped
+      ? {
+          previousPrice: centsToAmount(item.priceSnapshotCents),
+          currentPrice: centsToAmount(product.priceCents)
+        }
+      : null,
+    backInStock: available && !item.inStockAtSave && product.stock > 0
+  };
+}
+
+module.exports = {
+  serializeWishlistItem
+};
@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../lib/tokens');
 
 function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -13,8 +13,9 @@ function requireAuth(req, res, next) {
   const token = authHeader.split(' ')[1];
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
+    const decoded = verifyAccessToken(token);
     req.userId = decoded.userId;
+    req.userRole = decoded.role || 'customer';
     return next();
   } catch (error) {
     return res.status(401).json({
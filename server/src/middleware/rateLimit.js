@@ -0,0 +1,48 @@
+const { getRateLimitStore } = require('../lib/rateLimit');
+
+function tooManyRequests(res, retryAfterSeconds, message) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: message || `Too many attempts. Please try again in ${retryAfterSeconds} seconds.`,
+    // Cross-origin clients can't read Retry-After without an expose header.
+    retryAfter: retryAfterSeconds
+  });
+}
+
+/**
+ * Limits requests per key over a sliding window. `keys` returns one key per
+ * dimension to limit on (e.g. the client IP and the account email); the
+ * request is refused when any of them is over the limit. Keys that come back
+ * empty are skipped.
+ */
+function rateLimit({ name, limit, windowMs, keys, message }) {
+  return async (req, res, next) => {
+    try {
+      const store = getRateLimitStore();
+      let retryAfterMs = 0;
+
+      for (const key of keys(req).filter(Boolean)) {
+        const result = await store.hit(`${name}:${key}`, { limit, windowMs });
+        if (!result.allowed) {
+          retryAfterMs = Math.max(retryAfterMs, result.retryAfterMs);
+        }
+      }
+
+      if (retryAfterMs > 0) {
+        return tooManyRequests(res, Math.ceil(retryAfterMs / 1000), message);
+      }
+
+      return next();
+    } catch (error) {
+      // An unreachable store shouldn't take login down with it.
+      console.error('Rate limit error:', error);
+      return next();
+    }
+  };
+}
+
+module.exports = {
+  rateLimit,
+  tooManyRequests
+};
@@ -0,0 +1,15 @@
+// Must run after requireAuth, which copies the role claim from the token onto req.userRole.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.userRole || !roles.includes(req.userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    return next();
+  };
+}
+
+module.exports = requireRole;
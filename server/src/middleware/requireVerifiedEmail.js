@@ -0,0 +1,29 @@
+const prisma = require('../lib/prisma');
+
+// Must run after requireAuth. Looks the user up rather than trusting a token
+// claim, so verifying takes effect without waiting for a new access token.
+async function requireVerifiedEmail(req, res, next) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { emailVerifiedAt: true }
+    });
+
+    if (!user || !user.emailVerifiedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before continuing'
+      });
+    }
+
+    return next();
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,186 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/auth');
+const { MAX_ADDRESSES, serializeAddress, validateAddressInput } = require('../lib/addresses');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function validationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: errors[0],
+    errors
+  });
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Address not found'
+  });
+}
+
+function findOwnAddress(userId, rawId) {
+  const id = Number(rawId);
+  return Number.isInteger(id) ? prisma.address.findFirst({ where: { id, userId } }) : null;
+}
+
+// A customer with saved addresses always has exactly one default: the first
+// address becomes the default, and `isDefault: true` moves the flag.
+function clearDefault(tx, userId) {
+  return tx.address.updateMany({
+    where: { userId, isDefault: true },
+    data: { isDefault: false }
+  });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const addresses = await prisma.address.findMany({
+      where: { userId: req.userId },
+      orderBy: [{ isDefault: 'desc' }, { id: 'asc' }]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        addresses: addresses.map(serializeAddress)
+      }
+    });
+  } catch (error) {
+    console.error('List addresses error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load addresses'
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { errors, data } = validateAddressInput(req.body);
+    if (errors.length > 0) {
+      return validationError(res, errors);
+    }
+
+    const count = await prisma.address.count({ where: { userId: req.userId } });
+    if (count >= MAX_ADDRESSES) {
+      return res.status(409).json({
+        success: false,
+        message: `You can save at most ${MAX_ADDRESSES} addresses`
+      });
+    }
+
+    const isDefault = count === 0 || data.isDefault === true;
+
+    const address = await prisma.$transaction(async (tx) => {
+      if (isDefault) {
+        await clearDefault(tx, req.userId);
+      }
+
+      return tx.address.create({
+        data: { ...data, userId: req.userId, isDefault }
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      data: {
+        address: serializeAddress(address)
+      }
+    });
+  } catch (error) {
+    console.error('Create address error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save address'
+    });
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const existing = await findOwnAddress(req.userId, req.params.id);
+    if (!existing) {
+      return notFound(res);
+    }
+
+    const { errors, data } = validateAddressInput({
+      ...serializeAddress(existing),
+      isDefault: undefined,
+      ...req.body
+    });
+    if (errors.length > 0) {
+      return validationError(res, errors);
+    }
+
+    // The default can only be moved to another address, not switched off.
+    const makeDefault = data.isDefault === true && !existing.isDefault;
+    delete data.isDefault;
+
+    const address = await prisma.$transaction(async (tx) => {
+      if (makeDefault) {
+        await clearDefault(tx, req.userId);
+      }
+
+      return tx.address.update({
+        where: { id: existing.id },
+        data: makeDefault ? { ...data, isDefault: true } : data
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Address updated',
+      data: {
+        address: serializeAddress(address)
+      }
+    });
+  } catch (error) {
+    console.error('Update address error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update address'
+    });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await findOwnAddress(req.userId, req.params.id);
+    if (!existing) {
+      return notFound(res);
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.address.delete({ where: { id: existing.id } });
+
+      if (existing.isDefault) {
+        const next = await tx.address.findFirst({
+          where: { userId: req.userId },
+          orderBy: { id: 'asc' }
+        });
+
+        if (next) {
+          await tx.address.update({ where: { id: next.id }, data: { isDefault: true } });
+        }
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Address deleted'
+    });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete address'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { serializeCoupon, validateCouponInput } = require('../lib/coupons');
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('admin', 'staff'));
+
+function validationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: errors[0],
+    errors
+  });
+}
+
+function duplicateCode(res) {
+  return res.status(409).json({
+    success: false,
+    message: 'A coupon with this code already exists'
+  });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const coupons = await prisma.coupon.findMany({
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        coupons: coupons.map(serializeCoupon)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list coupons error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load coupons'
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { errors, data } = validateCouponInput(req.body);
+    if (errors.length > 0) {
+      return validationError(res, errors);
+    }
+
+    const existing = await prisma.coupon.findUnique({ where: { code: data.code } });
+    if (existing) {
+      return duplicateCode(res);
+    }
+
+    const coupon = await prisma.coupon.create({ data });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Coupon created',
+      data: {
+        coupon: serializeCoupon(coupon)
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return duplicateCode(res);
+    }
+
+    console.error('Admin create coupon error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create coupon'
+    });
+  }
+});
+
+// Deactivate a code with `{ "active": false }`; coupons are never deleted so
+// past orders keep their redemption history.
+router.patch('/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const existing = Number.isInteger(id)
+      ? await prisma.coupon.findUnique({ where: { id } })
+      : null;
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const { errors, data } = validateCouponInput(req.body, { partial: true, existing });
+    if (errors.length > 0) {
+      return validationError(res, errors);
+    }
+
+    const coupon = await prisma.coupon.update({
+      where: { id },
+      data
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon updated',
+      data: {
+        coupon: serializeCoupon(coupon)
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return duplicateCode(res);
+    }
+
+    console.error('Admin update coupon error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { serializeAdminProduct, validateProductInput } = require('../lib/products');
+const { invalidateCatalogIndex } = require('../lib/catalogSearch');
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('admin', 'staff'));
+
+function validationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: errors[0],
+    errors
+  });
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Product not found'
+  });
+}
+
+// Lists every product, archived ones included, so merchandisers can restore them.
+router.get('/', async (req, res) => {
+  try {
+    const products = await prisma.product.findMany({
+      orderBy: { id: 'asc' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        products: products.map(serializeAdminProduct)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list products error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load products'
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { errors, data } = validateProductInput(req.body);
+    if (errors.length > 0) {
+      return validationError(res, errors);
+    }
+
+    const id = data.id || `p-${crypto.randomBytes(4).toString('hex')}`;
+
+    const existing = await prisma.product.findUnique({ where: { id } });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Product with this id already exists'
+      });
+    }
+
+    const product = await prisma.product.create({
+      data: { ...data, id }
+    });
+    invalidateCatalogIndex();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Product created',
+      data: {
+        product: serializeAdminProduct(product)
+      }
+    });
+  } catch (error) {
+    console.error('Admin create product error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create product'
+    });
+  }
+});
+
+async function updateProduct(req, res, { partial }) {
+  try {
+    const { id } = req.params;
+    const { errors, data } = validateProductInput(req.body, { partial });
+    if (errors.length > 0) {
+      return validationError(res, errors);
+    }
+
+    if (data.id && data.id !== id) {
+      return validationError(res, ['id cannot be changed']);
+    }
+
+    const existing = await prisma.product.findUnique({ where: { id } });
+    if (!existing) {
+      return notFound(res);
+    }
+
+    delete data.id;
+    const product = await prisma.product.update({
+      where: { id },
+      data
+    });
+    invalidateCatalogIndex();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Product updated',
+      data: {
+        product: serializeAdminProduct(product)
+      }
+    });
+  } catch (error) {
+    console.error('Admin update product error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update product'
+    });
+  }
+}
+
+router.put('/:id', (req, res) => updateProduct(req, res, { partial: false }));
+
+router.patch('/:id', (req, res) => updateProduct(req, res, { partial: true }));
+
+// Archiving keeps the row so existing carts can still show the item as unavailable.
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.product.findUnique({ where: { id } });
+    if (!existing) {
+      return notFound(res);
+    }
+
+    const product = existing.archivedAt
+      ? existing
+      : await prisma.product.update({
+          where: { id },
+          data: { archivedAt: new Date() }
+        });
+    invalidateCatalogIndex();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Product archived',
+      data: {
+        product: serializeAdminProduct(product)
+      }
+    });
+  } catch (error) {
+    console.error('Admin archive product error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to archive product'
+    });
+  }
+});
+
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.product.findUnique({ where: { id } });
+    if (!existing) {
+      return notFound(res);
+    }
+
+    const product = await prisma.product.update({
+      where: { id },
+      data: { archivedAt: null }
+    });
+    invalidateCatalogIndex();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Product restored',
+      data: {
+        product: serializeAdminProduct(product)
+      }
+    });
+  } catch (error) {
+    console.error('Admin restore product error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to restore product'
+    });
+  }
+});
+
+module.exports = router;
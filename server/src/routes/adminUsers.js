@@ -0,0 +1,99 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { ROLES } = require('../lib/roles');
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('admin'));
+
+const userSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  createdAt: true
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const users = await prisma.user.findMany({
+      select: userSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        users
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load users'
+    });
+  }
+});
+
+router.patch('/:id/role', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { role } = req.body;
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Stops an admin from locking the last way back into the admin routes.
+    if (id === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const existing = await prisma.user.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: { role },
+      select: userSelect
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User role updated',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update user role'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,86 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/auth');
+const { rateLimit, tooManyRequests } = require('../middleware/rateLimit');
+const {
+  RefreshTokenError,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  verifyAccessToken
+} = require('../lib/tokens');
+const { PasswordResetError, requestPasswordReset, resetPassword } = require('../lib/passwordReset');
+const {
+  readVerificationToken,
+  resendWaitSeconds,
+  sendVerificationEmail
+} = require('../lib/emailVerification');
+const {
+  lockoutSecondsRemaining,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../lib/loginLockout');
+const {
+  CHALLENGE_TTL_SECONDS,
+  readChallengeToken,
+  signChallengeToken,
+  verifySecondFactor
+} = require('../lib/twoFactor');
 
 const router = express.Router();
 
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+function byIp(req) {
+  return `ip:${req.ip}`;
+}
+
+function byEmail(req) {
+  const { email } = req.body || {};
+  return typeof email === 'string' && email.trim() ? `email:${email.trim().toLowerCase()}` : null;
+}
+
+// Per-IP limits stop one client from spraying many accounts; per-account
+// limits stop a botnet from hammering one account.
+const loginLimiter = rateLimit({
+  name: 'login',
+  limit: 20,
+  windowMs: FIFTEEN_MINUTES,
+  keys: (req) => [byIp(req), byEmail(req)]
+});
+
+const twoFactorLimiter = rateLimit({
+  name: 'login-2fa',
+  limit: 10,
+  windowMs: FIFTEEN_MINUTES,
+  keys: (req) => [byIp(req)]
+});
+
+const signupLimiter = rateLimit({
+  name: 'signup',
+  limit: 10,
+  windowMs: ONE_HOUR,
+  keys: (req) => [byIp(req), byEmail(req)]
+});
+
+const passwordResetLimiter = rateLimit({
+  name: 'password-reset',
+  limit: 5,
+  windowMs: ONE_HOUR,
+  keys: (req) => [byIp(req), byEmail(req)]
+});
+
+const tokenLimiter = rateLimit({
+  name: 'auth-token',
+  limit: 30,
+  windowMs: FIFTEEN_MINUTES,
+  keys: (req) => [byIp(req)]
+});
+
 // Signup
-router.post('/signup', async (req, res) => {
+router.post('/signup', signupLimiter, async (req, res) => {
   try {
     const { email, password, firstName, lastName } = req.body;
 
@@ -57,30 +131,37 @@ router.post('/signup', async (req, res) => {
         email,
         password: hashedPassword,
         firstName: firstName || null,
-        lastName: lastName || null
+        lastName: lastName || null,
+        verificationSentAt: new Date()
       },
       select: {
         id: true,
         email: true,
         firstName: true,
         lastName: true,
+        role: true,
+        emailVerifiedAt: true,
         createdAt: true
       }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'default-secret',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // The account works without it, so a mail failure must not fail signup;
+    // the user can ask for another email from the banner.
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Short-lived access token plus a refresh token for POST /refresh
+    const session = await issueSession(prisma, user);
 
     res.status(201).json({
       success: true,
       message: 'User created successfully',
       data: {
         user,
-        token
+        ...session
       }
     });
   } catch (error) {
@@ -92,8 +173,27 @@ router.post('/signup', async (req, res) => {
   }
 });
 
+function loginUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    emailVerifiedAt: user.emailVerifiedAt
+  };
+}
+
+function accountLocked(res, seconds) {
+  return tooManyRequests(
+    res,
+    seconds,
+    `Too many failed login attempts. Please try again in ${seconds} seconds.`
+  );
+}
+
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -117,34 +217,54 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // A locked account is refused before the password is checked, so guesses
+    // made during the lock tell the caller nothing.
+    const lockedSeconds = lockoutSecondsRemaining(user);
+    if (lockedSeconds > 0) {
+      return accountLocked(res, lockedSeconds);
+    }
+
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
+      const lockSeconds = await recordFailedLogin(prisma, user);
+      if (lockSeconds > 0) {
+        return accountLocked(res, lockSeconds);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'default-secret',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // With 2FA on, the password only earns a challenge for POST /login/2fa.
+    // Failed attempts are cleared after the second step, so an attacker who
+    // knows the password can't reset the lockout between code guesses.
+    if (user.twoFactorEnabledAt) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(user),
+          expiresIn: CHALLENGE_TTL_SECONDS
+        }
+      });
+    }
+
+    await clearFailedLogins(prisma, user);
+
+    // Short-lived access token plus a refresh token for POST /refresh
+    const session = await issueSession(prisma, user);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName
-        },
-        token
+        user: loginUser(user),
+        ...session
       }
     });
   } catch (error) {
@@ -156,6 +276,321 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Second login step: trade the challenge token and a TOTP or recovery code for
+// a session. Wrong codes count towards the same lockout as wrong passwords.
+router.post('/login/2fa', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const userId = typeof challengeToken === 'string' ? readChallengeToken(challengeToken) : null;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt expired. Please log in again.'
+      });
+    }
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is required'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user || !user.twoFactorEnabledAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt expired. Please log in again.'
+      });
+    }
+
+    const lockedSeconds = lockoutSecondsRemaining(user);
+    if (lockedSeconds > 0) {
+      return accountLocked(res, lockedSeconds);
+    }
+
+    const method = await verifySecondFactor(prisma, user, code);
+    if (!method) {
+      const lockSeconds = await recordFailedLogin(prisma, user);
+      if (lockSeconds > 0) {
+        return accountLocked(res, lockSeconds);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await clearFailedLogins(prisma, user);
+    const session = await issueSession(prisma, user);
+
+    return res.status(200).json({
+      success: true,
+      message:
+        method === 'recovery' ? 'Login successful using a recovery code' : 'Login successful',
+      data: {
+        user: loginUser(user),
+        ...session
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+function missingRefreshToken(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'refreshToken is required'
+  });
+}
+
+// Exchange a refresh token for a new access token; the refresh token is
+// rotated, so the old one stops working.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return missingRefreshToken(res);
+    }
+
+    const { session } = await rotateRefreshToken(prisma, refreshToken);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      data: session
+    });
+  } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Logout (revokes the refresh token; the access token expires on its own)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return missingRefreshToken(res);
+    }
+
+    await revokeRefreshToken(prisma, refreshToken);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Forgot password. The response is the same whether or not the email has an
+// account, so it can't be used to find out who is registered.
+router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: email.trim() }
+    });
+
+    // A failure here only happens for real accounts, so it is logged rather
+    // than reported; the response must not reveal whether the email exists.
+    if (user) {
+      try {
+        await requestPasswordReset(prisma, user);
+      } catch (resetError) {
+        console.error('Password reset email error:', resetError);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, we sent a link to reset the password.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reset password with the token from the emailed link
+router.post('/reset-password', tokenLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await resetPassword(prisma, token, hashedPassword);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Your password has been reset. Please log in.'
+    });
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+function invalidVerificationLink(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'This verification link is invalid or has expired'
+  });
+}
+
+// Confirm an email address with the token from the emailed link. Works without
+// being logged in, since the link may be opened on another device.
+router.post('/verify-email', tokenLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+    const claims = typeof token === 'string' ? readVerificationToken(token) : null;
+    if (!claims) {
+      return invalidVerificationLink(res);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: claims.userId }
+    });
+    if (!user || user.email !== claims.email) {
+      return invalidVerificationLink(res);
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(200).json({
+        success: true,
+        message: 'Your email address is already verified',
+        data: { emailVerifiedAt: user.emailVerifiedAt }
+      });
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: { emailVerifiedAt: new Date() }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Thanks, your email address is verified',
+      data: { emailVerifiedAt: updated.emailVerifiedAt }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Send another verification email, at most once per cooldown period
+router.post('/verify-email/resend', requireAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your email address is already verified'
+      });
+    }
+
+    const waitSeconds = resendWaitSeconds(user);
+    if (waitSeconds > 0) {
+      return tooManyRequests(
+        res,
+        waitSeconds,
+        `Please wait ${waitSeconds} seconds before requesting another email`
+      );
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { verificationSentAt: new Date() }
+    });
+    await sendVerificationEmail(user);
+
+    return res.status(200).json({
+      success: true,
+      message: `We sent a new verification link to ${user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get current user (protected route)
 router.get('/me', async (req, res) => {
   try {
@@ -171,7 +606,7 @@ router.get('/me', async (req, res) => {
     const token = authHeader.split(' ')[1];
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
+      const decoded = verifyAccessToken(token);
 
       const user = await prisma.user.findUnique({
         where: { id: decoded.userId },
@@ -180,6 +615,8 @@ router.get('/me', async (req, res) => {
           email: true,
           firstName: true,
           lastName: true,
+          role: true,
+          emailVerifiedAt: true,
           createdAt: true
         }
       });
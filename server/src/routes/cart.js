@@ -1,40 +1,109 @@
 const express = require('express');
 const prisma = require('../lib/prisma');
 const requireAuth = require('../middleware/auth');
-const products = require('../data/products');
+const { serializeProduct } = require('../lib/products');
+const { parseGuestItems, planCartMerge } = require('../lib/cartMerge');
+const { centsToAmount } = require('../lib/money');
+const { normalizeCode } = require('../lib/coupons');
+const {
+  priceCart,
+  loadPricedCart,
+  serializeTotals,
+  serializeShipping,
+  serializeTax,
+  serializeAppliedCoupon
+} = require('../lib/cartTotals');
+const { SHIPPING_METHODS, findShippingMethod } = require('../lib/shipping');
+const { parseDestination } = require('../lib/tax');
 
 const router = express.Router();
 
 router.use(requireAuth);
 
-function mapCartItems(items) {
-  return items
-    .map((item) => {
-      const product = products.find((p) => p.id === item.productId);
-      if (!product) {
-        return null;
-      }
+function describePriceChange(item) {
+  const previousCents = item.priceSnapshotCents;
+  const currentCents = item.product.priceCents;
+
+  if (previousCents === currentCents) {
+    return null;
+  }
+
+  return {
+    previousPrice: centsToAmount(previousCents),
+    currentPrice: centsToAmount(currentCents),
+    direction: currentCents < previousCents ? 'dropped' : 'increased'
+  };
+}
+
+// Archived products stay in the cart so the shopper can see what changed.
+// Line totals come from `pricing` when given; unavailable lines count as zero.
+function mapCartItems(items, pricing) {
+  const pricedLines = new Map((pricing ? pricing.lines : []).map((line) => [line.productId, line]));
+
+  return items.map((item) => {
+    const line = pricedLines.get(item.productId);
 
-      return {
-        ...product,
-        quantity: item.quantity
-      };
-    })
-    .filter(Boolean);
+    return {
+      ...serializeProduct(item.product),
+      quantity: item.quantity,
+      priceChange: describePriceChange(item),
+      discount: line ? centsToAmount(line.discountCents) : 0,
+      lineTotal: line ? centsToAmount(line.lineTotalCents) : 0
+    };
+  });
+}
+
+// Endpoints that return the cart take the tax destination as
+// `?country=US&region=CA`; without one no tax is added.
+async function cartPayload(userId, destination = null) {
+  const { cartItems, pricing } = await loadPricedCart(prisma, userId, { destination });
+
+  return {
+    items: mapCartItems(cartItems, pricing),
+    totals: serializeTotals(pricing),
+    shipping: serializeShipping(pricing),
+    tax: serializeTax(pricing),
+    coupon: serializeAppliedCoupon(pricing)
+  };
+}
+
+function invalidDestination(res, message) {
+  return res.status(400).json({
+    success: false,
+    message
+  });
+}
+
+function unavailable(res) {
+  return res.status(409).json({
+    success: false,
+    message: 'Product is no longer available'
+  });
+}
+
+function insufficientStock(res, product, quantityInCart) {
+  return res.status(409).json({
+    success: false,
+    message:
+      product.stock > 0 ? `Only ${product.stock} left in stock` : `${product.name} is out of stock`,
+    data: {
+      productId: product.id,
+      availableQuantity: product.stock,
+      quantityInCart
+    }
+  });
 }
 
 router.get('/', async (req, res) => {
   try {
-    const cartItems = await prisma.userCartItem.findMany({
-      where: { userId: req.userId },
-      orderBy: { createdAt: 'asc' }
-    });
+    const { error, destination } = parseDestination(req.query);
+    if (error) {
+      return invalidDestination(res, error);
+    }
 
     return res.status(200).json({
       success: true,
-      data: {
-        items: mapCartItems(cartItems)
-      }
+      data: await cartPayload(req.userId, destination)
     });
   } catch (error) {
     console.error('Get cart error:', error);
@@ -50,21 +119,27 @@ router.post('/items', async (req, res) => {
     const { productId, quantity = 1 } = req.body;
     const qty = Number(quantity);
 
-    if (!productId || qty <= 0) {
+    if (!productId || !Number.isInteger(qty) || qty <= 0) {
       return res.status(400).json({
         success: false,
         message: 'Valid productId and quantity are required'
       });
     }
 
-    const exists = products.some((p) => p.id === productId);
-    if (!exists) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId }
+    });
+    if (!product) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
       });
     }
 
+    if (product.archivedAt) {
+      return unavailable(res);
+    }
+
     const existingItem = await prisma.userCartItem.findUnique({
       where: {
         userId_productId: {
@@ -74,6 +149,11 @@ router.post('/items', async (req, res) => {
       }
     });
 
+    const quantityInCart = existingItem ? existingItem.quantity : 0;
+    if (quantityInCart + qty > product.stock) {
+      return insufficientStock(res, product, quantityInCart);
+    }
+
     if (existingItem) {
       await prisma.userCartItem.update({
         where: {
@@ -82,8 +162,10 @@ router.post('/items', async (req, res) => {
             productId
           }
         },
+        // Adding more is done at the price on screen, so that becomes the snapshot.
         data: {
-          quantity: existingItem.quantity + qty
+          quantity: existingItem.quantity + qty,
+          priceSnapshotCents: product.priceCents
         }
       });
     } else {
@@ -91,7 +173,8 @@ router.post('/items', async (req, res) => {
         data: {
           userId: req.userId,
           productId,
-          quantity: qty
+          quantity: qty,
+          priceSnapshotCents: product.priceCents
         }
       });
     }
@@ -109,12 +192,77 @@ router.post('/items', async (req, res) => {
   }
 });
 
+// Called once after login/signup with the cart the visitor built as a guest.
+router.post('/merge', async (req, res) => {
+  try {
+    const { error: destinationError, destination } = parseDestination(req.query);
+    if (destinationError) {
+      return invalidDestination(res, destinationError);
+    }
+
+    const { error, lines } = parseGuestItems(req.body.items);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const productIds = [...lines.keys()];
+    const [products, cartItems] = await Promise.all([
+      prisma.product.findMany({ where: { id: { in: productIds } } }),
+      prisma.userCartItem.findMany({
+        where: { userId: req.userId, productId: { in: productIds } }
+      })
+    ]);
+
+    const { writes, adjustments } = planCartMerge(lines, cartItems, products);
+
+    if (writes.length > 0) {
+      await prisma.$transaction(
+        writes.map(({ productId, quantity, priceCents }) =>
+          prisma.userCartItem.upsert({
+            where: {
+              userId_productId: {
+                userId: req.userId,
+                productId
+              }
+            },
+            update: { quantity },
+            create: {
+              userId: req.userId,
+              productId,
+              quantity,
+              priceSnapshotCents: priceCents
+            }
+          })
+        )
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Cart merged',
+      data: {
+        ...(await cartPayload(req.userId, destination)),
+        adjustments
+      }
+    });
+  } catch (error) {
+    console.error('Merge cart error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to merge cart'
+    });
+  }
+});
+
 router.patch('/items/:productId', async (req, res) => {
   try {
     const { productId } = req.params;
     const quantity = Number(req.body.quantity);
 
-    if (Number.isNaN(quantity)) {
+    if (!Number.isInteger(quantity)) {
       return res.status(400).json({
         success: false,
         message: 'Valid quantity is required'
@@ -135,6 +283,33 @@ router.patch('/items/:productId', async (req, res) => {
       });
     }
 
+    const product = await prisma.product.findUnique({
+      where: { id: productId }
+    });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.archivedAt) {
+      return unavailable(res);
+    }
+
+    if (quantity > product.stock) {
+      const existingItem = await prisma.userCartItem.findUnique({
+        where: {
+          userId_productId: {
+            userId: req.userId,
+            productId
+          }
+        }
+      });
+
+      return insufficientStock(res, product, existingItem ? existingItem.quantity : 0);
+    }
+
     await prisma.userCartItem.upsert({
       where: {
         userId_productId: {
@@ -146,7 +321,8 @@ router.patch('/items/:productId', async (req, res) => {
       create: {
         userId: req.userId,
         productId,
-        quantity
+        quantity,
+        priceSnapshotCents: product.priceCents
       }
     });
 
@@ -163,6 +339,213 @@ router.patch('/items/:productId', async (req, res) => {
   }
 });
 
+// The shopper has seen the new price: make it the snapshot so the notice clears.
+router.post('/items/:productId/acknowledge-price', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const item = await prisma.userCartItem.findUnique({
+      where: {
+        userId_productId: {
+          userId: req.userId,
+          productId
+        }
+      },
+      include: { product: true }
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item is not in your cart'
+      });
+    }
+
+    await prisma.userCartItem.update({
+      where: {
+        userId_productId: {
+          userId: req.userId,
+          productId
+        }
+      },
+      data: {
+        priceSnapshotCents: item.product.priceCents
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Price change acknowledged'
+    });
+  } catch (error) {
+    console.error('Acknowledge price error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update cart'
+    });
+  }
+});
+
+router.post('/items/:productId/move-to-wishlist', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const key = { userId_productId: { userId: req.userId, productId } };
+
+    const item = await prisma.userCartItem.findUnique({
+      where: key,
+      include: { product: true }
+    });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item is not in your cart'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.wishlistItem.upsert({
+        where: key,
+        update: {},
+        create: {
+          userId: req.userId,
+          productId,
+          priceSnapshotCents: item.product.priceCents,
+          inStockAtSave: item.product.stock > 0
+        }
+      }),
+      prisma.userCartItem.delete({ where: key })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Moved to wishlist'
+    });
+  } catch (error) {
+    console.error('Move to wishlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to move item to wishlist'
+    });
+  }
+});
+
+router.post('/coupon', async (req, res) => {
+  try {
+    const { error, destination } = parseDestination(req.query);
+    if (error) {
+      return invalidDestination(res, error);
+    }
+
+    const code = normalizeCode(req.body.code);
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code is required'
+      });
+    }
+
+    const coupon = await prisma.coupon.findUnique({ where: { code } });
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const [cartItems, userRedemptions] = await Promise.all([
+      prisma.userCartItem.findMany({
+        where: { userId: req.userId },
+        include: { product: true }
+      }),
+      prisma.couponRedemption.count({ where: { couponId: coupon.id, userId: req.userId } })
+    ]);
+
+    const { couponError } = priceCart(cartItems, coupon, { userRedemptions });
+    if (couponError) {
+      return res.status(400).json({
+        success: false,
+        message: couponError
+      });
+    }
+
+    // One code per cart: applying another replaces it.
+    await prisma.cartCoupon.upsert({
+      where: { userId: req.userId },
+      update: { couponId: coupon.id, appliedAt: new Date() },
+      create: { userId: req.userId, couponId: coupon.id }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Promo code applied',
+      data: await cartPayload(req.userId, destination)
+    });
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to apply promo code'
+    });
+  }
+});
+
+router.delete('/coupon', async (req, res) => {
+  try {
+    const { error, destination } = parseDestination(req.query);
+    if (error) {
+      return invalidDestination(res, error);
+    }
+
+    await prisma.cartCoupon.deleteMany({ where: { userId: req.userId } });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Promo code removed',
+      data: await cartPayload(req.userId, destination)
+    });
+  } catch (error) {
+    console.error('Remove coupon error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove promo code'
+    });
+  }
+});
+
+router.put('/shipping', async (req, res) => {
+  try {
+    const { error, destination } = parseDestination(req.query);
+    if (error) {
+      return invalidDestination(res, error);
+    }
+
+    const method = findShippingMethod(req.body.method);
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        message: `method must be one of: ${SHIPPING_METHODS.map(({ id }) => id).join(', ')}`
+      });
+    }
+
+    await prisma.cartShipping.upsert({
+      where: { userId: req.userId },
+      update: { method: method.id },
+      create: { userId: req.userId, method: method.id }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Shipping method updated',
+      data: await cartPayload(req.userId, destination)
+    });
+  } catch (error) {
+    console.error('Update shipping method error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update shipping method'
+    });
+  }
+});
+
 router.delete('/items/:productId', async (req, res) => {
   try {
     const { productId } = req.params;
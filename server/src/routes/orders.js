@@ -0,0 +1,87 @@
+const express = require('express');
+const requireAuth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const {
+  IDEMPOTENCY_KEY_PATTERN,
+  CheckoutError,
+  serializeOrder,
+  findOrderByKey,
+  placeOrder
+} = require('../lib/orders');
+const { parseDestination } = require('../lib/tax');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function replay(res, order) {
+  return res.status(200).json({
+    success: true,
+    message: 'Order already placed',
+    data: {
+      order: serializeOrder(order)
+    }
+  });
+}
+
+// Clients send a fresh Idempotency-Key per checkout attempt and reuse it on
+// retries, so a double submit or a retried request returns the same order.
+router.post('/checkout', requireVerifiedEmail, async (req, res) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (!idempotencyKey || !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({
+      success: false,
+      message: 'An Idempotency-Key header of 8-100 letters, digits, - or _ is required'
+    });
+  }
+
+  const { error, destination } = parseDestination(req.body.destination || {});
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  try {
+    const existing = await findOrderByKey(req.userId, idempotencyKey);
+    if (existing) {
+      return replay(res, existing);
+    }
+
+    const order = await placeOrder(req.userId, idempotencyKey, { destination });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Order placed',
+      data: {
+        order: serializeOrder(order)
+      }
+    });
+  } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.data ? { data: error.data } : {})
+      });
+    }
+
+    // Two requests with the same key raced; the other one created the order.
+    if (error.code === 'P2002') {
+      const existing = await findOrderByKey(req.userId, idempotencyKey).catch(() => null);
+      if (existing) {
+        return replay(res, existing);
+      }
+    }
+
+    console.error('Checkout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to place order'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { getPaymentProvider } = require('../lib/payments');
+const { PAYMENT_TRANSITIONS, WEBHOOK_STATUSES } = require('../lib/paymentRecords');
+
+const router = express.Router();
+
+// Called by the payment provider, not the browser: there is no user token, so
+// the signature over the raw body is the only thing that authenticates it.
+router.post('/:provider', async (req, res) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(req.params.provider);
+  } catch {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown payment provider'
+    });
+  }
+
+  let event = null;
+  try {
+    event = provider.verifyWebhook(req.rawBody, req.get(provider.signatureHeader));
+  } catch (error) {
+    console.error('Payment webhook verification error:', error);
+  }
+
+  if (!event) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  try {
+    const status = WEBHOOK_STATUSES[event.type];
+    const providerRef = event.data && event.data.providerRef;
+
+    // Acknowledge events we don't act on so the provider stops retrying them.
+    if (status && providerRef) {
+      await prisma.payment.updateMany({
+        where: {
+          provider: provider.name,
+          providerRef,
+          status: { in: PAYMENT_TRANSITIONS[status] }
+        },
+        data: {
+          status,
+          ...(status === 'declined'
+            ? {
+                failureCode: event.data.failureCode || null,
+                failureMessage: event.data.failureMessage || null
+              }
+            : {})
+        }
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook received'
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
+module.exports = router;
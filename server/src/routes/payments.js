@@ -0,0 +1,337 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const { getPaymentProvider } = require('../lib/payments');
+const { STORE_CURRENCY, fromCents, toCents } = require('../lib/money');
+const { loadPricedCart } = require('../lib/cartTotals');
+const { parseDestination } = require('../lib/tax');
+const { PAYMENT_TRANSITIONS, serializePayment, validateCard } = require('../lib/paymentRecords');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Payment not found'
+  });
+}
+
+function providerRejected(res, payment, result) {
+  return res.status(409).json({
+    success: false,
+    message: `Payment cannot be changed while it is ${payment.status}`,
+    data: {
+      payment: serializePayment(payment),
+      failureCode: result.failureCode
+    }
+  });
+}
+
+// Customers only ever see their own payments.
+function findOwnPayment(req) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return null;
+  }
+
+  return prisma.payment.findFirst({
+    where: { id, userId: req.userId }
+  });
+}
+
+// The amount always comes from the user's cart rows, never from the request.
+router.post('/intents', requireVerifiedEmail, async (req, res) => {
+  try {
+    const { errors, card } = validateCard(req.body.card);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors
+      });
+    }
+
+    const { error, destination } = parseDestination(req.body.destination || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { cartItems, pricing } = await loadPricedCart(prisma, req.userId, { destination });
+
+    if (cartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    if (cartItems.some((item) => item.product.archivedAt)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your cart are no longer available'
+      });
+    }
+
+    if (pricing.couponError) {
+      return res.status(409).json({
+        success: false,
+        message: pricing.couponError
+      });
+    }
+
+    const provider = getPaymentProvider();
+    const result = await provider.authorize({
+      amountCents: pricing.totalCents,
+      currency: STORE_CURRENCY,
+      card
+    });
+
+    const payment = await prisma.payment.create({
+      data: {
+        userId: req.userId,
+        provider: provider.name,
+        providerRef: result.providerRef,
+        status: result.status,
+        amount: fromCents(pricing.totalCents),
+        currency: STORE_CURRENCY,
+        cardLast4: card.number.slice(-4),
+        failureCode: result.failureCode || null,
+        failureMessage: result.failureMessage || null
+      }
+    });
+
+    if (result.status === 'declined') {
+      return res.status(402).json({
+        success: false,
+        message: result.failureMessage || 'Payment was declined',
+        data: {
+          payment: serializePayment(payment)
+        }
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message:
+        result.status === 'requires_action'
+          ? 'Additional authentication required'
+          : 'Payment authorized',
+      data: {
+        payment: serializePayment(payment, result.nextAction)
+      }
+    });
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create payment'
+    });
+  }
+});
+
+router.get('/intents/:id', async (req, res) => {
+  try {
+    const payment = await findOwnPayment(req);
+    if (!payment) {
+      return notFound(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        payment: serializePayment(payment)
+      }
+    });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load payment'
+    });
+  }
+});
+
+// Called once the customer is back from a 3-D Secure challenge. The outcome
+// is read from the provider, never taken from the request.
+router.post('/intents/:id/confirm', async (req, res) => {
+  try {
+    const payment = await findOwnPayment(req);
+    if (!payment) {
+      return notFound(res);
+    }
+
+    if (payment.status !== 'requires_action') {
+      return res.status(409).json({
+        success: false,
+        message: `Payment cannot be confirmed while it is ${payment.status}`,
+        data: {
+          payment: serializePayment(payment)
+        }
+      });
+    }
+
+    const result = await getPaymentProvider(payment.provider).retrieve(payment.providerRef);
+    if (result.status === 'requires_action') {
+      return res.status(409).json({
+        success: false,
+        message: 'Authentication has not been completed',
+        data: {
+          payment: serializePayment(payment)
+        }
+      });
+    }
+
+    // A webhook may have recorded the outcome already; it is the same one.
+    await prisma.payment.updateMany({
+      where: { id: payment.id, status: { in: PAYMENT_TRANSITIONS[result.status] || [] } },
+      data: {
+        status: result.status,
+        failureCode: result.failureCode || null,
+        failureMessage: result.failureMessage || null
+      }
+    });
+    const updated = await prisma.payment.findUnique({ where: { id: payment.id } });
+
+    if (updated.status === 'declined') {
+      return res.status(402).json({
+        success: false,
+        message: updated.failureMessage || 'Payment was declined',
+        data: {
+          payment: serializePayment(updated)
+        }
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Payment authorized',
+      data: {
+        payment: serializePayment(updated)
+      }
+    });
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to confirm payment'
+    });
+  }
+});
+
+router.post('/intents/:id/capture', async (req, res) => {
+  try {
+    const payment = await findOwnPayment(req);
+    if (!payment) {
+      return notFound(res);
+    }
+
+    const result = await getPaymentProvider(payment.provider).capture(
+      payment.providerRef,
+      toCents(payment.amount)
+    );
+    if (result.status !== 'captured') {
+      return providerRejected(res, payment, result);
+    }
+
+    const updated = await prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: 'captured' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Payment captured',
+      data: {
+        payment: serializePayment(updated)
+      }
+    });
+  } catch (error) {
+    console.error('Capture payment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to capture payment'
+    });
+  }
+});
+
+router.post('/intents/:id/void', async (req, res) => {
+  try {
+    const payment = await findOwnPayment(req);
+    if (!payment) {
+      return notFound(res);
+    }
+
+    const result = await getPaymentProvider(payment.provider).void(payment.providerRef);
+    if (result.status !== 'voided') {
+      return providerRejected(res, payment, result);
+    }
+
+    const updated = await prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: 'voided' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Payment voided',
+      data: {
+        payment: serializePayment(updated)
+      }
+    });
+  } catch (error) {
+    console.error('Void payment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to void payment'
+    });
+  }
+});
+
+// Refunds move money back after capture, so only staff can issue them.
+router.post('/intents/:id/refund', requireRole('admin', 'staff'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const payment = Number.isInteger(id)
+      ? await prisma.payment.findUnique({ where: { id } })
+      : null;
+    if (!payment) {
+      return notFound(res);
+    }
+
+    const result = await getPaymentProvider(payment.provider).refund(
+      payment.providerRef,
+      toCents(payment.amount)
+    );
+    if (result.status !== 'refunded') {
+      return providerRejected(res, payment, result);
+    }
+
+    const updated = await prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: 'refunded' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Payment refunded',
+      data: {
+        payment: serializePayment(updated)
+      }
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to refund payment'
+    });
+  }
+});
+
+module.exports = router;
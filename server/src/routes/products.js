@@ -1,34 +1,152 @@
 const express = require('express');
-const products = require('../data/products');
+const prisma = require('../lib/prisma');
+const { serializeProduct } = require('../lib/products');
+const { buildPagination, buildProductWhere, parseProductQuery } = require('../lib/productQuery');
+const { searchCatalog, suggestFromCatalog } = require('../lib/catalogSearch');
+const { MAX_QUERY_LENGTH } = require('../lib/search');
+const { popularQueries, recordQuery } = require('../lib/popularQueries');
+const { computeFacets } = require('../lib/productFacets');
 
 const router = express.Router();
 
-router.get('/', (req, res) => {
-  res.status(200).json({
-    success: true,
-    data: {
-      products
+const SUGGESTION_LIMIT = 5;
+
+async function findProductPage(query, where, matches) {
+  if (query.filters.sort !== 'relevance') {
+    const [products, total] = await Promise.all([
+      prisma.product.findMany({
+        where,
+        orderBy: query.orderBy,
+        skip: query.skip,
+        take: query.take
+      }),
+      prisma.product.count({ where })
+    ]);
+
+    return { products, total };
+  }
+
+  // Search hits are already bounded by the catalog, so rank and page in memory.
+  const rank = new Map(matches.map((match, position) => [match.id, position]));
+  const rows = await prisma.product.findMany({ where });
+  rows.sort((a, b) => rank.get(a.id) - rank.get(b.id));
+
+  return {
+    products: rows.slice(query.skip, query.skip + query.take),
+    total: rows.length
+  };
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const query = parseProductQuery(req.query);
+    if (query.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: query.errors[0],
+        errors: query.errors
+      });
     }
-  });
+
+    const matches = query.filters.q ? await searchCatalog(query.filters.q) : null;
+    const { searchWhere, where } = buildProductWhere(
+      query.filters,
+      matches && matches.map((match) => match.id)
+    );
+
+    const [{ products, total }, facetRows] = await Promise.all([
+      findProductPage(query, where, matches),
+      prisma.product.findMany({
+        where: searchWhere,
+        select: { category: true, priceCents: true, rating: true, stock: true }
+      })
+    ]);
+
+    if (query.filters.q && query.page === 1 && total > 0) {
+      recordQuery(query.filters.q);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        products: products.map(serializeProduct),
+        pagination: buildPagination(total, query.page, query.pageSize),
+        facets: computeFacets(facetRows, query.filters)
+      }
+    });
+  } catch (error) {
+    console.error('Get products error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load products'
+    });
+  }
 });
 
-router.get('/:id', (req, res) => {
-  const { id } = req.params;
-  const product = products.find((item) => item.id === id);
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
 
-  if (!product) {
-    return res.status(404).json({
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `q must be at most ${MAX_QUERY_LENGTH} characters`
+      });
+    }
+
+    if (!q) {
+      return res.status(200).json({
+        success: true,
+        data: { products: [], categories: [], queries: [] }
+      });
+    }
+
+    const { products, categories } = await suggestFromCatalog(q, SUGGESTION_LIMIT);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        products,
+        categories,
+        queries: popularQueries(q, SUGGESTION_LIMIT).map((entry) => entry.query)
+      }
+    });
+  } catch (error) {
+    console.error('Suggest products error:', error);
+    return res.status(500).json({
       success: false,
-      message: 'Product not found'
+      message: 'Failed to load suggestions'
     });
   }
+});
 
-  return res.status(200).json({
-    success: true,
-    data: {
-      product
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const product = await prisma.product.findUnique({
+      where: { id }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
     }
-  });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        product: serializeProduct(product)
+      }
+    });
+  } catch (error) {
+    console.error('Get product error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load product'
+    });
+  }
 });
 
 module.exports = router;
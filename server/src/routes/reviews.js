@@ -0,0 +1,156 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/auth');
+const { buildPagination } = require('../lib/productQuery');
+const {
+  parseReviewQuery,
+  serializeReview,
+  summarizeRatings,
+  validateReviewInput
+} = require('../lib/reviews');
+
+// Mounted at /api/products/:productId/reviews.
+const router = express.Router({ mergeParams: true });
+
+const AUTHOR_SELECT = { select: { firstName: true, lastName: true } };
+
+function productNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Product not found'
+  });
+}
+
+function loadRatingSummary(client, productId) {
+  return client.review
+    .groupBy({
+      by: ['rating'],
+      where: { productId },
+      _count: { _all: true }
+    })
+    .then(summarizeRatings);
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const query = parseReviewQuery(req.query);
+    if (query.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: query.errors[0],
+        errors: query.errors
+      });
+    }
+
+    const product = await prisma.product.findUnique({ where: { id: productId } });
+    if (!product) {
+      return productNotFound(res);
+    }
+
+    const [reviews, summary] = await Promise.all([
+      prisma.review.findMany({
+        where: { productId },
+        include: { user: AUTHOR_SELECT },
+        orderBy: query.orderBy,
+        skip: query.skip,
+        take: query.take
+      }),
+      loadRatingSummary(prisma, productId)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        reviews: reviews.map(serializeReview),
+        pagination: buildPagination(summary.count, query.page, query.pageSize),
+        summary,
+        sort: query.sort
+      }
+    });
+  } catch (error) {
+    console.error('List reviews error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load reviews'
+    });
+  }
+});
+
+// One review per shopper per product; the product's rating and review count
+// are recomputed from all of its reviews in the same transaction.
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { errors, data } = validateReviewInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors
+      });
+    }
+
+    const product = await prisma.product.findUnique({ where: { id: productId } });
+    if (!product) {
+      return productNotFound(res);
+    }
+
+    if (product.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Product is no longer available'
+      });
+    }
+
+    const existing = await prisma.review.findUnique({
+      where: { productId_userId: { productId, userId: req.userId } }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    const { review, summary } = await prisma.$transaction(async (tx) => {
+      const created = await tx.review.create({
+        data: { ...data, productId, userId: req.userId },
+        include: { user: AUTHOR_SELECT }
+      });
+      const ratings = await loadRatingSummary(tx, productId);
+
+      await tx.product.update({
+        where: { id: productId },
+        data: { rating: ratings.average, reviewCount: ratings.count }
+      });
+
+      return { review: created, summary: ratings };
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Review posted',
+      data: {
+        review: serializeReview(review),
+        summary
+      }
+    });
+  } catch (error) {
+    // Lost a race with another submission from the same user.
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    console.error('Create review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to post review'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,270 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/auth');
+const { rateLimit, tooManyRequests } = require('../middleware/rateLimit');
+const { lockoutSecondsRemaining, recordFailedLogin } = require('../lib/loginLockout');
+const { generateSecret, otpauthUri, verifyCode } = require('../lib/totp');
+const { ISSUER, decryptSecret, encryptSecret, replaceRecoveryCodes } = require('../lib/twoFactor');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// A stolen access token must not become a way to guess the password, so the
+// routes that check it are limited per account on top of the login lockout.
+const passwordLimiter = rateLimit({
+  name: 'two-factor-password',
+  limit: 10,
+  windowMs: 15 * 60 * 1000,
+  keys: (req) => [`user:${req.userId}`]
+});
+
+function findUser(userId) {
+  return prisma.user.findUnique({ where: { id: userId } });
+}
+
+function userNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'User not found'
+  });
+}
+
+function accountLocked(res, seconds) {
+  return tooManyRequests(
+    res,
+    seconds,
+    `Too many failed password attempts. Please try again in ${seconds} seconds.`
+  );
+}
+
+// Turning 2FA on or off, or replacing recovery codes, needs the current
+// password so a hijacked session alone can't change it. Wrong passwords count
+// towards the same lockout as failed logins. Sends the error response and
+// returns it when the password doesn't check out.
+async function rejectBadPassword(res, user, password) {
+  if (!password || typeof password !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Current password is required'
+    });
+  }
+
+  const lockedSeconds = lockoutSecondsRemaining(user);
+  if (lockedSeconds > 0) {
+    return accountLocked(res, lockedSeconds);
+  }
+
+  if (!(await bcrypt.compare(password, user.password))) {
+    const lockSeconds = await recordFailedLogin(prisma, user);
+    if (lockSeconds > 0) {
+      return accountLocked(res, lockSeconds);
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'Current password is incorrect'
+    });
+  }
+
+  return null;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const user = await findUser(req.userId);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const recoveryCodesRemaining = user.twoFactorEnabledAt
+      ? await prisma.recoveryCode.count({ where: { userId: user.id, usedAt: null } })
+      : 0;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(user.twoFactorEnabledAt),
+        enabledAt: user.twoFactorEnabledAt,
+        recoveryCodesRemaining
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load two-factor settings'
+    });
+  }
+});
+
+// Step one of enrollment: a new secret for the authenticator app. 2FA stays
+// off until /enable receives a code generated from it.
+router.post('/setup', passwordLimiter, async (req, res) => {
+  try {
+    const user = await findUser(req.userId);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const rejected = await rejectBadPassword(res, user, req.body.password);
+    if (rejected) {
+      return rejected;
+    }
+
+    if (user.twoFactorEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already on'
+      });
+    }
+
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null }
+    });
+
+    const uri = otpauthUri({ secret, accountName: user.email, issuer: ISSUER });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app',
+      data: {
+        secret,
+        otpauthUri: uri,
+        qrCodeDataUrl: await QRCode.toDataURL(uri)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+router.post('/enable', async (req, res) => {
+  try {
+    const user = await findUser(req.userId);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (user.twoFactorEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already on'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const { code } = req.body;
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), String(code || '').trim());
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabledAt: new Date(), twoFactorLastStep: step }
+      });
+      return replaceRecoveryCodes(tx, user.id);
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is on',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to turn on two-factor authentication'
+    });
+  }
+});
+
+router.post('/disable', passwordLimiter, async (req, res) => {
+  try {
+    const user = await findUser(req.userId);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const rejected = await rejectBadPassword(res, user, req.body.password);
+    if (rejected) {
+      return rejected;
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null }
+      });
+      await tx.recoveryCode.deleteMany({ where: { userId: user.id } });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is off'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to turn off two-factor authentication'
+    });
+  }
+});
+
+router.post('/recovery-codes', passwordLimiter, async (req, res) => {
+  try {
+    const user = await findUser(req.userId);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const rejected = await rejectBadPassword(res, user, req.body.password);
+    if (rejected) {
+      return rejected;
+    }
+
+    if (!user.twoFactorEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is off'
+      });
+    }
+
+    const recoveryCodes = await prisma.$transaction((tx) => replaceRecoveryCodes(tx, user.id));
+
+    return res.status(200).json({
+      success: true,
+      message: 'New recovery codes created; the old ones no longer work',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create recovery codes'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/auth');
+const { serializeWishlistItem } = require('../lib/wishlist');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function notInWishlist(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Item is not in your wishlist'
+  });
+}
+
+function unavailable(res) {
+  return res.status(409).json({
+    success: false,
+    message: 'Product is no longer available'
+  });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const items = await prisma.wishlistItem.findMany({
+      where: { userId: req.userId },
+      include: { product: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        items: items.map(serializeWishlistItem)
+      }
+    });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load wishlist'
+    });
+  }
+});
+
+// Saving an item twice keeps the original snapshot, so a drop since the first
+// save is still flagged.
+router.post('/items', async (req, res) => {
+  try {
+    const { productId } = req.body;
+    if (!productId || typeof productId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid productId is required'
+      });
+    }
+
+    const product = await prisma.product.findUnique({ where: { id: productId } });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.archivedAt) {
+      return unavailable(res);
+    }
+
+    const item = await prisma.wishlistItem.upsert({
+      where: { userId_productId: { userId: req.userId, productId } },
+      update: {},
+      create: {
+        userId: req.userId,
+        productId,
+        priceSnapshotCents: product.priceCents,
+        inStockAtSave: product.stock > 0
+      },
+      include: { product: true }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Saved to wishlist',
+      data: {
+        item: serializeWishlistItem(item)
+      }
+    });
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update wishlist'
+    });
+  }
+});
+
+router.delete('/items/:productId', async (req, res) => {
+  try {
+    await prisma.wishlistItem.deleteMany({
+      where: { userId: req.userId, productId: req.params.productId }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Item removed from wishlist'
+    });
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update wishlist'
+    });
+  }
+});
+
+// Adds one unit to the cart (on top of any already there) and drops the
+// wishlist entry in the same transaction.
+router.post('/items/:productId/move-to-cart', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const key = { userId_productId: { userId: req.userId, productId } };
+
+    const item = await prisma.wishlistItem.findUnique({
+      where: key,
+      include: { product: true }
+    });
+    if (!item) {
+      return notInWishlist(res);
+    }
+
+    const { product } = item;
+    if (product.archivedAt) {
+      return unavailable(res);
+    }
+
+    const cartItem = await prisma.userCartItem.findUnique({ where: key });
+    const quantityInCart = cartItem ? cartItem.quantity : 0;
+    if (quantityInCart + 1 > product.stock) {
+      return res.status(409).json({
+        success: false,
+        message:
+          product.stock > 0
+            ? `Only ${product.stock} left in stock`
+            : `${product.name} is out of stock`,
+        data: {
+          productId,
+          availableQuantity: product.stock,
+          quantityInCart
+        }
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.userCartItem.upsert({
+        where: key,
+        update: { quantity: quantityInCart + 1, priceSnapshotCents: product.priceCents },
+        create: {
+          userId: req.userId,
+          productId,
+          quantity: 1,
+          priceSnapshotCents: product.priceCents
+        }
+      }),
+      prisma.wishlistItem.delete({ where: key })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Moved to cart'
+    });
+  } catch (error) {
+    console.error('Move to cart error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to move item to cart'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { validateAddressInput } = require('../src/lib/addresses');
+
+jest.mock('../src/lib/prisma', () => {
+  const client = {
+    address: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      delete: jest.fn()
+    }
+  };
+  client.$transaction = jest.fn((callback) => callback(client));
+  return client;
+});
+
+const prisma = require('../src/lib/prisma');
+
+const token = jwt.sign({ userId: 1, email: 'john@example.com' }, 'default-secret');
+const auth = { Authorization: `Bearer ${token}` };
+
+const validAddress = {
+  fullName: 'John Doe',
+  line1: '1 Market St',
+  city: 'San Francisco',
+  region: 'ca',
+  postalCode: '94105',
+  country: 'us'
+};
+
+const storedAddress = {
+  id: 4,
+  userId: 1,
+  label: null,
+  fullName: 'John Doe',
+  line1: '1 Market St',
+  line2: null,
+  city: 'San Francisco',
+  region: 'CA',
+  postalCode: '94105',
+  country: 'US',
+  phone: null,
+  isDefault: true,
+  createdAt: new Date('2026-10-01T10:00:00Z'),
+  updatedAt: new Date('2026-10-01T10:00:00Z')
+};
+
+describe('validateAddressInput', () => {
+  it('should normalize country, region and postal code', () => {
+    const { errors, data } = validateAddressInput({
+      ...validAddress,
+      country: 'ca',
+      region: 'on',
+      postalCode: 'm5v 2t6'
+    });
+
+    expect(errors).toEqual([]);
+    expect(data).toMatchObject({ country: 'CA', region: 'ON', postalCode: 'M5V 2T6', line2: null });
+  });
+
+  it.each([
+    [{ postalCode: '9410' }, 'postalCode must be a valid US ZIP code'],
+    [{ country: 'GB', region: '', postalCode: '12345' }, 'postalCode must be a valid GB postcode'],
+    [{ region: '' }, 'region is required for US addresses'],
+    [{ country: 'FR' }, 'country must be one of: US, CA, GB, DE'],
+    [{ city: ' ' }, 'city is required']
+  ])('should reject an invalid address (%o)', (overrides, message) => {
+    expect(validateAddressInput({ ...validAddress, ...overrides }).errors).toEqual([message]);
+  });
+
+  it('should not require a region where addresses have none', () => {
+    const { errors, data } = validateAddressInput({
+      ...validAddress,
+      country: 'DE',
+      region: '',
+      postalCode: '10115'
+    });
+
+    expect(errors).toEqual([]);
+    expect(data.region).toBeNull();
+  });
+});
+
+describe('Account addresses API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.address.count.mockResolvedValue(1);
+    prisma.address.findFirst.mockResolvedValue(storedAddress);
+    prisma.address.create.mockImplementation(({ data }) =>
+      Promise.resolve({ ...storedAddress, id: 5, ...data })
+    );
+    prisma.address.update.mockImplementation(({ data }) =>
+      Promise.resolve({ ...storedAddress, ...data })
+    );
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/api/account/addresses');
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it("should list only the user's addresses with the default first", async () => {
+    prisma.address.findMany.mockResolvedValue([storedAddress]);
+
+    const res = await request(app).get('/api/account/addresses').set(auth);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.address.findMany).toHaveBeenCalledWith({
+      where: { userId: 1 },
+      orderBy: [{ isDefault: 'desc' }, { id: 'asc' }]
+    });
+    expect(res.body.data.addresses[0]).toMatchObject({ id: 4, isDefault: true });
+  });
+
+  it('should make the first address the default', async () => {
+    prisma.address.count.mockResolvedValueOnce(0);
+
+    const res = await request(app).post('/api/account/addresses').set(auth).send(validAddress);
+
+    expect(res.statusCode).toBe(201);
+    expect(prisma.address.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ userId: 1, country: 'US', region: 'CA', isDefault: true })
+    });
+  });
+
+  it('should move the default flag when a new default is added', async () => {
+    const res = await request(app)
+      .post('/api/account/addresses')
+      .set(auth)
+      .send({ ...validAddress, isDefault: true });
+
+    expect(res.statusCode).toBe(201);
+    expect(prisma.address.updateMany).toHaveBeenCalledWith({
+      where: { userId: 1, isDefault: true },
+      data: { isDefault: false }
+    });
+  });
+
+  it('should add later addresses without the default flag', async () => {
+    await request(app).post('/api/account/addresses').set(auth).send(validAddress);
+
+    expect(prisma.address.updateMany).not.toHaveBeenCalled();
+    expect(prisma.address.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ isDefault: false })
+    });
+  });
+
+  it('should return 400 with every validation error', async () => {
+    const res = await request(app)
+      .post('/api/account/addresses')
+      .set(auth)
+      .send({ country: 'US', postalCode: 'abc' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual(
+      expect.arrayContaining(['fullName is required', 'postalCode must be a valid US ZIP code'])
+    );
+    expect(prisma.address.create).not.toHaveBeenCalled();
+  });
+
+  it('should validate a partial update against the stored country', async () => {
+    const res = await request(app)
+      .patch('/api/account/addresses/4')
+      .set(auth)
+      .send({ postalCode: 'SW1A 1AA' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('postalCode must be a valid US ZIP code');
+  });
+
+  it('should update an address', async () => {
+    const res = await request(app)
+      .patch('/api/account/addresses/4')
+      .set(auth)
+      .send({ line2: 'Suite 400' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.address.update).toHaveBeenCalledWith({
+      where: { id: 4 },
+      data: expect.objectContaining({ line2: 'Suite 400', postalCode: '94105' })
+    });
+    expect(res.body.data.address.line2).toBe('Suite 400');
+  });
+
+  it("should return 404 for another user's address", async () => {
+    prisma.address.findFirst.mockResolvedValueOnce(null);
+
+    const res = await request(app).patch('/api/account/addresses/9').set(auth).send({});
+
+    expect(res.statusCode).toBe(404);
+    expect(prisma.address.findFirst).toHaveBeenCalledWith({ where: { id: 9, userId: 1 } });
+  });
+
+  it('should promote another address when the default is deleted', async () => {
+    prisma.address.findFirst
+      .mockResolvedValueOnce(storedAddress)
+      .mockResolvedValueOnce({ ...storedAddress, id: 6, isDefault: false });
+
+    const res = await request(app).delete('/api/account/addresses/4').set(auth);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.address.delete).toHaveBeenCalledWith({ where: { id: 4 } });
+    expect(prisma.address.update).toHaveBeenCalledWith({
+      where: { id: 6 },
+      data: { isDefault: true }
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+
+jest.mock('../src/lib/prisma', () => ({
+  product: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+const prisma = require('../src/lib/prisma');
+
+const token = jwt.sign({ userId: 1, email: 'admin@example.com', role: 'admin' }, 'default-secret');
+const auth = { Authorization: `Bearer ${token}` };
+const customerToken = jwt.sign(
+  { userId: 2, email: 'john@example.com', role: 'customer' },
+  'default-secret'
+);
+
+const validProduct = {
+  id: 'p-201',
+  name: 'Desk Lamp',
+  category: 'Workspace',
+  price: 34.99,
+  stock: 12,
+  image: 'https://example.com/lamp.jpg',
+  description: 'Dimmable LED desk lamp.'
+};
+
+const storedProduct = {
+  id: 'p-201',
+  name: 'Desk Lamp',
+  category: 'Workspace',
+  priceCents: 3499,
+  currency: 'USD',
+  stock: 12,
+  image: 'https://example.com/lamp.jpg',
+  description: 'Dimmable LED desk lamp.',
+  rating: 0,
+  archivedAt: null,
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+  updatedAt: new Date('2026-01-01T00:00:00Z')
+};
+
+describe('Admin Products API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.product.update.mockImplementation(({ data }) =>
+      Promise.resolve({ ...storedProduct, ...data })
+    );
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).post('/api/admin/products').send(validProduct);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should return 403 for a customer', async () => {
+    const res = await request(app)
+      .post('/api/admin/products')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send(validProduct);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.success).toBe(false);
+    expect(prisma.product.create).not.toHaveBeenCalled();
+  });
+
+  it('should allow staff to manage products', async () => {
+    const staffToken = jwt.sign({ userId: 3, role: 'staff' }, 'default-secret');
+    prisma.product.findMany.mockResolvedValue([storedProduct]);
+
+    const res = await request(app)
+      .get('/api/admin/products')
+      .set('Authorization', `Bearer ${staffToken}`);
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  describe('POST /api/admin/products', () => {
+    it('should create a product with valid data', async () => {
+      prisma.product.findUnique.mockResolvedValue(null);
+      prisma.product.create.mockResolvedValue(storedProduct);
+
+      const res = await request(app).post('/api/admin/products').set(auth).send(validProduct);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.product).toMatchObject({ id: 'p-201', price: 34.99 });
+      expect(prisma.product.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ id: 'p-201', priceCents: 3499, stock: 12 })
+      });
+    });
+
+    it('should generate an id when none is given', async () => {
+      prisma.product.findUnique.mockResolvedValue(null);
+      prisma.product.create.mockImplementation(({ data }) =>
+        Promise.resolve({ ...storedProduct, ...data })
+      );
+      const { id, ...withoutId } = validProduct;
+
+      const res = await request(app).post('/api/admin/products').set(auth).send(withoutId);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.product.id).not.toBe(id);
+      expect(res.body.data.product.id).toMatch(/^p-[0-9a-f]{8}$/);
+    });
+
+    it.each([
+      [{ price: -5 }, 'price must be a positive amount with at most two decimal places'],
+      [{ price: 10.005 }, 'price must be a positive amount with at most two decimal places'],
+      [{ stock: 1.5 }, 'stock must be a non-negative integer'],
+      [{ category: '  ' }, 'category must be a non-empty string of at most 50 characters'],
+      [{ image: 'javascript:alert(1)' }, 'image must be an http(s) URL of at most 500 characters']
+    ])('should reject invalid field %o', async (override, message) => {
+      const res = await request(app)
+        .post('/api/admin/products')
+        .set(auth)
+        .send({ ...validProduct, ...override });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.success).toBe(false);
+      expect(res.body.message).toBe(message);
+      expect(prisma.product.create).not.toHaveBeenCalled();
+    });
+
+    it('should list every missing required field', async () => {
+      const res = await request(app).post('/api/admin/products').set(auth).send({ name: 'Lamp' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toEqual(
+        expect.arrayContaining(['price is required', 'image is required'])
+      );
+    });
+
+    it('should return 409 for a duplicate id', async () => {
+      prisma.product.findUnique.mockResolvedValue(storedProduct);
+
+      const res = await request(app).post('/api/admin/products').set(auth).send(validProduct);
+
+      expect(res.statusCode).toBe(409);
+    });
+  });
+
+  describe('PUT and PATCH /api/admin/products/:id', () => {
+    it('should require every field on PUT', async () => {
+      const res = await request(app)
+        .put('/api/admin/products/p-201')
+        .set(auth)
+        .send({ price: 29.99 });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should apply a partial update on PATCH', async () => {
+      prisma.product.findUnique.mockResolvedValue(storedProduct);
+
+      const res = await request(app)
+        .patch('/api/admin/products/p-201')
+        .set(auth)
+        .send({ price: 29.99 });
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.product.update).toHaveBeenCalledWith({
+        where: { id: 'p-201' },
+        data: { priceCents: 2999 }
+      });
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      prisma.product.findUnique.mockResolvedValue(null);
+
+      const res = await request(app)
+        .patch('/api/admin/products/missing')
+        .set(auth)
+        .send({ stock: 3 });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Product not found');
+    });
+  });
+
+  describe('archive and restore', () => {
+    it('should archive a product on DELETE', async () => {
+      prisma.product.findUnique.mockResolvedValue(storedProduct);
+
+      const res = await request(app).delete('/api/admin/products/p-201').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.product.archivedAt).toBeTruthy();
+      expect(res.body.data.product.available).toBe(false);
+    });
+
+    it('should restore an archived product', async () => {
+      prisma.product.findUnique.mockResolvedValue({ ...storedProduct, archivedAt: new Date() });
+
+      const res = await request(app).post('/api/admin/products/p-201/restore').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.product.archivedAt).toBeNull();
+      expect(res.body.data.product.available).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+
+jest.mock('../src/lib/prisma', () => ({
+  user: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+const prisma = require('../src/lib/prisma');
+
+const adminAuth = {
+  Authorization: `Bearer ${jwt.sign({ userId: 1, role: 'admin' }, 'default-secret')}`
+};
+const staffAuth = {
+  Authorization: `Bearer ${jwt.sign({ userId: 3, role: 'staff' }, 'default-secret')}`
+};
+
+describe('Admin Users API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return 403 for staff', async () => {
+    const res = await request(app).get('/api/admin/users').set(staffAuth);
+
+    expect(res.statusCode).toBe(403);
+    expect(prisma.user.findMany).not.toHaveBeenCalled();
+  });
+
+  it('should treat tokens without a role claim as customers', async () => {
+    const legacyToken = jwt.sign({ userId: 4, email: 'old@example.com' }, 'default-secret');
+
+    const res = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${legacyToken}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should list users for admins', async () => {
+    prisma.user.findMany.mockResolvedValue([{ id: 1, email: 'admin@example.com', role: 'admin' }]);
+
+    const res = await request(app).get('/api/admin/users').set(adminAuth);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.users).toHaveLength(1);
+  });
+
+  describe('PATCH /api/admin/users/:id/role', () => {
+    it('should change the role of another user', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 2, role: 'customer' });
+      prisma.user.update.mockResolvedValue({ id: 2, role: 'staff' });
+
+      const res = await request(app)
+        .patch('/api/admin/users/2/role')
+        .set(adminAuth)
+        .send({ role: 'staff' });
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.user.update).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 2 }, data: { role: 'staff' } })
+      );
+    });
+
+    it('should reject an unknown role', async () => {
+      const res = await request(app)
+        .patch('/api/admin/users/2/role')
+        .set(adminAuth)
+        .send({ role: 'owner' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Role must be one of: customer, staff, admin');
+    });
+
+    it('should reject a non-numeric user id', async () => {
+      const res = await request(app)
+        .patch('/api/admin/users/abc/role')
+        .set(adminAuth)
+        .send({ role: 'staff' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Invalid user id');
+      expect(prisma.user.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should not let admins change their own role', async () => {
+      const res = await request(app)
+        .patch('/api/admin/users/1/role')
+        .set(adminAuth)
+        .send({ role: 'customer' });
+
+      expect(res.statusCode).toBe(400);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      prisma.user.findUnique.mockResolvedValue(null);
+
+      const res = await request(app)
+        .patch('/api/admin/users/99/role')
+        .set(adminAuth)
+        .send({ role: 'staff' });
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
@@ -7,15 +7,27 @@
  */
 
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const app = require('../src/app');
 
 // Mock Prisma
-jest.mock('../src/lib/prisma', () => ({
-  user: {
-    findUnique: jest.fn(),
-    create: jest.fn()
-  }
-}));
+jest.mock('../src/lib/prisma', () => {
+  const client = {
+    user: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn()
+    },
+    refreshToken: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    }
+  };
+  client.$transaction = jest.fn((callback) => callback(client));
+  return client;
+});
 
 // Mock bcryptjs
 jest.mock('bcryptjs', () => ({
@@ -27,10 +39,18 @@ jest.mock('bcryptjs', () => ({
 
 const prisma = require('../src/lib/prisma');
 const bcrypt = require('bcryptjs');
+const { hashToken } = require('../src/lib/tokens');
+const { getRateLimitStore } = require('../src/lib/rateLimit');
 
 describe('Auth API Tests', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    getRateLimitStore().clear();
+    prisma.user.update.mockResolvedValue({ failedLoginCount: 1 });
+    prisma.refreshToken.create.mockImplementation(({ data }) =>
+      Promise.resolve({ id: 20, ...data })
+    );
+    prisma.refreshToken.updateMany.mockResolvedValue({ count: 1 });
   });
 
   describe('POST /api/auth/signup', () => {
@@ -131,6 +151,32 @@ describe('Auth API Tests', () => {
       expect(res.body.data.token).toBeDefined();
     });
 
+    it('should issue a short-lived access token and a hashed refresh token', async () => {
+      prisma.user.findUnique.mockResolvedValue(mockUser);
+      bcrypt.compare.mockResolvedValue(true);
+
+      const res = await request(app).post('/api/auth/login').send(validLoginData);
+
+      expect(res.body.data.expiresIn).toBe(15 * 60);
+      expect(res.body.data.refreshToken).toEqual(expect.any(String));
+      expect(prisma.refreshToken.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          userId: 1,
+          tokenHash: hashToken(res.body.data.refreshToken),
+          familyId: expect.any(String)
+        })
+      });
+    });
+
+    it('should include the user role in the token', async () => {
+      prisma.user.findUnique.mockResolvedValue({ ...mockUser, role: 'admin' });
+
+      const res = await request(app).post('/api/auth/login').send(validLoginData);
+
+      expect(res.body.data.user.role).toBe('admin');
+      expect(jwt.decode(res.body.data.token)).toMatchObject({ userId: 1, role: 'admin' });
+    });
+
     it('should return 400 if email is missing', async () => {
       const res = await request(app).post('/api/auth/login').send({ password: 'password123' });
 
@@ -166,6 +212,78 @@ describe('Auth API Tests', () => {
 
       expect(res.statusCode).toBe(401);
       expect(res.body.message).toBe('Invalid email or password');
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { failedLoginCount: { increment: 1 } },
+        select: { failedLoginCount: true }
+      });
+    });
+
+    it('should lock the account after repeated failed logins', async () => {
+      prisma.user.findUnique.mockResolvedValue({ ...mockUser, failedLoginCount: 4 });
+      prisma.user.update.mockResolvedValueOnce({ failedLoginCount: 5 });
+      bcrypt.compare.mockResolvedValue(false);
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'wrongpassword' });
+
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['retry-after']).toBe('60');
+      expect(res.body.retryAfter).toBe(60);
+      expect(prisma.user.update).toHaveBeenLastCalledWith({
+        where: { id: 1 },
+        data: { lockedUntil: expect.any(Date) }
+      });
+    });
+
+    it('should refuse a locked account without checking the password', async () => {
+      prisma.user.findUnique.mockResolvedValue({
+        ...mockUser,
+        failedLoginCount: 6,
+        lockedUntil: new Date(Date.now() + 90 * 1000)
+      });
+
+      const res = await request(app).post('/api/auth/login').send(validLoginData);
+
+      expect(res.statusCode).toBe(429);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(85);
+      expect(res.body.message).toMatch(/Too many failed login attempts/);
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+    });
+
+    it('should clear failed attempts after a successful login', async () => {
+      prisma.user.findUnique.mockResolvedValue({
+        ...mockUser,
+        failedLoginCount: 3,
+        lockedUntil: new Date(Date.now() - 1000)
+      });
+      bcrypt.compare.mockResolvedValue(true);
+
+      const res = await request(app).post('/api/auth/login').send(validLoginData);
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { failedLoginCount: 0, lockedUntil: null }
+      });
+    });
+
+    it('should rate limit login attempts per client', async () => {
+      prisma.user.findUnique.mockResolvedValue(null);
+
+      for (let attempt = 0; attempt < 20; attempt += 1) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ email: `user${attempt}@example.com`, password: 'password123' });
+      }
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' });
+
+      expect(res.statusCode).toBe(429);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+      expect(prisma.user.findUnique).toHaveBeenCalledTimes(20);
     });
   });
 
@@ -184,4 +302,113 @@ describe('Auth API Tests', () => {
       expect(res.body.message).toBe('No token provided');
     });
   });
+
+  describe('POST /api/auth/refresh', () => {
+    const user = { id: 1, email: 'john@example.com', role: 'customer' };
+    const storedToken = {
+      id: 7,
+      userId: 1,
+      familyId: 'family-1',
+      tokenHash: hashToken('refresh-abc'),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revokedAt: null,
+      user
+    };
+
+    it('should rotate the refresh token and return a new access token', async () => {
+      prisma.refreshToken.findUnique.mockResolvedValue(storedToken);
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'refresh-abc' });
+
+      expect(res.statusCode).toBe(200);
+      expect(jwt.decode(res.body.data.token)).toMatchObject({ userId: 1, role: 'customer' });
+      expect(res.body.data.refreshToken).not.toBe('refresh-abc');
+      expect(prisma.refreshToken.findUnique).toHaveBeenCalledWith({
+        where: { tokenHash: hashToken('refresh-abc') },
+        include: { user: true }
+      });
+      expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+        where: { id: 7, revokedAt: null },
+        data: { revokedAt: expect.any(Date) }
+      });
+      expect(prisma.refreshToken.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ familyId: 'family-1', userId: 1 })
+      });
+      expect(prisma.refreshToken.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { replacedById: 20 }
+      });
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      prisma.refreshToken.findUnique.mockResolvedValue({ ...storedToken, revokedAt: new Date() });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'refresh-abc' });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe('Refresh token was already used; please log in again');
+      expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+        where: { familyId: 'family-1', revokedAt: null },
+        data: { revokedAt: expect.any(Date) }
+      });
+      expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an expired refresh token', async () => {
+      prisma.refreshToken.findUnique.mockResolvedValue({
+        ...storedToken,
+        expiresAt: new Date(Date.now() - 1000)
+      });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'refresh-abc' });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe('Refresh token has expired');
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      prisma.refreshToken.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'nope' });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe('Invalid refresh token');
+    });
+
+    it('should let only one of two concurrent refreshes win', async () => {
+      prisma.refreshToken.findUnique.mockResolvedValue(storedToken);
+      prisma.refreshToken.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'refresh-abc' });
+
+      expect(res.statusCode).toBe(401);
+      expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 without a refresh token', async () => {
+      const res = await request(app).post('/api/auth/refresh').send({});
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the refresh token', async () => {
+      const res = await request(app).post('/api/auth/logout').send({ refreshToken: 'refresh-abc' });
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+        where: { tokenHash: hashToken('refresh-abc'), revokedAt: null },
+        data: { revokedAt: expect.any(Date) }
+      });
+    });
+  });
 });
@@ -0,0 +1,611 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+
+jest.mock('../src/lib/prisma', () => ({
+  product: {
+    findUnique: jest.fn(),
+    findMany: jest.fn()
+  },
+  userCartItem: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    upsert: jest.fn(),
+    delete: jest.fn(),
+    deleteMany: jest.fn()
+  },
+  wishlistItem: {
+    upsert: jest.fn()
+  },
+  coupon: {
+    findUnique: jest.fn()
+  },
+  cartShipping: {
+    findUnique: jest.fn(),
+    upsert: jest.fn()
+  },
+  cartCoupon: {
+    findUnique: jest.fn(),
+    upsert: jest.fn(),
+    deleteMany: jest.fn()
+  },
+  couponRedemption: {
+    count: jest.fn()
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations))
+}));
+
+const prisma = require('../src/lib/prisma');
+
+const token = jwt.sign({ userId: 1, email: 'john@example.com' }, 'default-secret');
+const auth = { Authorization: `Bearer ${token}` };
+
+const mockProduct = {
+  id: 'p-104',
+  name: 'Portable SSD 1TB',
+  category: 'Storage',
+  priceCents: 11999,
+  rating: 4.6,
+  stock: 18,
+  image: 'https://example.com/ssd.jpg',
+  description: 'High-speed external SSD.'
+};
+
+const mockCoupon = {
+  id: 4,
+  code: 'WELCOME10',
+  type: 'percentage',
+  value: '10.00',
+  buyQuantity: null,
+  getQuantity: null,
+  category: null,
+  minSpend: null,
+  startsAt: null,
+  expiresAt: null,
+  usageLimit: null,
+  perUserLimit: 1,
+  timesUsed: 0,
+  active: true
+};
+
+describe('Cart API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.cartCoupon.findUnique.mockResolvedValue(null);
+    prisma.cartShipping.findUnique.mockResolvedValue(null);
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/api/cart');
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  describe('GET /api/cart', () => {
+    it('should return cart items joined with their product', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue([
+        { userId: 1, productId: 'p-104', quantity: 2, product: mockProduct }
+      ]);
+
+      const res = await request(app).get('/api/cart').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.items).toEqual([
+        expect.objectContaining({ id: 'p-104', price: 119.99, quantity: 2, available: true })
+      ]);
+    });
+
+    it('should keep archived products in the cart marked unavailable', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue([
+        {
+          userId: 1,
+          productId: 'p-104',
+          quantity: 1,
+          product: { ...mockProduct, archivedAt: new Date() }
+        }
+      ]);
+
+      const res = await request(app).get('/api/cart').set(auth);
+
+      expect(res.body.data.items).toHaveLength(1);
+      expect(res.body.data.items[0].available).toBe(false);
+      expect(res.body.data.totals.total).toBe(0);
+    });
+
+    it('should return line and order totals with the applied coupon', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue([
+        { userId: 1, productId: 'p-104', quantity: 2, product: mockProduct }
+      ]);
+      prisma.cartCoupon.findUnique.mockResolvedValue({ userId: 1, coupon: mockCoupon });
+      prisma.couponRedemption.count.mockResolvedValue(0);
+
+      const res = await request(app).get('/api/cart').set(auth);
+
+      expect(res.body.data.items[0]).toEqual(
+        expect.objectContaining({ discount: 0, lineTotal: 239.98 })
+      );
+      expect(res.body.data.totals).toEqual({
+        subtotal: 239.98,
+        lineDiscount: 0,
+        orderDiscount: 24,
+        discount: 24,
+        freeShipping: false,
+        shipping: 0,
+        tax: 0,
+        taxIncluded: false,
+        total: 215.98
+      });
+      expect(res.body.data.coupon).toEqual({
+        code: 'WELCOME10',
+        description: '10% off',
+        applied: true,
+        message: null
+      });
+    });
+
+    it('should report a stored coupon that no longer applies', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue([
+        { userId: 1, productId: 'p-104', quantity: 1, product: mockProduct }
+      ]);
+      prisma.cartCoupon.findUnique.mockResolvedValue({
+        userId: 1,
+        coupon: { ...mockCoupon, expiresAt: new Date('2020-01-01') }
+      });
+      prisma.couponRedemption.count.mockResolvedValue(0);
+
+      const res = await request(app).get('/api/cart').set(auth);
+
+      expect(res.body.data.coupon).toEqual(
+        expect.objectContaining({ applied: false, message: 'This code has expired' })
+      );
+      expect(res.body.data.totals.total).toBe(119.99);
+    });
+  });
+
+  describe('tax', () => {
+    beforeEach(() => {
+      prisma.userCartItem.findMany.mockResolvedValue([
+        { userId: 1, productId: 'p-104', quantity: 2, product: mockProduct }
+      ]);
+    });
+
+    it('should leave tax out until a destination is given', async () => {
+      const res = await request(app).get('/api/cart').set(auth);
+
+      expect(res.body.data.tax).toBeNull();
+      expect(res.body.data.totals).toEqual(expect.objectContaining({ tax: 0, total: 239.98 }));
+    });
+
+    it('should add sales tax for a US destination', async () => {
+      const res = await request(app).get('/api/cart?country=us&region=ca').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.tax).toEqual({
+        destination: { country: 'US', region: 'CA' },
+        pricesIncludeTax: false,
+        lines: [{ label: 'Sales tax (7.25%)', rate: 7.25, taxable: 239.98, amount: 17.4 }]
+      });
+      expect(res.body.data.totals).toEqual(
+        expect.objectContaining({ tax: 17.4, taxIncluded: false, total: 257.38 })
+      );
+    });
+
+    it('should report included VAT without changing the total', async () => {
+      const res = await request(app).get('/api/cart?country=GB').set(auth);
+
+      expect(res.body.data.totals).toEqual(
+        expect.objectContaining({ tax: 40, taxIncluded: true, total: 239.98 })
+      );
+    });
+
+    it('should return 400 for a malformed country', async () => {
+      const res = await request(app).get('/api/cart?country=USA').set(auth);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('country must be a two-letter country code');
+    });
+  });
+
+  describe('PUT /api/cart/shipping', () => {
+    it('should return 400 for an unknown method', async () => {
+      const res = await request(app).put('/api/cart/shipping').set(auth).send({ method: 'drone' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('method must be one of: standard, express, pickup');
+      expect(prisma.cartShipping.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should save the method and return the cart with its cost', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue([
+        { userId: 1, productId: 'p-104', quantity: 1, product: { ...mockProduct, weightGrams: 80 } }
+      ]);
+      prisma.cartShipping.findUnique.mockResolvedValue({ userId: 1, method: 'express' });
+
+      const res = await request(app)
+        .put('/api/cart/shipping')
+        .set(auth)
+        .send({ method: 'express' });
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.cartShipping.upsert).toHaveBeenCalledWith({
+        where: { userId: 1 },
+        update: { method: 'express' },
+        create: { userId: 1, method: 'express' }
+      });
+      expect(res.body.data.shipping.method).toBe('express');
+      expect(res.body.data.shipping.selected).toEqual(
+        expect.objectContaining({ label: 'Express', cost: 12.99 })
+      );
+      expect(res.body.data.shipping.options).toHaveLength(3);
+      expect(res.body.data.totals).toEqual(
+        expect.objectContaining({ shipping: 12.99, total: 132.98 })
+      );
+    });
+  });
+
+  describe('promo codes', () => {
+    beforeEach(() => {
+      prisma.userCartItem.findMany.mockResolvedValue([
+        { userId: 1, productId: 'p-104', quantity: 1, product: mockProduct }
+      ]);
+      prisma.couponRedemption.count.mockResolvedValue(0);
+    });
+
+    it('should return 404 for an unknown code', async () => {
+      prisma.coupon.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/cart/coupon').set(auth).send({ code: 'nope' });
+
+      expect(res.statusCode).toBe(404);
+      expect(prisma.coupon.findUnique).toHaveBeenCalledWith({ where: { code: 'NOPE' } });
+    });
+
+    it('should return 400 without saving when the cart is below the minimum spend', async () => {
+      prisma.coupon.findUnique.mockResolvedValue({ ...mockCoupon, minSpend: '150.00' });
+
+      const res = await request(app).post('/api/cart/coupon').set(auth).send({ code: 'welcome10' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Spend at least $150.00 to use this code');
+      expect(prisma.cartCoupon.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should apply a code and return the repriced cart', async () => {
+      prisma.coupon.findUnique.mockResolvedValue(mockCoupon);
+      prisma.cartCoupon.findUnique.mockResolvedValue({ userId: 1, coupon: mockCoupon });
+
+      const res = await request(app).post('/api/cart/coupon').set(auth).send({ code: 'welcome10' });
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.cartCoupon.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { userId: 1 },
+          create: { userId: 1, couponId: 4 }
+        })
+      );
+      expect(res.body.data.totals.total).toBe(107.99);
+    });
+
+    it('should remove the code', async () => {
+      prisma.cartCoupon.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).delete('/api/cart/coupon').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.cartCoupon.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+      expect(res.body.data.coupon).toBeNull();
+      expect(res.body.data.totals.total).toBe(119.99);
+    });
+  });
+
+  describe('price snapshots', () => {
+    it('should flag lines whose price changed since they were added', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue([
+        {
+          userId: 1,
+          productId: 'p-104',
+          quantity: 1,
+          priceSnapshotCents: 12999,
+          product: mockProduct
+        },
+        {
+          userId: 1,
+          productId: 'p-105',
+          quantity: 1,
+          priceSnapshotCents: 2499,
+          product: { ...mockProduct, id: 'p-105', priceCents: 2499 }
+        }
+      ]);
+
+      const res = await request(app).get('/api/cart').set(auth);
+
+      expect(res.body.data.items[0].priceChange).toEqual({
+        previousPrice: 129.99,
+        currentPrice: 119.99,
+        direction: 'dropped'
+      });
+      expect(res.body.data.items[1].priceChange).toBeNull();
+    });
+
+    it('should move the snapshot to the current price when acknowledged', async () => {
+      prisma.userCartItem.findUnique.mockResolvedValue({
+        userId: 1,
+        productId: 'p-104',
+        quantity: 1,
+        priceSnapshotCents: 9999,
+        product: mockProduct
+      });
+
+      const res = await request(app).post('/api/cart/items/p-104/acknowledge-price').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.userCartItem.update).toHaveBeenCalledWith({
+        where: { userId_productId: { userId: 1, productId: 'p-104' } },
+        data: { priceSnapshotCents: 11999 }
+      });
+    });
+
+    it('should return 404 when acknowledging a product that is not in the cart', async () => {
+      prisma.userCartItem.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/cart/items/p-104/acknowledge-price').set(auth);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('POST /api/cart/items/:productId/move-to-wishlist', () => {
+    it('should save the line to the wishlist and take it out of the cart', async () => {
+      const key = { userId_productId: { userId: 1, productId: 'p-104' } };
+      prisma.userCartItem.findUnique.mockResolvedValue({
+        userId: 1,
+        productId: 'p-104',
+        quantity: 2,
+        priceSnapshotCents: 11999,
+        product: mockProduct
+      });
+
+      const res = await request(app).post('/api/cart/items/p-104/move-to-wishlist').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.wishlistItem.upsert).toHaveBeenCalledWith({
+        where: key,
+        update: {},
+        create: { userId: 1, productId: 'p-104', priceSnapshotCents: 11999, inStockAtSave: true }
+      });
+      expect(prisma.userCartItem.delete).toHaveBeenCalledWith({ where: key });
+    });
+
+    it('should return 404 when the product is not in the cart', async () => {
+      prisma.userCartItem.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/cart/items/p-104/move-to-wishlist').set(auth);
+
+      expect(res.statusCode).toBe(404);
+      expect(prisma.wishlistItem.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/cart/items', () => {
+    it('should return 404 for a product that is not in the catalog', async () => {
+      prisma.product.findUnique.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/api/cart/items')
+        .set(auth)
+        .send({ productId: 'missing', quantity: 1 });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Product not found');
+      expect(prisma.userCartItem.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for an archived product', async () => {
+      prisma.product.findUnique.mockResolvedValue({ ...mockProduct, archivedAt: new Date() });
+
+      const res = await request(app)
+        .post('/api/cart/items')
+        .set(auth)
+        .send({ productId: 'p-104', quantity: 1 });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('Product is no longer available');
+    });
+
+    it('should create a cart row for a new product', async () => {
+      prisma.product.findUnique.mockResolvedValue(mockProduct);
+      prisma.userCartItem.findUnique.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/api/cart/items')
+        .set(auth)
+        .send({ productId: 'p-104', quantity: 2 });
+
+      expect(res.statusCode).toBe(201);
+      expect(prisma.userCartItem.create).toHaveBeenCalledWith({
+        data: { userId: 1, productId: 'p-104', quantity: 2, priceSnapshotCents: 11999 }
+      });
+    });
+
+    it('should return 409 with the available quantity when stock would be exceeded', async () => {
+      prisma.product.findUnique.mockResolvedValue(mockProduct);
+      prisma.userCartItem.findUnique.mockResolvedValue({
+        userId: 1,
+        productId: 'p-104',
+        quantity: 17
+      });
+
+      const res = await request(app)
+        .post('/api/cart/items')
+        .set(auth)
+        .send({ productId: 'p-104', quantity: 2 });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('Only 18 left in stock');
+      expect(res.body.data).toEqual({
+        productId: 'p-104',
+        availableQuantity: 18,
+        quantityInCart: 17
+      });
+      expect(prisma.userCartItem.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for an out of stock product', async () => {
+      prisma.product.findUnique.mockResolvedValue({ ...mockProduct, stock: 0 });
+      prisma.userCartItem.findUnique.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/api/cart/items')
+        .set(auth)
+        .send({ productId: 'p-104', quantity: 1 });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('Portable SSD 1TB is out of stock');
+      expect(prisma.userCartItem.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a fractional quantity', async () => {
+      const res = await request(app)
+        .post('/api/cart/items')
+        .set(auth)
+        .send({ productId: 'p-104', quantity: 1.5 });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('PATCH /api/cart/items/:productId', () => {
+    it('should return 404 for a product that is not in the catalog', async () => {
+      prisma.product.findUnique.mockResolvedValue(null);
+
+      const res = await request(app)
+        .patch('/api/cart/items/missing')
+        .set(auth)
+        .send({ quantity: 2 });
+
+      expect(res.statusCode).toBe(404);
+      expect(prisma.userCartItem.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the quantity is above stock', async () => {
+      prisma.product.findUnique.mockResolvedValue(mockProduct);
+      prisma.userCartItem.findUnique.mockResolvedValue({
+        userId: 1,
+        productId: 'p-104',
+        quantity: 18
+      });
+
+      const res = await request(app)
+        .patch('/api/cart/items/p-104')
+        .set(auth)
+        .send({ quantity: 19 });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.data.availableQuantity).toBe(18);
+      expect(prisma.userCartItem.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should allow setting the quantity to exactly the stock level', async () => {
+      prisma.product.findUnique.mockResolvedValue(mockProduct);
+
+      const res = await request(app)
+        .patch('/api/cart/items/p-104')
+        .set(auth)
+        .send({ quantity: 18 });
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.userCartItem.upsert).toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/cart/merge', () => {
+    const mouse = { ...mockProduct, id: 'p-105', name: 'Wireless Mouse', stock: 3 };
+
+    it('should return 400 when items is not an array', async () => {
+      const res = await request(app).post('/api/cart/merge').set(auth).send({ items: 'p-104' });
+
+      expect(res.statusCode).toBe(400);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an item without a whole quantity', async () => {
+      const res = await request(app)
+        .post('/api/cart/merge')
+        .set(auth)
+        .send({ items: [{ productId: 'p-104', quantity: 0.5 }] });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should add guest quantities to existing rows and cap them at stock', async () => {
+      prisma.product.findMany.mockResolvedValue([mockProduct, mouse]);
+      prisma.userCartItem.findMany
+        .mockResolvedValueOnce([{ userId: 1, productId: 'p-105', quantity: 2 }])
+        .mockResolvedValueOnce([
+          { userId: 1, productId: 'p-105', quantity: 3, product: mouse },
+          { userId: 1, productId: 'p-104', quantity: 3, product: mockProduct }
+        ]);
+
+      const res = await request(app)
+        .post('/api/cart/merge')
+        .set(auth)
+        .send({
+          items: [
+            { productId: 'p-104', quantity: 1 },
+            { productId: 'p-105', quantity: 2 },
+            { productId: 'p-104', quantity: 2 }
+          ]
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.userCartItem.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { userId_productId: { userId: 1, productId: 'p-104' } },
+          update: { quantity: 3 },
+          create: { userId: 1, productId: 'p-104', quantity: 3, priceSnapshotCents: 11999 }
+        })
+      );
+      expect(prisma.userCartItem.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { userId_productId: { userId: 1, productId: 'p-105' } },
+          update: { quantity: 3 }
+        })
+      );
+      expect(res.body.data.adjustments).toEqual([
+        { productId: 'p-105', requested: 4, quantity: 3, reason: 'limited' }
+      ]);
+      expect(res.body.data.items).toHaveLength(2);
+      expect(res.body.data.items[1]).toMatchObject({ id: 'p-104', lineTotal: 359.97 });
+      expect(res.body.data.totals).toMatchObject({ subtotal: 719.94 });
+    });
+
+    it('should skip archived, missing and out of stock products', async () => {
+      prisma.product.findMany.mockResolvedValue([
+        { ...mockProduct, archivedAt: new Date() },
+        { ...mouse, stock: 0 }
+      ]);
+      prisma.userCartItem.findMany.mockResolvedValue([]);
+
+      const res = await request(app)
+        .post('/api/cart/merge')
+        .set(auth)
+        .send({
+          items: [
+            { productId: 'p-104', quantity: 1 },
+            { productId: 'p-105', quantity: 1 },
+            { productId: 'p-999', quantity: 1 }
+          ]
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+      expect(res.body.data.adjustments.map((adjustment) => adjustment.reason)).toEqual([
+        'unavailable',
+        'out_of_stock',
+        'unavailable'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { priceCart } = require('../src/lib/cartTotals');
+const { validateCouponInput } = require('../src/lib/coupons');
+
+jest.mock('../src/lib/prisma', () => ({
+  coupon: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  }
+}));
+
+const prisma = require('../src/lib/prisma');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const headphones = {
+  id: 'p-101',
+  name: 'Wireless Headphones',
+  category: 'Audio',
+  priceCents: 7999
+};
+const ssd = { id: 'p-104', name: 'Portable SSD 1TB', category: 'Storage', priceCents: 11999 };
+
+function line(product, quantity) {
+  return { productId: product.id, quantity, product: { archivedAt: null, ...product } };
+}
+
+function coupon(overrides = {}) {
+  return {
+    id: 1,
+    code: 'TEST',
+    type: 'percentage',
+    value: '10.00',
+    buyQuantity: null,
+    getQuantity: null,
+    category: null,
+    minSpend: null,
+    startsAt: null,
+    expiresAt: null,
+    usageLimit: null,
+    perUserLimit: null,
+    timesUsed: 0,
+    active: true,
+    ...overrides
+  };
+}
+
+// 2 x 79.99 + 1 x 119.99 = 279.97
+const cart = [line(headphones, 2), line(ssd, 1)];
+
+describe('coupon engine', () => {
+  it('should price a cart without a coupon', () => {
+    const pricing = priceCart(cart, null, { now });
+
+    expect(pricing.subtotalCents).toBe(27997);
+    expect(pricing.discountCents).toBe(0);
+    expect(pricing.totalCents).toBe(27997);
+    expect(pricing.couponError).toBeNull();
+  });
+
+  it('should take a percentage off the whole order', () => {
+    const pricing = priceCart(cart, coupon(), { now });
+
+    expect(pricing.orderDiscountCents).toBe(2800);
+    expect(pricing.lineDiscountCents).toBe(0);
+    expect(pricing.totalCents).toBe(25197);
+  });
+
+  it('should cap a fixed amount at the subtotal', () => {
+    const pricing = priceCart([line(ssd, 1)], coupon({ type: 'fixed_amount', value: '500' }), {
+      now
+    });
+
+    expect(pricing.discountCents).toBe(11999);
+    expect(pricing.totalCents).toBe(pricing.shippingCents);
+  });
+
+  it('should discount only lines in the coupon category', () => {
+    const pricing = priceCart(cart, coupon({ value: '20', category: 'Audio' }), { now });
+
+    expect(pricing.lines.map((priced) => priced.discountCents)).toEqual([3200, 0]);
+    expect(pricing.orderDiscountCents).toBe(0);
+    expect(pricing.totalCents).toBe(24797);
+  });
+
+  it('should spread a category fixed amount across the eligible lines exactly', () => {
+    const speaker = { id: 'p-107', name: 'Speaker', category: 'Audio', priceCents: 2000 };
+    const pricing = priceCart(
+      [line(headphones, 1), line(speaker, 1), line(ssd, 1)],
+      coupon({ type: 'fixed_amount', value: '10', category: 'Audio' }),
+      { now }
+    );
+
+    const discounts = pricing.lines.map((priced) => priced.discountCents);
+    expect(discounts[0] + discounts[1]).toBe(1000);
+    expect(discounts[2]).toBe(0);
+  });
+
+  it('should make every third unit free for buy 2 get 1', () => {
+    const pricing = priceCart(
+      [line(headphones, 7), line(ssd, 2)],
+      coupon({ type: 'buy_x_get_y', value: null, buyQuantity: 2, getQuantity: 1 }),
+      { now }
+    );
+
+    expect(pricing.lines.map((priced) => priced.discountCents)).toEqual([2 * 7999, 0]);
+  });
+
+  it('should flag free shipping without changing the total', () => {
+    const pricing = priceCart(cart, coupon({ type: 'free_shipping', value: null }), { now });
+
+    expect(pricing.freeShipping).toBe(true);
+    expect(pricing.totalCents).toBe(27997);
+  });
+
+  it('should leave archived products out of the totals', () => {
+    const archived = { ...line(ssd, 1), product: { ...ssd, archivedAt: now } };
+    const pricing = priceCart([line(headphones, 1), archived], null, { now });
+
+    expect(pricing.subtotalCents).toBe(7999);
+  });
+
+  it('should never discount a line below zero', () => {
+    const pricing = priceCart(cart, coupon({ value: '150', category: 'Audio' }), { now });
+
+    expect(pricing.lines[0]).toMatchObject({ discountCents: 15998, lineTotalCents: 0 });
+    expect(pricing.totalCents).toBeGreaterThanOrEqual(0);
+  });
+
+  it.each([
+    [{ active: false }, 'This code is no longer active'],
+    [{ startsAt: new Date('2026-11-01') }, 'This code is not active yet'],
+    [{ expiresAt: new Date('2026-10-01') }, 'This code has expired'],
+    [{ usageLimit: 5, timesUsed: 5 }, 'This code has reached its usage limit'],
+    [{ minSpend: '300.00' }, 'Spend at least $300.00 to use this code'],
+    [{ category: 'Gaming' }, 'This code only applies to Gaming products']
+  ])('should reject an ineligible coupon (%o)', (overrides, message) => {
+    const pricing = priceCart(cart, coupon(overrides), { now });
+
+    expect(pricing.couponError).toBe(message);
+    expect(pricing.discountCents).toBe(0);
+  });
+
+  it('should enforce the per-user limit', () => {
+    const pricing = priceCart(cart, coupon({ perUserLimit: 1 }), { now, userRedemptions: 1 });
+
+    expect(pricing.couponError).toBe('You have already used this code');
+  });
+});
+
+describe('validateCouponInput', () => {
+  it('should normalize the code and format amounts', () => {
+    const { errors, data } = validateCouponInput({
+      code: ' summer-20 ',
+      type: 'percentage',
+      value: 20,
+      minSpend: 50
+    });
+
+    expect(errors).toEqual([]);
+    expect(data).toEqual({
+      code: 'SUMMER-20',
+      type: 'percentage',
+      value: '20.00',
+      minSpend: '50.00'
+    });
+  });
+
+  it('should reject a percentage above 100 and a missing buy/get quantity', () => {
+    expect(
+      validateCouponInput({ code: 'HALF', type: 'percentage', value: 150 }).errors
+    ).toHaveLength(1);
+    expect(validateCouponInput({ code: 'BOGO', type: 'buy_x_get_y' }).errors).toEqual([
+      'buyQuantity and getQuantity are required for buy_x_get_y codes'
+    ]);
+  });
+
+  it('should reject an expiry before the start date', () => {
+    const { errors } = validateCouponInput({
+      code: 'LATE',
+      type: 'free_shipping',
+      startsAt: '2026-12-01',
+      expiresAt: '2026-11-01'
+    });
+
+    expect(errors).toEqual(['expiresAt must be after startsAt']);
+  });
+
+  it('should check a partial update against the stored coupon', () => {
+    const stored = coupon({ category: 'Audio' });
+
+    expect(validateCouponInput({ value: 150 }, { partial: true, existing: stored }).errors).toEqual(
+      ['value must be a positive amount (at most 100 for percentage codes)']
+    );
+    expect(
+      validateCouponInput({ type: 'buy_x_get_y' }, { partial: true, existing: stored }).errors
+    ).toEqual(['buyQuantity and getQuantity are required for buy_x_get_y codes']);
+    expect(
+      validateCouponInput(
+        { type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 },
+        {
+          partial: true,
+          existing: stored
+        }
+      ).errors
+    ).toEqual([]);
+  });
+});
+
+describe('Admin coupons API', () => {
+  const staffToken = jwt.sign(
+    { userId: 3, email: 'staff@example.com', role: 'staff' },
+    'default-secret'
+  );
+  const customerToken = jwt.sign(
+    { userId: 1, email: 'john@example.com', role: 'customer' },
+    'default-secret'
+  );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return 403 for customers', async () => {
+    const res = await request(app)
+      .get('/api/admin/coupons')
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should create a coupon', async () => {
+    prisma.coupon.findUnique.mockResolvedValue(null);
+    prisma.coupon.create.mockImplementation(({ data }) =>
+      Promise.resolve(coupon({ id: 9, ...data }))
+    );
+
+    const res = await request(app)
+      .post('/api/admin/coupons')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ code: 'audio20', type: 'percentage', value: 20, category: 'Audio' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.coupon).toEqual(
+      expect.objectContaining({ code: 'AUDIO20', value: 20, description: '20% off on Audio' })
+    );
+  });
+
+  it('should return 409 for a duplicate code', async () => {
+    prisma.coupon.findUnique.mockResolvedValue(coupon({ code: 'AUDIO20' }));
+
+    const res = await request(app)
+      .post('/api/admin/coupons')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ code: 'AUDIO20', type: 'free_shipping' });
+
+    expect(res.statusCode).toBe(409);
+    expect(prisma.coupon.create).not.toHaveBeenCalled();
+  });
+
+  it('should deactivate a coupon', async () => {
+    prisma.coupon.findUnique.mockResolvedValue(coupon());
+    prisma.coupon.update.mockImplementation(({ data }) => Promise.resolve(coupon(data)));
+
+    const res = await request(app)
+      .patch('/api/admin/coupons/1')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ active: false });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.coupon.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { active: false }
+    });
+    expect(res.body.data.coupon.active).toBe(false);
+  });
+
+  it('should reject a percentage above 100 on an existing percentage coupon', async () => {
+    prisma.coupon.findUnique.mockResolvedValue(coupon({ category: 'Audio' }));
+
+    const res = await request(app)
+      .patch('/api/admin/coupons/1')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ value: 150 });
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.coupon.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,186 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { getMailTransport } = require('../src/lib/mailer');
+const {
+  readVerificationToken,
+  resendWaitSeconds,
+  signVerificationToken
+} = require('../src/lib/emailVerification');
+
+jest.mock('../src/lib/prisma', () => ({
+  user: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  refreshToken: {
+    create: jest.fn()
+  }
+}));
+
+jest.mock('bcryptjs', () => ({
+  hash: jest.fn((password) => Promise.resolve(`hashed_${password}`))
+}));
+
+const prisma = require('../src/lib/prisma');
+
+const mailbox = getMailTransport('memory');
+
+const unverifiedUser = {
+  id: 1,
+  email: 'john@example.com',
+  firstName: 'John',
+  role: 'customer',
+  emailVerifiedAt: null,
+  verificationSentAt: new Date(Date.now() - 5 * 60 * 1000)
+};
+
+const token = jwt.sign({ userId: 1, email: 'john@example.com' }, 'default-secret');
+const auth = { Authorization: `Bearer ${token}` };
+
+describe('Verification tokens', () => {
+  it('should round-trip the user id and email', () => {
+    expect(readVerificationToken(signVerificationToken(unverifiedUser))).toEqual({
+      userId: 1,
+      email: 'john@example.com'
+    });
+  });
+
+  it('should not accept an access token as a verification token', () => {
+    expect(readVerificationToken(token)).toBeNull();
+  });
+
+  it('should count down the resend cooldown', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    expect(resendWaitSeconds({ verificationSentAt: new Date('2026-10-19T11:59:45Z') }, now)).toBe(
+      45
+    );
+    expect(resendWaitSeconds({ verificationSentAt: new Date('2026-10-19T11:58:00Z') }, now)).toBe(
+      0
+    );
+    expect(resendWaitSeconds({ verificationSentAt: null }, now)).toBe(0);
+  });
+});
+
+describe('Email verification API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mailbox.clear();
+    prisma.user.findUnique.mockResolvedValue(unverifiedUser);
+    prisma.user.update.mockImplementation(({ data }) =>
+      Promise.resolve({ ...unverifiedUser, ...data })
+    );
+    prisma.refreshToken.create.mockResolvedValue({ id: 1 });
+  });
+
+  it('should send a verification link on signup', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce(null);
+    prisma.user.create.mockResolvedValueOnce({
+      ...unverifiedUser,
+      id: 2,
+      email: 'new@example.com'
+    });
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ email: 'new@example.com', password: 'password123' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.user.emailVerifiedAt).toBeNull();
+    expect(prisma.user.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({ verificationSentAt: expect.any(Date) })
+      })
+    );
+    expect(mailbox.sent).toHaveLength(1);
+    expect(mailbox.sent[0].to).toBe('new@example.com');
+
+    const link = mailbox.sent[0].text.match(/\/verify-email\/(\S+)/)[1];
+    expect(readVerificationToken(link)).toEqual({ userId: 2, email: 'new@example.com' });
+  });
+
+  it('should verify the email address from the link', async () => {
+    const res = await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token: signVerificationToken(unverifiedUser) });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { emailVerifiedAt: expect.any(Date) }
+    });
+    expect(res.body.data.emailVerifiedAt).toBeDefined();
+  });
+
+  it('should reject a link issued for a previous email address', async () => {
+    const res = await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token: signVerificationToken({ ...unverifiedUser, email: 'old@example.com' }) });
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('should reject a tampered link', async () => {
+    const res = await request(app).post('/api/auth/verify-email').send({ token: 'not-a-token' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('This verification link is invalid or has expired');
+  });
+
+  it('should resend the verification email', async () => {
+    const res = await request(app).post('/api/auth/verify-email/resend').set(auth);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { verificationSentAt: expect.any(Date) }
+    });
+    expect(mailbox.sent).toHaveLength(1);
+  });
+
+  it('should throttle resends with Retry-After', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce({
+      ...unverifiedUser,
+      verificationSentAt: new Date(Date.now() - 20 * 1000)
+    });
+
+    const res = await request(app).post('/api/auth/verify-email/resend').set(auth);
+
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(40);
+    expect(mailbox.sent).toHaveLength(0);
+  });
+
+  it('should not resend once verified', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce({
+      ...unverifiedUser,
+      emailVerifiedAt: new Date()
+    });
+
+    const res = await request(app).post('/api/auth/verify-email/resend').set(auth);
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('should require login to resend', async () => {
+    const res = await request(app).post('/api/auth/verify-email/resend');
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should not accept a verification link token as a session', async () => {
+    const linkAuth = { Authorization: `Bearer ${signVerificationToken(unverifiedUser)}` };
+    prisma.user.findUnique.mockResolvedValue(unverifiedUser);
+
+    const resend = await request(app).post('/api/auth/verify-email/resend').set(linkAuth);
+    const me = await request(app).get('/api/auth/me').set(linkAuth);
+
+    expect(resend.statusCode).toBe(401);
+    expect(me.statusCode).toBe(401);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+});
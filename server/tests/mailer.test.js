@@ -0,0 +1,37 @@
+describe('mailer configuration', () => {
+  const originalEnv = process.env;
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  const loadMailer = (env) => {
+    process.env = { ...originalEnv };
+    delete process.env.MAIL_TRANSPORT;
+    Object.assign(process.env, env);
+
+    let mailer;
+    jest.isolateModules(() => {
+      mailer = require('../src/lib/mailer');
+    });
+    return mailer;
+  };
+
+  it('should refuse to start in production without MAIL_TRANSPORT', () => {
+    expect(() => loadMailer({ NODE_ENV: 'production' })).toThrow(
+      'MAIL_TRANSPORT must be set when NODE_ENV is production'
+    );
+  });
+
+  it('should use the configured transport in production', () => {
+    const { getMailTransport } = loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'memory' });
+
+    expect(getMailTransport()).toBe(getMailTransport('memory'));
+  });
+
+  it('should default to the log transport in development', () => {
+    const { getMailTransport } = loadMailer({ NODE_ENV: 'development' });
+
+    expect(getMailTransport()).toBe(getMailTransport('log'));
+  });
+});
@@ -0,0 +1,31 @@
+const {
+  toCents,
+  fromCents,
+  centsToAmount,
+  multiplyCents,
+  sumCents,
+  formatMoney
+} = require('../src/lib/money');
+
+describe('money helpers', () => {
+  it('should convert amounts to whole cents without float drift', () => {
+    expect(toCents(79.99)).toBe(7999);
+    expect(toCents('99.5')).toBe(9950);
+    expect(toCents(0.1 + 0.2)).toBe(30);
+  });
+
+  it('should convert cents back to decimal strings and numbers', () => {
+    expect(fromCents(12900)).toBe('129.00');
+    expect(centsToAmount(7425)).toBe(74.25);
+  });
+
+  it('should add and multiply in cents', () => {
+    expect(multiplyCents(7999, 3)).toBe(23997);
+    expect(sumCents([1999, 1, 0])).toBe(2000);
+  });
+
+  it('should format cents for a currency', () => {
+    expect(formatMoney(300000)).toBe('$3,000.00');
+    expect(formatMoney(1250, 'EUR')).toBe('€12.50');
+  });
+});
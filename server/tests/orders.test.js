@@ -0,0 +1,372 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+
+jest.mock('../src/lib/prisma', () => {
+  const client = {
+    user: {
+      findUnique: jest.fn()
+    },
+    product: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn()
+    },
+    userCartItem: {
+      findMany: jest.fn(),
+      deleteMany: jest.fn()
+    },
+    order: {
+      findUnique: jest.fn(),
+      create: jest.fn()
+    },
+    coupon: {
+      updateMany: jest.fn()
+    },
+    cartShipping: {
+      findUnique: jest.fn()
+    },
+    cartCoupon: {
+      findUnique: jest.fn(),
+      deleteMany: jest.fn()
+    },
+    couponRedemption: {
+      count: jest.fn(),
+      create: jest.fn()
+    }
+  };
+  client.$transaction = jest.fn((callback) => callback(client));
+  return client;
+});
+
+const prisma = require('../src/lib/prisma');
+
+const token = jwt.sign({ userId: 1, email: 'john@example.com' }, 'default-secret');
+const headers = {
+  Authorization: `Bearer ${token}`,
+  'Idempotency-Key': 'checkout-0001'
+};
+
+const ssd = {
+  id: 'p-104',
+  name: 'Portable SSD 1TB',
+  category: 'Storage',
+  priceCents: 11999,
+  rating: 4.6,
+  stock: 18,
+  image: 'https://example.com/ssd.jpg',
+  description: 'High-speed external SSD.',
+  archivedAt: null
+};
+
+const stand = {
+  ...ssd,
+  id: 'p-110',
+  name: 'Laptop Stand Aluminum',
+  category: 'Workspace',
+  priceCents: 3999,
+  stock: 54
+};
+
+const cart = [
+  { userId: 1, productId: 'p-104', quantity: 2, product: ssd },
+  { userId: 1, productId: 'p-110', quantity: 1, product: stand }
+];
+
+// $24.00 off the two SSDs only.
+const storageCoupon = {
+  id: 3,
+  code: 'SSD20',
+  type: 'fixed_amount',
+  value: '24.00',
+  buyQuantity: null,
+  getQuantity: null,
+  category: 'Storage',
+  minSpend: null,
+  startsAt: null,
+  expiresAt: null,
+  usageLimit: 100,
+  perUserLimit: null,
+  timesUsed: 10,
+  active: true
+};
+
+function echoCreatedOrder() {
+  prisma.order.create.mockImplementation(({ data }) =>
+    Promise.resolve({
+      id: 7,
+      status: 'pending',
+      subtotal: data.subtotal,
+      discount: data.discount,
+      total: data.total,
+      couponCode: data.couponCode,
+      shipping: data.shipping,
+      shippingMethod: data.shippingMethod,
+      tax: data.tax,
+      taxIncluded: data.taxIncluded,
+      createdAt: new Date('2026-10-19T12:00:00Z'),
+      items: data.items.create.map((item, index) => ({ id: index + 1, ...item }))
+    })
+  );
+}
+
+describe('Orders API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.findUnique.mockResolvedValue({ emailVerifiedAt: new Date() });
+    prisma.cartCoupon.findUnique.mockResolvedValue(null);
+    prisma.cartShipping.findUnique.mockResolvedValue(null);
+    prisma.order.findUnique.mockResolvedValue(null);
+  });
+
+  describe('POST /api/orders/checkout', () => {
+    it('should return 401 without a token', async () => {
+      const res = await request(app).post('/api/orders/checkout');
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should block checkout until the email address is verified', async () => {
+      prisma.user.findUnique.mockResolvedValueOnce({ emailVerifiedAt: null });
+
+      const res = await request(app).post('/api/orders/checkout').set(headers);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Please verify your email address before continuing');
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+
+    it('should require an idempotency key', async () => {
+      const res = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an empty cart', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue([]);
+
+      const res = await request(app).post('/api/orders/checkout').set(headers);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Your cart is empty');
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+
+    it('should create an order with price snapshots and clear the cart', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue(cart);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      echoCreatedOrder();
+
+      const res = await request(app).post('/api/orders/checkout').set(headers);
+
+      expect(res.statusCode).toBe(201);
+      expect(prisma.product.updateMany).toHaveBeenCalledWith({
+        where: { id: 'p-104', archivedAt: null, stock: { gte: 2 } },
+        data: { stock: { decrement: 2 } }
+      });
+      expect(prisma.order.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            userId: 1,
+            idempotencyKey: 'checkout-0001',
+            subtotal: '279.97',
+            total: '279.97'
+          })
+        })
+      );
+      expect(prisma.userCartItem.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+      expect(res.body.data.order).toEqual(
+        expect.objectContaining({
+          id: 7,
+          status: 'pending',
+          total: 279.97,
+          items: [
+            {
+              productId: 'p-104',
+              name: 'Portable SSD 1TB',
+              unitPrice: 119.99,
+              quantity: 2,
+              discount: 0,
+              lineTotal: 239.98
+            },
+            {
+              productId: 'p-110',
+              name: 'Laptop Stand Aluminum',
+              unitPrice: 39.99,
+              quantity: 1,
+              discount: 0,
+              lineTotal: 39.99
+            }
+          ]
+        })
+      );
+    });
+
+    it('should apply and redeem the cart coupon', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue(cart);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.cartCoupon.findUnique.mockResolvedValue({ userId: 1, coupon: storageCoupon });
+      prisma.couponRedemption.count.mockResolvedValue(0);
+      prisma.coupon.updateMany.mockResolvedValue({ count: 1 });
+      echoCreatedOrder();
+
+      const res = await request(app).post('/api/orders/checkout').set(headers);
+
+      expect(res.statusCode).toBe(201);
+      expect(prisma.coupon.updateMany).toHaveBeenCalledWith({
+        where: { id: 3, OR: [{ usageLimit: null }, { timesUsed: { lt: 100 } }] },
+        data: { timesUsed: { increment: 1 } }
+      });
+      expect(prisma.couponRedemption.create).toHaveBeenCalledWith({
+        data: { couponId: 3, userId: 1, orderId: 7 }
+      });
+      expect(prisma.cartCoupon.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+      expect(res.body.data.order).toEqual(
+        expect.objectContaining({ subtotal: 279.97, discount: 24, total: 255.97 })
+      );
+      expect(res.body.data.order.couponCode).toBe('SSD20');
+      expect(res.body.data.order.shipping).toBe(0);
+      expect(res.body.data.order.items[0]).toEqual(
+        expect.objectContaining({ discount: 24, lineTotal: 215.98 })
+      );
+    });
+
+    it('should return 409 when the coupon ran out before the order was placed', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue(cart);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.cartCoupon.findUnique.mockResolvedValue({ userId: 1, coupon: storageCoupon });
+      prisma.couponRedemption.count.mockResolvedValue(0);
+      prisma.coupon.updateMany.mockResolvedValue({ count: 0 });
+
+      const res = await request(app).post('/api/orders/checkout').set(headers);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('This code has reached its usage limit');
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+
+    it('should charge the selected shipping method', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue([cart[1]]);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.cartShipping.findUnique.mockResolvedValue({ userId: 1, method: 'standard' });
+      echoCreatedOrder();
+
+      const res = await request(app).post('/api/orders/checkout').set(headers);
+
+      expect(res.statusCode).toBe(201);
+      expect(prisma.order.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            subtotal: '39.99',
+            shipping: '4.99',
+            shippingMethod: 'standard',
+            total: '44.98'
+          })
+        })
+      );
+    });
+
+    it('should charge tax for the destination sent with the checkout', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue(cart);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      echoCreatedOrder();
+
+      const res = await request(app)
+        .post('/api/orders/checkout')
+        .set(headers)
+        .send({ destination: { country: 'US', region: 'TX' } });
+
+      expect(res.statusCode).toBe(201);
+      expect(prisma.order.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            subtotal: '279.97',
+            tax: '17.50',
+            taxIncluded: false,
+            taxCountry: 'US',
+            taxRegion: 'TX',
+            total: '297.47'
+          })
+        })
+      );
+    });
+
+    it('should return 400 for a malformed destination', async () => {
+      const res = await request(app)
+        .post('/api/orders/checkout')
+        .set(headers)
+        .send({ destination: { country: 'Texas' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should return the existing order when the idempotency key was already used', async () => {
+      prisma.order.findUnique.mockResolvedValue({
+        id: 7,
+        status: 'pending',
+        subtotal: '279.97',
+        total: '279.97',
+        createdAt: new Date(),
+        items: []
+      });
+
+      const res = await request(app).post('/api/orders/checkout').set(headers);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.id).toBe(7);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should return the winning order when a concurrent retry hits the unique key', async () => {
+      prisma.order.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce({
+        id: 7,
+        status: 'pending',
+        subtotal: '279.97',
+        total: '279.97',
+        createdAt: new Date(),
+        items: []
+      });
+      prisma.$transaction.mockRejectedValueOnce(
+        Object.assign(new Error('Unique constraint failed'), { code: 'P2002' })
+      );
+
+      const res = await request(app).post('/api/orders/checkout').set(headers);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.id).toBe(7);
+    });
+
+    it('should return 409 and create nothing when stock ran out', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue(cart);
+      prisma.product.updateMany.mockResolvedValueOnce({ count: 0 });
+      prisma.product.findUnique.mockResolvedValue({ ...ssd, stock: 1 });
+
+      const res = await request(app).post('/api/orders/checkout').set(headers);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('Only 1 of Portable SSD 1TB left in stock');
+      expect(res.body.data).toEqual({
+        productId: 'p-104',
+        availableQuantity: 1,
+        quantityInCart: 2
+      });
+      expect(prisma.order.create).not.toHaveBeenCalled();
+      expect(prisma.userCartItem.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the cart holds an archived product', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue([
+        { ...cart[0], product: { ...ssd, archivedAt: new Date() } }
+      ]);
+
+      const res = await request(app).post('/api/orders/checkout').set(headers);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.data.productIds).toEqual(['p-104']);
+      expect(prisma.product.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { hashToken } = require('../src/lib/tokens');
+const { getMailTransport } = require('../src/lib/mailer');
+const { getRateLimitStore } = require('../src/lib/rateLimit');
+
+jest.mock('../src/lib/prisma', () => {
+  const client = {
+    user: {
+      findUnique: jest.fn(),
+      update: jest.fn()
+    },
+    passwordResetToken: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      updateMany: jest.fn()
+    },
+    refreshToken: {
+      updateMany: jest.fn()
+    }
+  };
+  client.$transaction = jest.fn((callback) => callback(client));
+  return client;
+});
+
+jest.mock('bcryptjs', () => ({
+  hash: jest.fn((password) => Promise.resolve(`hashed_${password}`))
+}));
+
+const prisma = require('../src/lib/prisma');
+
+const mailbox = getMailTransport('memory');
+
+const user = { id: 1, email: 'john@example.com', firstName: 'John' };
+
+const storedReset = {
+  id: 3,
+  userId: 1,
+  tokenHash: hashToken('reset-abc'),
+  expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+  usedAt: null
+};
+
+describe('Password reset API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mailbox.clear();
+    getRateLimitStore().clear();
+    prisma.passwordResetToken.updateMany.mockResolvedValue({ count: 1 });
+    prisma.passwordResetToken.findUnique.mockResolvedValue(storedReset);
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should store a hashed token and email the reset link', async () => {
+      prisma.user.findUnique.mockResolvedValueOnce(user);
+
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'john@example.com' });
+
+      expect(res.statusCode).toBe(200);
+      expect(mailbox.sent).toHaveLength(1);
+      expect(mailbox.sent[0]).toMatchObject({
+        to: 'john@example.com',
+        subject: 'Reset your ShopSmart password'
+      });
+
+      const token = mailbox.sent[0].text.match(/\/reset-password\/(\S+)/)[1];
+      expect(prisma.passwordResetToken.create).toHaveBeenCalledWith({
+        data: { userId: 1, tokenHash: hashToken(token), expiresAt: expect.any(Date) }
+      });
+    });
+
+    it('should retire earlier reset links', async () => {
+      prisma.user.findUnique.mockResolvedValueOnce(user);
+
+      await request(app).post('/api/auth/forgot-password').send({ email: 'john@example.com' });
+
+      expect(prisma.passwordResetToken.updateMany).toHaveBeenCalledWith({
+        where: { userId: 1, usedAt: null },
+        data: { usedAt: expect.any(Date) }
+      });
+    });
+
+    it('should answer the same way for an unknown email without sending mail', async () => {
+      prisma.user.findUnique.mockResolvedValueOnce(null);
+
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.message).toMatch(/If an account exists/);
+      expect(mailbox.sent).toHaveLength(0);
+      expect(prisma.passwordResetToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should answer the same way when the reset email cannot be sent', async () => {
+      prisma.user.findUnique.mockResolvedValueOnce(user);
+      jest.spyOn(mailbox, 'send').mockRejectedValueOnce(new Error('SMTP unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'john@example.com' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.message).toMatch(/If an account exists/);
+      expect(console.error).toHaveBeenCalledWith('Password reset email error:', expect.any(Error));
+      mailbox.send.mockRestore();
+      console.error.mockRestore();
+    });
+
+    it('should return 400 without an email', async () => {
+      const res = await request(app).post('/api/auth/forgot-password').send({});
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should set the new password, use up the token and revoke sessions', async () => {
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'reset-abc', password: 'newpassword' });
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.passwordResetToken.findUnique).toHaveBeenCalledWith({
+        where: { tokenHash: hashToken('reset-abc') }
+      });
+      expect(prisma.passwordResetToken.updateMany).toHaveBeenCalledWith({
+        where: { id: 3, usedAt: null },
+        data: { usedAt: expect.any(Date) }
+      });
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { password: 'hashed_newpassword', failedLoginCount: 0, lockedUntil: null }
+      });
+      expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+        where: { userId: 1, revokedAt: null },
+        data: { revokedAt: expect.any(Date) }
+      });
+    });
+
+    it.each([
+      ['unknown', null],
+      ['used', { ...storedReset, usedAt: new Date() }],
+      ['expired', { ...storedReset, expiresAt: new Date(Date.now() - 1000) }]
+    ])('should reject an %s token', async (label, reset) => {
+      prisma.passwordResetToken.findUnique.mockResolvedValueOnce(reset);
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'reset-abc', password: 'newpassword' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('This reset link is invalid or has expired');
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should accept the token only once under concurrent requests', async () => {
+      prisma.passwordResetToken.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'reset-abc', password: 'newpassword' });
+
+      expect(res.statusCode).toBe(400);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should enforce the password length', async () => {
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'reset-abc', password: '123' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Password must be at least 6 characters long');
+    });
+  });
+});
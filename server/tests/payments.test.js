@@ -0,0 +1,451 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { getPaymentProvider } = require('../src/lib/payments');
+const { TEST_CARDS, passesLuhn } = require('../src/lib/payments/mockGateway');
+
+jest.mock('../src/lib/prisma', () => ({
+  user: {
+    findUnique: jest.fn()
+  },
+  userCartItem: {
+    findMany: jest.fn()
+  },
+  cartShipping: {
+    findUnique: jest.fn()
+  },
+  cartCoupon: {
+    findUnique: jest.fn()
+  },
+  couponRedemption: {
+    count: jest.fn()
+  },
+  payment: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+const prisma = require('../src/lib/prisma');
+
+const token = jwt.sign({ userId: 1, email: 'john@example.com' }, 'default-secret');
+const auth = { Authorization: `Bearer ${token}` };
+const staffToken = jwt.sign(
+  { userId: 3, email: 'staff@example.com', role: 'staff' },
+  'default-secret'
+);
+
+const ssd = {
+  id: 'p-104',
+  name: 'Portable SSD 1TB',
+  priceCents: 11999,
+  stock: 18,
+  archivedAt: null
+};
+
+function card(number) {
+  return { number, expMonth: 12, expYear: new Date().getFullYear() + 2, cvc: '123' };
+}
+
+function storedPayment(overrides = {}) {
+  return {
+    id: 5,
+    userId: 1,
+    provider: 'mock',
+    providerRef: 'mock_ch_test',
+    status: 'authorized',
+    amount: '239.98',
+    currency: 'USD',
+    cardLast4: '4242',
+    failureCode: null,
+    failureMessage: null,
+    createdAt: new Date(),
+    ...overrides
+  };
+}
+
+describe('Payments API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.findUnique.mockResolvedValue({ emailVerifiedAt: new Date() });
+    prisma.userCartItem.findMany.mockResolvedValue([
+      { userId: 1, productId: 'p-104', quantity: 2, product: ssd }
+    ]);
+    prisma.payment.create.mockImplementation(({ data }) =>
+      Promise.resolve(storedPayment({ ...data, id: 5 }))
+    );
+    prisma.payment.update.mockImplementation(({ data }) =>
+      Promise.resolve(storedPayment({ ...data }))
+    );
+  });
+
+  describe('POST /api/payments/intents', () => {
+    it('should validate the card before contacting the gateway', async () => {
+      const res = await request(app)
+        .post('/api/payments/intents')
+        .set(auth)
+        .send({ card: { number: '4242', expMonth: 13, cvc: '1' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toHaveLength(3);
+      expect(prisma.payment.create).not.toHaveBeenCalled();
+    });
+
+    it('should authorize the cart total for the success card', async () => {
+      const res = await request(app)
+        .post('/api/payments/intents')
+        .set(auth)
+        .send({ card: card(TEST_CARDS.success), amount: 1 });
+
+      expect(res.statusCode).toBe(201);
+      expect(prisma.payment.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          userId: 1,
+          provider: 'mock',
+          status: 'authorized',
+          amount: '239.98',
+          cardLast4: '4242'
+        })
+      });
+      expect(res.body.data.payment).toEqual(
+        expect.objectContaining({ status: 'authorized', amount: 239.98 })
+      );
+    });
+
+    it('should charge the total after the cart coupon', async () => {
+      prisma.cartCoupon.findUnique.mockResolvedValueOnce({
+        userId: 1,
+        coupon: {
+          id: 2,
+          code: 'SAVE15',
+          type: 'fixed_amount',
+          value: '15.00',
+          category: null,
+          minSpend: '100.00',
+          startsAt: null,
+          expiresAt: null,
+          usageLimit: null,
+          perUserLimit: null,
+          timesUsed: 0,
+          active: true
+        }
+      });
+      prisma.couponRedemption.count.mockResolvedValue(0);
+
+      const res = await request(app)
+        .post('/api/payments/intents')
+        .set(auth)
+        .send({ card: card(TEST_CARDS.success) });
+
+      expect(res.statusCode).toBe(201);
+      expect(prisma.payment.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ amount: '224.98' })
+      });
+    });
+
+    it('should record a decline and return 402', async () => {
+      const res = await request(app)
+        .post('/api/payments/intents')
+        .set(auth)
+        .send({ card: card(TEST_CARDS.decline) });
+
+      expect(res.statusCode).toBe(402);
+      expect(res.body.message).toBe('Your card was declined');
+      expect(prisma.payment.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ status: 'declined', failureCode: 'card_declined' })
+      });
+    });
+
+    it('should report insufficient funds', async () => {
+      const res = await request(app)
+        .post('/api/payments/intents')
+        .set(auth)
+        .send({ card: card(TEST_CARDS.insufficientFunds) });
+
+      expect(res.statusCode).toBe(402);
+      expect(res.body.data.payment.failureCode).toBe('insufficient_funds');
+    });
+
+    it('should ask for 3-D Secure on the challenge card', async () => {
+      const res = await request(app)
+        .post('/api/payments/intents')
+        .set(auth)
+        .send({ card: card(TEST_CARDS.threeDSecure) });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.payment.status).toBe('requires_action');
+      expect(res.body.data.payment.nextAction.type).toBe('three_d_secure');
+    });
+
+    it('should return 400 for an empty cart', async () => {
+      prisma.userCartItem.findMany.mockResolvedValue([]);
+
+      const res = await request(app)
+        .post('/api/payments/intents')
+        .set(auth)
+        .send({ card: card(TEST_CARDS.success) });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('capture, void and refund', () => {
+    // Authorizes through the mock gateway so capture/void/refund act on a real charge.
+    async function authorizedPayment() {
+      await request(app)
+        .post('/api/payments/intents')
+        .set(auth)
+        .send({ card: card(TEST_CARDS.success) });
+      return prisma.payment.create.mock.calls[0][0].data.providerRef;
+    }
+
+    it('should capture an authorized payment', async () => {
+      const providerRef = await authorizedPayment();
+      prisma.payment.findFirst.mockResolvedValue(storedPayment({ providerRef }));
+
+      const res = await request(app).post('/api/payments/intents/5/capture').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.payment.status).toBe('captured');
+      expect(prisma.payment.findFirst).toHaveBeenCalledWith({ where: { id: 5, userId: 1 } });
+    });
+
+    it('should not void a payment that was already captured', async () => {
+      const providerRef = await authorizedPayment();
+      prisma.payment.findFirst.mockResolvedValue(storedPayment({ providerRef }));
+      await request(app).post('/api/payments/intents/5/capture').set(auth);
+      prisma.payment.findFirst.mockResolvedValue(
+        storedPayment({ providerRef, status: 'captured' })
+      );
+
+      const res = await request(app).post('/api/payments/intents/5/void').set(auth);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.data.failureCode).toBe('void_not_allowed');
+    });
+
+    it('should only let staff refund', async () => {
+      const providerRef = await authorizedPayment();
+      prisma.payment.findFirst.mockResolvedValue(storedPayment({ providerRef }));
+      await request(app).post('/api/payments/intents/5/capture').set(auth);
+      prisma.payment.findUnique.mockResolvedValue(
+        storedPayment({ providerRef, status: 'captured' })
+      );
+
+      const customerRes = await request(app).post('/api/payments/intents/5/refund').set(auth);
+      const staffRes = await request(app)
+        .post('/api/payments/intents/5/refund')
+        .set('Authorization', `Bearer ${staffToken}`);
+
+      expect(customerRes.statusCode).toBe(403);
+      expect(staffRes.statusCode).toBe(200);
+      expect(staffRes.body.data.payment.status).toBe('refunded');
+    });
+
+    it('should confirm a payment once the 3-D Secure challenge passes', async () => {
+      await request(app)
+        .post('/api/payments/intents')
+        .set(auth)
+        .send({ card: card(TEST_CARDS.threeDSecure) });
+      const { providerRef } = prisma.payment.create.mock.calls[0][0].data;
+      const pending = storedPayment({ providerRef, status: 'requires_action' });
+      prisma.payment.findFirst.mockResolvedValue(pending);
+
+      const early = await request(app).post('/api/payments/intents/5/confirm').set(auth);
+      expect(early.statusCode).toBe(409);
+      expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+
+      getPaymentProvider('mock').completeChallenge(providerRef, true);
+      prisma.payment.findUnique.mockResolvedValue({ ...pending, status: 'authorized' });
+
+      const res = await request(app).post('/api/payments/intents/5/confirm').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.payment.status).toBe('authorized');
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: 5, status: { in: ['requires_action'] } },
+        data: { status: 'authorized', failureCode: null, failureMessage: null }
+      });
+    });
+
+    it('should record a failed 3-D Secure challenge as declined', async () => {
+      await request(app)
+        .post('/api/payments/intents')
+        .set(auth)
+        .send({ card: card(TEST_CARDS.threeDSecure) });
+      const { providerRef } = prisma.payment.create.mock.calls[0][0].data;
+      prisma.payment.findFirst.mockResolvedValue(
+        storedPayment({ providerRef, status: 'requires_action' })
+      );
+      getPaymentProvider('mock').completeChallenge(providerRef, false);
+      prisma.payment.findUnique.mockResolvedValue(
+        storedPayment({
+          providerRef,
+          status: 'declined',
+          failureCode: 'authentication_failed',
+          failureMessage: '3-D Secure failed'
+        })
+      );
+
+      const res = await request(app).post('/api/payments/intents/5/confirm').set(auth);
+
+      expect(res.statusCode).toBe(402);
+      expect(res.body.message).toBe('3-D Secure failed');
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: 5, status: { in: ['requires_action'] } },
+        data: {
+          status: 'declined',
+          failureCode: 'authentication_failed',
+          failureMessage: '3-D Secure failed'
+        }
+      });
+    });
+
+    it('should not confirm a payment that needs no authentication', async () => {
+      prisma.payment.findFirst.mockResolvedValue(storedPayment());
+
+      const res = await request(app).post('/api/payments/intents/5/confirm').set(auth);
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    it('should return 404 for a payment owned by someone else', async () => {
+      prisma.payment.findFirst.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/payments/intents/9/capture').set(auth);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('POST /api/payments/webhooks/:provider', () => {
+    const gateway = getPaymentProvider('mock');
+
+    it('should apply a correctly signed event', async () => {
+      const body = JSON.stringify({
+        type: 'payment.failed',
+        data: {
+          providerRef: 'mock_ch_test',
+          failureCode: 'authentication_failed',
+          failureMessage: '3-D Secure failed'
+        }
+      });
+
+      const res = await request(app)
+        .post('/api/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set('X-Mock-Signature', gateway.sign(body))
+        .send(body);
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: {
+          provider: 'mock',
+          providerRef: 'mock_ch_test',
+          status: { in: ['requires_action'] }
+        },
+        data: {
+          status: 'declined',
+          failureCode: 'authentication_failed',
+          failureMessage: '3-D Secure failed'
+        }
+      });
+    });
+
+    it('should only apply an event to a payment in an allowed status', async () => {
+      prisma.payment.updateMany.mockResolvedValueOnce({ count: 0 });
+      const body = JSON.stringify({
+        type: 'payment.authorized',
+        data: { providerRef: 'mock_ch_test' }
+      });
+
+      const res = await request(app)
+        .post('/api/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set('X-Mock-Signature', gateway.sign(body))
+        .send(body);
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: {
+          provider: 'mock',
+          providerRef: 'mock_ch_test',
+          status: { in: ['requires_action'] }
+        },
+        data: { status: 'authorized' }
+      });
+    });
+
+    it('should reject a tampered body', async () => {
+      const body = JSON.stringify({
+        type: 'payment.authorized',
+        data: { providerRef: 'mock_ch_test' }
+      });
+      const signature = gateway.sign(body);
+
+      const res = await request(app)
+        .post('/api/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set('X-Mock-Signature', signature)
+        .send(body.replace('mock_ch_test', 'mock_ch_other'));
+
+      expect(res.statusCode).toBe(400);
+      expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject a stale signature', async () => {
+      const body = JSON.stringify({ type: 'payment.authorized', data: { providerRef: 'x' } });
+      const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+
+      const res = await request(app)
+        .post('/api/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set('X-Mock-Signature', gateway.sign(body, tenMinutesAgo))
+        .send(body);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 404 for an unknown provider', async () => {
+      const res = await request(app).post('/api/payments/webhooks/acme').send({});
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should return 404 for a provider name inherited from Object.prototype', async () => {
+      const res = await request(app)
+        .post('/api/payments/webhooks/constructor')
+        .set('Content-Type', 'application/json')
+        .send('{}');
+
+      expect(res.statusCode).toBe(404);
+      expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when verifying the signature throws', async () => {
+      const spy = jest.spyOn(gateway, 'verifyWebhook').mockImplementation(() => {
+        throw new Error('malformed signature');
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await request(app)
+        .post('/api/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set('X-Mock-Signature', 'garbage')
+        .send('{}');
+
+      expect(res.statusCode).toBe(400);
+      expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+      spy.mockRestore();
+      console.error.mockRestore();
+    });
+  });
+
+  it('should check card numbers with the Luhn algorithm', () => {
+    expect(passesLuhn(TEST_CARDS.success)).toBe(true);
+    expect(passesLuhn('4242424242424241')).toBe(false);
+  });
+});
@@ -1,9 +1,72 @@
 const request = require('supertest');
 const app = require('../src/app');
 
+jest.mock('../src/lib/prisma', () => ({
+  product: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    count: jest.fn()
+  }
+}));
+
+const prisma = require('../src/lib/prisma');
+const { invalidateCatalogIndex } = require('../src/lib/catalogSearch');
+const { resetPopularQueries } = require('../src/lib/popularQueries');
+
+const mockProducts = [
+  {
+    id: 'p-101',
+    name: 'Wireless Headphones',
+    category: 'Audio',
+    priceCents: 7999,
+    rating: 4.5,
+    stock: 24,
+    image: 'https://example.com/headphones.jpg',
+    description: 'Comfortable over-ear wireless headphones.'
+  },
+  {
+    id: 'p-102',
+    name: 'Smart Fitness Watch',
+    category: 'Wearables',
+    priceCents: 12900,
+    rating: 4.3,
+    stock: 15,
+    image: 'https://example.com/watch.jpg',
+    description: 'Track workouts, heart rate, and sleep.'
+  }
+];
+
+// Routes the three kinds of findMany the listing makes: the search index
+// build, the facet rows and the product page itself.
+function mockCatalog({ page = mockProducts, facets = [] } = {}) {
+  prisma.product.findMany.mockImplementation(({ select, where }) => {
+    if (select && select.description) {
+      return Promise.resolve(mockProducts);
+    }
+    if (select) {
+      return Promise.resolve(facets);
+    }
+    const ids = where && where.id ? where.id.in : null;
+    return Promise.resolve(ids ? page.filter((product) => ids.includes(product.id)) : page);
+  });
+}
+
+function pageQuery() {
+  return prisma.product.findMany.mock.calls.find(([args]) => !args.select)[0];
+}
+
 describe('Products API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    invalidateCatalogIndex();
+    resetPopularQueries();
+    prisma.product.count.mockResolvedValue(mockProducts.length);
+  });
+
   describe('GET /api/products', () => {
     it('should return products list', async () => {
+      prisma.product.findMany.mockResolvedValue(mockProducts);
+
       const res = await request(app).get('/api/products');
 
       expect(res.statusCode).toBe(200);
@@ -11,19 +74,272 @@ describe('Products API', () => {
       expect(Array.isArray(res.body.data.products)).toBe(true);
       expect(res.body.data.products.length).toBeGreaterThan(0);
     });
+
+    it('should hide archived products', async () => {
+      prisma.product.findMany.mockResolvedValue(mockProducts);
+
+      await request(app).get('/api/products');
+
+      expect(prisma.product.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { archivedAt: null } })
+      );
+    });
+
+    it('should return prices as numbers', async () => {
+      prisma.product.findMany.mockResolvedValue(mockProducts);
+
+      const res = await request(app).get('/api/products');
+
+      expect(res.body.data.products[0].price).toBe(79.99);
+      expect(res.body.data.products[1].price).toBe(129);
+      expect(res.body.data.products[0]).toMatchObject({ priceCents: 7999, currency: 'USD' });
+    });
+
+    it('should return pagination info with the total count', async () => {
+      prisma.product.findMany.mockResolvedValue(mockProducts);
+      prisma.product.count.mockResolvedValue(14);
+
+      const res = await request(app).get('/api/products?page=2&pageSize=2');
+
+      expect(res.body.data.pagination).toEqual({
+        total: 14,
+        page: 2,
+        pageSize: 2,
+        totalPages: 7,
+        hasNextPage: true,
+        hasPreviousPage: true
+      });
+      expect(prisma.product.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ skip: 2, take: 2 })
+      );
+    });
+
+    it('should translate filters into a database query', async () => {
+      mockCatalog({ page: [] });
+      prisma.product.count.mockResolvedValue(0);
+
+      await request(app).get(
+        '/api/products?q=wireless&category=Audio,Wearables&minPrice=50&maxPrice=150&minRating=4&inStock=true&sort=name'
+      );
+
+      const { where } = pageQuery();
+      expect(where).toEqual({
+        archivedAt: null,
+        id: { in: ['p-101'] },
+        category: { in: ['Audio', 'Wearables'] },
+        priceCents: { gte: 5000, lte: 15000 },
+        rating: { gte: 4 },
+        stock: { gt: 0 }
+      });
+      expect(prisma.product.count).toHaveBeenCalledWith({ where });
+    });
+
+    it.each([
+      ['price-asc', [{ priceCents: 'asc' }, { id: 'asc' }]],
+      ['price-desc', [{ priceCents: 'desc' }, { id: 'asc' }]],
+      ['rating', [{ rating: 'desc' }, { id: 'asc' }]],
+      ['newest', [{ createdAt: 'desc' }, { id: 'asc' }]],
+      ['name', [{ name: 'asc' }, { id: 'asc' }]]
+    ])('should sort by %s', async (sort, orderBy) => {
+      prisma.product.findMany.mockResolvedValue(mockProducts);
+
+      await request(app).get(`/api/products?sort=${sort}`);
+
+      expect(prisma.product.findMany).toHaveBeenCalledWith(expect.objectContaining({ orderBy }));
+    });
+
+    it.each([
+      ['sort=cheapest', 'sort must be one of'],
+      ['minPrice=abc', 'minPrice must be a non-negative number'],
+      ['minPrice=100&maxPrice=10', 'minPrice cannot be greater than maxPrice'],
+      ['minRating=7', 'minRating must be between 0 and 5'],
+      ['page=0', 'page must be a positive integer'],
+      ['pageSize=500', 'pageSize must be an integer between 1 and 48'],
+      [`q=${'a'.repeat(101)}`, 'q must be at most 100 characters'],
+      [`q=${encodeURIComponent('word '.repeat(11))}`, 'q must be at most 10 words']
+    ])('should return 400 for %s', async (queryString, message) => {
+      const res = await request(app).get(`/api/products?${queryString}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.success).toBe(false);
+      expect(res.body.message).toContain(message);
+      expect(prisma.product.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the catalog cannot be loaded', async () => {
+      prisma.product.findMany.mockRejectedValue(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await request(app).get('/api/products');
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body.success).toBe(false);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('GET /api/products search', () => {
+    it('should tolerate typos in the search query', async () => {
+      mockCatalog();
+
+      const res = await request(app).get('/api/products?q=hedphones');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.products.map((product) => product.id)).toEqual(['p-101']);
+      expect(res.body.data.pagination.total).toBe(1);
+    });
+
+    it('should order results by relevance by default', async () => {
+      // Reversed so the route has to reorder them.
+      mockCatalog({ page: [...mockProducts].reverse() });
+
+      const res = await request(app).get('/api/products?q=smart watch');
+
+      expect(res.body.data.products[0].id).toBe('p-102');
+      expect(pageQuery().orderBy).toBeUndefined();
+    });
+
+    it('should build the search index once and rebuild it after invalidation', async () => {
+      mockCatalog();
+      const indexBuilds = () =>
+        prisma.product.findMany.mock.calls.filter(
+          ([args]) => args.select && args.select.description
+        ).length;
+
+      await request(app).get('/api/products?q=watch');
+      await request(app).get('/api/products?q=headphones');
+      expect(indexBuilds()).toBe(1);
+
+      invalidateCatalogIndex();
+      await request(app).get('/api/products?q=watch');
+      expect(indexBuilds()).toBe(2);
+    });
+  });
+
+  describe('GET /api/products/suggest', () => {
+    it('should suggest products and categories by prefix', async () => {
+      mockCatalog();
+
+      const res = await request(app).get('/api/products/suggest?q=wire');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.products).toEqual([
+        { id: 'p-101', name: 'Wireless Headphones', category: 'Audio' }
+      ]);
+      expect(res.body.data.categories).toEqual([]);
+      expect(prisma.product.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should match categories and multiple prefixes', async () => {
+      mockCatalog();
+
+      const category = await request(app).get('/api/products/suggest?q=wear');
+      const product = await request(app).get('/api/products/suggest?q=sma wat');
+
+      expect(category.body.data.categories).toEqual(['Wearables']);
+      expect(product.body.data.products.map((item) => item.id)).toEqual(['p-102']);
+    });
+
+    it('should offer popular queries that found results', async () => {
+      mockCatalog();
+
+      await request(app).get('/api/products?q=headphones');
+      await request(app).get('/api/products?q=headphones');
+      await request(app).get('/api/products?q=heart rate');
+      await request(app).get('/api/products?q=hexagon');
+
+      const res = await request(app).get('/api/products/suggest?q=he');
+
+      expect(res.body.data.queries).toEqual(['headphones', 'heart rate']);
+    });
+
+    it('should return empty suggestions for an empty query', async () => {
+      const res = await request(app).get('/api/products/suggest?q=');
+
+      expect(res.body.data).toEqual({ products: [], categories: [], queries: [] });
+      expect(prisma.product.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/products facets', () => {
+    const facetRows = [
+      { category: 'Audio', priceCents: 7999, rating: 4.5, stock: 24 },
+      { category: 'Audio', priceCents: 5999, rating: 4.2, stock: 0 },
+      { category: 'Wearables', priceCents: 12900, rating: 4.3, stock: 15 },
+      { category: 'Workspace', priceCents: 3999, rating: 3.6, stock: 54 }
+    ];
+
+    function mockFacetRows() {
+      mockCatalog({ facets: facetRows });
+    }
+
+    it('should count products per category, price bucket, rating band and stock', async () => {
+      mockFacetRows();
+
+      const res = await request(app).get('/api/products');
+      const { facets } = res.body.data;
+
+      expect(facets.categories).toEqual([
+        { value: 'Audio', count: 2, selected: false },
+        { value: 'Wearables', count: 1, selected: false },
+        { value: 'Workspace', count: 1, selected: false }
+      ]);
+      expect(facets.price.map((bucket) => [bucket.key, bucket.count])).toEqual([
+        ['under-25', 0],
+        ['25-50', 1],
+        ['50-100', 2],
+        ['100-200', 1],
+        ['200-plus', 0]
+      ]);
+      expect(facets.rating).toEqual([
+        { min: 4, count: 3 },
+        { min: 3, count: 4 },
+        { min: 2, count: 4 },
+        { min: 1, count: 4 }
+      ]);
+      expect(facets.availability).toEqual({ inStock: 3, outOfStock: 1 });
+    });
+
+    it('should compute facets from the text search and the other active filters', async () => {
+      mockFacetRows();
+
+      const res = await request(app).get('/api/products?q=audio&category=Audio&inStock=true');
+      const { facets } = res.body.data;
+
+      const facetCall = prisma.product.findMany.mock.calls.find(
+        ([args]) => args.select && !args.select.description
+      );
+      expect(facetCall[0].where).toEqual({
+        archivedAt: null,
+        id: { in: ['p-101'] }
+      });
+      // Category counts ignore the category filter but respect in-stock.
+      expect(facets.categories).toEqual([
+        { value: 'Audio', count: 1, selected: true },
+        { value: 'Wearables', count: 1, selected: false },
+        { value: 'Workspace', count: 1, selected: false }
+      ]);
+      // Availability counts ignore in-stock but respect the category.
+      expect(facets.availability).toEqual({ inStock: 1, outOfStock: 1 });
+    });
   });
 
   describe('GET /api/products/:id', () => {
     it('should return product details for valid id', async () => {
+      prisma.product.findUnique.mockResolvedValue(mockProducts[0]);
+
       const res = await request(app).get('/api/products/p-101');
 
       expect(res.statusCode).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.data.product).toHaveProperty('id', 'p-101');
       expect(res.body.data.product).toHaveProperty('name');
+      expect(prisma.product.findUnique).toHaveBeenCalledWith({ where: { id: 'p-101' } });
     });
 
     it('should return 404 for unknown product id', async () => {
+      prisma.product.findUnique.mockResolvedValue(null);
+
       const res = await request(app).get('/api/products/does-not-exist');
 
       expect(res.statusCode).toBe(404);
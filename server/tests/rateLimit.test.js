@@ -0,0 +1,96 @@
+const express = require('express');
+const request = require('supertest');
+const { createMemoryStore } = require('../src/lib/rateLimit/memoryStore');
+const { getRateLimitStore } = require('../src/lib/rateLimit');
+const { rateLimit } = require('../src/middleware/rateLimit');
+const { lockSecondsFor, lockoutSecondsRemaining } = require('../src/lib/loginLockout');
+
+describe('Memory rate limit store', () => {
+  const options = { limit: 3, windowMs: 60 * 1000 };
+
+  it('should allow up to the limit within the window', async () => {
+    const store = createMemoryStore();
+
+    const results = [];
+    for (let second = 0; second < 4; second += 1) {
+      results.push(await store.hit('k', { ...options, now: second * 1000 }));
+    }
+
+    expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+    expect(results[2].remaining).toBe(0);
+    expect(results[3].retryAfterMs).toBe(57 * 1000);
+  });
+
+  it('should slide the window instead of resetting it all at once', async () => {
+    const store = createMemoryStore();
+    await store.hit('k', { ...options, now: 0 });
+    await store.hit('k', { ...options, now: 30 * 1000 });
+    await store.hit('k', { ...options, now: 40 * 1000 });
+
+    expect((await store.hit('k', { ...options, now: 59 * 1000 })).allowed).toBe(false);
+    expect((await store.hit('k', { ...options, now: 61 * 1000 })).allowed).toBe(true);
+    expect((await store.hit('k', { ...options, now: 62 * 1000 })).allowed).toBe(false);
+  });
+
+  it('should not count refused requests', async () => {
+    const store = createMemoryStore();
+    for (let second = 0; second < 10; second += 1) {
+      await store.hit('k', { ...options, now: second * 1000 });
+    }
+
+    expect((await store.hit('k', { ...options, now: 60 * 1000 + 1 })).allowed).toBe(true);
+  });
+
+  it('should keep keys apart', async () => {
+    const store = createMemoryStore();
+    for (let second = 0; second < 3; second += 1) {
+      await store.hit('a', { ...options, now: second });
+    }
+
+    expect((await store.hit('b', { ...options, now: 3 })).allowed).toBe(true);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  const app = express();
+  app.use(express.json());
+  app.post(
+    '/guarded',
+    rateLimit({
+      name: 'test',
+      limit: 2,
+      windowMs: 60 * 1000,
+      keys: (req) => [`ip:${req.ip}`, req.body.account && `account:${req.body.account}`]
+    }),
+    (req, res) => res.json({ success: true })
+  );
+
+  beforeEach(() => getRateLimitStore().clear());
+
+  it('should answer 429 with Retry-After once a key is over the limit', async () => {
+    await request(app).post('/guarded').send({ account: 'a' });
+    await request(app).post('/guarded').send({ account: 'b' });
+    const res = await request(app).post('/guarded').send({ account: 'c' });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBe('60');
+    expect(res.body).toMatchObject({ success: false, retryAfter: 60 });
+  });
+});
+
+describe('Login lockout backoff', () => {
+  it('should double the lock for each failure past the threshold', () => {
+    expect([4, 5, 6, 7, 8].map(lockSecondsFor)).toEqual([0, 60, 120, 240, 480]);
+    expect(lockSecondsFor(20)).toBe(60 * 60);
+  });
+
+  it('should report the time left on a lock', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    expect(lockoutSecondsRemaining({ lockedUntil: new Date('2026-10-19T12:00:30Z') }, now)).toBe(
+      30
+    );
+    expect(lockoutSecondsRemaining({ lockedUntil: new Date('2026-10-19T11:59:00Z') }, now)).toBe(0);
+    expect(lockoutSecondsRemaining({ lockedUntil: null }, now)).toBe(0);
+  });
+});
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+
+jest.mock('../src/lib/prisma', () => {
+  const client = {
+    product: {
+      findUnique: jest.fn(),
+      update: jest.fn()
+    },
+    review: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      groupBy: jest.fn()
+    }
+  };
+  client.$transaction = jest.fn((callback) => callback(client));
+  return client;
+});
+
+const prisma = require('../src/lib/prisma');
+
+const token = jwt.sign({ userId: 1, email: 'john@example.com' }, 'default-secret');
+const auth = { Authorization: `Bearer ${token}` };
+
+const product = { id: 'p-101', name: 'Wireless Headphones', archivedAt: null };
+
+const storedReview = {
+  id: 3,
+  productId: 'p-101',
+  userId: 1,
+  rating: 4,
+  title: 'Great sound',
+  body: 'Comfortable for long calls and the battery lasts all week.',
+  createdAt: new Date('2026-10-01T10:00:00Z'),
+  user: { firstName: 'John', lastName: 'Doe' }
+};
+
+const validReview = {
+  rating: 4,
+  title: 'Great sound',
+  body: 'Comfortable for long calls and the battery lasts all week.'
+};
+
+describe('Reviews API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.product.findUnique.mockResolvedValue(product);
+    prisma.review.groupBy.mockResolvedValue([
+      { rating: 5, _count: { _all: 2 } },
+      { rating: 4, _count: { _all: 1 } }
+    ]);
+  });
+
+  describe('GET /api/products/:productId/reviews', () => {
+    it('should list reviews with a rating summary and pagination', async () => {
+      prisma.review.findMany.mockResolvedValue([storedReview]);
+
+      const res = await request(app).get('/api/products/p-101/reviews?sort=highest&pageSize=1');
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.review.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { productId: 'p-101' },
+          orderBy: [{ rating: 'desc' }, { createdAt: 'desc' }],
+          skip: 0,
+          take: 1
+        })
+      );
+      expect(res.body.data.reviews[0]).toEqual({
+        id: 3,
+        rating: 4,
+        title: 'Great sound',
+        body: validReview.body,
+        author: 'John D.',
+        createdAt: '2026-10-01T10:00:00.000Z'
+      });
+      expect(res.body.data.summary).toEqual({
+        average: 4.7,
+        count: 3,
+        histogram: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 2 }
+      });
+      expect(res.body.data.pagination).toEqual(
+        expect.objectContaining({ total: 3, totalPages: 3, hasNextPage: true })
+      );
+    });
+
+    it('should label a reviewer without a first name neutrally', async () => {
+      prisma.review.findMany.mockResolvedValue([{ ...storedReview, user: { firstName: '' } }]);
+
+      const res = await request(app).get('/api/products/p-101/reviews');
+
+      expect(res.body.data.reviews[0].author).toBe('Customer');
+    });
+
+    it('should reject an unknown sort', async () => {
+      const res = await request(app).get('/api/products/p-101/reviews?sort=funniest');
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      prisma.product.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).get('/api/products/missing/reviews');
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('POST /api/products/:productId/reviews', () => {
+    it('should require authentication', async () => {
+      const res = await request(app).post('/api/products/p-101/reviews').send(validReview);
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should validate stars, title and body', async () => {
+      const res = await request(app)
+        .post('/api/products/p-101/reviews')
+        .set(auth)
+        .send({ rating: 6, title: '', body: 'short' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toHaveLength(3);
+    });
+
+    it('should create the review and recompute the product rating', async () => {
+      prisma.review.findUnique.mockResolvedValue(null);
+      prisma.review.create.mockResolvedValue(storedReview);
+
+      const res = await request(app)
+        .post('/api/products/p-101/reviews')
+        .set(auth)
+        .send(validReview);
+
+      expect(res.statusCode).toBe(201);
+      expect(prisma.review.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: { ...validReview, productId: 'p-101', userId: 1 }
+        })
+      );
+      expect(prisma.product.update).toHaveBeenCalledWith({
+        where: { id: 'p-101' },
+        data: { rating: 4.7, reviewCount: 3 }
+      });
+      expect(res.body.data.review.author).toBe('John D.');
+    });
+
+    it('should allow only one review per user per product', async () => {
+      prisma.review.findUnique.mockResolvedValue(storedReview);
+
+      const res = await request(app)
+        .post('/api/products/p-101/reviews')
+        .set(auth)
+        .send(validReview);
+
+      expect(res.statusCode).toBe(409);
+      expect(prisma.review.create).not.toHaveBeenCalled();
+    });
+  });
+});
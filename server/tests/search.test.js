@@ -0,0 +1,88 @@
+const { createSearchIndex, editDistance, tokenize } = require('../src/lib/search');
+
+const catalog = [
+  {
+    id: 'p-101',
+    name: 'Wireless Headphones',
+    category: 'Audio',
+    description: 'Over-ear headphones with active noise cancellation.'
+  },
+  {
+    id: 'p-106',
+    name: 'Noise Canceling Earbuds',
+    category: 'Audio',
+    description: 'Compact wireless earbuds with wireless charging.'
+  },
+  {
+    id: 'p-103',
+    name: 'Mechanical Keyboard',
+    category: 'Accessories',
+    description: 'RGB keyboard with hot-swappable switches.'
+  }
+];
+
+describe('search', () => {
+  describe('tokenize', () => {
+    it('should lower-case, split, drop stop words and stem', () => {
+      expect(tokenize('Noise-Canceling Earbuds for the Office')).toEqual([
+        'noise',
+        'cancel',
+        'earbud',
+        'office'
+      ]);
+    });
+
+    it('should keep words ending in ss intact', () => {
+      expect(tokenize('Wireless')).toEqual(['wireless']);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count single-character edits', () => {
+      expect(editDistance('hedphone', 'headphone', 2)).toBe(1);
+      expect(editDistance('keybord', 'keyboard', 2)).toBe(1);
+    });
+
+    it('should stop once the limit is exceeded', () => {
+      expect(editDistance('monitor', 'speaker', 1)).toBe(2);
+    });
+  });
+
+  describe('createSearchIndex', () => {
+    const index = createSearchIndex(catalog);
+
+    it('should rank a name match above a description match', () => {
+      const results = index.search('wireless');
+
+      expect(results.map((result) => result.id)).toEqual(['p-101', 'p-106']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it('should tolerate small typos', () => {
+      expect(index.search('hedphones').map((result) => result.id)).toEqual(['p-101']);
+      expect(index.search('mechanicl keybord').map((result) => result.id)).toEqual(['p-103']);
+    });
+
+    it('should not fuzz very short words', () => {
+      expect(index.search('rgx')).toEqual([]);
+    });
+
+    it('should match the last word as a prefix while typing', () => {
+      expect(index.search('keyb').map((result) => result.id)).toEqual(['p-103']);
+    });
+
+    it('should require every query word to match', () => {
+      expect(index.search('noise keyboard')).toEqual([]);
+    });
+
+    it('should return nothing for a query without searchable words', () => {
+      expect(index.search('the')).toEqual([]);
+    });
+
+    it('should ignore words past the query word limit', () => {
+      const query = `${'keyboard '.repeat(10)}unmatched`;
+
+      expect(index.search(query).map((result) => result.id)).toEqual(['p-103']);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { priceCart } = require('../src/lib/cartTotals');
+const { SHIPPING_METHODS, findShippingMethod, quoteShipping } = require('../src/lib/shipping');
+
+const cable = { id: 'p-201', category: 'Accessories', priceCents: 1999, weightGrams: 100 };
+const monitor = { id: 'p-105', category: 'Displays', priceCents: 44999, weightGrams: 9800 };
+
+function line(product, quantity) {
+  return { productId: product.id, quantity, product: { archivedAt: null, ...product } };
+}
+
+const standard = findShippingMethod('standard');
+const express = findShippingMethod('express');
+
+describe('shipping rates', () => {
+  it('should offer standard, express and pickup', () => {
+    expect(SHIPPING_METHODS.map((method) => method.id)).toEqual(['standard', 'express', 'pickup']);
+    expect(findShippingMethod('teleport')).toBeNull();
+  });
+
+  it('should price standard by merchandise total', () => {
+    expect(quoteShipping(standard, { merchandiseCents: 1999, weightGrams: 0 }).costCents).toBe(599);
+    expect(quoteShipping(standard, { merchandiseCents: 3999, weightGrams: 0 }).costCents).toBe(499);
+  });
+
+  it('should ship standard free from the $50 threshold', () => {
+    const below = quoteShipping(standard, { merchandiseCents: 4999, weightGrams: 0 });
+    const at = quoteShipping(standard, { merchandiseCents: 5000, weightGrams: 0 });
+
+    expect(below.amountToFreeShippingCents).toBe(1);
+    expect(at).toEqual(
+      expect.objectContaining({ costCents: 0, freeShippingApplied: true, baseCents: 499 })
+    );
+  });
+
+  it('should price express by every started kilogram over the first', () => {
+    expect(quoteShipping(express, { merchandiseCents: 0, weightGrams: 1000 }).costCents).toBe(1299);
+    expect(quoteShipping(express, { merchandiseCents: 0, weightGrams: 1001 }).costCents).toBe(1499);
+    expect(quoteShipping(express, { merchandiseCents: 90000, weightGrams: 9800 }).costCents).toBe(
+      1299 + 9 * 200
+    );
+  });
+
+  it('should waive standard but not express for a free-shipping code', () => {
+    const parcel = { merchandiseCents: 1999, weightGrams: 100, freeShippingCode: true };
+
+    expect(quoteShipping(standard, parcel).costCents).toBe(0);
+    expect(quoteShipping(express, parcel).costCents).toBe(1299);
+  });
+});
+
+describe('priceCart shipping', () => {
+  it('should add the selected method to the total', () => {
+    const pricing = priceCart([line(cable, 1)], null, { shippingMethod: 'express' });
+
+    expect(pricing.shippingMethod).toBe('express');
+    expect(pricing.shippingCents).toBe(1299);
+    expect(pricing.totalCents).toBe(1999 + 1299);
+    expect(pricing.shippingOptions.map((option) => option.costCents)).toEqual([599, 1299, 0]);
+  });
+
+  it('should weigh every unit in the cart', () => {
+    const pricing = priceCart([line(monitor, 1), line(cable, 3)], null, {
+      shippingMethod: 'express'
+    });
+
+    // 9800g + 3 x 100g = 10.1kg: ten started kilograms over the first.
+    expect(pricing.shippingCents).toBe(1299 + 10 * 200);
+  });
+
+  it('should measure the free-shipping threshold after discounts', () => {
+    const coupon = {
+      code: 'TEN',
+      type: 'fixed_amount',
+      value: '10.00',
+      category: null,
+      minSpend: null,
+      startsAt: null,
+      expiresAt: null,
+      usageLimit: null,
+      perUserLimit: null,
+      timesUsed: 0,
+      active: true
+    };
+    const pricing = priceCart([line(cable, 3)], coupon);
+
+    expect(pricing.subtotalCents).toBe(5997);
+    expect(pricing.shippingCents).toBe(499);
+    expect(pricing.totalCents).toBe(4997 + 499);
+  });
+
+  it('should fall back to standard for an unknown stored method', () => {
+    const pricing = priceCart([line(cable, 1)], null, { shippingMethod: 'drone' });
+
+    expect(pricing.shippingMethod).toBe('standard');
+  });
+
+  it('should charge nothing for an empty cart', () => {
+    const pricing = priceCart([], null);
+
+    expect(pricing.shipping).toBeNull();
+    expect(pricing.totalCents).toBe(0);
+  });
+});
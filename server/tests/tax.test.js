@@ -0,0 +1,136 @@
+const { calculateTax, parseDestination } = require('../src/lib/tax');
+const { priceCart } = require('../src/lib/cartTotals');
+
+function taxable(productId, category, taxableCents) {
+  return { productId, category, taxableCents };
+}
+
+describe('parseDestination', () => {
+  it('should normalize country and region codes', () => {
+    expect(parseDestination({ country: ' us ', region: 'ny' })).toEqual({
+      destination: { country: 'US', region: 'NY' }
+    });
+    expect(parseDestination({})).toEqual({ destination: null });
+  });
+
+  it('should reject malformed codes', () => {
+    expect(parseDestination({ country: 'U' }).error).toBe(
+      'country must be a two-letter country code'
+    );
+    expect(parseDestination({ country: 'US', region: 'CALI' }).error).toBe(
+      'region must be a region code of at most three characters'
+    );
+  });
+});
+
+describe('calculateTax', () => {
+  it('should add the regional rate on top of exclusive prices', () => {
+    const tax = calculateTax([taxable('p-104', 'Storage', 11999)], {
+      country: 'US',
+      region: 'NY'
+    });
+
+    expect(tax.pricesIncludeTax).toBe(false);
+    expect(tax.taxCents).toBe(480);
+    expect(tax.lines).toEqual([
+      { label: 'Sales tax (4%)', rate: 4, taxableCents: 11999, taxCents: 480 }
+    ]);
+  });
+
+  it('should fall back to the country rate for an unlisted region', () => {
+    const tax = calculateTax([taxable('p-104', 'Storage', 10000)], {
+      country: 'CA',
+      region: 'AB'
+    });
+
+    expect(tax.taxCents).toBe(500);
+  });
+
+  it('should take tax out of inclusive prices', () => {
+    const tax = calculateTax([taxable('p-104', 'Storage', 12000)], { country: 'GB', region: null });
+
+    expect(tax.pricesIncludeTax).toBe(true);
+    expect(tax.taxCents).toBe(2000);
+  });
+
+  it('should apply category rates and group lines by rate', () => {
+    const tax = calculateTax(
+      [
+        taxable('p-108', 'Home Tech', 10500),
+        taxable('p-101', 'Audio', 7999),
+        taxable('p-109', 'Accessories', 4999)
+      ],
+      { country: 'GB', region: null }
+    );
+
+    expect(tax.lines).toEqual([
+      { label: 'VAT (20%)', rate: 20, taxableCents: 12998, taxCents: 1333 + 833 },
+      { label: 'VAT (5%)', rate: 5, taxableCents: 10500, taxCents: 500 }
+    ]);
+  });
+
+  it('should round each line on its own', () => {
+    // 3 x 0.15 at 7.25% is 0.0109 each: one cent per line, not 3.26 cents in total.
+    const lines = ['a', 'b', 'c'].map((id) => taxable(id, 'Accessories', 15));
+    const tax = calculateTax(lines, { country: 'US', region: 'CA' });
+
+    expect(tax.taxCents).toBe(3);
+  });
+
+  it('should charge nothing for a country without configured rates', () => {
+    const tax = calculateTax([taxable('p-104', 'Storage', 11999)], {
+      country: 'JP',
+      region: null
+    });
+
+    expect(tax.taxCents).toBe(0);
+    expect(tax.lines).toEqual([]);
+  });
+});
+
+describe('priceCart tax', () => {
+  const cart = [
+    {
+      productId: 'p-104',
+      quantity: 1,
+      product: { category: 'Storage', priceCents: 10000, archivedAt: null }
+    },
+    {
+      productId: 'p-110',
+      quantity: 1,
+      product: { category: 'Workspace', priceCents: 5000, archivedAt: null }
+    }
+  ];
+
+  it('should tax lines after sharing out an order-level discount', () => {
+    const coupon = {
+      code: 'TEN',
+      type: 'fixed_amount',
+      value: '30.00',
+      category: null,
+      minSpend: null,
+      startsAt: null,
+      expiresAt: null,
+      usageLimit: null,
+      perUserLimit: null,
+      timesUsed: 0,
+      active: true
+    };
+    const pricing = priceCart(cart, coupon, { destination: { country: 'US', region: 'NY' } });
+
+    // 120.00 taxable after the discount: 80.00 + 40.00 at 4%.
+    expect(pricing.tax.lines[0].taxableCents).toBe(12000);
+    expect(pricing.taxCents).toBe(480);
+    expect(pricing.totalCents).toBe(12000 + 480);
+  });
+
+  it('should not tax shipping', () => {
+    const pricing = priceCart([cart[1]], null, {
+      shippingMethod: 'express',
+      destination: { country: 'US', region: 'CA' }
+    });
+
+    expect(pricing.taxCents).toBe(363);
+    expect(pricing.totalCents).toBe(5000 + 1299 + 363);
+  });
+});
@@ -0,0 +1,365 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { getRateLimitStore } = require('../src/lib/rateLimit');
+const { hashToken } = require('../src/lib/tokens');
+const { base32Encode, generateCode, timeStep, verifyCode } = require('../src/lib/totp');
+const { decryptSecret, encryptSecret, signChallengeToken } = require('../src/lib/twoFactor');
+
+jest.mock('../src/lib/prisma', () => {
+  const client = {
+    user: {
+      findUnique: jest.fn(),
+      update: jest.fn()
+    },
+    recoveryCode: {
+      count: jest.fn(),
+      deleteMany: jest.fn(),
+      createMany: jest.fn(),
+      updateMany: jest.fn()
+    },
+    refreshToken: {
+      create: jest.fn()
+    }
+  };
+  client.$transaction = jest.fn((callback) => callback(client));
+  return client;
+});
+
+jest.mock('bcryptjs', () => ({
+  compare: jest.fn((password, hash) => Promise.resolve(hash === `hashed_${password}`))
+}));
+
+const prisma = require('../src/lib/prisma');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+const token = jwt.sign({ userId: 1, email: 'john@example.com' }, 'default-secret');
+const auth = { Authorization: `Bearer ${token}` };
+
+const baseUser = {
+  id: 1,
+  email: 'john@example.com',
+  password: 'hashed_password123',
+  firstName: 'John',
+  role: 'customer',
+  failedLoginCount: 0,
+  lockedUntil: null,
+  twoFactorSecret: null,
+  twoFactorEnabledAt: null,
+  twoFactorLastStep: null
+};
+
+const enrolledUser = {
+  ...baseUser,
+  twoFactorSecret: encryptSecret(SECRET),
+  twoFactorEnabledAt: new Date('2026-10-01T10:00:00Z')
+};
+
+const currentCode = () => generateCode(SECRET, timeStep());
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B, SHA-1, truncated to six digits.
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [2000000000, '279037']
+  ])('should match the RFC test vector at %i seconds', (seconds, code) => {
+    expect(generateCode(rfcSecret, Math.floor(seconds / 30))).toBe(code);
+  });
+
+  it('should accept one step of clock drift but not more', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const step = timeStep(now);
+
+    expect(verifyCode(SECRET, generateCode(SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyCode(SECRET, generateCode(SECRET, step - 2), { now })).toBeNull();
+  });
+
+  it('should refuse a code from an already used step', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const step = timeStep(now);
+
+    expect(verifyCode(SECRET, generateCode(SECRET, step), { now, afterStep: step })).toBeNull();
+  });
+
+  it('should round-trip an encrypted secret', () => {
+    const stored = encryptSecret(SECRET);
+
+    expect(stored).not.toContain(SECRET);
+    expect(decryptSecret(stored)).toBe(SECRET);
+  });
+});
+
+describe('Two-factor settings API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getRateLimitStore().clear();
+    prisma.user.findUnique.mockResolvedValue(baseUser);
+    prisma.user.update.mockResolvedValue({ failedLoginCount: 1 });
+  });
+
+  it('should require the current password to start setup', async () => {
+    const res = await request(app)
+      .post('/api/account/two-factor/setup')
+      .set(auth)
+      .send({ password: 'wrong' });
+
+    expect(res.statusCode).toBe(403);
+    expect(prisma.user.update).toHaveBeenCalledTimes(1);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { failedLoginCount: { increment: 1 } },
+      select: { failedLoginCount: true }
+    });
+  });
+
+  it('should lock the account after repeated wrong passwords', async () => {
+    prisma.user.update.mockResolvedValueOnce({ failedLoginCount: 5 });
+
+    const res = await request(app)
+      .post('/api/account/two-factor/disable')
+      .set(auth)
+      .send({ password: 'wrong' });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBe('60');
+    expect(prisma.recoveryCode.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('should not check the password while the account is locked', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      ...enrolledUser,
+      lockedUntil: new Date(Date.now() + 30 * 1000)
+    });
+
+    const res = await request(app)
+      .post('/api/account/two-factor/disable')
+      .set(auth)
+      .send({ password: 'password123' });
+
+    expect(res.statusCode).toBe(429);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should rate limit password checks per account', async () => {
+    for (let attempt = 0; attempt < 10; attempt += 1) {
+      await request(app)
+        .post('/api/account/two-factor/recovery-codes')
+        .set(auth)
+        .send({ password: 'wrong' });
+    }
+
+    const res = await request(app)
+      .post('/api/account/two-factor/recovery-codes')
+      .set(auth)
+      .send({ password: 'password123' });
+
+    expect(res.statusCode).toBe(429);
+    expect(prisma.user.findUnique).toHaveBeenCalledTimes(10);
+  });
+
+  it('should return 404 when the user no longer exists', async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+
+    const res = await request(app).get('/api/account/two-factor').set(auth);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should return a secret, otpauth URI and QR code at setup', async () => {
+    const res = await request(app)
+      .post('/api/account/two-factor/setup')
+      .set(auth)
+      .send({ password: 'password123' });
+
+    expect(res.statusCode).toBe(200);
+    const { secret, otpauthUri, qrCodeDataUrl } = res.body.data;
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(otpauthUri).toBe(
+      `otpauth://totp/ShopSmart%3Ajohn%40example.com?secret=${secret}&issuer=ShopSmart&algorithm=SHA1&digits=6&period=30`
+    );
+    expect(qrCodeDataUrl).toMatch(/^data:image\/png;base64,/);
+
+    const stored = prisma.user.update.mock.calls[0][0].data.twoFactorSecret;
+    expect(decryptSecret(stored)).toBe(secret);
+  });
+
+  it('should turn 2FA on with a valid first code and return recovery codes', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      ...baseUser,
+      twoFactorSecret: encryptSecret(SECRET)
+    });
+
+    const res = await request(app)
+      .post('/api/account/two-factor/enable')
+      .set(auth)
+      .send({ code: currentCode() });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.recoveryCodes).toHaveLength(10);
+    expect(res.body.data.recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { twoFactorEnabledAt: expect.any(Date), twoFactorLastStep: expect.any(Number) }
+    });
+    expect(prisma.recoveryCode.createMany).toHaveBeenCalledWith({
+      data: res.body.data.recoveryCodes.map((code) => ({
+        userId: 1,
+        codeHash: hashToken(code.replace('-', ''))
+      }))
+    });
+  });
+
+  it('should keep 2FA off when the first code is wrong', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      ...baseUser,
+      twoFactorSecret: encryptSecret(SECRET)
+    });
+
+    const res = await request(app)
+      .post('/api/account/two-factor/enable')
+      .set(auth)
+      .send({ code: generateCode(SECRET, timeStep() + 5) });
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('should turn 2FA off with the current password', async () => {
+    prisma.user.findUnique.mockResolvedValue(enrolledUser);
+
+    const res = await request(app)
+      .post('/api/account/two-factor/disable')
+      .set(auth)
+      .send({ password: 'password123' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null }
+    });
+    expect(prisma.recoveryCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+  });
+
+  it('should report the status with the remaining recovery codes', async () => {
+    prisma.user.findUnique.mockResolvedValue(enrolledUser);
+    prisma.recoveryCode.count.mockResolvedValueOnce(7);
+
+    const res = await request(app).get('/api/account/two-factor').set(auth);
+
+    expect(res.body.data).toMatchObject({ enabled: true, recoveryCodesRemaining: 7 });
+  });
+});
+
+describe('Two-factor login', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getRateLimitStore().clear();
+    prisma.user.findUnique.mockResolvedValue(enrolledUser);
+    prisma.user.update.mockResolvedValue({ failedLoginCount: 1 });
+    prisma.recoveryCode.updateMany.mockResolvedValue({ count: 0 });
+    prisma.refreshToken.create.mockResolvedValue({ id: 1 });
+  });
+
+  it('should return a challenge instead of a session when 2FA is on', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'john@example.com', password: 'password123' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.twoFactorRequired).toBe(true);
+    expect(res.body.data.token).toBeUndefined();
+    expect(jwt.decode(res.body.data.challengeToken)).toMatchObject({
+      userId: 1,
+      purpose: '2fa-challenge'
+    });
+    expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('should log in with the challenge and a current code', async () => {
+    const step = timeStep();
+
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: signChallengeToken(enrolledUser), code: generateCode(SECRET, step) });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    expect(res.body.data.refreshToken).toBeDefined();
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { twoFactorLastStep: step }
+    });
+  });
+
+  it('should refuse a code that was already used', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      ...enrolledUser,
+      twoFactorLastStep: timeStep() + 1
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: signChallengeToken(enrolledUser), code: currentCode() });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Invalid authentication code');
+  });
+
+  it('should accept an unused recovery code once', async () => {
+    prisma.recoveryCode.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: signChallengeToken(enrolledUser), code: 'ABCDE-12345' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Login successful using a recovery code');
+    expect(prisma.recoveryCode.updateMany).toHaveBeenCalledWith({
+      where: { userId: 1, codeHash: hashToken('abcde12345'), usedAt: null },
+      data: { usedAt: expect.any(Date) }
+    });
+  });
+
+  it('should count a wrong code towards the lockout', async () => {
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: signChallengeToken(enrolledUser), code: 'nope' });
+
+    expect(res.statusCode).toBe(401);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { failedLoginCount: { increment: 1 } },
+      select: { failedLoginCount: true }
+    });
+  });
+
+  it('should not accept an access token as a challenge', async () => {
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: token, code: currentCode() });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Your login attempt expired. Please log in again.');
+  });
+
+  it('should not accept a challenge token as a session', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'john@example.com', password: 'password123' });
+    const challengeAuth = { Authorization: `Bearer ${login.body.data.challengeToken}` };
+
+    const disable = await request(app)
+      .post('/api/account/two-factor/disable')
+      .set(challengeAuth)
+      .send({ password: 'password123' });
+    const me = await request(app).get('/api/auth/me').set(challengeAuth);
+
+    expect(disable.statusCode).toBe(401);
+    expect(me.statusCode).toBe(401);
+    expect(prisma.recoveryCode.deleteMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,186 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+
+jest.mock('../src/lib/prisma', () => ({
+  product: {
+    findUnique: jest.fn()
+  },
+  userCartItem: {
+    findUnique: jest.fn(),
+    upsert: jest.fn()
+  },
+  wishlistItem: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    upsert: jest.fn(),
+    delete: jest.fn(),
+    deleteMany: jest.fn()
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations))
+}));
+
+const prisma = require('../src/lib/prisma');
+
+const token = jwt.sign({ userId: 1, email: 'john@example.com' }, 'default-secret');
+const auth = { Authorization: `Bearer ${token}` };
+
+const product = {
+  id: 'p-104',
+  name: 'Portable SSD 1TB',
+  category: 'Storage',
+  priceCents: 11999,
+  rating: 4.7,
+  stock: 10,
+  image: 'https://example.com/ssd.jpg',
+  description: 'Fast external storage.',
+  archivedAt: null
+};
+
+function savedItem(overrides = {}, productOverrides = {}) {
+  return {
+    userId: 1,
+    productId: 'p-104',
+    priceSnapshotCents: 11999,
+    inStockAtSave: true,
+    createdAt: new Date('2026-10-01T10:00:00Z'),
+    product: { ...product, ...productOverrides },
+    ...overrides
+  };
+}
+
+const key = { userId_productId: { userId: 1, productId: 'p-104' } };
+
+describe('Wishlist API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.product.findUnique.mockResolvedValue(product);
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/api/wishlist');
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  describe('GET /api/wishlist', () => {
+    it('should flag price drops and items back in stock', async () => {
+      prisma.wishlistItem.findMany.mockResolvedValue([
+        savedItem({ priceSnapshotCents: 12999 }),
+        savedItem({ productId: 'p-105', inStockAtSave: false }, { id: 'p-105' }),
+        savedItem({ productId: 'p-106', priceSnapshotCents: 9999 }, { id: 'p-106' })
+      ]);
+
+      const res = await request(app).get('/api/wishlist').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      const [dropped, restocked, pricier] = res.body.data.items;
+      expect(dropped).toMatchObject({
+        id: 'p-104',
+        savedPrice: 129.99,
+        priceDrop: { previousPrice: 129.99, currentPrice: 119.99 },
+        backInStock: false
+      });
+      expect(restocked).toMatchObject({ id: 'p-105', priceDrop: null, backInStock: true });
+      expect(pricier).toMatchObject({ priceDrop: null, backInStock: false });
+    });
+
+    it('should not flag archived products', async () => {
+      prisma.wishlistItem.findMany.mockResolvedValue([
+        savedItem({ priceSnapshotCents: 12999, inStockAtSave: false }, { archivedAt: new Date() })
+      ]);
+
+      const res = await request(app).get('/api/wishlist').set(auth);
+
+      expect(res.body.data.items[0]).toMatchObject({
+        available: false,
+        priceDrop: null,
+        backInStock: false
+      });
+    });
+  });
+
+  describe('POST /api/wishlist/items', () => {
+    it('should save the current price and stock state', async () => {
+      prisma.wishlistItem.upsert.mockResolvedValue(savedItem());
+
+      const res = await request(app).post('/api/wishlist/items').set(auth).send({
+        productId: 'p-104'
+      });
+
+      expect(res.statusCode).toBe(201);
+      expect(prisma.wishlistItem.upsert).toHaveBeenCalledWith({
+        where: key,
+        update: {},
+        create: { userId: 1, productId: 'p-104', priceSnapshotCents: 11999, inStockAtSave: true },
+        include: { product: true }
+      });
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      prisma.product.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/wishlist/items').set(auth).send({
+        productId: 'p-999'
+      });
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should return 409 for an archived product', async () => {
+      prisma.product.findUnique.mockResolvedValue({ ...product, archivedAt: new Date() });
+
+      const res = await request(app).post('/api/wishlist/items').set(auth).send({
+        productId: 'p-104'
+      });
+
+      expect(res.statusCode).toBe(409);
+      expect(prisma.wishlistItem.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should remove an item', async () => {
+    const res = await request(app).delete('/api/wishlist/items/p-104').set(auth);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.wishlistItem.deleteMany).toHaveBeenCalledWith({
+      where: { userId: 1, productId: 'p-104' }
+    });
+  });
+
+  describe('POST /api/wishlist/items/:productId/move-to-cart', () => {
+    it('should add one unit to the cart and drop the wishlist entry', async () => {
+      prisma.wishlistItem.findUnique.mockResolvedValue(savedItem());
+      prisma.userCartItem.findUnique.mockResolvedValue({ quantity: 2 });
+
+      const res = await request(app).post('/api/wishlist/items/p-104/move-to-cart').set(auth);
+
+      expect(res.statusCode).toBe(200);
+      expect(prisma.userCartItem.upsert).toHaveBeenCalledWith({
+        where: key,
+        update: { quantity: 3, priceSnapshotCents: 11999 },
+        create: { userId: 1, productId: 'p-104', quantity: 1, priceSnapshotCents: 11999 }
+      });
+      expect(prisma.wishlistItem.delete).toHaveBeenCalledWith({ where: key });
+    });
+
+    it('should return 409 when the product is out of stock', async () => {
+      prisma.wishlistItem.findUnique.mockResolvedValue(savedItem({}, { stock: 0 }));
+      prisma.userCartItem.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/wishlist/items/p-104/move-to-cart').set(auth);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('Portable SSD 1TB is out of stock');
+      expect(prisma.wishlistItem.delete).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the item is not saved', async () => {
+      prisma.wishlistItem.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/wishlist/items/p-104/move-to-cart').set(auth);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});